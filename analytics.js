@@ -0,0 +1,309 @@
+'use strict';
+
+/**
+ * analytics.js
+ * Performance analytics — equity curve, risk-adjusted returns, drawdown, trade attribution
+ *
+ *   analytics.sample();                        // one equity curve point, every SAMPLE_INTERVAL_MS
+ *   const r = analytics.report({ since });     // everything below, for closes since `since`
+ *   analytics.format(r);                       // text for the CLI
+ *
+ * The equity curve (ledger.equity() — cash, reserved and unrealized PnL) is sampled on a
+ * timer and saved with state as the equity_curve sidecar, trimmed to CURVE_RETENTION.
+ * Without one (a state from before analytics, or a backtest) the curve is rebuilt from
+ * closed trades, which only moves at each close.
+ *
+ *   returns        equity change over each RETURN_PERIOD; Sharpe and Sortino are their
+ *                  mean over the standard / downside deviation, annualized (365 days)
+ *   drawdown       deepest fall from a peak, when it started and bottomed, and how long
+ *                  until equity was back at the peak (or still isn't); the longest one
+ *   trades         win rate, profit factor (gross win / gross loss), expectancy (mean net
+ *                  PnL per trade), average win and loss — each trade counted net of both
+ *                  fees and carry (tracker.tradeNet())
+ *   breakdowns     the trade stats by relationship, by exit reason and by entry |z|
+ *                  bucket (edges in Z_BUCKETS)
+ *
+ * main.js sends dailySummary() at DAILY_SUMMARY_HOUR UTC as a `summary` event.
+ *
+ * CLI: node analytics.js [--since 7d] [--json]   — report from the saved state
+ */
+
+const config   = require('./config');
+const duration = require('./duration');
+const stats    = require('./stats');
+const sizing   = require('./sizing');
+const ledger   = require('./ledger');
+const tracker  = require('./tracker');
+
+const YEAR_MS = 365 * 86400000;
+const DAY_MS  = 86400000;
+
+let curve = []; // [{ ts, equity, cash, reserved }], oldest first
+
+// ─── Equity curve ─────────────────────────────────────────────────────────────
+const cents = v => Math.round(v * 100) / 100;
+
+// Appends the current equity; called on a timer by main.js
+function sample(now = Date.now()) {
+  curve.push({ ts: now, equity: cents(ledger.equity()), cash: cents(ledger.cash()), reserved: cents(ledger.reserved()) });
+
+  const cutoff = now - duration.parse(config.ANALYTICS.CURVE_RETENTION);
+  const stale  = curve.findIndex(p => p.ts >= cutoff);
+  if (stale > 0) curve = curve.slice(stale);
+}
+
+// Sidecar round-trip — see state.registerSidecar
+const exportCurve = () => curve;
+function importCurve(saved) {
+  curve = Array.isArray(saved) ? saved.filter(p => Number.isFinite(p.ts) && Number.isFinite(p.equity)) : [];
+  return curve.length;
+}
+
+// Equity after each close, from INITIAL_BALANCE — for states without a sampled curve
+function tradeCurve(history, initial = config.INITIAL_BALANCE) {
+  const trades = [...history].sort((a, b) => a.closedAt - b.closedAt);
+  if (!trades.length) return [];
+  let equity = initial;
+  const points = [{ ts: Math.min(...trades.map(t => t.openedAt)), equity }];
+  for (const t of trades) {
+    equity += tracker.tradeNet(t);
+    points.push({ ts: t.closedAt, equity });
+  }
+  return points;
+}
+
+// ─── Returns ──────────────────────────────────────────────────────────────────
+// Last equity of each period, then the change from one period to the next
+function periodReturns(points, periodMs) {
+  const closes = new Map();
+  for (const p of points) closes.set(Math.floor(p.ts / periodMs), p.equity);
+
+  const ends = [...closes.values()];
+  const out  = [];
+  for (let i = 1; i < ends.length; i++) {
+    if (ends[i - 1] > 0) out.push(ends[i] / ends[i - 1] - 1);
+  }
+  return out;
+}
+
+// Sharpe and Sortino of those returns, annualized; null below two returns or with no deviation
+function ratios(points, periodMs) {
+  const rets = periodReturns(points, periodMs);
+  if (rets.length < 2) return { periods: rets.length, meanReturn: null, sharpe: null, sortino: null };
+
+  const mean     = stats.mean(rets);
+  const std      = Math.sqrt(stats.variance(rets) * rets.length / (rets.length - 1));
+  const downside = Math.sqrt(rets.reduce((s, r) => s + Math.min(r, 0) ** 2, 0) / rets.length);
+  const annual   = Math.sqrt(YEAR_MS / periodMs);
+  return {
+    periods:    rets.length,
+    meanReturn: mean,
+    sharpe:     std > 0 ? (mean / std) * annual : null,
+    sortino:    downside > 0 ? (mean / downside) * annual : null,
+  };
+}
+
+// ─── Drawdown ─────────────────────────────────────────────────────────────────
+// Every fall below a running peak is an episode, which ends when equity is back at it
+function drawdown(points) {
+  if (!points.length) return { max: null, longestMs: 0, current: 0 };
+
+  const episodes = [];
+  let peak    = null;
+  let episode = null;
+  for (const { ts, equity } of points) {
+    if (!peak || equity >= peak.equity) {
+      if (episode) {
+        episode.recoveredAt = ts;
+        episodes.push(episode);
+        episode = null;
+      }
+      peak = { ts, equity };
+      continue;
+    }
+    const depth = peak.equity - equity;
+    if (!episode) episode = { peakAt: peak.ts, peak: peak.equity, troughAt: ts, usd: 0, pct: 0, recoveredAt: null };
+    if (depth > episode.usd) Object.assign(episode, { troughAt: ts, usd: depth, pct: depth / peak.equity });
+  }
+  if (episode) episodes.push(episode);
+
+  const end      = points[points.length - 1];
+  const lengthOf = e => (e.recoveredAt === null ? end.ts : e.recoveredAt) - e.peakAt;
+  const max      = episodes.reduce((m, e) => (!m || e.pct > m.pct ? e : m), null);
+  return {
+    max:       max && { ...max, durationMs: lengthOf(max) },
+    longestMs: episodes.reduce((m, e) => Math.max(m, lengthOf(e)), 0),
+    current:   peak.equity > 0 ? (peak.equity - end.equity) / peak.equity : 0,
+  };
+}
+
+// ─── Trades ───────────────────────────────────────────────────────────────────
+function tradeStats(trades) {
+  const { winRate, avgWin, avgLoss, payoff } = sizing.edge(trades);
+  const nets      = trades.map(tracker.tradeNet);
+  const grossWin  = nets.filter(v => v > 0).reduce((s, v) => s + v, 0);
+  const grossLoss = -nets.filter(v => v <= 0).reduce((s, v) => s + v, 0);
+  const totalPnl  = grossWin - grossLoss;
+  return {
+    trades:       trades.length,
+    winRate,
+    totalPnl,
+    grossWin,
+    grossLoss,
+    profitFactor: grossLoss > 0 ? grossWin / grossLoss : grossWin > 0 ? Infinity : null,
+    expectancy:   trades.length ? totalPnl / trades.length : null,
+    avgWin,
+    avgLoss,
+    payoff,
+    avgDurationH: trades.length ? trades.reduce((s, t) => s + (t.closedAt - t.openedAt), 0) / trades.length / 3600000 : null,
+  };
+}
+
+// Trade stats per group, best total PnL first
+function breakdown(trades, keyOf) {
+  const groups = new Map();
+  for (const t of trades) {
+    const key = keyOf(t);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(t);
+  }
+  return [...groups].map(([key, list]) => ({ key, ...tradeStats(list) })).sort((a, b) => b.totalPnl - a.totalPnl);
+}
+
+// |z| 2.7 with edges [2, 2.5, 3] → '2.5–3'
+function zBucket(z, edges = config.ANALYTICS.Z_BUCKETS) {
+  const sorted = [...edges].sort((a, b) => a - b);
+  const abs    = Math.abs(z);
+  if (!Number.isFinite(abs)) return 'n/a';
+  if (abs < sorted[0]) return `<${sorted[0]}`;
+  for (let i = 1; i < sorted.length; i++) {
+    if (abs < sorted[i]) return `${sorted[i - 1]}–${sorted[i]}`;
+  }
+  return `≥${sorted[sorted.length - 1]}`;
+}
+
+// Lowest |z| a bucket label covers, for listing them in order
+function bucketFloor(label) {
+  if (label === 'n/a') return Infinity;
+  return label.startsWith('<') ? -Infinity : parseFloat(label.replace('≥', ''));
+}
+
+// ─── Report ───────────────────────────────────────────────────────────────────
+// Trades closed since `since`, and the curve from the last point before it on
+function report({ history, points = curve, since = 0, now = Date.now(), periodMs = duration.parse(config.ANALYTICS.RETURN_PERIOD) } = {}) {
+  const source = points.length >= 2 ? 'sampled' : 'trades';
+  const all    = source === 'sampled' ? points : tradeCurve(history);
+  const first  = all.findIndex(p => p.ts >= since);
+  const window = first === -1 ? all.slice(-1) : all.slice(Math.max(first - 1, 0));
+  const trades = history.filter(t => t.closedAt >= since);
+
+  const start = window.length ? window[0].equity : null;
+  const end   = window.length ? window[window.length - 1].equity : null;
+  return {
+    from:  since,
+    to:    now,
+    curve: { source, points: window.length, start, end, change: start !== null ? end - start : null, return: start ? end / start - 1 : null },
+    ratios:         { period: duration.format(periodMs), ...ratios(window, periodMs) },
+    drawdown:       drawdown(window),
+    trades:         tradeStats(trades),
+    byRelationship: breakdown(trades, t => t.key),
+    byExitReason:   breakdown(trades, t => t.exitReason || 'n/a'),
+    byEntryZ:       breakdown(trades, t => zBucket(t.entryZScore)).sort((a, b) => bucketFloor(a.key) - bucketFloor(b.key)),
+  };
+}
+
+// ─── Text ─────────────────────────────────────────────────────────────────────
+const usd  = v => (v === null ? 'n/a' : `${v < 0 ? '-' : ''}$${Math.abs(v).toFixed(2)}`);
+const pct  = v => (v === null ? 'n/a' : `${(v * 100).toFixed(2)}%`);
+const num  = v => (v === null ? 'n/a' : v === Infinity ? '∞' : v.toFixed(2));
+const span = ms => (ms >= DAY_MS ? `${(ms / DAY_MS).toFixed(1)}d` : `${(ms / 3600000).toFixed(1)}h`);
+
+function table(title, rows, limit = 10) {
+  if (!rows.length) return [];
+  const lines = [
+    title,
+    `  ${''.padEnd(14)} ${'Trades'.padStart(6)} ${'Win'.padStart(5)} ${'PnL'.padStart(10)} ${'Expect'.padStart(9)} ${'PF'.padStart(5)}`,
+  ];
+  for (const r of rows.slice(0, limit)) {
+    lines.push(`  ${String(r.key).padEnd(14)} ${String(r.trades).padStart(6)} ${`${(r.winRate * 100).toFixed(0)}%`.padStart(5)} ` +
+      `${usd(r.totalPnl).padStart(10)} ${usd(r.expectancy).padStart(9)} ${num(r.profitFactor).padStart(5)}`);
+  }
+  if (rows.length > limit) lines.push(`  … ${rows.length - limit} more`);
+  return lines;
+}
+
+// Headline figures, then the breakdowns
+function format(r) {
+  const { curve: c, ratios: q, drawdown: dd, trades: t } = r;
+  const max = dd.max;
+  return [
+    `Equity      : ${usd(c.start)} → ${usd(c.end)}  (${usd(c.change)}, ${pct(c.return)})  — ${c.points} points, ${c.source === 'sampled' ? 'sampled' : 'from closed trades'}`,
+    `Sharpe      : ${num(q.sharpe)}  |  Sortino: ${num(q.sortino)}  (${q.periods} ${q.period} returns, annualized)`,
+    `Max drawdown: ${max ? `${pct(max.pct)} (${usd(max.usd)}) over ${span(max.durationMs)}${max.recoveredAt === null ? ', not recovered' : ''}` : 'none'}` +
+      `  |  longest ${span(dd.longestMs)}  |  now ${pct(dd.current)}`,
+    `Trades      : ${t.trades}  |  win ${pct(t.trades ? t.winRate : null)}  |  PnL ${usd(t.totalPnl)}  |  PF ${num(t.profitFactor)}`,
+    `Expectancy  : ${usd(t.expectancy)}  |  avg win ${usd(t.avgWin)} / loss ${usd(-t.avgLoss)}  |  avg hold ${t.avgDurationH === null ? 'n/a' : `${t.avgDurationH.toFixed(1)}h`}`,
+    ...(t.trades ? [''] : []),
+    ...table('By relationship:', r.byRelationship),
+    ...table('By exit reason:', r.byExitReason),
+    ...table('By entry |z|:', r.byEntryZ),
+  ].join('\n');
+}
+
+// ─── Daily summary ────────────────────────────────────────────────────────────
+// Start of the latest DAILY_SUMMARY_HOUR (UTC) at or before now
+function lastSummaryTime(now = Date.now()) {
+  const at = now - (now % DAY_MS) + config.ANALYTICS.DAILY_SUMMARY_HOUR * 3600000;
+  return at > now ? at - DAY_MS : at;
+}
+
+// The last day, then the whole record
+function dailySummary(history, now = Date.now()) {
+  const day = report({ history, since: now - DAY_MS, now });
+  const all = report({ history, now });
+  const dd  = all.drawdown.max;
+  return [
+    '```',
+    `📊 DAILY SUMMARY  |  ${new Date(now).toISOString().slice(0, 10)}`,
+    `Equity      : ${usd(day.curve.end)}  (24h ${usd(day.curve.change)}, ${pct(day.curve.return)})`,
+    `Last 24h    : ${day.trades.trades} trades  |  win ${pct(day.trades.trades ? day.trades.winRate : null)}  |  PnL ${usd(day.trades.totalPnl)}`,
+    `All-time    : ${all.trades.trades} trades  |  PnL ${usd(all.trades.totalPnl)}  |  PF ${num(all.trades.profitFactor)}  |  expectancy ${usd(all.trades.expectancy)}`,
+    `Sharpe      : ${num(all.ratios.sharpe)}  |  Sortino: ${num(all.ratios.sortino)}  (${all.ratios.periods} ${all.ratios.period} returns)`,
+    `Max drawdown: ${dd ? `${pct(dd.pct)} over ${span(dd.durationMs)}${dd.recoveredAt === null ? ', not recovered' : ''}` : 'none'}  |  now ${pct(all.drawdown.current)}`,
+    ...(day.trades.trades ? ['', ...table('Last 24h by relationship:', day.byRelationship), ...table('Last 24h by exit reason:', day.byExitReason)] : []),
+    ...(all.trades.trades ? ['', ...table('All-time by entry |z|:', all.byEntryZ)] : []),
+    '```',
+  ].join('\n');
+}
+
+module.exports = {
+  sample, exportCurve, importCurve, tradeCurve,
+  periodReturns, ratios, drawdown, tradeStats, breakdown, zBucket,
+  report, format, dailySummary, lastSummaryTime,
+};
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+if (require.main === module) {
+  const fs    = require('fs');
+  const path  = require('path');
+  const state = require('./state');
+
+  const args   = process.argv.slice(2);
+  const window = args.includes('--since') ? args[args.indexOf('--since') + 1] : null;
+  const since  = window ? Date.now() - duration.parse(window) : 0;
+
+  if (!fs.existsSync(path.join(config.STATE_DIR, 'bot_state.json'))) {
+    console.error(`No bot_state.json in ${config.STATE_DIR}`);
+    process.exit(1);
+  }
+
+  state.load().then(() => {
+    importCurve(state.loadSidecar('equity_curve', { gzip: true }));
+    const r = report({ history: state.get('history'), since });
+    console.log(args.includes('--json') ? JSON.stringify(r, null, 2) : format(r));
+    process.exit(0);
+  }).catch((err) => {
+    console.error(`Analytics failed: ${err.message}`);
+    process.exit(1);
+  });
+}
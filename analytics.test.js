@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * analytics.test.js
+ * Risk-adjusted returns, drawdown and trade attribution — run with `npm test`
+ *
+ * Every input is a short fixed curve or trade list, and every expected figure is
+ * worked out by hand, with the working in the comments. Exits 1 on the first failure.
+ */
+
+const assert = require('assert');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const config    = require('./config');
+const analytics = require('./analytics');
+
+const tests = [];
+const test  = (name, fn) => tests.push({ name, fn });
+
+const HOUR = 3600000;
+const DAY  = 24 * HOUR;
+const T0   = Date.UTC(2024, 0, 1);
+
+const close = (a, b, what, eps = 1e-9) => assert.ok(Math.abs(a - b) < eps, `${what}: ${a}, expected ${b}`);
+
+// A trade of `net` after fees: netPnl already has the exit fee out, entryFee comes off too
+const trade = (key, net, extra = {}) => ({ key, netPnl: net + 1, entryFee: 1, openedAt: T0, closedAt: T0 + HOUR, ...extra });
+
+// ─── Sharpe / Sortino ─────────────────────────────────────────────────────────
+// Day-end equity 100 → 110 → 99 → 103.95 → 114.345: returns +10%, −10%, +5%, +10%
+const CURVE = [
+  { ts: T0,                  equity: 100 },
+  { ts: T0 + DAY + HOUR,      equity: 80 },  // intraday — only the day's last point counts
+  { ts: T0 + DAY + 20 * HOUR, equity: 110 },
+  { ts: T0 + 2 * DAY,         equity: 99 },
+  { ts: T0 + 3 * DAY,         equity: 103.95 },
+  { ts: T0 + 4 * DAY,         equity: 114.345 },
+];
+
+test('period returns are day-end to day-end', () => {
+  const rets = analytics.periodReturns(CURVE, DAY);
+  [0.1, -0.1, 0.05, 0.1].forEach((r, i) => close(rets[i], r, `return ${i}`));
+  assert.strictEqual(rets.length, 4);
+});
+
+test('Sharpe and Sortino match the hand-worked figures, annualized over 365 periods a year', () => {
+  const r = analytics.ratios(CURVE, DAY);
+
+  // mean 0.15 / 4 = 0.0375
+  // deviations 0.0625, −0.1375, 0.0125, 0.0625 → squares sum 0.026875; sample σ = √(0.026875 / 3) = 0.0946485…
+  // downside: only −0.1 counts, √(0.01 / 4) = 0.05
+  assert.strictEqual(r.periods, 4);
+  close(r.meanReturn, 0.0375, 'mean');
+  // Sharpe 0.0375 / 0.0946485 × √365 = 7.569446; Sortino 0.0375 / 0.05 × √365 = 14.328730
+  close(r.sharpe, 7.569446, 'Sharpe', 1e-6);
+  close(r.sortino, 14.328730, 'Sortino', 1e-6);
+});
+
+test('ratios are null without two returns, without deviation, or without a down period', () => {
+  assert.deepStrictEqual(analytics.ratios(CURVE.slice(0, 3), DAY), { periods: 1, meanReturn: null, sharpe: null, sortino: null });
+
+  const flat = [100, 100, 100].map((equity, i) => ({ ts: T0 + i * DAY, equity }));
+  const r    = analytics.ratios(flat, DAY);
+  assert.strictEqual(r.sharpe, null);
+  assert.strictEqual(r.sortino, null);
+
+  // Up every day, +10% then +20%: σ = √(0.005) and Sharpe 0.15 / 0.0707107 × √365 = 40.527768; no Sortino
+  const up = analytics.ratios([100, 110, 132].map((equity, i) => ({ ts: T0 + i * DAY, equity })), DAY);
+  close(up.sharpe, 40.527768, 'Sharpe', 1e-6);
+  assert.strictEqual(up.sortino, null);
+});
+
+// ─── Drawdown ─────────────────────────────────────────────────────────────────
+test('the deepest drawdown, its dates, the longest one and the current one', () => {
+  const points = [
+    [0, 100], [1, 120], [2, 90], [3, 105], [4, 120], // 120 → 90: −25%, back at 120 three hours after the peak
+    [5, 130], [6, 125], [12, 117],                    // 130 → 117: −10%, not back 7 hours on
+  ].map(([h, equity]) => ({ ts: T0 + h * HOUR, equity }));
+
+  const dd = analytics.drawdown(points);
+  assert.deepStrictEqual(dd.max, {
+    peakAt: T0 + HOUR, peak: 120, troughAt: T0 + 2 * HOUR, usd: 30, pct: 0.25, recoveredAt: T0 + 4 * HOUR, durationMs: 3 * HOUR,
+  });
+  assert.strictEqual(dd.longestMs, 7 * HOUR);
+  close(dd.current, 0.1, 'current');
+});
+
+test('the deepest drawdown is the deepest in percent, not in dollars', () => {
+  // 100 → 80 is −$20 (−20%); 1000 → 900 is −$100 but only −10%
+  const points = [100, 80, 100, 1000, 900].map((equity, i) => ({ ts: T0 + i * HOUR, equity }));
+  const dd     = analytics.drawdown(points);
+  assert.strictEqual(dd.max.peak, 100);
+  close(dd.max.pct, 0.2, 'pct');
+  close(dd.current, 0.1, 'current');
+});
+
+test('a curve that only rises has no drawdown', () => {
+  const dd = analytics.drawdown([100, 101, 105].map((equity, i) => ({ ts: T0 + i * HOUR, equity })));
+  assert.deepStrictEqual(dd, { max: null, longestMs: 0, current: 0 });
+  assert.deepStrictEqual(analytics.drawdown([]), { max: null, longestMs: 0, current: 0 });
+});
+
+// ─── Attribution ──────────────────────────────────────────────────────────────
+const TRADES = [
+  trade('AAA-BBB', 30, { exitReason: 'CONVERGED', entryZScore: 2.1 }),
+  trade('AAA-BBB', -10, { exitReason: 'STOP_LOSS', entryZScore: -3.4 }),
+  trade('AAA-BBB', 20, { exitReason: 'CONVERGED', entryZScore: -2.6 }),
+  trade('CCC-DDD', -15, { exitReason: 'STOP_LOSS', entryZScore: 2.2 }),
+  trade('CCC-DDD', -5, { exitReason: 'MAX_HOLD', entryZScore: 1.9 }),
+  trade('EEE-FFF', 5, { exitReason: 'CONVERGED', entryZScore: 2.9, closedAt: T0 + 4 * HOUR }),
+];
+
+test('per-pair attribution, best total first, with every trade counted net of fees', () => {
+  const rows = analytics.breakdown(TRADES, t => t.key);
+  assert.deepStrictEqual(rows.map(r => r.key), ['AAA-BBB', 'EEE-FFF', 'CCC-DDD']);
+
+  // AAA-BBB: +30, −10, +20 → 40; 2 of 3 won; 50 won over 10 lost
+  const [aaa, eee, ccc] = rows;
+  assert.strictEqual(aaa.trades, 3);
+  close(aaa.totalPnl, 40, 'AAA-BBB total');
+  close(aaa.winRate, 2 / 3, 'AAA-BBB win rate');
+  close(aaa.profitFactor, 5, 'AAA-BBB profit factor');
+  close(aaa.expectancy, 40 / 3, 'AAA-BBB expectancy');
+  close(aaa.avgWin, 25, 'AAA-BBB average win');
+  close(aaa.avgLoss, 10, 'AAA-BBB average loss');
+  close(aaa.payoff, 2.5, 'AAA-BBB payoff');
+
+  // EEE-FFF never lost: profit factor ∞; CCC-DDD never won: 0
+  assert.strictEqual(eee.profitFactor, Infinity);
+  close(eee.avgDurationH, 4, 'EEE-FFF hours held');
+  close(ccc.totalPnl, -20, 'CCC-DDD total');
+  assert.strictEqual(ccc.winRate, 0);
+  assert.strictEqual(ccc.profitFactor, 0);
+  close(ccc.expectancy, -10, 'CCC-DDD expectancy');
+});
+
+test('all trades together, by exit reason and by entry |z| bucket', () => {
+  const all = analytics.tradeStats(TRADES);
+  close(all.totalPnl, 25, 'total'); // 30 − 10 + 20 − 15 − 5 + 5
+  close(all.grossWin, 55, 'gross win');
+  close(all.grossLoss, 30, 'gross loss');
+  close(all.profitFactor, 55 / 30, 'profit factor');
+  close(all.winRate, 0.5, 'win rate');
+  assert.strictEqual(analytics.tradeStats([]).profitFactor, null);
+
+  const reasons = analytics.breakdown(TRADES, t => t.exitReason);
+  assert.deepStrictEqual(reasons.map(r => [r.key, r.totalPnl]), [['CONVERGED', 55], ['MAX_HOLD', -5], ['STOP_LOSS', -25]]);
+
+  const edges = [2, 2.5, 3];
+  assert.deepStrictEqual([1.9, 2.1, -2.6, 2.9, -3.4, 3, NaN].map(z => analytics.zBucket(z, edges)),
+    ['<2', '2–2.5', '2.5–3', '2.5–3', '≥3', '≥3', 'n/a']);
+});
+
+test('a report without a sampled curve is built from the trades, from INITIAL_BALANCE', () => {
+  config.INITIAL_BALANCE     = 1000;
+  config.ANALYTICS.Z_BUCKETS = [2, 2.5, 3];
+  const r = analytics.report({ history: TRADES, points: [], now: T0 + DAY, periodMs: DAY });
+
+  assert.strictEqual(r.curve.source, 'trades');
+  assert.strictEqual(r.curve.start, 1000);
+  close(r.curve.end, 1025, 'end');
+  close(r.curve.return, 0.025, 'return');
+  assert.deepStrictEqual(r.byRelationship.map(b => b.key), ['AAA-BBB', 'EEE-FFF', 'CCC-DDD']);
+  assert.deepStrictEqual(r.byEntryZ.map(b => b.key), ['<2', '2–2.5', '2.5–3', '≥3']);
+});
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+(async () => {
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (err) {
+      console.log(`  ✗ ${name}\n    ${err.message}`);
+      process.exit(1);
+    }
+  }
+  console.log(`✅ ${tests.length} passed`);
+  process.exit(0);
+})();
@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * api.js
+ * Local HTTP control API via native http — opt-in (API.ENABLED), bound to loopback,
+ * every request authenticated with `Authorization: Bearer <API_TOKEN>`
+ *
+ *   GET  /status                          ledger.summary(), slots, entry pause, risk.snapshot(), pairs.getStatusSnapshot()
+ *   GET  /positions                       open positions with live unrealizedPnl
+ *   GET  /history?limit=50                closed trades, newest first, plus tracker.historySummary()
+ *   GET  /relationships                   active relationships and whether each takes entries
+ *   GET  /analytics?since=7d              analytics.report() — equity curve, Sharpe, drawdown, breakdowns
+ *   POST /positions/:id/close             close now, through the normal close path
+ *   POST /entries/pause                   stop opening positions (exits keep running)
+ *   POST /entries/resume
+ *   POST /relationships/:key/disable      no new entries for one relationship, e.g. DOT-KSM
+ *   POST /relationships/:key/enable
+ *   GET  /dashboard, /events              live web dashboard (dashboard.js)
+ *
+ * GET requests may pass the token as ?token= instead — a browser can't add the
+ * header to a page link or an EventSource.
+ *
+ * Responses are JSON; failures are { error } with a 4xx/5xx status. Anything that
+ * changes the bot is done by the `actions` main.js passes to start(), so a manual
+ * close waits its turn on the engine queue and takes the same fills, state save and
+ * notification as any other.
+ *
+ *   curl -H "Authorization: Bearer $API_TOKEN" http://127.0.0.1:8787/positions
+ */
+
+const http      = require('http');
+const crypto    = require('crypto');
+const config    = require('./config');
+const logger    = require('./logger');
+const state     = require('./state');
+const pairs     = require('./pairs');
+const tracker   = require('./tracker');
+const dashboard = require('./dashboard');
+const risk      = require('./risk');
+const ledger    = require('./ledger');
+const analytics = require('./analytics');
+const duration  = require('./duration');
+
+const HISTORY_LIMIT = 50;
+
+// ─── Read endpoints ───────────────────────────────────────────────────────────
+function getStatus() {
+  const control = state.get('control');
+  return {
+    ...ledger.summary(),
+    openPositions: state.get('positions').length,
+    maxPositions:  config.MAX_POSITIONS,
+    entriesPaused: control.entriesPaused,
+    disabled:      control.disabled,
+    mode:          config.EXECUTION.MODE,
+    startedAt:     state.get('startedAt'),
+    risk:          risk.snapshot(),
+    pairs:         pairs.getStatusSnapshot(),
+  };
+}
+
+function getPositions() {
+  return state.get('positions').map(p => ({ ...p, unrealizedPnl: tracker.unrealizedPnl(p) }));
+}
+
+function getHistory(query) {
+  const all   = state.get('history');
+  const limit = Math.max(parseInt(query.get('limit'), 10) || HISTORY_LIMIT, 1);
+  return { summary: tracker.historySummary(all), trades: all.slice(-limit).reverse() };
+}
+
+function getRelationships() {
+  const disabled = state.get('control').disabled;
+  return pairs.getRelationships().map(([coinA, coinB]) => {
+    const key = `${coinA}-${coinB}`;
+    return { key, coinA, coinB, enabled: !disabled.includes(key), info: pairs.getRelationshipInfo(key) };
+  });
+}
+
+// Trades closed and equity over the last ?since= (a duration), or everything
+function getAnalytics(query) {
+  let since = 0;
+  if (query.get('since')) {
+    try {
+      since = Date.now() - duration.parse(query.get('since'));
+    } catch (err) {
+      return { status: 400, body: { error: err.message } };
+    }
+  }
+  return { status: 200, body: analytics.report({ history: state.get('history'), since }) };
+}
+
+// ─── Routing ──────────────────────────────────────────────────────────────────
+// [method, path pattern, handler(params, query) → { status, body }]
+// or, marked raw, handler(req, res) writing its own response
+function routes(actions) {
+  const ok = body => ({ status: 200, body });
+  return [
+    ['GET',  /^\/status$/,                                   () => ok(getStatus())],
+    ['GET',  /^\/positions$/,                                () => ok(getPositions())],
+    ['GET',  /^\/history$/,                                  (_, q) => ok(getHistory(q))],
+    ['GET',  /^\/relationships$/,                            () => ok(getRelationships())],
+    ['GET',  /^\/analytics$/,                                (_, q) => getAnalytics(q)],
+    ['POST', /^\/positions\/([^/]+)\/close$/,                ([id]) => actions.closePosition(id)],
+    ['POST', /^\/entries\/(pause|resume)$/,                  ([op]) => actions.setEntriesPaused(op === 'pause')],
+    ['POST', /^\/relationships\/([^/]+)\/(disable|enable)$/, ([key, op]) => actions.setRelationshipEnabled(key, op === 'enable')],
+    ['GET',  /^\/dashboard$/,                                dashboard.servePage, 'raw'],
+    ['GET',  /^\/events$/,                                   dashboard.serveEvents, 'raw'],
+  ];
+}
+
+// Constant-time token check — bearer header, or ?token= on a GET
+function authorized(req, url, token) {
+  const match = /^Bearer (\S+)$/.exec(req.headers.authorization || '');
+  const sent  = match ? match[1] : req.method === 'GET' ? url.searchParams.get('token') : null;
+  if (!sent) return false;
+  const given    = Buffer.from(sent);
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function reply(res, status, body) {
+  const json = JSON.stringify(body, null, 2);
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json) });
+  res.end(json);
+}
+
+// ─── Server ───────────────────────────────────────────────────────────────────
+// actions: { closePosition(id), setEntriesPaused(paused), setRelationshipEnabled(key, enabled) },
+// each resolving to { status, body } — body { error } when refused
+function start(actions, options = config.API) {
+  const table = routes(actions);
+
+  const server = http.createServer(async (req, res) => {
+    req.resume(); // no endpoint reads a body
+
+    const url = new URL(req.url, 'http://localhost');
+    if (!authorized(req, url, options.TOKEN)) {
+      logger.warn('API', `Unauthorized ${req.method} ${url.pathname} from ${req.socket.remoteAddress}`);
+      return reply(res, 401, { error: 'Missing or wrong bearer token' });
+    }
+
+    let path;
+    try {
+      path = decodeURIComponent(url.pathname).replace(/\/+$/, '') || '/';
+    } catch (_) {
+      return reply(res, 400, { error: 'Malformed path' });
+    }
+    const found = table.map(([method, pattern, handler, raw]) => ({ method, handler, raw, m: pattern.exec(path) })).filter(r => r.m);
+
+    if (!found.length) return reply(res, 404, { error: `No endpoint ${path}` });
+    const route = found.find(r => r.method === req.method);
+    if (!route) return reply(res, 405, { error: `${path} takes ${found.map(r => r.method).join(', ')}` });
+
+    try {
+      logger.debug('API', `${req.method} ${path}`);
+      if (route.raw) return route.handler(req, res);
+      const { status, body } = await route.handler(route.m.slice(1), url.searchParams);
+      reply(res, status, body);
+    } catch (err) {
+      logger.error('API', `${req.method} ${path}: ${err.message}`);
+      reply(res, 500, { error: err.message });
+    }
+  });
+
+  server.on('error', err => logger.error('API', `Control API: ${err.message}`));
+  server.listen(options.PORT, options.HOST, () => {
+    logger.info('API', `Control API on http://${options.HOST}:${options.PORT}`);
+  });
+  return server;
+}
+
+module.exports = { start };
@@ -0,0 +1,340 @@
+'use strict';
+
+/**
+ * backtest.js
+ * Offline backtester — replays historical prices through the pairs engine
+ *
+ * Usage:
+ *   node backtest.js --data ./data/klines [--from 2024-01-01] [--to 2024-02-01] [--json report.json]
+ *   node backtest.js --ticks ./data/ticks  (recorder.js output — file or directory)
+ *   node backtest.js --relationships ./state/relationships.json  (discovery.js output)
+ *
+ * Data files live in --data, one per coin, named BTC.csv / BTCUSDT.csv /
+ * BTC.ndjson / BTCUSDT.jsonl. Accepted row shapes:
+ *   CSV with header   → time column (close_time, open_time, timestamp, time, ts)
+ *                       and price column (close, price, c)
+ *   CSV without header → Binance kline export (open time, o, h, l, c, v, close time, ...)
+ *   NDJSON            → objects with the same keys, or raw kline arrays
+ *
+ * Every row is fed through pairs.onPrice() on a simulated clock, then the same
+ * exit / entry pass as main.js onTick() runs with tracker.js accounting, and money
+ * is booked in an in-memory ledger.js book by the engine's rules.
+ * Nothing is sent to Discord and state/bot_state.json is never touched.
+ */
+
+// Opportunity logging on every candle drowns the report — quiet unless asked
+if (!process.env.LOG_LEVEL) process.env.LOG_LEVEL = 'WARN';
+
+const fs        = require('fs');
+const path      = require('path');
+const config    = require('./config');
+const pairs     = require('./pairs');
+const tracker   = require('./tracker');
+const sizing    = require('./sizing');
+const ledger    = require('./ledger');
+const recorder  = require('./recorder');
+const discovery = require('./discovery');
+
+const TIME_KEYS  = ['close_time', 'closeTime', 'open_time', 'openTime', 'timestamp', 'time', 'ts'];
+const PRICE_KEYS = ['close', 'price', 'c'];
+const EXTENSIONS = ['.csv', '.ndjson', '.jsonl'];
+
+// ─── Argument parsing ─────────────────────────────────────────────────────────
+function parseArgs(argv) {
+  const args = { data: './data/klines', ticks: null, relationships: null, from: null, to: null, json: null };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const next = argv[i + 1];
+    if (flag === '--data') { args.data = next; i++; }
+    else if (flag === '--ticks') { args.ticks = next; i++; }
+    else if (flag === '--relationships') { args.relationships = next; i++; }
+    else if (flag === '--from') { args.from = parseTime(next); i++; }
+    else if (flag === '--to')   { args.to   = parseTime(next); i++; }
+    else if (flag === '--json') { args.json = next; i++; }
+    else throw new Error(`Unknown argument: ${flag}`);
+  }
+  return args;
+}
+
+// ─── Timestamp normalisation ──────────────────────────────────────────────────
+// Accepts epoch seconds, milliseconds, microseconds or an ISO date string
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return NaN;
+  const num = Number(value);
+  if (!isNaN(num)) {
+    if (num < 1e11) return num * 1000;       // seconds
+    if (num > 1e14) return Math.floor(num / 1000); // microseconds
+    return num;
+  }
+  return Date.parse(value);
+}
+
+// ─── Data loading ─────────────────────────────────────────────────────────────
+function findDataFile(dir, coin) {
+  for (const base of [coin, `${coin}USDT`]) {
+    for (const ext of EXTENSIONS) {
+      const file = path.join(dir, base + ext);
+      if (fs.existsSync(file)) return file;
+    }
+  }
+  return null;
+}
+
+// Kline array: [openTime, open, high, low, close, volume, closeTime, ...]
+function fromKline(row) {
+  const ts = row[6] !== undefined ? parseTime(row[6]) : parseTime(row[0]);
+  return { ts, price: parseFloat(row[4]) };
+}
+
+function fromObject(obj) {
+  const timeKey  = TIME_KEYS.find(k => obj[k] !== undefined);
+  const priceKey = PRICE_KEYS.find(k => obj[k] !== undefined);
+  if (!timeKey || !priceKey) return null;
+  return { ts: parseTime(obj[timeKey]), price: parseFloat(obj[priceKey]) };
+}
+
+function parseCsv(lines) {
+  const first     = lines[0].split(',').map(s => s.trim());
+  const hasHeader = first.some(cell => /[a-z]/i.test(cell) && isNaN(Date.parse(cell)));
+
+  if (!hasHeader) return lines.map(line => fromKline(line.split(',')));
+
+  return lines.slice(1).map(line => {
+    const cells = line.split(',');
+    const obj   = {};
+    first.forEach((h, i) => { obj[h] = cells[i]; });
+    return fromObject(obj);
+  });
+}
+
+function parseNdjson(lines) {
+  return lines.map(line => {
+    const row = JSON.parse(line);
+    return Array.isArray(row) ? fromKline(row) : fromObject(row);
+  });
+}
+
+function loadCoin(file) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return [];
+
+  const rows = file.endsWith('.csv') ? parseCsv(lines) : parseNdjson(lines);
+  return rows.filter(r => r && !isNaN(r.ts) && r.price > 0);
+}
+
+// Merge every coin's rows into one time-ordered event stream
+function loadEvents(args) {
+  const events  = [];
+  const missing = [];
+
+  for (const coin of pairs.monitoredCoins) {
+    const file = findDataFile(args.data, coin);
+    if (!file) { missing.push(coin); continue; }
+
+    for (const row of loadCoin(file)) {
+      if (args.from && row.ts < args.from) continue;
+      if (args.to   && row.ts > args.to)   continue;
+      events.push({ coin, price: row.price, ts: row.ts });
+    }
+  }
+
+  events.sort((a, b) => a.ts - b.ts);
+  return { events, missing };
+}
+
+// Recorded ticks are already time-ordered per file
+async function loadRecordedEvents(args) {
+  const events = [];
+  const seen   = new Set();
+
+  for await (const tick of recorder.readTicks(args.ticks)) {
+    const ts = recorder.tickTime(tick);
+    if (args.from && ts < args.from) continue;
+    if (args.to   && ts > args.to)   continue;
+    if (!pairs.monitoredCoins.has(tick.coin) || !(tick.price > 0)) continue;
+    events.push({ coin: tick.coin, price: tick.price, ts });
+    seen.add(tick.coin);
+  }
+
+  events.sort((a, b) => a.ts - b.ts);
+  return { events, missing: [...pairs.monitoredCoins].filter(c => !seen.has(c)) };
+}
+
+// ─── Simulation ───────────────────────────────────────────────────────────────
+function run(events) {
+  const positions = [];
+  const history   = [];
+
+  // Money goes through an in-memory ledger booked the way engine.js books the live one:
+  // notional reserved on open, released with PnL, fees and carry on close
+  const book = ledger.createBook();
+  book.deposit(config.INITIAL_BALANCE, 'initial balance', events.length ? events[0].ts : Date.now());
+
+  let peakEquity     = book.equity(positions);
+  let maxDrawdown    = 0;
+  let maxDrawdownPct = 0;
+
+  function close(pos, reason, zScore, now) {
+    const { unrealized, exitFee, carry, netPnl } = tracker.closeOut(pos);
+    book.closePosition(pos, { unrealized, exitFee, carry }, now);
+    positions.splice(positions.indexOf(pos), 1);
+    history.push({ ...pos, closedAt: now, exitReason: reason, exitZScore: zScore, unrealized, exitFee, netPnl });
+  }
+
+  for (const { coin, price, ts } of events) {
+    pairs.onPrice(coin, price, ts);
+
+    // Exits — same pass as main.js onTick()
+    for (const pos of positions.slice()) {
+      if (pos.shortCoin !== coin && pos.longCoin !== coin) continue;
+      const exit = pairs.checkExit(pos, ts);
+      if (exit) close(pos, exit.reason, exit.zScore, ts);
+    }
+
+    // Entries — one new position per tick max
+    if (positions.length < config.MAX_POSITIONS) {
+      for (const opp of pairs.scanForOpportunities()) {
+        if (positions.some(p => p.key === opp.key)) continue;
+
+        // Sized and funded as the live bot would, from the equity and trades the replay has so far
+        const sized = sizing.size(opp, { equity: book.equity(positions), history });
+        if (sized.amount === null || book.cash() < sized.amount + tracker.entryFee(sized.amount)) continue;
+
+        const pos = tracker.newPosition(opp, sized.amount, ts);
+        book.openPosition(pos, ts);
+        positions.push(pos);
+        break;
+      }
+    }
+
+    // Mark-to-market equity for drawdown
+    const equity = book.equity(positions);
+    if (equity > peakEquity) peakEquity = equity;
+    const drawdown = peakEquity - equity;
+    if (drawdown > maxDrawdown) {
+      maxDrawdown    = drawdown;
+      maxDrawdownPct = drawdown / peakEquity;
+    }
+  }
+
+  // Flatten whatever is still open so the report covers every trade
+  const lastTs = events.length ? events[events.length - 1].ts : Date.now();
+  for (const pos of positions.slice()) close(pos, 'END_OF_DATA', 0, lastTs);
+
+  const errors = book.check(positions, history);
+  if (errors.length) throw new Error(`Backtest ledger is inconsistent: ${errors.join('; ')}`);
+
+  return { history, cash: book.cash(), maxDrawdown, maxDrawdownPct };
+}
+
+// ─── Report ───────────────────────────────────────────────────────────────────
+function summarize(trades) {
+  const netPnl  = trades.reduce((s, t) => s + tracker.tradeNet(t), 0);
+  const fees    = trades.reduce((s, t) => s + t.entryFee + t.exitFee, 0);
+  const wins    = trades.filter(t => tracker.tradeNet(t) > 0).length;
+  return {
+    trades:  trades.length,
+    wins,
+    winRate: trades.length ? wins / trades.length : 0,
+    netPnl,
+    fees,
+  };
+}
+
+function buildReport(events, result) {
+  const { history } = result;
+  const summary = tracker.historySummary(history);
+
+  const byRelationship = {};
+  for (const [coinA, coinB] of pairs.getRelationships()) {
+    const key = `${coinA}-${coinB}`;
+    byRelationship[key] = summarize(history.filter(t => t.key === key));
+  }
+
+  const byExitReason = {};
+  for (const t of history) byExitReason[t.exitReason] = (byExitReason[t.exitReason] || 0) + 1;
+
+  return {
+    period: {
+      from:   events.length ? new Date(events[0].ts).toISOString() : null,
+      to:     events.length ? new Date(events[events.length - 1].ts).toISOString() : null,
+      events: events.length,
+    },
+    params: {
+      ENTRY_ZSCORE:   config.PAIRS_CONFIG.ENTRY_ZSCORE,
+      EXIT_ZSCORE:    config.PAIRS_CONFIG.EXIT_ZSCORE,
+      STOP_ZSCORE:    config.PAIRS_CONFIG.STOP_ZSCORE,
+      MIN_DIVERGENCE: config.PAIRS_CONFIG.MIN_DIVERGENCE,
+      TRADE_AMOUNT:   config.TRADE_AMOUNT,
+      SIZING:         config.SIZING.POLICY,
+    },
+    ...summarize(history),
+    avgDurationH:   summary.avgDurationH,
+    startBalance:   config.INITIAL_BALANCE,
+    endBalance:     result.cash,
+    maxDrawdown:    result.maxDrawdown,
+    maxDrawdownPct: result.maxDrawdownPct,
+    byExitReason,
+    byRelationship,
+  };
+}
+
+function printReport(report) {
+  const pct = v => (v * 100).toFixed(1) + '%';
+  const usd = v => (v >= 0 ? '+' : '-') + '$' + Math.abs(v).toFixed(2);
+
+  const lines = [
+    '📐 PAIRS BACKTEST',
+    `Period      : ${report.period.from} → ${report.period.to}  (${report.period.events} prices)`,
+    `Thresholds  : entry ±${report.params.ENTRY_ZSCORE}  exit ±${report.params.EXIT_ZSCORE}  stop ±${report.params.STOP_ZSCORE}  min div ${pct(report.params.MIN_DIVERGENCE)}`,
+    `Sizing      : ${report.params.SIZING}${report.params.SIZING === 'fixed' ? ` $${report.params.TRADE_AMOUNT}` : ''}`,
+    `Trades      : ${report.trades}  (win rate ${pct(report.winRate)}, avg hold ${report.avgDurationH}h)`,
+    `Net PnL     : ${usd(report.netPnl)}  (fees $${report.fees.toFixed(2)})`,
+    `Balance     : $${report.startBalance.toFixed(2)} → $${report.endBalance.toFixed(2)}`,
+    `Max drawdown: $${report.maxDrawdown.toFixed(2)} (${pct(report.maxDrawdownPct)})`,
+    `Exits       : ${Object.entries(report.byExitReason).map(([r, n]) => `${r}=${n}`).join('  ') || '-'}`,
+    '',
+    `${'Pair'.padEnd(12)} ${'Trades'.padEnd(8)} ${'Win%'.padEnd(8)} ${'Net PnL'.padEnd(12)} Fees`,
+    '─'.repeat(52),
+  ];
+
+  for (const [key, r] of Object.entries(report.byRelationship)) {
+    lines.push(
+      `${key.replace('-', '/').padEnd(12)} ${String(r.trades).padEnd(8)} ${pct(r.winRate).padEnd(8)} ${usd(r.netPnl).padEnd(12)} $${r.fees.toFixed(2)}`
+    );
+  }
+
+  console.log(lines.join('\n'));
+}
+
+module.exports = { run, summarize };
+
+// ─── Entry point ──────────────────────────────────────────────────────────────
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.relationships) {
+    const result = JSON.parse(fs.readFileSync(args.relationships, 'utf8'));
+    pairs.setRelationships(discovery.merge(result, config.DISCOVERY.MODE));
+  }
+
+  const { events, missing } = args.ticks ? await loadRecordedEvents(args) : loadEvents(args);
+
+  if (missing.length) console.warn(`No data for: ${missing.join(', ')} — their relationships stay idle`);
+  if (!events.length) throw new Error(`No price data found in ${args.ticks || args.data}`);
+
+  const report = buildReport(events, run(events));
+  printReport(report);
+
+  if (args.json) {
+    fs.writeFileSync(args.json, JSON.stringify(report, null, 2), 'utf8');
+    console.log(`\nReport written to ${args.json}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(`Backtest failed: ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * backtest.test.js
+ * Backtester accounting on a scripted price stream — run with `npm test`
+ *
+ * Events go straight into backtest.run(), so entries, exits and the in-memory
+ * ledger are the ones a replay of real data would use. Exits 1 on the first failure.
+ */
+
+const assert = require('assert');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const config   = require('./config');
+const pairs    = require('./pairs');
+const tracker  = require('./tracker');
+const backtest = require('./backtest');
+
+const tests = [];
+const test  = (name, fn) => tests.push({ name, fn });
+
+// ─── Fees ─────────────────────────────────────────────────────────────────────
+test('a round trip at unchanged prices costs the taker fee on the notional once each way', () => {
+  config.SIZING.POLICY             = 'fixed';
+  config.PAIRS_CONFIG.MODELS       = {};
+  config.PAIRS_CONFIG.STOP_ZSCORE  = Infinity;
+  pairs.setRelationships([['AAA', 'BBB']]);
+
+  // Two hours of a steady 2:1 ratio with a little wobble, then AAA jumps 5% and
+  // the data ends — the position opens and is flattened at the same prices
+  const start  = Date.UTC(2024, 0, 1);
+  const events = [];
+  for (let i = 0; i < 120; i++) {
+    const ts = start + i * pairs.BAR_MS;
+    events.push({ coin: 'AAA', price: 200 * (1 + 0.001 * Math.sin(i)), ts });
+    events.push({ coin: 'BBB', price: 100, ts });
+  }
+  const ts = start + 120 * pairs.BAR_MS;
+  events.push({ coin: 'AAA', price: 210, ts });
+  events.push({ coin: 'BBB', price: 100, ts });
+  events.push({ coin: 'AAA', price: 210, ts: ts + pairs.BAR_MS });
+  events.push({ coin: 'BBB', price: 100, ts: ts + pairs.BAR_MS });
+
+  const { history, cash } = backtest.run(events);
+  assert.strictEqual(history.length, 1, `${history.length} trades`);
+
+  const [trade] = history;
+  const fee     = config.TRADE_AMOUNT * config.TAKER_FEE;   // 80¢ on $2000 at 0.04%
+  assert.strictEqual(trade.amount, config.TRADE_AMOUNT);
+  assert.strictEqual(trade.unrealized, 0);
+  assert.ok(Math.abs(trade.entryFee - fee) < 1e-9, `entry fee ${trade.entryFee}`);
+  assert.ok(Math.abs(trade.exitFee - fee) < 1e-9, `exit fee ${trade.exitFee}`);
+  assert.ok(Math.abs(tracker.tradeNet(trade) + 2 * fee) < 1e-9, `net ${tracker.tradeNet(trade)}`);
+  assert.ok(Math.abs(cash - (config.INITIAL_BALANCE - 2 * fee)) < 1e-9, `cash ${cash}`);
+
+  const summary = backtest.summarize(history);
+  assert.ok(Math.abs(summary.fees - 2 * fee) < 1e-9, `reported fees ${summary.fees}`);
+  assert.ok(Math.abs(summary.netPnl + 2 * fee) < 1e-9, `reported net ${summary.netPnl}`);
+});
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+(async () => {
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (err) {
+      console.log(`  ✗ ${name}\n    ${err.message}`);
+      process.exit(1);
+    }
+  }
+  console.log(`✅ ${tests.length} passed`);
+  process.exit(0);
+})();
@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * bench.js
+ * Throughput benchmark for the pairs engine at many relationships
+ *
+ * Usage: node bench.js [relationships...]   (default: 50 100 250 500)
+ *
+ * Each simulated tick does what main.js onTick() does per price update:
+ * pairs.onPrice(), then scanForOpportunities() over every relationship.
+ * A baseline recomputing mean/std over the whole window per call (the old
+ * array-based approach) is timed alongside for comparison.
+ */
+
+if (!process.env.LOG_LEVEL) process.env.LOG_LEVEL = 'ERROR';
+
+const pairs = require('./pairs');
+
+const RUN_MS = 1000; // time budget per measurement
+
+// Simulated clock — shared across runs, since the engine's bar clock only moves forward
+let ts = Date.now();
+
+// ─── Synthetic market ─────────────────────────────────────────────────────────
+// n relationships over 2n coins; log prices random-walk from a shared factor
+function setup(n) {
+  const coins = Array.from({ length: n * 2 }, (_, i) => `C${i}`);
+  pairs.setRelationships(Array.from({ length: n }, (_, i) => [coins[2 * i], coins[2 * i + 1]]));
+
+  const logs = coins.map(() => Math.log(10 + Math.random() * 90));
+  let cursor = 0;
+
+  // Next tick: one coin moves; BAR_MS elapses over one round of all coins
+  function tick() {
+    const i = cursor++ % coins.length;
+    logs[i] += (Math.random() - 0.5) * 0.002;
+    ts += pairs.BAR_MS / coins.length;
+    pairs.onPrice(coins[i], Math.exp(logs[i]), ts);
+  }
+
+  // Fill every window to capacity so trimming and eviction are exercised
+  for (let i = 0; i < coins.length * (pairs.MAX_BARS + 1); i++) tick();
+  return { tick };
+}
+
+// ─── Old approach: full-window recompute ──────────────────────────────────────
+// What getHedgeRatio() + getZScore() cost with plain arrays: OLS β and the
+// spread's mean/variance rebuilt from every sample on every call
+function naiveScore(history) {
+  const n     = history.length;
+  const meanA = history.reduce((s, h) => s + h.a, 0) / n;
+  const meanB = history.reduce((s, h) => s + h.b, 0) / n;
+  let cov = 0, varB = 0;
+  for (const h of history) {
+    cov  += (h.a - meanA) * (h.b - meanB);
+    varB += (h.b - meanB) * (h.b - meanB);
+  }
+  const beta     = cov / varB;
+  const spreads  = history.map(h => h.a - beta * h.b);
+  const mean     = spreads.reduce((s, r) => s + r, 0) / n;
+  const variance = spreads.reduce((s, r) => s + Math.pow(r - mean, 2), 0) / n;
+  const last     = spreads[n - 1];
+  return (last - mean) / Math.sqrt(variance);
+}
+
+// ─── Measure ──────────────────────────────────────────────────────────────────
+function measure(fn) {
+  let ops = 0;
+  const start = process.hrtime.bigint();
+  let elapsed = 0;
+  while (elapsed < RUN_MS) {
+    for (let i = 0; i < 50; i++) fn();
+    ops += 50;
+    elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+  }
+  return ops / (elapsed / 1000);
+}
+
+function main() {
+  const sizes = process.argv.slice(2).map(Number).filter(n => n > 0);
+  const runs  = sizes.length ? sizes : [50, 100, 250, 500];
+
+  console.log(`Bars: ${pairs.MAX_BARS} per window  |  ${RUN_MS}ms per measurement\n`);
+  console.log(`${'Relationships'.padEnd(15)} ${'Ring + running sums'.padEnd(22)} ${'Full recompute'.padEnd(18)} Speed-up`);
+  console.log('─'.repeat(66));
+
+  for (const n of runs) {
+    const { tick } = setup(n);
+
+    const fast = measure(() => {
+      tick();
+      pairs.scanForOpportunities();
+    });
+
+    const histories = pairs.getRelationships().map(([a, b]) => pairs.getHistory(`${a}-${b}`));
+    if (histories.some(h => h.length < pairs.MAX_BARS)) throw new Error('windows not full — benchmark setup broken');
+
+    const slow = measure(() => {
+      tick();
+      for (const history of histories) naiveScore(history);
+    });
+
+    console.log(
+      `${String(n).padEnd(15)} ${(fast.toFixed(0) + ' ticks/s').padEnd(22)} ${(slow.toFixed(0) + ' ticks/s').padEnd(18)} ${(fast / slow).toFixed(1)}x`
+    );
+  }
+}
+
+main();
@@ -0,0 +1,383 @@
+'use strict';
+
+/**
+ * binance.js
+ * Live order execution on Binance cross margin via native https (no fetch, no axios)
+ *
+ * Implements the executor interface from execution.js. Requests are signed with
+ * HMAC-SHA256 over the query string; keys come from BINANCE_API_KEY / BINANCE_SECRET.
+ * The base URL is configurable (EXECUTION.BASE_URL), so the adapter can be pointed
+ * at mockbinance.js or any other local stand-in — http:// URLs use plain http.
+ *
+ * Shorts are margin sells: opening borrows the coin (MARGIN_BUY), closing repays
+ * it (AUTO_REPAY). Longs are ordinary buys against the USDT balance.
+ *
+ * Order sizes follow each symbol's exchangeInfo filters, loaded once per symbol:
+ * quantities are floored to the LOT_SIZE step, quote amounts to the quote precision,
+ * and both are sent as plain decimal strings. tradable() tells coordinator.js when a
+ * remainder is under minQty / minNotional — too small to send, so the leg counts it
+ * as filled rather than retrying an order Binance would refuse.
+ *
+ * placeOrder() resolves to null only when Binance refused the order. When the outcome
+ * is unknown (timeout, dropped connection, 5xx) the order is looked up by its client
+ * id before anything is resent: if it went through, that order is returned. If
+ * Binance can't say either way, the result has status UNKNOWN and no orderId, and
+ * coordinator.js stops the leg rather than risk filling it twice.
+ */
+
+const https     = require('https');
+const http      = require('http');
+const crypto    = require('crypto');
+const logger    = require('./logger');
+const pairs     = require('./pairs');
+const orderbook = require('./orderbook');
+
+// ─── Signed REST client ───────────────────────────────────────────────────────
+// How long after its timestamp Binance will still accept a signed request
+const RECV_WINDOW_MS = 5000;
+
+function createClient({ baseUrl, apiKey, secret, recvWindow = RECV_WINDOW_MS, timeout = 10000 }) {
+  const base      = new URL(baseUrl);
+  const transport = base.protocol === 'http:' ? http : https;
+
+  // signed: false for public market data — no timestamp or signature
+  return function request(method, path, params = {}, { signed = true } = {}) {
+    const query = new URLSearchParams(signed ? { ...params, recvWindow, timestamp: Date.now() } : params).toString();
+    const signature = signed ? crypto.createHmac('sha256', secret).update(query).digest('hex') : null;
+
+    return new Promise((resolve, reject) => {
+      const options = {
+        hostname: base.hostname,
+        port:     base.port || undefined,
+        path:     signed ? `${path}?${query}&signature=${signature}` : `${path}?${query}`,
+        method,
+        headers:  { 'X-MBX-APIKEY': apiKey, 'Content-Type': 'application/json' },
+        timeout,
+      };
+
+      const req = transport.request(options, (res) => {
+        let raw = '';
+        res.on('data', chunk => raw += chunk);
+        res.on('end', () => {
+          let data;
+          try {
+            data = JSON.parse(raw);
+          } catch (e) {
+            return reject(new Error(`JSON parse error: ${e.message} | body: ${raw.slice(0, 200)}`));
+          }
+          // Binance errors: non-2xx with { code: -2010, msg: '...' }
+          if (res.statusCode >= 400 || (data && data.code < 0)) {
+            const err  = new Error(`HTTP ${res.statusCode} ${data.code}: ${data.msg}`);
+            err.code   = data.code;
+            err.status = res.statusCode;
+            return reject(err);
+          }
+          resolve(data);
+        });
+      });
+
+      req.on('error',   reject);
+      req.on('timeout', () => { req.destroy(); reject(new Error('Request timeout')); });
+      req.end();
+    });
+  };
+}
+
+// ─── Order outcomes ───────────────────────────────────────────────────────────
+// Binance codes that say an order may or may not have gone through
+const UNKNOWN_CODES = new Set([-1000, -1001, -1006, -1007]);
+
+// A refusal Binance answered for — the order was never placed. Timeouts, dropped
+// connections, unreadable bodies and 5xx replies leave the outcome unknown.
+function isRejection(err) {
+  return err.status >= 400 && err.status < 500 && err.code !== undefined && !UNKNOWN_CODES.has(err.code);
+}
+
+const LOOKUP_ATTEMPTS = 3;
+const LOOKUP_DELAY_MS = 500;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ─── Response normalisation ───────────────────────────────────────────────────
+// Commission is charged in USDT, the traded coin, or BNB (fee discount) — value it in USDT
+function feeUsd(fills, coin) {
+  let total = 0;
+  for (const f of fills) {
+    if (f.commissionAsset === 'USDT') total += f.commission;
+    else if (f.commissionAsset === coin) total += f.commission * f.price;
+    else if (pairs.latestPrice[f.commissionAsset]) total += f.commission * pairs.latestPrice[f.commissionAsset];
+    else logger.warn('BINANCE', `No price for fee asset ${f.commissionAsset} — ${f.commission} not counted`);
+  }
+  return total;
+}
+
+function parseFill(f) {
+  return {
+    price:           parseFloat(f.price),
+    qty:             parseFloat(f.qty),
+    commission:      parseFloat(f.commission),
+    commissionAsset: f.commissionAsset,
+    time:            f.time,
+  };
+}
+
+// Commission taken out of the coin itself — on a BUY that isn't paid in BNB, the
+// account receives executedQty less this
+function baseFeeOf(fills, coin, side) {
+  if (side !== 'BUY') return 0;
+  return fills.reduce((s, f) => s + (f.commissionAsset === coin ? f.commission : 0), 0);
+}
+
+function normalizeOrder(coin, data) {
+  const fills       = (data.fills || []).map(parseFill);
+  const executedQty = parseFloat(data.executedQty || 0);
+  const quoteQty    = parseFloat(data.cummulativeQuoteQty || 0);
+
+  return {
+    orderId:       data.orderId,
+    clientOrderId: data.clientOrderId,
+    coin,
+    side:          data.side,
+    status:        data.status,
+    executedQty,
+    quoteQty,
+    avgPrice:      executedQty > 0 ? quoteQty / executedQty : 0,
+    fee:           feeUsd(fills, coin),
+    baseFee:       baseFeeOf(fills, coin, data.side),
+    fills,
+    time:          data.transactTime || data.updateTime || Date.now(),
+  };
+}
+
+// ─── Symbol filters ───────────────────────────────────────────────────────────
+// Decimal places of a step as Binance writes it: '0.00100000' → 3, '1.00000000' → 0
+function decimalsOf(step) {
+  const [, fraction = ''] = String(step).split('.');
+  return fraction.replace(/0+$/, '').length;
+}
+
+// { stepSize, stepDecimals, minQty, minNotional, quoteDecimals } from an exchangeInfo symbol.
+// Market orders use MARKET_LOT_SIZE where it sets a step, LOT_SIZE otherwise.
+function parseFilters(symbol) {
+  const filter = type => (symbol.filters || []).find(f => f.filterType === type) || {};
+  const lot    = filter('LOT_SIZE');
+  const market = filter('MARKET_LOT_SIZE');
+  const step   = parseFloat(market.stepSize) > 0 ? market.stepSize : lot.stepSize || '0';
+  return {
+    stepSize:      parseFloat(step),
+    stepDecimals:  decimalsOf(step),
+    minQty:        Math.max(parseFloat(lot.minQty) || 0, parseFloat(market.minQty) || 0),
+    minNotional:   parseFloat(filter('NOTIONAL').minNotional || filter('MIN_NOTIONAL').minNotional) || 0,
+    quoteDecimals: [symbol.quoteAssetPrecision, symbol.quotePrecision, 8].find(v => v !== undefined),
+  };
+}
+
+// Largest multiple of step not above value, as a fixed decimal string. The nudge keeps
+// 0.3 / 0.1 = 2.9999999999999996 from flooring to 2.
+function floorToStep(value, step, decimals) {
+  const steps = Math.floor(value / step + 1e-9);
+  return (steps * step).toFixed(decimals);
+}
+
+// Order size params for Binance — { quantity } or { quoteOrderQty } as strings —
+// or null when it's under the symbol's minimums. price values a base quantity for
+// the notional check; without one only minQty applies.
+function orderSize(filters, { quantity, quoteQty }, price) {
+  if (quantity) {
+    const qty = filters.stepSize > 0 ? floorToStep(quantity, filters.stepSize, filters.stepDecimals) : quantity.toFixed(8);
+    const num = parseFloat(qty);
+    if (!(num > 0) || num < filters.minQty) return null;
+    if (price && num * price < filters.minNotional) return null;
+    return { quantity: qty };
+  }
+  const quote = floorToStep(quoteQty, 10 ** -filters.quoteDecimals, filters.quoteDecimals);
+  if (!(parseFloat(quote) > 0) || parseFloat(quote) < filters.minNotional) return null;
+  return { quoteOrderQty: quote };
+}
+
+// ─── Executor ─────────────────────────────────────────────────────────────────
+function createBinanceExecutor(options) {
+  if (!options.apiKey || !options.secret) {
+    throw new Error('Binance execution needs BINANCE_API_KEY and BINANCE_SECRET in the environment');
+  }
+  const request = createClient(options);
+  const filters = new Map(); // coin → parseFilters() result, once loaded
+
+  async function filtersFor(coin) {
+    if (!filters.has(coin)) {
+      const data   = await request('GET', '/api/v3/exchangeInfo', { symbol: `${coin}USDT` }, { signed: false });
+      const symbol = (data.symbols || []).find(s => s.symbol === `${coin}USDT`);
+      if (!symbol) throw new Error(`${coin}USDT not in exchangeInfo`);
+      filters.set(coin, parseFilters(symbol));
+    }
+    return filters.get(coin);
+  }
+
+  // Order status with its fills — the query itself omits them. params: { orderId } or
+  // { origClientOrderId }. Throws on failure.
+  async function queryOrder(coin, params) {
+    const data  = await request('GET', '/sapi/v1/margin/order', { symbol: `${coin}USDT`, ...params });
+    const order = normalizeOrder(coin, data);
+    const fills = await executor.getFills(coin, order.orderId);
+    if (fills) {
+      order.fills   = fills;
+      order.fee     = feeUsd(fills, coin);
+      order.baseFee = baseFeeOf(fills, coin, order.side);
+    }
+    return order;
+  }
+
+  // After an unknown outcome: the order Binance holds under clientOrderId, null once
+  // it's certain there is none, or undefined if that can't be established. "Does not
+  // exist" only counts once the request's recvWindow has run out — until then it may
+  // still arrive.
+  async function findOrder(coin, clientOrderId, sentAt) {
+    const settled = sentAt + (options.recvWindow || RECV_WINDOW_MS);
+    for (let attempt = 0; attempt < LOOKUP_ATTEMPTS; attempt++) {
+      if (attempt > 0) await sleep(LOOKUP_DELAY_MS);
+      try {
+        return await queryOrder(coin, { origClientOrderId: clientOrderId });
+      } catch (err) {
+        if (err.code === -2013 && Date.now() >= settled) return null;
+        if (err.code === -2013) await sleep(settled - Date.now());
+        else logger.warn('BINANCE', `Looking up order ${clientOrderId}: ${err.message}`);
+      }
+    }
+    return undefined;
+  }
+
+  const executor = {
+    name: 'binance',
+
+    // false when a quantity / quote amount is under the symbol's minimums once
+    // rounded — nothing Binance would accept; true when the filters can't be loaded
+    async tradable(coin, size) {
+      try {
+        return orderSize(await filtersFor(coin), size, pairs.latestPrice[coin]) !== null;
+      } catch (err) {
+        logger.error('BINANCE', `exchangeInfo ${coin}: ${err.message}`);
+        return true;
+      }
+    },
+
+    // Market order sized by quote (USDT) notional or base quantity;
+    // slippage is measured against the last price seen when it was sent
+    async placeOrder({ coin, side, quoteQty, quantity, sideEffect, clientOrderId }) {
+      const reference = pairs.latestPrice[coin];
+      // Always ours, so an order whose reply is lost can be found again
+      const clientId  = clientOrderId || `bot-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+      let size;
+      try {
+        size = orderSize(await filtersFor(coin), { quantity, quoteQty }, reference);
+      } catch (err) {
+        logger.error('BINANCE', `placeOrder ${side} ${coin}: ${err.message}`);
+        return null;
+      }
+      if (!size) {
+        logger.warn('BINANCE', `placeOrder ${side} ${coin}: ${quantity || `$${quoteQty}`} is under the symbol's minimum — not sent`);
+        return null;
+      }
+
+      const params = { symbol: `${coin}USDT`, side, type: 'MARKET', newOrderRespType: 'FULL', newClientOrderId: clientId, ...size };
+      if (sideEffect) params.sideEffectType = sideEffect;
+
+      const sentAt = Date.now();
+      let order;
+      try {
+        order = normalizeOrder(coin, await request('POST', '/sapi/v1/margin/order', params));
+      } catch (err) {
+        if (isRejection(err)) {
+          logger.error('BINANCE', `placeOrder ${side} ${coin}: ${err.message}`);
+          return null;
+        }
+        logger.warn('BINANCE', `placeOrder ${side} ${coin} ${clientId}: ${err.message} — outcome unknown, looking it up`);
+        order = await findOrder(coin, clientId, sentAt);
+        if (order === null) {
+          logger.warn('BINANCE', `${side} ${coin} ${clientId} was never placed`);
+          return null;
+        }
+        if (order === undefined) {
+          logger.error('BINANCE', `${side} ${coin} ${clientId}: can't tell whether it was placed`);
+          return {
+            orderId: null, clientOrderId: clientId, coin, side, status: 'UNKNOWN',
+            executedQty: 0, quoteQty: 0, avgPrice: 0, fee: 0, baseFee: 0, fills: [], time: Date.now(),
+          };
+        }
+      }
+
+      order = orderbook.applySlippage(order, reference);
+      logger.info('BINANCE', `${side} ${coin} ${order.status} — ${order.executedQty} @ ${order.avgPrice} (fee $${order.fee.toFixed(4)})`);
+      return order;
+    },
+
+    async cancelOrder(coin, orderId) {
+      try {
+        const data = await request('DELETE', '/sapi/v1/margin/order', { symbol: `${coin}USDT`, orderId });
+        return normalizeOrder(coin, data);
+      } catch (err) {
+        logger.error('BINANCE', `cancelOrder ${coin} #${orderId}: ${err.message}`);
+        return null;
+      }
+    },
+
+    // Order status; fills are attached from the trade list since the query omits them
+    async getOrder(coin, orderId) {
+      try {
+        return await queryOrder(coin, { orderId });
+      } catch (err) {
+        logger.error('BINANCE', `getOrder ${coin} #${orderId}: ${err.message}`);
+        return null;
+      }
+    },
+
+    async getFills(coin, orderId) {
+      try {
+        const data = await request('GET', '/sapi/v1/margin/myTrades', { symbol: `${coin}USDT`, orderId });
+        return Array.isArray(data) ? data.map(parseFill) : null;
+      } catch (err) {
+        logger.error('BINANCE', `getFills ${coin} #${orderId}: ${err.message}`);
+        return null;
+      }
+    },
+
+    // Non-zero cross-margin assets: { USDT: { free, locked, borrowed }, ... }
+    async getBalances() {
+      try {
+        const data     = await request('GET', '/sapi/v1/margin/account');
+        const balances = {};
+        for (const a of data.userAssets || []) {
+          const free     = parseFloat(a.free);
+          const locked   = parseFloat(a.locked);
+          const borrowed = parseFloat(a.borrowed);
+          if (free || locked || borrowed) balances[a.asset] = { free, locked, borrowed };
+        }
+        return balances;
+      } catch (err) {
+        logger.error('BINANCE', `getBalances: ${err.message}`);
+        return null;
+      }
+    },
+  };
+  return executor;
+}
+
+// ─── Cross-margin borrow rates ────────────────────────────────────────────────
+// Daily interest per coin at the account's VIP level: { BTC: 0.00005, ... }
+async function fetchBorrowRates(options) {
+  try {
+    const data  = await createClient(options)('GET', '/sapi/v1/margin/crossMarginData');
+    const rates = {};
+    for (const row of Array.isArray(data) ? data : []) {
+      const rate = parseFloat(row.dailyInterest);
+      if (row.coin && isFinite(rate)) rates[row.coin] = rate;
+    }
+    return rates;
+  } catch (err) {
+    logger.error('BINANCE', `fetchBorrowRates: ${err.message}`);
+    return null;
+  }
+}
+
+module.exports = { createBinanceExecutor, fetchBorrowRates, parseFilters, orderSize };
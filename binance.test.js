@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * binance.test.js
+ * Order sizes against Binance symbol filters — run with `npm test`
+ *
+ * Unit checks on binance.orderSize(), then orders and legs (through coordinator.js)
+ * placed by the live executor against mockbinance.js, which refuses any order that
+ * breaks LOT_SIZE / NOTIONAL the way Binance does. Exits 1 on the first failure.
+ */
+
+const assert = require('assert');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const binance     = require('./binance');
+const coordinator = require('./coordinator');
+const tracker     = require('./tracker');
+const pairs       = require('./pairs');
+const mock        = require('./mockbinance');
+
+const FILTERS = binance.parseFilters({
+  quoteAssetPrecision: 8,
+  filters: [
+    { filterType: 'LOT_SIZE', minQty: '0.00001000', stepSize: '0.00001000' },
+    { filterType: 'MARKET_LOT_SIZE', minQty: '0.00000000', stepSize: '0.00000000' },
+    { filterType: 'NOTIONAL', minNotional: '5.00000000' },
+  ],
+});
+
+const OPTIONS = { LEG_RETRIES: 3, POLL_MS: 1, LEG_TIMEOUT_MS: 5000 };
+
+const tests = [];
+const test  = (name, fn) => tests.push({ name, fn });
+
+// ─── orderSize ────────────────────────────────────────────────────────────────
+test('float noise is floored to the step and sent as a plain decimal', () => {
+  assert.deepStrictEqual(binance.orderSize(FILTERS, { quantity: 0.1 + 0.2 }, 100), { quantity: '0.30000' });
+  assert.deepStrictEqual(binance.orderSize(FILTERS, { quantity: 0.123456789 }, 100), { quantity: '0.12345' });
+});
+
+test('a step-exact quantity is not floored a step short', () => {
+  assert.deepStrictEqual(binance.orderSize(FILTERS, { quantity: 0.3 }, 100), { quantity: '0.30000' });
+});
+
+test('quote amounts keep the quote precision, never exponent form', () => {
+  assert.deepStrictEqual(binance.orderSize(FILTERS, { quoteQty: 1000 / 3 }), { quoteOrderQty: '333.33333333' });
+});
+
+test('remainders under minQty or minNotional are not sent', () => {
+  assert.strictEqual(binance.orderSize(FILTERS, { quantity: 1e-7 }, 100), null);
+  assert.strictEqual(binance.orderSize(FILTERS, { quantity: 0.04 }, 100), null);   // $4 < $5
+  assert.strictEqual(binance.orderSize(FILTERS, { quoteQty: 4.99 }), null);
+});
+
+// ─── Orders and legs against the mock exchange ────────────────────────────────
+async function withExchange(fillRatios, fn, { dropResponses = 0 } = {}) {
+  const server = mock.createServer({ prices: { BTC: 100, ETH: 50 }, fillRatios, dropResponses });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const executor = binance.createBinanceExecutor({
+      baseUrl: `http://127.0.0.1:${server.address().port}`, apiKey: 'mock-key', secret: 'mock-secret',
+    });
+    await fn(executor);
+  } finally {
+    server.close();
+  }
+}
+
+test('a float-noise quantity is accepted, not refused on LOT_SIZE', () => withExchange([], async (executor) => {
+  const order = await executor.placeOrder({ coin: 'BTC', side: 'BUY', quantity: 0.1 + 0.2 });
+  assert.ok(order, 'order refused');
+  assert.strictEqual(order.status, 'FILLED');
+  assert.ok(Math.abs(order.executedQty - 0.3) < 1e-9, `filled ${order.executedQty}`);
+}));
+
+test('an order under the exchange minimum is not sent', () => withExchange([], async (executor) => {
+  assert.strictEqual(await executor.placeOrder({ coin: 'BTC', side: 'BUY', quantity: 0.04 }), null);
+  assert.strictEqual(await executor.placeOrder({ coin: 'BTC', side: 'BUY', quoteQty: 4.99 }), null);
+}));
+
+test('a partial fill leaves a fractional remainder that is retried and fills', () => withExchange([0.37], async (executor) => {
+  const leg = await coordinator.fillLeg(executor, { coin: 'BTC', side: 'SELL', quantity: 0.1 + 0.2, sideEffect: 'MARGIN_BUY' }, Date.now() + 5000, OPTIONS);
+  assert.strictEqual(leg.complete, true);
+  assert.strictEqual(leg.orderIds.length, 2);
+  assert.ok(Math.abs(leg.executedQty - 0.3) < 1e-9, `filled ${leg.executedQty}`);
+}));
+
+test('a remainder under the exchange minimum counts as filled instead of being retried', () => withExchange([], async (executor) => {
+  const leg = await coordinator.fillLeg(executor, { coin: 'BTC', side: 'SELL', quantity: 0.300004, sideEffect: 'MARGIN_BUY' }, Date.now() + 5000, OPTIONS);
+  assert.strictEqual(leg.complete, true);
+  assert.strictEqual(leg.orderIds.length, 1);
+  assert.ok(leg.dust > 0 && leg.dust < 0.00001, `dust ${leg.dust}`);
+}));
+
+test('a quote-sized leg ends complete once what is left is under minNotional', () => withExchange([0.5], async (executor) => {
+  const leg = await coordinator.fillLeg(executor, { coin: 'BTC', side: 'BUY', quoteQty: 250 }, Date.now() + 5000, OPTIONS);
+  assert.strictEqual(leg.complete, true);
+  assert.ok(leg.quoteQty > 249.99, `spent ${leg.quoteQty}`);
+}));
+
+test('an order whose reply is lost after it filled is looked up, not sent again', () => withExchange([], async (executor) => {
+  const leg = await coordinator.fillLeg(executor, { coin: 'BTC', side: 'BUY', quoteQty: 250, clientOrderId: 'drop-ol' }, Date.now() + 5000, OPTIONS);
+  assert.strictEqual(leg.complete, true);
+  assert.strictEqual(leg.orderIds.length, 1);
+  assert.ok(Math.abs(leg.quoteQty - 250) < 1e-6, `spent ${leg.quoteQty}`);
+
+  const { BTC } = await executor.getBalances();
+  assert.ok(Math.abs(BTC.free - 2.5 * 0.999) < 1e-9, `BTC held ${BTC.free}`);
+}, { dropResponses: 1 }));
+
+// A BUY's commission comes out of the coin bought: the position holds less than was
+// executed, the close sells only that, and the buy-back keeps buying until the borrow is repaid
+test('a position opened and closed with commission in the coin bought leaves nothing held or owed', () => withExchange([], async (executor) => {
+  const position = { key: 'ETH-BTC', openedAt: Date.now(), shortCoin: 'ETH', longCoin: 'BTC', shortAmount: 10000, longAmount: 10000 };
+  const before   = await executor.getBalances();
+
+  const open = await coordinator.openPair(executor, position, OPTIONS);
+  assert.strictEqual(open.status, 'FILLED');
+  tracker.recordEntryFills(position, open);
+  assert.ok(Math.abs(position.longQty - 99.9) < 1e-9, `long held ${position.longQty}`);
+
+  const close = await coordinator.closePair(executor, position, tracker.openQty(position), OPTIONS);
+  assert.strictEqual(close.status, 'FILLED');
+  tracker.recordExitFills(position, close);
+
+  const after = await executor.getBalances();
+  assert.ok(!after.BTC || after.BTC.free < 1e-9, `BTC left ${after.BTC && after.BTC.free}`);
+  assert.ok(after.ETH.borrowed * 50 < 5, `ETH still borrowed ${after.ETH.borrowed}`);
+
+  // Flat prices: the trade's net is what the fees cost the account, counted once
+  const { netPnl } = tracker.closeOut(position);
+  const spent      = before.USDT.free - after.USDT.free - (after.ETH.free - after.ETH.borrowed) * 50;
+  assert.ok(Math.abs(tracker.tradeNet({ ...position, netPnl }) + spent) < 0.01, `net ${tracker.tradeNet({ ...position, netPnl })} vs spent ${spent}`);
+}));
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+(async () => {
+  pairs.latestPrice.BTC = 100;
+  pairs.latestPrice.ETH = 50;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (err) {
+      console.log(`  ✗ ${name}\n    ${err.message}`);
+      process.exit(1);
+    }
+  }
+  console.log(`✅ ${tests.length} passed`);
+  process.exit(0);
+})();
@@ -11,11 +11,12 @@ function roundTripFee(amount, takerFee) {
   return amount * 2 * takerFee * 2;
 }
 
-// Expected net PnL given price convergence back to mean
-// divergence = (currentRatio - mean) / mean  (decimal)
-// amount     = total capital (split equally across legs)
-function expectedPnl(divergence, amount, takerFee) {
-  const grossProfit = divergence * (amount / 2);
+// Expected net PnL given spread convergence back to mean
+// divergence = |spread - mean|  (log units ≈ decimal)
+// amount     = total capital, split so leg B = hedgeRatio × leg A
+// A full reversion moves the spread by `divergence`, earned on leg A's notional
+function expectedPnl(divergence, amount, takerFee, hedgeRatio = 1) {
+  const grossProfit = divergence * (amount / (1 + hedgeRatio));
   return grossProfit - roundTripFee(amount, takerFee);
 }
 
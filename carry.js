@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * carry.js
+ * Cost of holding the short leg
+ *
+ * Spot can't be shorted outright — the short is either borrowed on cross margin
+ * or held as a USDT-M perpetual (CARRY.VENUE):
+ *   'margin' — interest on the borrowed coin, charged every hour from the hour the
+ *              borrow starts: qty × price × daily rate / 24. Daily rates come from
+ *              CARRY.BORROW_DAILY_RATES, refreshed from Binance when API keys are set.
+ *   'perp'   — funding at 00:00 / 08:00 / 16:00 UTC: notional × funding rate, paid
+ *              by the short when the rate is negative and received when positive.
+ *
+ * position.carry = { venue, accrued, periods } — accrued is USD, a cost when positive.
+ */
+
+const config  = require('./config');
+const logger  = require('./logger');
+const pairs   = require('./pairs');
+const sourcer = require('./sourcer');
+const tracker = require('./tracker');
+
+const HOUR_MS       = 3600000;
+const FUNDING_MS    = 8 * HOUR_MS;
+const RATES_MAX_AGE = 24 * HOUR_MS;
+
+// Daily borrow rates by coin, config table overlaid with fetched values
+let borrowRates    = { ...config.CARRY.BORROW_DAILY_RATES };
+let ratesFetchedAt = 0;
+
+function dailyBorrowRate(coin) {
+  return borrowRates[coin] !== undefined ? borrowRates[coin] : borrowRates.default;
+}
+
+// ─── Rate table refresh ───────────────────────────────────────────────────────
+// Cross-margin rates need a signed request, so only with API keys set
+async function refreshBorrowRates() {
+  if (!config.CARRY.FETCH_BORROW_RATES || !process.env.BINANCE_API_KEY || !process.env.BINANCE_SECRET) return;
+  if (Date.now() - ratesFetchedAt < RATES_MAX_AGE) return;
+
+  const fetched = await require('./binance').fetchBorrowRates({
+    baseUrl: config.EXECUTION.BASE_URL,
+    apiKey:  process.env.BINANCE_API_KEY,
+    secret:  process.env.BINANCE_SECRET,
+  });
+  if (!fetched) return;
+
+  borrowRates    = { ...config.CARRY.BORROW_DAILY_RATES, ...fetched };
+  ratesFetchedAt = Date.now();
+  logger.info('CARRY', `Borrow rates refreshed for ${Object.keys(fetched).length} coins`);
+}
+
+// ─── Periods due ──────────────────────────────────────────────────────────────
+// Margin: every hour started since the borrow (the opening hour included).
+// Perp: every funding time passed since the open. Both are epoch-aligned (UTC).
+function periodsElapsed(venue, openedAt, now) {
+  return venue === 'perp'
+    ? Math.floor(now / FUNDING_MS) - Math.floor(openedAt / FUNDING_MS)
+    : Math.floor(now / HOUR_MS) - Math.floor(openedAt / HOUR_MS) + 1;
+}
+
+function newCarry() {
+  return { venue: config.CARRY.VENUE, accrued: 0, periods: 0 };
+}
+
+// ─── Accrue ───────────────────────────────────────────────────────────────────
+// Charges every period that has come due since the last call, on the short
+// quantity still held. Returns the USD added across all positions.
+// { live: false } (a replay) stays off the network: margin borrows are charged
+// from the config rate table, and perp funding — today's rate says nothing
+// about a recorded day — isn't charged at all.
+async function accrue(positions, now = Date.now(), { live = true } = {}) {
+  const fundingRates = {}; // one fetch per coin per run
+  let added = 0;
+
+  if (live) await refreshBorrowRates();
+
+  for (const position of positions) {
+    if (!position.carry) position.carry = newCarry();
+    const c    = position.carry;
+    const coin = position.shortCoin;
+    if (periodsElapsed(c.venue, position.openedAt, now) <= c.periods) continue;
+
+    if (c.venue === 'perp' && fundingRates[coin] === undefined) {
+      fundingRates[coin] = live ? await sourcer.getCurrentFundingRate(coin) : null;
+    }
+
+    // Counted after any await, so an overlapping run can't charge the same periods twice
+    const due   = periodsElapsed(c.venue, position.openedAt, now) - c.periods;
+    const price = pairs.latestPrice[coin];
+    if (due <= 0 || !price) continue; // no price yet — still due next run
+    if (c.venue === 'perp' && fundingRates[coin] === null) continue;
+
+    const notional = tracker.openQty(position).short * price;
+    const cost     = c.venue === 'perp'
+      ? -notional * fundingRates[coin] * due
+      : notional * dailyBorrowRate(coin) / 24 * due;
+
+    c.accrued += cost;
+    c.periods += due;
+    added     += cost;
+    logger.debug('CARRY', `${position.key} ${c.venue} ${due} period(s): $${cost.toFixed(4)} (total $${c.accrued.toFixed(4)})`);
+  }
+
+  return added;
+}
+
+// "margin borrow, 5h" / "perp funding, 2 payments"
+function describe(c) {
+  if (!c) return 'none';
+  return c.venue === 'perp' ? `perp funding, ${c.periods} payment${c.periods === 1 ? '' : 's'}` : `margin borrow, ${c.periods}h`;
+}
+
+module.exports = { accrue, newCarry, describe, dailyBorrowRate, refreshBorrowRates };
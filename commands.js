@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * commands.js
+ * Single-writer command queue — commands run one at a time, in the order submitted
+ *
+ *   const queue  = commands.create('engine');
+ *   const result = await queue.submit('close', () => closeById(id));
+ *   queue.submit('tick', () => evaluate(coin), { coalesce: `tick:${coin}` });
+ *
+ * Everything that changes positions, the ledger or control state goes through one
+ * queue (engine.js), so no two changes ever interleave across an await.
+ *
+ * A command submitted with a coalesce key that matches one still waiting isn't
+ * queued again; the caller gets the waiting one's result. A command that throws
+ * is logged and resolves to null — the queue carries on with the next.
+ *
+ * A command must not await another submit() to its own queue: that one would be
+ * waiting behind it forever. Call the function directly instead.
+ */
+
+const logger  = require('./logger');
+const metrics = require('./metrics');
+
+const queues = new Map(); // name → depth()
+
+const commandFailures = metrics.counter('pairsbot_command_failures_total', 'Commands that threw, by type', ['type']);
+const commandDuration = metrics.histogram('pairsbot_command_duration_seconds', 'Time a command held the queue',
+  [0.001, 0.005, 0.025, 0.1, 0.5, 1, 2.5, 5, 15, 60]);
+metrics.gauge('pairsbot_command_queue_depth', 'Commands waiting or running, per queue', () =>
+  [...queues].map(([queue, depth]) => ({ labels: { queue }, value: depth() })));
+
+function create(name) {
+  const waiting = [];        // [{ type, fn, coalesce, promise, resolve }]
+  const keyed   = new Map(); // coalesce key → its waiting command
+  const idlers  = [];
+  let running   = null;      // type of the command holding the queue
+
+  queues.set(name, () => waiting.length + (running ? 1 : 0));
+
+  function submit(type, fn, { coalesce = null } = {}) {
+    if (coalesce && keyed.has(coalesce)) return keyed.get(coalesce).promise;
+
+    const command   = { type, fn, coalesce };
+    command.promise = new Promise((resolve) => { command.resolve = resolve; });
+    waiting.push(command);
+    if (coalesce) keyed.set(coalesce, command);
+
+    if (!running) drain();
+    return command.promise;
+  }
+
+  async function drain() {
+    while (waiting.length) {
+      const command = waiting.shift();
+      if (command.coalesce) keyed.delete(command.coalesce); // later ones wait for fresh data
+      running = command.type;
+
+      const started = process.hrtime.bigint();
+      let result    = null;
+      try {
+        result = await command.fn();
+      } catch (err) {
+        commandFailures.inc({ type: command.type });
+        logger.error('QUEUE', `${name} ${command.type} failed: ${err.message}\n${err.stack}`);
+      }
+      commandDuration.observe(Number(process.hrtime.bigint() - started) / 1e9);
+      command.resolve(result === undefined ? null : result);
+    }
+    running = null;
+    idlers.splice(0).forEach(resolve => resolve());
+  }
+
+  // Resolves once nothing is waiting or running
+  function idle() {
+    if (!running && !waiting.length) return Promise.resolve();
+    return new Promise(resolve => idlers.push(resolve));
+  }
+
+  return { submit, idle, depth: () => waiting.length + (running ? 1 : 0), running: () => running };
+}
+
+module.exports = { create };
@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * commands.test.js
+ * The single-writer command queue — run with `npm test`
+ *
+ * Commands are plain async functions that record when they start and finish, so
+ * ordering, coalescing, failures and idle() are checked without the engine.
+ * Exits 1 on the first failure.
+ */
+
+const assert = require('assert');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const commands = require('./commands');
+const logger   = require('./logger');
+const metrics  = require('./metrics');
+
+const tests = [];
+const test  = (name, fn) => tests.push({ name, fn });
+
+const tick = (ms = 1) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ─── Ordering ─────────────────────────────────────────────────────────────────
+test('commands run one at a time, in the order submitted', async () => {
+  const queue = commands.create('order');
+  const log   = [];
+  const step  = (name, ms) => async () => {
+    log.push(`${name}+`);
+    await tick(ms);
+    log.push(`${name}-`);
+    return name;
+  };
+
+  const results = await Promise.all([queue.submit('a', step('a', 15)), queue.submit('b', step('b', 1)), queue.submit('c', step('c', 5))]);
+  assert.deepStrictEqual(results, ['a', 'b', 'c']);
+  assert.deepStrictEqual(log, ['a+', 'a-', 'b+', 'b-', 'c+', 'c-']);
+  assert.strictEqual(queue.depth(), 0);
+});
+
+// ─── Coalescing ───────────────────────────────────────────────────────────────
+test('a command with the key of one still waiting shares its result instead of queueing', async () => {
+  const queue = commands.create('coalesce');
+  let runs    = 0;
+  const block = queue.submit('hold', () => tick(10));
+  const first = queue.submit('tick', async () => ++runs, { coalesce: 'tick:AAA' });
+  const again = queue.submit('tick', async () => ++runs, { coalesce: 'tick:AAA' });
+  const other = queue.submit('tick', async () => ++runs * 100, { coalesce: 'tick:BBB' });
+
+  assert.strictEqual(again, first);
+  assert.strictEqual(queue.depth(), 3); // hold running, AAA and BBB waiting
+  await block;
+  assert.deepStrictEqual([await first, await again, await other], [1, 1, 200]);
+  assert.strictEqual(runs, 2);
+});
+
+test('once a coalesced command has started, the same key queues a fresh one', async () => {
+  const queue = commands.create('fresh');
+  const seen  = [];
+  let   later = null;
+
+  const first = queue.submit('tick', async () => {
+    later = queue.submit('tick', async () => { seen.push('second'); return 2; }, { coalesce: 'k' });
+    seen.push('first');
+    return 1;
+  }, { coalesce: 'k' });
+
+  assert.strictEqual(await first, 1);
+  assert.notStrictEqual(later, first);
+  assert.strictEqual(await later, 2);
+  assert.deepStrictEqual(seen, ['first', 'second']);
+});
+
+// ─── Failures ─────────────────────────────────────────────────────────────────
+test('a command that throws resolves to null, is counted, and the queue carries on', async () => {
+  const queue  = commands.create('failing');
+  const logged = [];
+  const error  = logger.error;
+  logger.error = (tag, message) => logged.push(message);
+  try {
+    const failed = queue.submit('boom', async () => { throw new Error('kaput'); });
+    const after  = queue.submit('after', async () => 'ran');
+    const empty  = queue.submit('empty', async () => {});
+
+    assert.strictEqual(await failed, null);
+    assert.strictEqual(await after, 'ran');
+    assert.strictEqual(await empty, null); // undefined comes back as null too
+  } finally {
+    logger.error = error;
+  }
+
+  assert.strictEqual(logged.length, 1);
+  assert.match(logged[0], /^failing boom failed: kaput/);
+  assert.match(metrics.render(), /pairsbot_command_failures_total\{type="boom"\} 1/);
+});
+
+// ─── idle() ───────────────────────────────────────────────────────────────────
+test('idle() resolves at once on an empty queue and otherwise when the last command is done', async () => {
+  const queue = commands.create('idle');
+  await queue.idle();
+
+  const done = [];
+  queue.submit('a', async () => { await tick(5); done.push('a'); });
+  queue.submit('b', async () => { await tick(5); done.push('b'); });
+  assert.strictEqual(queue.running(), 'a');
+
+  await queue.idle();
+  assert.deepStrictEqual(done, ['a', 'b']);
+  assert.strictEqual(queue.running(), null);
+  assert.strictEqual(queue.depth(), 0);
+});
+
+test('a command submitted while draining is waited for too', async () => {
+  const queue = commands.create('chained');
+  const done  = [];
+  queue.submit('a', async () => {
+    await tick(2);
+    queue.submit('b', async () => { await tick(2); done.push('b'); });
+    done.push('a');
+  });
+
+  await queue.idle();
+  assert.deepStrictEqual(done, ['a', 'b']);
+});
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+(async () => {
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (err) {
+      console.log(`  ✗ ${name}\n    ${err.message}`);
+      process.exit(1);
+    }
+  }
+  console.log(`✅ ${tests.length} passed`);
+  process.exit(0);
+})();
@@ -1,5 +1,11 @@
 'use strict';
 
+/**
+ * config.js
+ * Defaults — a config file and BOT_* environment variables are layered on top,
+ * and the result validated, by settings.js. Secrets never live here.
+ */
+
 // ── All coins involved in pairs relationships ──────────────────────────────
 // Single source of truth — monitor, main, and pairs all derive from this
 const RELATIONSHIPS = [
@@ -15,12 +21,12 @@ const RELATIONSHIPS = [
 
 const ALL_PAIRS_COINS = [...new Set(RELATIONSHIPS.flatMap(r => r))];
 
-module.exports = {
+const DEFAULTS = {
   // ── Coins to stream — derived from relationships, never out of sync ───────
   PAIRS: ALL_PAIRS_COINS,
 
   // ── Trade settings ────────────────────────────────────────────────────────
-  TRADE_AMOUNT:    2000,   // USD per position (split $1000 each leg)
+  TRADE_AMOUNT:    2000,   // USD per position (split across legs by hedge ratio β) — SIZING 'fixed'
   INITIAL_BALANCE: 10000,  // Starting paper balance
   MAX_POSITIONS:   5,      // Max concurrent open pairs positions
 
@@ -28,6 +34,8 @@ module.exports = {
   MAKER_FEE: 0.0002,
   TAKER_FEE: 0.0004,
 
+  MIN_FUNDING_RATE_PCT: 10,  // getAllFundingRates() floor, annualised %
+
   // ── Pairs trading ─────────────────────────────────────────────────────────
   PAIRS_CONFIG: {
     relationships: RELATIONSHIPS,
@@ -37,8 +45,19 @@ module.exports = {
     STOP_ZSCORE:        3.5,     // stop loss — divergence keeps widening
     MAX_HOLD_HOURS:     72,      // force exit after 3 days
     MIN_DIVERGENCE:     0.008,   // 0.8% min divergence to cover fees
-    LOOKBACK_TICKS:     2880,    // 24h of ratio history at ~30s intervals
-    MIN_HISTORY_TICKS:  120,     // need ~1h before trading
+    MODEL:              'zscore', // signal model: 'zscore' rolling window | 'kalman' filter
+    MODELS:             {},       // per-relationship override, e.g. { 'DOGE-SHIB': 'kalman' }
+    KALMAN: {
+      DELTA:   0.0001,            // state drift — higher adapts β faster, noisier
+      OBS_VAR: 0.001,             // observation noise variance of log A
+    },
+    HEDGE_MODE:         'ols',   // 'ols' rolling hedge ratio β | 'fixed' 1:1 legs
+    MIN_HEDGE_RATIO:    0.2,     // clamp β so one leg never dwarfs the other
+    MAX_HEDGE_RATIO:    5,
+    BAR_INTERVAL:       '1m',    // ticks are bucketed into bars; signals move on bar close
+    LOOKBACK:           '24h',   // rolling window for mean / std / hedge ratio
+    MIN_HISTORY:        '1h',    // need this much bar history before trading
+    WARMUP_FROM_KLINES: true,    // backfill LOOKBACK from Binance klines at boot
     STATUS_INTERVAL_MS: 1800000, // Discord status every 30 min
   },
 
@@ -46,14 +65,149 @@ module.exports = {
   WS_RECONNECT_MS:      5000,
   REST_POLL_INTERVAL_MS: 30000,  // fallback REST poll for spot prices
 
+  // ── Pair discovery (Engle-Granger cointegration) ─────────────────────────
+  DISCOVERY: {
+    ENABLED:           false,
+    MODE:              'augment',  // 'augment' the static list or 'replace' it
+    UNIVERSE: [
+      ...ALL_PAIRS_COINS,
+      'ADA', 'XRP', 'LTC', 'BCH', 'ATOM', 'NEAR', 'APT', 'OP', 'FIL', 'ETC',
+    ],
+    INTERVAL:          '1h',       // kline interval used for the test
+    BARS:              720,        // 30 days of hourly closes
+    MIN_CORRELATION:   0.8,        // log-price correlation screen before testing
+    MAX_PVALUE:        0.05,       // Engle-Granger significance cut-off
+    MAX_RELATIONSHIPS: 12,         // keep the best N by p-value
+    ADF_LAGS:          1,
+    REFRESH_MS:        86400000,   // re-run daily; saved results reused at boot until then
+  },
+
+  // ── Tick recorder (or set RECORD_TICKS=1) ─────────────────────────────────
+  RECORDER: {
+    ENABLED: false,
+    DIR:     './data/ticks',   // ticks_YYYY-MM-DD.ndjson.gz, one file per UTC day
+  },
+
+  // ── Order execution ───────────────────────────────────────────────────────
+  // 'binance' reads BINANCE_API_KEY / BINANCE_SECRET from the environment
+  EXECUTION: {
+    MODE:            'paper',                   // 'paper' simulated fills | 'binance' live cross-margin orders
+    BASE_URL:        'https://api.binance.com', // point at a local mock (node mockbinance.js) to test
+    RECV_WINDOW:     5000,                      // ms a signed request stays valid
+    PAPER_FILLS:     'book',                    // paper fills: 'book' walk the spot order book | 'last' last price
+    BOOK_DEPTH:      100,                       // order book levels fetched per paper fill
+    LEG_TIMEOUT_MS:  10000,                     // both legs must fill within this, else unwind
+    LEG_RETRIES:     2,                         // re-submits of a leg's unfilled remainder
+    POLL_MS:         500,                       // order status poll / retry spacing
+    LEGGED_RETRY_MS: 30000,                     // retry flattening a legged position this often
+    PAPER_FAULTS:    [],                        // injected paper failures — see execution.js
+  },
+
+  // ── Position sizing (sizing.js) ────────────────────────────────────────────
+  SIZING: {
+    POLICY:             'fixed', // 'fixed' TRADE_AMOUNT | 'equity' | 'volatility' | 'kelly'
+    EQUITY_FRACTION:    0.2,     // equity: this share of equity (cash + reserved + unrealized PnL)
+    RISK_PER_SIGMA_USD: 25,      // volatility: USD a 1σ move of the spread should be worth
+    KELLY_FRACTION:     0.25,    // kelly: a quarter of full Kelly
+    KELLY_MIN_TRADES:   10,      // kelly: closed trades a relationship needs, else TRADE_AMOUNT
+    MIN_AMOUNT:         250,     // every policy is clamped to MIN_AMOUNT … MAX_AMOUNT
+    MAX_AMOUNT:         3000,    // at β = 5 one leg is 2500 — within RISK.MAX_COIN_NET_USD
+  },
+
+  // ── Portfolio risk (risk.js) — checked before every entry; 0 turns a limit off ──
+  RISK: {
+    ENABLED:            true,
+    MAX_COIN_NET_USD:   2500,   // |long − short| notional in any one coin across positions
+    MAX_COIN_GROSS_USD: 4000,   // long + short notional in any one coin
+    MAX_PER_GROUP:      2,      // open positions with a leg in any one group below
+    GROUPS: {                   // sectors; a coin may sit in several
+      l1:       ['BTC', 'ETH', 'SOL', 'AVAX'],
+      exchange: ['BNB', 'OKB'],
+      l2:       ['MATIC', 'ARB'],
+      oracle:   ['LINK', 'BAND'],
+      meme:     ['DOGE', 'SHIB'],
+      polkadot: ['DOT', 'KSM'],
+      dex:      ['UNI', 'SUSHI'],
+    },
+    DAILY_LOSS_LIMIT:   500,    // USD lost since 00:00 UTC (realized + unrealized moves today) halts entries
+    ROLLING_LOSS_LIMIT: 1000,   // USD lost over ROLLING_WINDOW halts entries
+    ROLLING_WINDOW:     '7d',
+    FLATTEN_ON_HALT:    false,  // also close every open position when a halt starts
+  },
+
+  // ── Performance analytics (analytics.js) ─────────────────────────────────
+  ANALYTICS: {
+    SAMPLE_INTERVAL_MS: 300000,           // equity curve point every 5 min, saved with state
+    CURVE_RETENTION:    '180d',           // older points are dropped
+    RETURN_PERIOD:      '1d',             // Sharpe / Sortino from returns over this period
+    Z_BUCKETS:          [2, 2.5, 3, 3.5], // entry |z| bucket edges for the breakdown
+    DAILY_SUMMARY:      true,             // send a `summary` notification once a day
+    DAILY_SUMMARY_HOUR: 0,                // at this hour, UTC
+  },
+
+  // ── Short-leg carry ───────────────────────────────────────────────────────
+  CARRY: {
+    VENUE:              'margin',  // short held as 'margin' cross-margin borrow | 'perp' USDT-M perpetual
+    BORROW_DAILY_RATES: {          // daily interest on the borrowed coin; charged hourly (rate / 24)
+      default: 0.0003,
+      BTC:     0.00005,
+      ETH:     0.00006,
+      BNB:     0.0001,
+      SOL:     0.0002,
+    },
+    FETCH_BORROW_RATES: true,      // refresh the table from Binance daily when API keys are set
+    ACCRUE_INTERVAL_MS: 60000,     // how often due interest / funding is booked
+  },
+
+  // ── HTTP control API (api.js) ─────────────────────────────────────────────
+  // Token is a secret — API_TOKEN in the environment; required when enabled
+  API: {
+    ENABLED:            false,
+    HOST:               '127.0.0.1',  // loopback only — put a proxy in front for remote access
+    PORT:               8787,
+    TOKEN:              null,
+    STREAM_INTERVAL_MS: 2000,         // live dashboard push interval (/events)
+  },
+
+  // ── Prometheus metrics (metrics.js) ───────────────────────────────────────
+  METRICS: {
+    ENABLED: false,
+    HOST:    '127.0.0.1',  // scrape target; no auth — don't expose beyond a trusted network
+    PORT:    9464,
+  },
+
   // ── Binance endpoints ─────────────────────────────────────────────────────
-  BINANCE_REST_SPOT:  'api.binance.com',
-  BINANCE_WS_SPOT:    'stream.binance.com',  // spot WS — no funding noise
+  BINANCE_REST_SPOT:    'api.binance.com',
+  BINANCE_REST_FUTURES: 'fapi.binance.com',   // perp funding rates
+  BINANCE_WS_SPOT:      'stream.binance.com', // spot WS — no funding noise
 
-  // ── Discord ───────────────────────────────────────────────────────────────
-  DISCORD_WEBHOOK: 'https://discordapp.com/api/webhooks/1503490609728589825/m0eKSz4QsEGQaxIDEe1zgX-hO6e5OKUqEkb_cjzzENpnNyNTpNozjBX-DQOSrp-2hZKd',
+  // ── Notifications (notifier.js) ───────────────────────────────────────────
+  // Sinks name the environment variables holding their secrets (webhook URLs,
+  // bot tokens, SMTP passwords); a sink whose variable is unset is skipped.
+  // Every route whose filters match an event delivers it to the route's sinks:
+  //   events: ['close', …] or '*'   except: [...]   minSeverity: info|warn|error|critical
+  //   reasons: ['STOP_LOSS', 'DAILY_LOSS', …]   (close and risk events only)
+  // e.g. a pager:
+  //   SINKS:  { pager: { type: 'telegram', tokenEnv: 'TELEGRAM_BOT_TOKEN', chatId: '-100123' } }
+  //   ROUTES: [{ sinks: ['pager'], minSeverity: 'error' },
+  //            { sinks: ['pager'], events: ['close'], reasons: ['STOP_LOSS'] }]
+  NOTIFY: {
+    SINKS: {
+      discord: { type: 'discord', urlEnv: 'DISCORD_WEBHOOK_URL' },
+      // slack:   { type: 'slack', urlEnv: 'SLACK_WEBHOOK_URL' },
+      // hook:    { type: 'webhook', urlEnv: 'NOTIFY_WEBHOOK_URL', tokenEnv: 'NOTIFY_WEBHOOK_TOKEN' },
+      // email:   { type: 'email', host: 'smtp.example.com', port: 587, from: 'bot@example.com',
+      //            to: ['me@example.com'], userEnv: 'SMTP_USER', passEnv: 'SMTP_PASS' },
+    },
+    ROUTES: [
+      { sinks: ['discord'] },  // everything
+    ],
+  },
 
   // ── Logging ───────────────────────────────────────────────────────────────
   LOG_DIR:   './logs',
   STATE_DIR: './state',
-};
\ No newline at end of file
+  REPLAY_STATE_DIR: './state/replay',  // a REPLAY_FILE run keeps its state here, never in STATE_DIR
+};
+
+module.exports = require('./settings').load(DEFAULTS);
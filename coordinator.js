@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * coordinator.js
+ * Two-leg execution — a pairs trade is only market-neutral if both legs fill
+ *
+ * openPair()  submits both legs together. Each leg is retried for its unfilled
+ *             remainder (rejects, partial fills) until the leg timeout; orders still
+ *             resting at the deadline are cancelled. If either leg ends short of its
+ *             size, whatever filled is unwound again:
+ *               FILLED — both legs complete
+ *               FAILED — not opened, nothing left exposed
+ *               LEGGED — the unwind didn't complete either; residual exposure remains
+ * closePair() does the same for the quantities still held, with no unwind (a leg
+ *             that did close stays closed): FILLED, or LEGGED with the remainder open.
+ *
+ * Leg results look like executor orders (executedQty, quoteQty, avgPrice, fee,
+ * baseFee, slippage, slippageUsd) aggregated over every attempt, plus `complete` and
+ * `netQty` — executedQty less baseFee, what the account actually received or gave up.
+ * Quantity-sized legs count netQty towards their size, so a buy-back whose commission
+ * came out of the coin keeps buying until the borrow is covered.
+ *
+ * An order whose outcome the executor couldn't establish (status UNKNOWN — sent, but
+ * neither confirmed nor refused) ends its leg: resending could fill it twice. Its
+ * client id is kept in the leg's `unknown`, and an open with one is LEGGED, never FAILED.
+ *
+ * An executor with tradable(coin, { quantity | quoteQty }) gets asked before each
+ * attempt; a remainder it can't trade (under the exchange's minimum order) ends the
+ * leg as complete, with the untraded amount as `dust`.
+ */
+
+const config = require('./config');
+const logger = require('./logger');
+
+// Statuses after which an order will never fill any further
+const TERMINAL = new Set(['FILLED', 'CANCELED', 'REJECTED', 'EXPIRED']);
+
+// Remainders below this fraction of the leg size count as filled (float dust)
+const DUST = 1e-9;
+
+// Binance client order ids: ≤ 36 chars of [A-Za-z0-9._:/-]
+function clientId(position, suffix) {
+  return `${position.openedAt.toString(36)}-${position.key}-${suffix}`.slice(0, 36);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ─── Aggregated leg result ────────────────────────────────────────────────────
+function emptyLeg(coin, side) {
+  return {
+    coin, side, orderIds: [], executedQty: 0, netQty: 0, quoteQty: 0, avgPrice: 0,
+    fee: 0, baseFee: 0, slippage: 0, slippageUsd: 0, dust: 0, unknown: [], complete: false,
+  };
+}
+
+function addOrder(leg, order) {
+  leg.orderIds.push(order.orderId);
+  leg.executedQty += order.executedQty;
+  leg.quoteQty    += order.quoteQty;
+  leg.fee         += order.fee;
+  leg.baseFee     += order.baseFee || 0;
+  leg.netQty       = leg.executedQty - leg.baseFee;
+  leg.slippageUsd += order.slippageUsd || 0;
+  leg.avgPrice     = leg.executedQty > 0 ? leg.quoteQty / leg.executedQty : 0;
+  leg.slippage     = leg.quoteQty > 0 ? leg.slippageUsd / leg.quoteQty : 0;
+}
+
+// ─── Fill one leg ─────────────────────────────────────────────────────────────
+// spec: { coin, side, quoteQty | quantity, sideEffect, clientOrderId }
+async function fillLeg(executor, spec, deadline, options = config.EXECUTION) {
+  const leg    = emptyLeg(spec.coin, spec.side);
+  const target = spec.quantity || spec.quoteQty;
+  const filled = () => spec.quantity ? leg.netQty : leg.quoteQty;
+
+  for (let attempt = 0; attempt <= options.LEG_RETRIES; attempt++) {
+    if (Date.now() >= deadline) break;
+    if (attempt > 0) await sleep(options.POLL_MS);
+
+    const remaining = target - filled();
+    if (remaining <= target * DUST) break;
+
+    const size = spec.quantity ? { quantity: remaining } : { quoteQty: remaining };
+    if (executor.tradable && !(await executor.tradable(spec.coin, size))) {
+      logger.debug('COORD', `${spec.side} ${spec.coin} remainder ${remaining} is under the exchange minimum — counted as filled`);
+      leg.dust = remaining;
+      break;
+    }
+
+    let order = await executor.placeOrder({
+      ...spec,
+      quantity:      size.quantity,
+      quoteQty:      size.quoteQty,
+      clientOrderId: attempt && spec.clientOrderId ? `${spec.clientOrderId}-r${attempt}` : spec.clientOrderId,
+    });
+    if (!order) continue;
+    if (order.status === 'UNKNOWN') {
+      logger.error('COORD', `${spec.side} ${spec.coin} ${order.clientOrderId} may or may not have filled — leg stopped, not resent`);
+      leg.unknown.push(order.clientOrderId);
+      break;
+    }
+
+    // Wait out an order that's still working, then cancel whatever it hasn't filled
+    while (!TERMINAL.has(order.status) && Date.now() < deadline) {
+      await sleep(options.POLL_MS);
+      order = (await executor.getOrder(spec.coin, order.orderId)) || order;
+    }
+    if (!TERMINAL.has(order.status)) {
+      logger.warn('COORD', `${spec.side} ${spec.coin} #${order.orderId} still ${order.status} at the leg timeout — cancelling`);
+      order = (await executor.cancelOrder(spec.coin, order.orderId)) || order;
+    }
+
+    addOrder(leg, order);
+    if (order.status !== 'FILLED') {
+      logger.warn('COORD', `${spec.side} ${spec.coin} ${order.status} — ${(filled() / target * 100).toFixed(1)}% of the leg filled`);
+    }
+  }
+
+  leg.complete = leg.dust > 0 || target - filled() <= target * DUST;
+  return leg;
+}
+
+// ─── Open ─────────────────────────────────────────────────────────────────────
+// Sell the short coin on borrowed margin, buy the long coin
+async function openPair(executor, position, options = config.EXECUTION) {
+  const deadline = Date.now() + options.LEG_TIMEOUT_MS;
+
+  const [short, long] = await Promise.all([
+    fillLeg(executor, {
+      coin: position.shortCoin, side: 'SELL', quoteQty: position.shortAmount,
+      sideEffect: 'MARGIN_BUY', clientOrderId: clientId(position, 'os'),
+    }, deadline, options),
+    fillLeg(executor, {
+      coin: position.longCoin, side: 'BUY', quoteQty: position.longAmount,
+      clientOrderId: clientId(position, 'ol'),
+    }, deadline, options),
+  ]);
+
+  if (short.complete && long.complete) return { status: 'FILLED', short, long };
+
+  // One leg missed — take the other off again rather than hold it naked
+  logger.warn('COORD', `${position.key} open incomplete (short ${short.complete ? 'ok' : 'missed'}, long ${long.complete ? 'ok' : 'missed'}) — unwinding`);
+  const unwind = await closeQuantities(executor, position, { short: short.netQty, long: long.netQty }, 'u', options);
+
+  return {
+    status: unwind.status === 'FILLED' && !short.unknown.length && !long.unknown.length ? 'FAILED' : 'LEGGED',
+    short, long,
+    unwind: { short: unwind.short, long: unwind.long },
+  };
+}
+
+// ─── Close ────────────────────────────────────────────────────────────────────
+// quantities: { short, long } still held — buy back (and repay) the short, sell the long
+async function closePair(executor, position, quantities, options = config.EXECUTION) {
+  return closeQuantities(executor, position, quantities, 'c', options);
+}
+
+async function closeQuantities(executor, position, quantities, tag, options) {
+  const deadline = Date.now() + options.LEG_TIMEOUT_MS;
+  const attempt  = position.closeAttempts || 0; // counted by the caller before each close
+
+  const [short, long] = await Promise.all([
+    quantities.short > 0
+      ? fillLeg(executor, {
+        coin: position.shortCoin, side: 'BUY', quantity: quantities.short,
+        sideEffect: 'AUTO_REPAY', clientOrderId: clientId(position, `${tag}s${attempt}`),
+      }, deadline, options)
+      : { ...emptyLeg(position.shortCoin, 'BUY'), complete: true },
+    quantities.long > 0
+      ? fillLeg(executor, {
+        coin: position.longCoin, side: 'SELL', quantity: quantities.long,
+        clientOrderId: clientId(position, `${tag}l${attempt}`),
+      }, deadline, options)
+      : { ...emptyLeg(position.longCoin, 'SELL'), complete: true },
+  ]);
+
+  return { status: short.complete && long.complete ? 'FILLED' : 'LEGGED', short, long };
+}
+
+module.exports = { openPair, closePair, fillLeg };
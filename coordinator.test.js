@@ -0,0 +1,187 @@
+'use strict';
+
+/**
+ * coordinator.test.js
+ * Two-leg execution against a scripted executor — run with `npm test`
+ *
+ * Each test decides, order by order, whether the executor fills, part-fills,
+ * refuses, leaves resting or loses an order, then checks what coordinator.js
+ * sent and the leg results it reports. Exits 1 on the first failure.
+ */
+
+const assert = require('assert');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const coordinator = require('./coordinator');
+
+const OPTIONS = { LEG_RETRIES: 3, POLL_MS: 1, LEG_TIMEOUT_MS: 200 };
+const PRICE   = 100;
+
+const tests = [];
+const test  = (name, fn) => tests.push({ name, fn });
+
+// ─── Scripted executor ────────────────────────────────────────────────────────
+// script(spec, n) → 'fill' | 'reject' | 'rest' | 'unknown' | a fill ratio, where n
+// counts earlier orders for the same coin and side. Every order is kept in `sent`.
+function createExecutor(script) {
+  const sent   = [];
+  const orders = new Map();
+  let seq      = 0;
+
+  function order(spec, status, ratio) {
+    const qty = (spec.quantity || spec.quoteQty / PRICE) * ratio;
+    return {
+      orderId: ++seq, clientOrderId: spec.clientOrderId, coin: spec.coin, side: spec.side, status,
+      executedQty: qty, quoteQty: qty * PRICE, avgPrice: ratio ? PRICE : 0, fee: 0, baseFee: 0,
+    };
+  }
+
+  return {
+    sent,
+    cancels: [],
+    async placeOrder(spec) {
+      const n      = sent.filter(s => s.coin === spec.coin && s.side === spec.side).length;
+      const action = script(spec, n);
+      sent.push(spec);
+
+      if (action === 'reject')  return null;
+      if (action === 'unknown') return { status: 'UNKNOWN', orderId: null, clientOrderId: spec.clientOrderId, coin: spec.coin, side: spec.side };
+      const placed = action === 'rest' ? order(spec, 'NEW', 0)
+        : action === 'fill' ? order(spec, 'FILLED', 1)
+          : order(spec, 'EXPIRED', action);
+      orders.set(placed.orderId, placed);
+      return placed;
+    },
+    async getOrder(coin, orderId) {
+      return orders.get(orderId) || null;
+    },
+    async cancelOrder(coin, orderId) {
+      this.cancels.push(orderId);
+      return { ...orders.get(orderId), status: 'CANCELED' };
+    },
+  };
+}
+
+function position(extra = {}) {
+  return {
+    key: 'AAA-BBB', shortCoin: 'AAA', longCoin: 'BBB',
+    shortAmount: 1000, longAmount: 1000, openedAt: 1700000000000, ...extra,
+  };
+}
+
+const ids = (executor, coin, side) => executor.sent.filter(s => s.coin === coin && s.side === side).map(s => s.clientOrderId);
+
+// ─── Retries ──────────────────────────────────────────────────────────────────
+test('a refused order and a partial fill are retried for the remainder under numbered client ids', async () => {
+  const executor = createExecutor((spec, n) => {
+    if (spec.side === 'SELL') return n === 0 ? 'reject' : 'fill';
+    return n === 0 ? 0.4 : 'fill';
+  });
+  const result = await coordinator.openPair(executor, position(), OPTIONS);
+
+  assert.strictEqual(result.status, 'FILLED');
+  assert.deepStrictEqual(ids(executor, 'AAA', 'SELL'), ['loyw3v28-AAA-BBB-os', 'loyw3v28-AAA-BBB-os-r1']);
+  assert.deepStrictEqual(ids(executor, 'BBB', 'BUY'), ['loyw3v28-AAA-BBB-ol', 'loyw3v28-AAA-BBB-ol-r1']);
+  assert.strictEqual(executor.sent.find(s => s.side === 'SELL').sideEffect, 'MARGIN_BUY');
+
+  // The retry asks for what the partial fill left, and the leg adds both fills up
+  const [first, retry] = executor.sent.filter(s => s.side === 'BUY');
+  assert.strictEqual(first.quoteQty, 1000);
+  assert.ok(Math.abs(retry.quoteQty - 600) < 1e-9, `retry for ${retry.quoteQty}`);
+  assert.ok(Math.abs(result.long.quoteQty - 1000) < 1e-9);
+  assert.strictEqual(result.long.orderIds.length, 2);
+  assert.ok(result.short.complete && result.long.complete);
+});
+
+test('a leg refused on every attempt gives up after LEG_RETRIES', async () => {
+  const executor = createExecutor(() => 'reject');
+  const leg      = await coordinator.fillLeg(executor, { coin: 'AAA', side: 'BUY', quantity: 5, clientOrderId: 'x' }, Date.now() + 1000, OPTIONS);
+  assert.strictEqual(executor.sent.length, OPTIONS.LEG_RETRIES + 1);
+  assert.strictEqual(leg.complete, false);
+  assert.strictEqual(leg.executedQty, 0);
+});
+
+test('an order still resting at the leg timeout is cancelled, not left working', async () => {
+  const executor = createExecutor(() => 'rest');
+  const leg      = await coordinator.fillLeg(executor, { coin: 'AAA', side: 'BUY', quantity: 5, clientOrderId: 'x' }, Date.now() + 50, OPTIONS);
+  assert.strictEqual(executor.sent.length, 1);
+  assert.deepStrictEqual(executor.cancels, [1]);
+  assert.strictEqual(leg.complete, false);
+});
+
+// ─── Unwind ───────────────────────────────────────────────────────────────────
+test('when one leg never fills the other is unwound and the open FAILED', async () => {
+  const executor = createExecutor(spec => spec.coin === 'BBB' && spec.side === 'BUY' ? 'reject' : 'fill');
+  const result   = await coordinator.openPair(executor, position(), OPTIONS);
+
+  assert.strictEqual(result.status, 'FAILED');
+  assert.strictEqual(result.long.executedQty, 0);
+
+  // The short is bought back — the quantity sold, repaying the borrow — and nothing is sold on the long side
+  const [buyBack] = executor.sent.filter(s => s.coin === 'AAA' && s.side === 'BUY');
+  assert.strictEqual(buyBack.quantity, result.short.netQty);
+  assert.strictEqual(buyBack.sideEffect, 'AUTO_REPAY');
+  assert.strictEqual(buyBack.clientOrderId, 'loyw3v28-AAA-BBB-us0');
+  assert.strictEqual(ids(executor, 'BBB', 'SELL').length, 0);
+  assert.ok(result.unwind.short.complete);
+});
+
+test('an unwind that fails too leaves the position LEGGED with the residual reported', async () => {
+  const executor = createExecutor(spec => spec.side === 'BUY' ? 'reject' : 'fill');
+  const result   = await coordinator.openPair(executor, position(), OPTIONS);
+
+  assert.strictEqual(result.status, 'LEGGED');
+  assert.ok(Math.abs(result.short.netQty - 10) < 1e-9);
+  assert.strictEqual(result.unwind.short.complete, false);
+  assert.strictEqual(result.unwind.short.executedQty, 0);
+});
+
+test('a close that misses one leg is LEGGED with the other leg closed, and the next try numbers its ids', async () => {
+  const executor = createExecutor((spec, n) => spec.coin === 'BBB' && n < 4 ? 'reject' : 'fill');
+  const pos      = position({ closeAttempts: 1 });
+  const first    = await coordinator.closePair(executor, pos, { short: 10, long: 10 }, OPTIONS);
+
+  assert.strictEqual(first.status, 'LEGGED');
+  assert.ok(first.short.complete && !first.long.complete);
+
+  // Only the long is still held — the retry doesn't touch the closed short
+  pos.closeAttempts = 2;
+  const second = await coordinator.closePair(executor, pos, { short: 0, long: 10 }, OPTIONS);
+  assert.strictEqual(second.status, 'FILLED');
+  assert.deepStrictEqual(ids(executor, 'AAA', 'BUY'), ['loyw3v28-AAA-BBB-cs1']);
+  assert.deepStrictEqual(ids(executor, 'BBB', 'SELL'), [
+    'loyw3v28-AAA-BBB-cl1', 'loyw3v28-AAA-BBB-cl1-r1', 'loyw3v28-AAA-BBB-cl1-r2', 'loyw3v28-AAA-BBB-cl1-r3',
+    'loyw3v28-AAA-BBB-cl2',
+  ]);
+});
+
+// ─── Unknown outcomes ─────────────────────────────────────────────────────────
+test('an order with an unknown outcome is never resent and the open is LEGGED, not FAILED', async () => {
+  const executor = createExecutor(spec => spec.coin === 'AAA' && spec.side === 'SELL' ? 'unknown' : 'fill');
+  const result   = await coordinator.openPair(executor, position(), OPTIONS);
+
+  assert.strictEqual(ids(executor, 'AAA', 'SELL').length, 1);
+  assert.deepStrictEqual(result.short.unknown, ['loyw3v28-AAA-BBB-os']);
+  assert.strictEqual(result.short.complete, false);
+
+  // The long is unwound in full, but the short may be out there — LEGGED
+  assert.ok(result.unwind.long.complete);
+  assert.strictEqual(ids(executor, 'AAA', 'BUY').length, 0);
+  assert.strictEqual(result.status, 'LEGGED');
+});
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+(async () => {
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (err) {
+      console.log(`  ✗ ${name}\n    ${err.message}`);
+      process.exit(1);
+    }
+  }
+  console.log(`✅ ${tests.length} passed`);
+  process.exit(0);
+})();
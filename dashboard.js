@@ -0,0 +1,264 @@
+'use strict';
+
+/**
+ * dashboard.js
+ * Live web dashboard, served by the control API (api.js) — one self-contained HTML
+ * page (inline CSS/JS, no CDN) fed by Server-Sent Events
+ *
+ *   GET /dashboard?token=…   the page
+ *   GET /events?token=…      text/event-stream — a full snapshot every API.STREAM_INTERVAL_MS
+ *
+ * A browser's EventSource can't send an Authorization header, so both take the API
+ * token as ?token= (the page passes its own on to /events).
+ *
+ * Snapshot: { ts, cash, reserved, equity, maxPositions, entriesPaused, disabled,
+ *             relationships: [getStatusSnapshot() row + key, spark: [ratio…]],
+ *             positions: [… unrealizedPnl], history: [last HISTORY_ROWS trades, newest first] }
+ */
+
+const config  = require('./config');
+const logger  = require('./logger');
+const state   = require('./state');
+const pairs   = require('./pairs');
+const tracker = require('./tracker');
+const ledger  = require('./ledger');
+
+const SPARK_POINTS = 120; // ratio points per sparkline, spread across the lookback
+const HISTORY_ROWS = 50;
+const MAX_CLIENTS  = 20;
+
+const clients = new Set();
+let timer     = null;
+
+// ─── Snapshot ─────────────────────────────────────────────────────────────────
+// Every nth bar of the relationship's history (A / B price ratio), always ending on the latest
+function sparkline(key) {
+  const bars = pairs.getHistory(key);
+  const step = Math.max(1, Math.ceil(bars.length / SPARK_POINTS));
+  const out  = [];
+  for (let i = (bars.length - 1) % step; i < bars.length; i += step) {
+    out.push(+Math.exp(bars[i].a - bars[i].b).toPrecision(6));
+  }
+  return out;
+}
+
+function snapshot() {
+  const positions = state.get('positions').map(p => ({
+    id:            p.id,
+    key:           p.key,
+    shortCoin:     p.shortCoin,
+    longCoin:      p.longCoin,
+    amount:        p.amount,
+    entryZScore:   p.entryZScore,
+    openedAt:      p.openedAt,
+    state:         p.state || 'OPEN',
+    unrealizedPnl: tracker.unrealizedPnl(p),
+  }));
+  const history = state.get('history').slice(-HISTORY_ROWS).reverse().map(h => ({
+    id:         h.id,
+    key:        h.key,
+    shortCoin:  h.shortCoin,
+    longCoin:   h.longCoin,
+    amount:     h.amount,
+    openedAt:   h.openedAt,
+    closedAt:   h.closedAt,
+    exitReason: h.exitReason,
+    netPnl:     tracker.tradeNet(h),
+  }));
+  const control = state.get('control');
+
+  return {
+    ts:            Date.now(),
+    cash:          ledger.cash(),
+    reserved:      ledger.reserved(),
+    equity:        ledger.equity(),
+    maxPositions:  config.MAX_POSITIONS,
+    entriesPaused: control.entriesPaused,
+    disabled:      control.disabled,
+    entryZ:        config.PAIRS_CONFIG.ENTRY_ZSCORE,
+    relationships: pairs.getStatusSnapshot().map(row => {
+      const key = row.pair.replace('/', '-');
+      return { ...row, key, spark: sparkline(key) };
+    }),
+    positions,
+    history,
+  };
+}
+
+// ─── Event stream ─────────────────────────────────────────────────────────────
+// One shared timer builds each snapshot once for every connected browser;
+// it only runs while someone is watching
+function broadcast() {
+  let frame;
+  try {
+    frame = `data: ${JSON.stringify(snapshot())}\n\n`;
+  } catch (err) {
+    logger.error('DASH', `Snapshot failed: ${err.message}`);
+    return;
+  }
+  for (const res of clients) res.write(frame);
+}
+
+function serveEvents(req, res, options = config.API) {
+  if (clients.size >= MAX_CLIENTS) {
+    res.writeHead(503, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ error: `Dashboard is limited to ${MAX_CLIENTS} viewers` }));
+  }
+
+  res.writeHead(200, {
+    'Content-Type':  'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection':    'keep-alive',
+  });
+  res.write('retry: 3000\n\n');
+  clients.add(res);
+  logger.debug('DASH', `Viewer connected (${clients.size})`);
+
+  // The response closes when the browser goes away (req's 'close' fires as soon as the request is read)
+  res.on('close', () => {
+    clients.delete(res);
+    logger.debug('DASH', `Viewer left (${clients.size})`);
+    if (!clients.size && timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  });
+
+  if (!timer) timer = setInterval(broadcast, options.STREAM_INTERVAL_MS);
+  broadcast();
+}
+
+function servePage(req, res) {
+  res.writeHead(200, {
+    'Content-Type':            'text/html; charset=utf-8',
+    'Content-Length':          Buffer.byteLength(PAGE),
+    'Cache-Control':           'no-store',
+    'Content-Security-Policy': "default-src 'self'; style-src 'unsafe-inline'; script-src 'unsafe-inline'",
+  });
+  res.end(PAGE);
+}
+
+// ─── Page ─────────────────────────────────────────────────────────────────────
+const PAGE = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Pairs bot</title>
+<style>
+  :root { --bg: #0f1216; --panel: #171b21; --line: #262c35; --text: #d6dbe1; --dim: #7d8692; --up: #3fb950; --down: #f85149; --hot: #d29922; }
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 16px; background: var(--bg); color: var(--text); font: 13px/1.4 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+  header { display: flex; flex-wrap: wrap; gap: 24px; align-items: baseline; margin-bottom: 16px; }
+  header h1 { font-size: 16px; margin: 0; }
+  .stat b { font-size: 15px; }
+  .dim { color: var(--dim); }
+  .up { color: var(--up); } .down { color: var(--down); } .hot { color: var(--hot); }
+  section { background: var(--panel); border: 1px solid var(--line); border-radius: 6px; padding: 12px; margin-bottom: 16px; overflow-x: auto; }
+  h2 { font-size: 13px; margin: 0 0 8px; color: var(--dim); text-transform: uppercase; letter-spacing: .05em; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 10px 4px 0; border-bottom: 1px solid var(--line); white-space: nowrap; }
+  th { color: var(--dim); font-weight: normal; }
+  td.num { text-align: right; }
+  svg { display: block; }
+  #conn { font-size: 12px; }
+</style>
+</head>
+<body>
+<header>
+  <h1>📐 Pairs bot</h1>
+  <span class="stat">Cash <b id="cash">–</b></span>
+  <span class="stat">Reserved <b id="reserved">–</b></span>
+  <span class="stat">Equity <b id="equity">–</b></span>
+  <span class="stat">Open <b id="open">–</b></span>
+  <span class="stat" id="flags"></span>
+  <span id="conn" class="dim">connecting…</span>
+</header>
+
+<section>
+  <h2>Relationships</h2>
+  <table>
+    <thead><tr><th>Pair</th><th>Model</th><th>Bars</th><th class="num">Z-score</th><th class="num">Diverge</th><th class="num">β</th><th>Signal</th><th>Ratio</th></tr></thead>
+    <tbody id="relationships"></tbody>
+  </table>
+</section>
+
+<section>
+  <h2>Open positions</h2>
+  <table>
+    <thead><tr><th>Pair</th><th>State</th><th class="num">Entry z</th><th class="num">Amount</th><th class="num">PnL</th><th>Age</th></tr></thead>
+    <tbody id="positions"></tbody>
+  </table>
+</section>
+
+<section>
+  <h2>Closed trades</h2>
+  <table>
+    <thead><tr><th>Closed</th><th>Pair</th><th>Reason</th><th class="num">Amount</th><th class="num">Net PnL</th><th>Held</th></tr></thead>
+    <tbody id="history"></tbody>
+  </table>
+</section>
+
+<script>
+  var token = new URLSearchParams(location.search).get('token') || '';
+  var $ = function (id) { return document.getElementById(id); };
+
+  function esc(v) {
+    return String(v).replace(/[&<>"']/g, function (c) { return '&#' + c.charCodeAt(0) + ';'; });
+  }
+  function usd(v) { return (v < 0 ? '-$' : '$') + Math.abs(v).toFixed(2); }
+  function pnl(v) { return '<span class="' + (v >= 0 ? 'up' : 'down') + '">' + (v >= 0 ? '+' : '') + usd(v) + '</span>'; }
+  function hours(ms) { return (ms / 3600000).toFixed(1) + 'h'; }
+  function time(ts) { return new Date(ts).toISOString().replace('T', ' ').slice(5, 16); }
+
+  function spark(points) {
+    if (!points || points.length < 2) return '<span class="dim">–</span>';
+    var w = 160, h = 28, min = Math.min.apply(null, points), max = Math.max.apply(null, points);
+    var span = max - min || 1;
+    var d = points.map(function (p, i) {
+      return (i / (points.length - 1) * w).toFixed(1) + ',' + (h - 2 - (p - min) / span * (h - 4)).toFixed(1);
+    }).join(' ');
+    return '<svg width="' + w + '" height="' + h + '"><polyline fill="none" stroke="#58a6ff" stroke-width="1.2" points="' + d + '"/></svg>';
+  }
+
+  function render(s) {
+    $('cash').textContent     = usd(s.cash);
+    $('reserved').textContent = usd(s.reserved);
+    $('equity').innerHTML     = usd(s.equity) + ' <span class="dim">(' + pnl(s.equity - s.cash - s.reserved) + ')</span>';
+    $('open').textContent    = s.positions.length + '/' + s.maxPositions;
+    $('flags').innerHTML     = (s.entriesPaused ? '<span class="hot">⏸ entries paused</span> ' : '') +
+      (s.disabled.length ? '<span class="hot">disabled: ' + esc(s.disabled.join(', ')) + '</span>' : '');
+
+    $('relationships').innerHTML = s.relationships.map(function (r) {
+      var z   = parseFloat(r.zScore);
+      var cls = isNaN(z) ? 'dim' : Math.abs(z) >= s.entryZ ? 'hot' : '';
+      var off = s.disabled.indexOf(r.key) >= 0 ? ' <span class="dim">(disabled)</span>' : '';
+      return '<tr><td>' + esc(r.pair) + off + '</td><td>' + esc(r.model) + '</td><td>' + (r.ready ? '✅' : r.bars + '/' + r.minBars) +
+        '</td><td class="num ' + cls + '">' + esc(r.zScore) + '</td><td class="num">' + esc(r.diverge) + '</td><td class="num">' + esc(r.hedge) +
+        '</td><td>' + esc(r.signal) + '</td><td>' + spark(r.spark) + '</td></tr>';
+    }).join('');
+
+    $('positions').innerHTML = s.positions.length ? s.positions.map(function (p) {
+      return '<tr><td>' + esc(p.shortCoin) + '↓/' + esc(p.longCoin) + '↑</td><td class="' + (p.state === 'LEGGED' ? 'down' : '') + '">' + esc(p.state) +
+        '</td><td class="num">' + p.entryZScore.toFixed(2) + '</td><td class="num">' + usd(p.amount) + '</td><td class="num">' + pnl(p.unrealizedPnl) +
+        '</td><td>' + hours(s.ts - p.openedAt) + '</td></tr>';
+    }).join('') : '<tr><td colspan="6" class="dim">No open positions</td></tr>';
+
+    $('history').innerHTML = s.history.length ? s.history.map(function (h) {
+      return '<tr><td>' + time(h.closedAt) + '</td><td>' + esc(h.shortCoin) + '↓/' + esc(h.longCoin) + '↑</td><td>' + esc(h.exitReason) +
+        '</td><td class="num">' + usd(h.amount) + '</td><td class="num">' + pnl(h.netPnl) + '</td><td>' + hours(h.closedAt - h.openedAt) + '</td></tr>';
+    }).join('') : '<tr><td colspan="6" class="dim">No closed trades yet</td></tr>';
+
+    $('conn').textContent = 'live · ' + new Date(s.ts).toLocaleTimeString();
+    $('conn').className   = 'dim';
+  }
+
+  var events = new EventSource('/events?token=' + encodeURIComponent(token));
+  events.onmessage = function (e) { render(JSON.parse(e.data)); };
+  events.onerror   = function () { $('conn').textContent = 'disconnected — retrying…'; $('conn').className = 'down'; };
+</script>
+</body>
+</html>
+`;
+
+module.exports = { servePage, serveEvents, snapshot };
@@ -2,63 +2,401 @@
 
 /**
  * discord.js
- * Sends messages to Discord via native https — no node-fetch, no axios
- * Handles rate limiting with automatic retry
+ * Sends messages to a Discord webhook via native https — no node-fetch, no axios
+ * Queued in the background: sending never blocks the caller, undelivered messages
+ * survive a restart, and Discord's rate limits (Retry-After) are honored
+ *
+ * create(url) gives one webhook its own sender; notifier.js builds one per
+ * `discord` sink, with the URL taken from the environment (it's a secret).
+ * http:// URLs use plain http, so a local stand-in (mocknotify.js) works too.
+ *
+ * Text over Discord's 2000-character limit is split() into several messages on
+ * line boundaries rather than cut. sendEmbed() posts a rich embed — a colored card
+ * with title, fields and timestamp — clamped to Discord's embed limits.
  */
 
-const https  = require('https');
-const config = require('./config');
-const logger = require('./logger');
+const https   = require('https');
+const http    = require('http');
+const fs      = require('fs');
+const path    = require('path');
+const config  = require('./config');
+const logger  = require('./logger');
+const metrics = require('./metrics');
 
-const WEBHOOK_URL = new URL(config.DISCORD_WEBHOOK);
-const RATE_LIMIT_DELAY = 1100; // ms between messages to avoid 429
+const RATE_LIMIT_DELAY = 1100;                // ms between messages to avoid 429
+const MAX_LENGTH       = 2000;                // characters per message
+const QUEUE_LIMIT      = 500;                 // messages kept per webhook while Discord is unreachable
+const BACKLOG          = 10;                  // queued messages past which low-priority ones are dropped
+const MAX_AGE_MS       = 24 * 60 * 60 * 1000; // undelivered longer than this → dropped
+const MAX_BACKOFF_MS   = 60000;               // retry spacing cap while Discord is down
+const LAG_WARN_MS      = 60000;               // deliveries later than this are reported
+const PRIORITY         = { high: 0, normal: 1, low: 2 };
 
-let lastSent = 0;
+// Embed colors by meaning — main.js picks one by name, e.g. by PnL sign
+const COLORS = {
+  profit:   0x2ecc71,
+  loss:     0xe74c3c,
+  info:     0x3498db,
+  warn:     0xf1c40f,
+  critical: 0xe67e22,
+};
 
-// ─── Send a message ────────────────────────────────────────────────────────────
-async function send(content, retries = 3) {
-  // Rate limit guard: space out messages
-  const now   = Date.now();
-  const delta = now - lastSent;
-  if (delta < RATE_LIMIT_DELAY) {
-    await sleep(RATE_LIMIT_DELAY - delta);
-  }
+// https://discord.com/developers/docs/resources/message#embed-object-embed-limits
+const EMBED_LIMITS = { title: 256, description: 4096, fields: 25, name: 256, value: 1024, footer: 2048, total: 6000 };
+
+const sendFailures = metrics.counter('pairsbot_discord_send_failures_total', 'Discord messages rejected by Discord (4xx other than 429)');
+const rateLimited  = metrics.counter('pairsbot_discord_rate_limited_total', 'Discord 429 responses');
+const dropped      = metrics.counter('pairsbot_discord_dropped_total', 'Queued Discord messages given up on', ['reason']);
+const deliveryLag  = metrics.histogram('pairsbot_discord_delivery_lag_seconds', 'Time from queueing a Discord message to its delivery',
+  [0.5, 1, 2, 5, 10, 30, 60, 300, 900, 3600]);
+
+const queues = new Map(); // sink name → queue stats, for the gauges below
 
-  const body = JSON.stringify({ content: String(content).slice(0, 2000) });
+metrics.gauge('pairsbot_discord_queue_depth', 'Discord messages waiting to be delivered', () =>
+  [...queues].map(([sink, q]) => ({ labels: { sink }, value: q.depth() })));
+metrics.gauge('pairsbot_discord_queue_oldest_seconds', 'Age of the oldest undelivered Discord message', () =>
+  [...queues].map(([sink, q]) => ({ labels: { sink }, value: q.oldestMs() / 1000 })));
 
-  for (let attempt = 1; attempt <= retries; attempt++) {
+// ─── Queued sender ─────────────────────────────────────────────────────────────
+// send() and sendEmbed() return at once; one background worker per webhook delivers
+// in order of priority (high, normal, low), oldest first, and keeps the parts of a
+// split message together. The queue is rewritten to STATE_DIR/discord_queue_<name>.json
+// whenever it changes, and picked up again on the next start.
+//
+// Options per message: { priority: 'high' | 'normal' | 'low', coalesce: key }.
+// A low-priority message replaces any queued one with the same coalesce key (a newer
+// status report makes the old one pointless), and is dropped outright while more than
+// BACKLOG messages are waiting.
+function create(webhookUrl, { name = 'discord', dir = config.STATE_DIR } = {}) {
+  const url  = new URL(webhookUrl);
+  const file = path.join(dir, `discord_queue_${name}.json`);
+  const tag  = name === 'discord' ? 'DISCORD' : `DISCORD:${name}`;
+
+  let queue    = restore();
+  let seq      = queue.reduce((n, m) => Math.max(n, m.seq), 0);
+  let lastSent = 0;
+  let holdTill = 0;    // no requests before this — Retry-After, or backoff while Discord is down
+  let failures = 0;    // consecutive failed attempts, for the backoff
+  let current  = null; // message being posted — never coalesced away or trimmed
+  let running  = false;
+  let lagged   = { count: 0, maxMs: 0 }; // deliveries later than LAG_WARN_MS since the queue last emptied
+  const idle   = [];   // flush() waiters
+
+  queues.set(name, {
+    depth:    () => queue.length,
+    oldestMs: () => (queue.length ? Date.now() - Math.min(...queue.map(m => m.queuedAt)) : 0),
+  });
+  if (queue.length) {
+    logger.info(tag, `Resuming ${queue.length} undelivered message${queue.length === 1 ? '' : 's'} from ${path.basename(file)}`);
+    setImmediate(work);
+  }
+
+  // ─── Persistence ─────────────────────────────────────────────────────────────
+  function restore() {
     try {
-      const statusCode = await post(body);
+      if (!fs.existsSync(file)) return [];
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const fresh = saved.filter(m => Date.now() - m.queuedAt < MAX_AGE_MS);
+      if (fresh.length < saved.length) dropped.inc({ reason: 'expired' }, saved.length - fresh.length);
+      return fresh;
+    } catch (err) {
+      logger.error(tag, `Failed to load ${path.basename(file)}: ${err.message} — starting with an empty queue`);
+      return [];
+    }
+  }
 
-      if (statusCode === 204) {
-        lastSent = Date.now();
-        return true;
+  function persist() {
+    try {
+      if (!queue.length) {
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+        return;
       }
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file + '.tmp', JSON.stringify(queue));
+      fs.renameSync(file + '.tmp', file);
+    } catch (err) {
+      logger.error(tag, `Failed to save ${path.basename(file)}: ${err.message}`);
+    }
+  }
+
+  // ─── Queueing ────────────────────────────────────────────────────────────────
+  function enqueue(payloads, { priority = 'normal', coalesce = null } = {}) {
+    const stale = coalesce ? queue.filter(m => m !== current && m.coalesce === coalesce) : [];
+    if (priority === 'low' && !stale.length && queue.length > BACKLOG) {
+      dropped.inc({ reason: 'backlog' }, payloads.length);
+      logger.warn(tag, `${queue.length} messages backed up — dropping a low-priority ${coalesce || 'message'}`);
+      return false;
+    }
+    if (stale.length) {
+      queue = queue.filter(m => !stale.includes(m));
+      dropped.inc({ reason: 'coalesced' }, stale.length);
+    }
+
+    const group    = ++seq;
+    const queuedAt = Date.now();
+    payloads.forEach((payload, part) => queue.push({ seq: ++seq, group, part, priority, coalesce, queuedAt, payload }));
+
+    // Over the cap: lose the oldest of the least important first, a split message
+    // whole rather than leaving parts of it behind. The one being posted stays.
+    while (queue.length > QUEUE_LIMIT) {
+      const candidates = queue.filter(m => !current || m.group !== current.group);
+      if (!candidates.length) break;
+      const least  = Math.max(...candidates.map(m => PRIORITY[m.priority]));
+      const victim = candidates.filter(m => PRIORITY[m.priority] === least).sort(byPriority)[0];
+      const parts  = queue.filter(m => m.group === victim.group);
+      queue = queue.filter(m => m.group !== victim.group);
+      dropped.inc({ reason: 'overflow' }, parts.length);
+    }
 
-      if (statusCode === 429) {
-        logger.warn('DISCORD', `Rate limited (attempt ${attempt}/${retries}) — waiting 2s`);
-        await sleep(2000 * attempt);
+    persist();
+    setImmediate(work);
+    return queue.some(m => m.group === group);
+  }
+
+  // Lowest rank first; within a rank, oldest first
+  function byPriority(a, b) {
+    return (PRIORITY[a.priority] - PRIORITY[b.priority]) || (a.seq - b.seq);
+  }
+
+  // The rest of a split message before anything else, so its parts arrive together
+  function next(lastGroup) {
+    return queue.find(m => m.group === lastGroup) || [...queue].sort(byPriority)[0];
+  }
+
+  // ─── Worker ──────────────────────────────────────────────────────────────────
+  async function work() {
+    if (running) return;
+    running = true;
+    let lastGroup = null;
+
+    while (queue.length) {
+      // Stale alerts are noise — a day-old close report isn't worth sending
+      const expired = queue.filter(m => Date.now() - m.queuedAt >= MAX_AGE_MS);
+      if (expired.length) {
+        queue = queue.filter(m => !expired.includes(m));
+        dropped.inc({ reason: 'expired' }, expired.length);
+        logger.warn(tag, `Dropped ${expired.length} message${expired.length === 1 ? '' : 's'} queued over ${MAX_AGE_MS / 3600000}h`);
+        persist();
         continue;
       }
 
-      logger.warn('DISCORD', `Unexpected status ${statusCode} (attempt ${attempt}/${retries})`);
-      await sleep(1000);
+      const wait = Math.max(lastSent + RATE_LIMIT_DELAY, holdTill) - Date.now();
+      if (wait > 0) await sleep(wait);
+
+      current = next(lastGroup);
+      const result = await attempt(current.payload);
+      const done   = current;
+      current = null;
+
+      if (result === 'retry') continue;
+      queue.splice(queue.indexOf(done), 1);
+      lastGroup = done.group;
+      persist();
+
+      if (result === 'sent') {
+        const lagMs = Date.now() - done.queuedAt;
+        deliveryLag.observe(lagMs / 1000);
+        if (lagMs > LAG_WARN_MS) lagged = { count: lagged.count + 1, maxMs: Math.max(lagged.maxMs, lagMs) };
+      }
+    }
+
+    if (lagged.count) {
+      logger.warn(tag, `Backlog cleared — ${lagged.count} message${lagged.count === 1 ? '' : 's'} delivered late, up to ${(lagged.maxMs / 1000).toFixed(0)}s after queueing`);
+      lagged = { count: 0, maxMs: 0 };
+    }
+    running = false;
+    idle.splice(0).forEach(resolve => resolve(true));
+  }
+
+  // One POST → 'sent' | 'rejected' (won't ever go through) | 'retry'
+  async function attempt(payload) {
+    try {
+      const res = await post(url, JSON.stringify(payload));
+      lastSent  = Date.now();
+
+      // Out of requests in this bucket — wait for it to refill before the next one
+      if (res.headers['x-ratelimit-remaining'] === '0') {
+        holdTill = Date.now() + (parseFloat(res.headers['x-ratelimit-reset-after']) || 1) * 1000;
+      }
+
+      if (res.status >= 200 && res.status < 300) {
+        failures = 0;
+        return 'sent';
+      }
+
+      if (res.status === 429) {
+        rateLimited.inc();
+        const waitMs = retryAfterMs(res);
+        holdTill     = Date.now() + waitMs;
+        logger.warn(tag, `Rate limited — retrying in ${(waitMs / 1000).toFixed(1)}s (${queue.length} queued)`);
+        return 'retry';
+      }
+
+      if (res.status < 500) {
+        sendFailures.inc();
+        logger.error(tag, `Discord rejected a message with ${res.status}: ${res.body.slice(0, 200)}`);
+        return 'rejected';
+      }
+
+      throw new Error(`status ${res.status}`);
     } catch (err) {
-      logger.error('DISCORD', `Send error (attempt ${attempt}/${retries}): ${err.message}`);
-      if (attempt < retries) await sleep(1500);
+      failures += 1;
+      const waitMs = Math.min(1000 * 2 ** (failures - 1), MAX_BACKOFF_MS);
+      holdTill     = Date.now() + waitMs;
+      logger.error(tag, `Send failed (${err.message}) — retrying in ${(waitMs / 1000).toFixed(0)}s, ${queue.length} queued`);
+      return 'retry';
+    }
+  }
+
+  // ─── Public ──────────────────────────────────────────────────────────────────
+  // true once queued (false if dropped under backlog or overflow)
+  function send(content, options) {
+    return enqueue(split(content).map(part => ({ content: part })), options);
+  }
+
+  function sendEmbed(fields, options) {
+    return enqueue([{ embeds: [embed(fields)] }], options);
+  }
+
+  // Send an embed-style table as a code block
+  function sendTable(title, rows, options) {
+    if (!rows.length) return false;
+
+    const headers = Object.keys(rows[0]);
+    const widths  = headers.map(h =>
+      Math.max(h.length, ...rows.map(r => String(r[h] ?? '').length))
+    );
+
+    const fmt  = row => headers.map((h, i) => String(row[h] ?? '').padEnd(widths[i])).join('  ');
+    const sep  = widths.map(w => '─'.repeat(w)).join('  ');
+    const head = headers.map((h, i) => h.padEnd(widths[i])).join('  ');
+
+    const lines = ['```', title, sep, head, sep, ...rows.map(fmt), '```'];
+    return send(lines.join('\n'), options);
+  }
+
+  // Resolves true once everything queued is delivered (or given up on), false on timeout.
+  // Undelivered messages stay on disk for the next start.
+  function flush(timeoutMs = 5000) {
+    if (!queue.length && !running) return Promise.resolve(true);
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        idle.splice(idle.indexOf(done), 1);
+        resolve(false);
+      }, timeoutMs);
+      const done = (ok) => { clearTimeout(timer); resolve(ok); };
+      idle.push(done);
+    });
+  }
+
+  return { send, sendEmbed, sendTable, flush, depth: () => queue.length };
+}
+
+// Discord gives the wait in seconds, in the JSON body (retry_after) and the Retry-After header
+function retryAfterMs(res) {
+  let seconds = parseFloat(res.headers['retry-after']);
+  try {
+    const body = JSON.parse(res.body);
+    if (body.retry_after !== undefined) seconds = parseFloat(body.retry_after);
+  } catch (_) { /* not JSON */ }
+  return Math.min(Math.max((Number.isFinite(seconds) ? seconds : 2) * 1000, 250), MAX_BACKOFF_MS);
+}
+
+// ─── Splitting ─────────────────────────────────────────────────────────────────
+// Breaks text into messages of ≤ limit characters, only between lines. A code fence
+// open at a break is closed there and reopened with the same language in the next
+// message. Inside a table — the line above a ─── rule, up to the next blank line —
+// each continuation repeats that heading, so every part reads on its own.
+function split(content, limit = MAX_LENGTH) {
+  const text = String(content);
+  if (text.length <= limit) return [text];
+
+  const CLOSE  = '```';
+  const maxLen = Math.floor(limit / 2); // room left for a reopened fence and heading
+  const lines  = text.split('\n').flatMap(line => {
+    const pieces = [];
+    for (let i = 0; i < line.length; i += maxLen) pieces.push(line.slice(i, i + maxLen));
+    return pieces.length ? pieces : [''];
+  });
+
+  const parts  = [];
+  let current  = [];
+  let size     = -1;   // length of current.join('\n')
+  let fence    = null; // opening line of the fence we're inside, e.g. '```diff'
+  let heading  = [];   // table heading to repeat
+  let previous = null;
+
+  const push  = (line) => { current.push(line); size += line.length + 1; };
+  const start = () => {
+    current = [];
+    size    = -1;
+    if (fence) [fence, ...heading].forEach(push);
+  };
+  const base = () => (fence ? 1 + heading.length : 0);
+
+  for (const line of lines) {
+    const toggles = ((line.match(/```/g) || []).length % 2) === 1;
+    const after   = toggles ? (fence ? null : line.trim()) : fence;
+    const needed  = size + line.length + 1 + (after ? CLOSE.length + 1 : 0);
+
+    if (needed > limit && current.length > base()) {
+      if (fence) push(CLOSE);
+      parts.push(current.join('\n'));
+      if (heading.join('\n').length + (fence || '').length > maxLen) heading = [];
+      start();
     }
+    push(line);
+    fence = after;
+
+    if (/^─+(\s+─+)*$/.test(line.trim()) && previous !== null) heading = [previous, line];
+    else if (!line.trim() || !fence) heading = [];
+    previous = line;
   }
+  if (current.length > base()) parts.push(current.join('\n'));
+  return parts;
+}
 
-  logger.error('DISCORD', 'Failed to send message after all retries');
-  return false;
+// ─── Embeds ────────────────────────────────────────────────────────────────────
+// { title, description, color: 'profit' | 'loss' | … | 0xRRGGBB, fields: [{ name, value, inline }],
+//   footer, timestamp } → a Discord embed within its limits; timestamp defaults to now
+function embed({ title, description, color, fields = [], footer, timestamp = Date.now() }) {
+  const clip = (v, n) => {
+    const s = String(v);
+    return s.length > n ? `${s.slice(0, n - 1)}…` : s;
+  };
+
+  const out = { timestamp: new Date(timestamp).toISOString() };
+  if (title)       out.title       = clip(title, EMBED_LIMITS.title);
+  if (description) out.description = clip(description, EMBED_LIMITS.description);
+  if (color !== undefined) out.color = typeof color === 'number' ? color : COLORS[color];
+  if (footer)      out.footer      = { text: clip(footer, EMBED_LIMITS.footer) };
+
+  out.fields = fields.slice(0, EMBED_LIMITS.fields).map(f => ({
+    name:   clip(f.name, EMBED_LIMITS.name),
+    value:  clip(f.value === '' || f.value === undefined || f.value === null ? '–' : f.value, EMBED_LIMITS.value),
+    inline: f.inline !== false,
+  }));
+
+  // The 6000-character total counts every text field — drop fields from the end to fit,
+  // then shorten the description if title, description and footer are over on their own
+  const total = () => [out.title, out.description, out.footer && out.footer.text]
+    .concat(out.fields.flatMap(f => [f.name, f.value]))
+    .reduce((n, s) => n + (s ? s.length : 0), 0);
+  while (out.fields.length && total() > EMBED_LIMITS.total) out.fields.pop();
+  if (out.description && total() > EMBED_LIMITS.total) {
+    out.description = clip(out.description, Math.max(1, out.description.length - (total() - EMBED_LIMITS.total)));
+  }
+
+  return out;
 }
 
 // ─── HTTPS POST ────────────────────────────────────────────────────────────────
-function post(body) {
+function post(url, body) {
   return new Promise((resolve, reject) => {
     const options = {
-      hostname: WEBHOOK_URL.hostname,
-      path:     WEBHOOK_URL.pathname + WEBHOOK_URL.search,
+      hostname: url.hostname,
+      port:     url.port || undefined,
+      path:     url.pathname + url.search,
       method:   'POST',
       headers: {
         'Content-Type':   'application/json',
@@ -68,10 +406,12 @@ function post(body) {
       timeout: 10000,
     };
 
-    const req = https.request(options, (res) => {
-      // Drain the body (required to reuse socket)
-      res.resume();
-      resolve(res.statusCode);
+    const transport = url.protocol === 'http:' ? http : https;
+    const req = transport.request(options, (res) => {
+      // Read the body — errors and 429s explain themselves in it
+      let data = '';
+      res.on('data', c => { data += c; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
     });
 
     req.on('error',   reject);
@@ -85,21 +425,4 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// ─── Send an embed-style table as a code block ────────────────────────────────
-async function sendTable(title, rows) {
-  if (!rows.length) return;
-
-  const headers = Object.keys(rows[0]);
-  const widths  = headers.map(h =>
-    Math.max(h.length, ...rows.map(r => String(r[h] ?? '').length))
-  );
-
-  const fmt  = row => headers.map((h, i) => String(row[h] ?? '').padEnd(widths[i])).join('  ');
-  const sep  = widths.map(w => '─'.repeat(w)).join('  ');
-  const head = headers.map((h, i) => h.padEnd(widths[i])).join('  ');
-
-  const lines = ['```', title, sep, head, sep, ...rows.map(fmt), '```'];
-  await send(lines.join('\n'));
-}
-
-module.exports = { send, sendTable };
+module.exports = { create, split, embed, COLORS };
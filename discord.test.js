@@ -0,0 +1,252 @@
+'use strict';
+
+/**
+ * discord.test.js
+ * Message splitting, embed limits and the send queue — run with `npm test`
+ *
+ * split() and embed() are pure; every part and card they produce is checked
+ * against Discord's limits and read back for what it must keep (code fences,
+ * table headings, text). The queue is filled against a local webhook that never
+ * answers and read back from the file it persists to. Exits 1 on the first failure.
+ */
+
+const assert = require('assert');
+const fs     = require('fs');
+const http   = require('http');
+const os     = require('os');
+const path   = require('path');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const discord = require('./discord');
+const metrics = require('./metrics');
+
+const tests = [];
+const test  = (name, fn) => tests.push({ name, fn });
+
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-test-'));
+
+const fences = part => (part.match(/```/g) || []).length;
+
+// The same shape main.js status reports take through sendTable()
+function table(rows) {
+  const head = 'Pair        Z-score  Signal';
+  const sep  = '──────────  ───────  ──────────';
+  const body = Array.from({ length: rows }, (_, i) => `PAIR${String(i).padStart(4, '0')}    ${(i / 10).toFixed(2).padStart(7)}  😴 quiet`);
+  return { head, sep, text: ['```', '📐 PAIRS STATUS', sep, head, sep, ...body, '```'].join('\n') };
+}
+
+// ─── split ────────────────────────────────────────────────────────────────────
+test('text under the limit is one message, unchanged', () => {
+  assert.deepStrictEqual(discord.split('hello\nworld'), ['hello\nworld']);
+  assert.deepStrictEqual(discord.split('x'.repeat(2000)), ['x'.repeat(2000)]);
+});
+
+test('plain text breaks only between lines and loses nothing', () => {
+  const lines = Array.from({ length: 300 }, (_, i) => `line ${i} ${'·'.repeat(i % 40)}`);
+  const text  = lines.join('\n');
+  const parts = discord.split(text);
+
+  assert.ok(parts.length > 1);
+  for (const part of parts) assert.ok(part.length <= 2000, `part of ${part.length}`);
+  assert.strictEqual(parts.join('\n'), text);
+});
+
+test('a code fence open at a break is closed and reopened with its language', () => {
+  const body  = Array.from({ length: 200 }, (_, i) => `+ OPENED PAIR${i} short ${i} long ${i}`);
+  const parts = discord.split(['Summary', '```diff', ...body, '```', 'after'].join('\n'));
+
+  assert.ok(parts.length > 1);
+  for (const [i, part] of parts.entries()) {
+    assert.ok(part.length <= 2000, `part ${i} of ${part.length}`);
+    assert.strictEqual(fences(part) % 2, 0, `part ${i} leaves a fence open`);
+    if (i > 0) assert.ok(part.startsWith('```diff\n'), `part ${i} starts ${JSON.stringify(part.slice(0, 12))}`);
+  }
+  assert.ok(parts[parts.length - 1].endsWith('```\nafter'));
+
+  // Every row arrives exactly once
+  const rows = parts.flatMap(p => p.split('\n')).filter(l => l.startsWith('+ OPENED'));
+  assert.deepStrictEqual(rows, body);
+});
+
+test('each continuation of a table repeats its heading', () => {
+  const { head, sep, text } = table(120);
+  const parts = discord.split(text);
+
+  assert.ok(parts.length > 1);
+  for (const [i, part] of parts.entries()) {
+    assert.ok(part.length <= 2000, `part ${i} of ${part.length}`);
+    assert.strictEqual(fences(part), 2, `part ${i} fences`);
+    if (i > 0) assert.ok(part.startsWith(['```', head, sep, ''].join('\n')), `part ${i} starts ${JSON.stringify(part.slice(0, 60))}`);
+  }
+  const rows = parts.flatMap(p => p.split('\n')).filter(l => l.startsWith('PAIR'));
+  assert.strictEqual(rows.length, 120);
+});
+
+test('a single line over the limit is cut into pieces that each fit', () => {
+  const parts = discord.split('y'.repeat(4500));
+  for (const part of parts) assert.ok(part.length <= 2000, `part of ${part.length}`);
+  assert.strictEqual(parts.join('').replace(/\n/g, ''), 'y'.repeat(4500));
+});
+
+test('a smaller limit is honored the same way', () => {
+  const { text } = table(30);
+  for (const part of discord.split(text, 300)) {
+    assert.ok(part.length <= 300, `part of ${part.length}`);
+    assert.strictEqual(fences(part) % 2, 0);
+  }
+});
+
+// ─── embed ────────────────────────────────────────────────────────────────────
+test('embeds take named or numeric colors, fill empty values and default fields inline', () => {
+  const card = discord.embed({
+    title: 'OPENED', color: 'profit', timestamp: Date.UTC(2024, 0, 1),
+    fields: [{ name: 'z', value: 2.1 }, { name: 'note', value: '' }, { name: 'wide', value: 'x', inline: false }],
+    footer: 'paper',
+  });
+
+  assert.strictEqual(card.color, discord.COLORS.profit);
+  assert.strictEqual(card.timestamp, '2024-01-01T00:00:00.000Z');
+  assert.deepStrictEqual(card.footer, { text: 'paper' });
+  assert.deepStrictEqual(card.fields, [
+    { name: 'z', value: '2.1', inline: true },
+    { name: 'note', value: '–', inline: true },
+    { name: 'wide', value: 'x', inline: false },
+  ]);
+  assert.strictEqual(discord.embed({ color: 0x123456 }).color, 0x123456);
+  assert.ok(!('description' in discord.embed({ title: 'no description' })));
+});
+
+const length = card => [card.title, card.description, card.footer && card.footer.text]
+  .concat(card.fields.flatMap(f => [f.name, f.value]))
+  .reduce((n, s) => n + (s ? s.length : 0), 0);
+
+test('embed text is clipped to each of Discord\'s limits', () => {
+  const card = discord.embed({
+    title:  't'.repeat(300),
+    footer: 'f'.repeat(3000),
+    fields: Array.from({ length: 30 }, (_, i) => ({ name: `n${i}`.padEnd(300, 'n'), value: 'v'.repeat(2000) })),
+  });
+
+  assert.strictEqual(card.title.length, 256);
+  assert.ok(card.title.endsWith('…'));
+  assert.strictEqual(card.footer.text.length, 2048);
+  assert.ok(card.fields.length > 0);
+  for (const f of card.fields) {
+    assert.strictEqual(f.name.length, 256);
+    assert.strictEqual(f.value.length, 1024);
+  }
+  assert.strictEqual(discord.embed({ description: 'd'.repeat(5000) }).description.length, 4096);
+});
+
+test('fields come off the end, then the description shortens, to keep 6000 in all', () => {
+  const fields = Array.from({ length: 10 }, (_, i) => ({ name: `f${i}`, value: 'v'.repeat(1000) }));
+  const card   = discord.embed({ title: 'T', description: 'd'.repeat(1000), fields });
+  assert.ok(length(card) <= 6000, `total ${length(card)}`);
+  assert.deepStrictEqual(card.fields.map(f => f.name), ['f0', 'f1', 'f2', 'f3']);
+  assert.strictEqual(card.description.length, 1000);
+
+  // Title, description and footer at their own limits are 6400 before any field
+  const full = discord.embed({ title: 't'.repeat(300), description: 'd'.repeat(5000), footer: 'f'.repeat(3000), fields });
+  assert.strictEqual(length(full), 6000);
+  assert.strictEqual(full.fields.length, 0);
+  assert.strictEqual(full.title.length, 256);
+  assert.ok(full.description.endsWith('…'));
+});
+
+test('no more than 25 fields are kept', () => {
+  const card = discord.embed({ fields: Array.from({ length: 40 }, (_, i) => ({ name: `f${i}`, value: i })) });
+  assert.strictEqual(card.fields.length, 25);
+  assert.strictEqual(card.fields[24].name, 'f24');
+});
+
+// ─── Queue overflow ───────────────────────────────────────────────────────────
+const QUEUE_LIMIT = 500;
+
+// A webhook that takes requests and never answers, so nothing is ever delivered
+const requests = [];
+const server   = http.createServer(req => requests.push(req));
+
+// What the sender named `name` has persisted, as message text, in queue order
+const queued = name => JSON.parse(fs.readFileSync(path.join(DIR, `discord_queue_${name}.json`), 'utf8'))
+  .map(m => m.payload.content);
+
+const long   = tag => Array.from({ length: 50 }, (_, i) => `${tag} ${i} ${'·'.repeat(80)}`).join('\n');
+const tagged = (texts, tag) => texts.filter(t => t.startsWith(`${tag} `)).length;
+const overflowed = () => Number((metrics.render().match(/pairsbot_discord_dropped_total\{reason="overflow"\} (\d+)/) || [])[1] || 0);
+
+test('past QUEUE_LIMIT the oldest of the least important goes first, all its parts at once', async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const sender = discord.create(`http://127.0.0.1:${server.address().port}/a`, { name: 'a', dir: DIR });
+  const parts  = discord.split(long('old')).length;
+  assert.strictEqual(parts, 3);
+
+  // Queued in one go, so the worker hasn't taken anything yet
+  const before = overflowed();
+  assert.ok(sender.send(long('old'), { priority: 'low' }));
+  assert.ok(sender.send(long('new'), { priority: 'low' }));
+  assert.ok(sender.send('urgent', { priority: 'high' }));
+  for (let i = 0; sender.depth() < QUEUE_LIMIT; i++) assert.ok(sender.send(`normal ${i}`));
+
+  // One more: the older low message is dropped whole, the newer one is kept whole
+  assert.ok(sender.send('one more'));
+  let texts = queued('a');
+  assert.strictEqual(sender.depth(), QUEUE_LIMIT - parts + 1);
+  assert.strictEqual(tagged(texts, 'old'), 0);
+  assert.strictEqual(tagged(texts, 'new'), parts);
+  assert.strictEqual(overflowed() - before, parts);
+
+  // Filling back up takes the newer low message next, and then the oldest normal — never the high one
+  for (let i = 0; i < parts; i++) sender.send('filler');
+  assert.strictEqual(tagged(queued('a'), 'new'), 0);
+  for (let i = 0; i < parts; i++) sender.send('filler');
+  texts = queued('a');
+  assert.ok(texts.includes('urgent'));
+  assert.ok(!texts.includes('normal 0'));
+  assert.ok(texts.includes('normal 1'));
+  assert.strictEqual(sender.depth(), QUEUE_LIMIT);
+});
+
+test('a message that is itself the least important is the one refused', () => {
+  const sender = discord.create(`http://127.0.0.1:${server.address().port}/b`, { name: 'b', dir: DIR });
+  for (let i = 0; i < QUEUE_LIMIT; i++) sender.send(`high ${i}`, { priority: 'high' });
+
+  assert.strictEqual(sender.send('normal'), false);
+  const texts = queued('b');
+  assert.strictEqual(texts.length, QUEUE_LIMIT);
+  assert.strictEqual(texts[0], 'high 0');
+  assert.ok(!texts.includes('normal'));
+});
+
+test('the message being posted is never dropped, even when it is the least important', async () => {
+  const sender = discord.create(`http://127.0.0.1:${server.address().port}/c`, { name: 'c', dir: DIR });
+  sender.send(long('posting'), { priority: 'low' });
+
+  // Wait for the worker to have its first part on the wire
+  const posted = () => requests.filter(req => req.url === '/c').length;
+  for (let i = 0; i < 100 && !posted(); i++) await new Promise(resolve => setTimeout(resolve, 10));
+  assert.strictEqual(posted(), 1);
+
+  for (let i = 0; i <= QUEUE_LIMIT - 3; i++) sender.send(`high ${i}`, { priority: 'high' });
+  const texts = queued('c');
+  assert.strictEqual(tagged(texts, 'posting'), 3);
+  assert.strictEqual(texts.filter(t => t.startsWith('high ')).length, QUEUE_LIMIT - 3);
+  assert.ok(!texts.includes('high 0'));
+});
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+(async () => {
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (err) {
+      console.log(`  ✗ ${name}\n    ${err.message}`);
+      fs.rmSync(DIR, { recursive: true, force: true });
+      process.exit(1);
+    }
+  }
+  fs.rmSync(DIR, { recursive: true, force: true });
+  console.log(`✅ ${tests.length} passed`);
+  process.exit(0);
+})();
@@ -0,0 +1,197 @@
+'use strict';
+
+/**
+ * discovery.js
+ * Cointegration-based pair discovery
+ *
+ * For every pair in a symbol universe:
+ *   1. Pull historical closes via sourcer.getKlineHistory()
+ *   2. Screen on log-price correlation (cheap)
+ *   3. Engle-Granger: OLS of log A on log B, ADF test on the residuals,
+ *      both orderings — the lower p-value decides which coin is A
+ * Survivors are ranked by p-value and written to state/relationships.json,
+ * which pairs.js loads at boot and on a schedule (see main.js).
+ *
+ * CLI: node discovery.js [--dry-run]   — run once, print the ranking
+ */
+
+const fs       = require('fs');
+const path     = require('path');
+const config   = require('./config');
+const logger   = require('./logger');
+const sourcer  = require('./sourcer');
+const stats    = require('./stats');
+const duration = require('./duration');
+
+const RESULT_FILE = path.join(config.STATE_DIR, 'relationships.json');
+
+// ─── Fetch closes for the whole universe ──────────────────────────────────────
+// Aligned on kline open time so every series covers the same bars
+async function fetchCloses(universe, interval, bars) {
+  const series = {};
+  const start  = Date.now() - bars * duration.parse(interval);
+  for (const coin of universe) {
+    const klines = await sourcer.getKlineHistory(coin, interval, start);
+    if (!klines || klines.length < bars * 0.9) {
+      logger.warn('DISCOVERY', `${coin}: not enough history (${klines ? klines.length : 0}/${bars} bars) — skipped`);
+      continue;
+    }
+    series[coin] = new Map(klines.map(k => [k.openTime, k.close]));
+  }
+  return series;
+}
+
+function alignLogs(seriesA, seriesB) {
+  const a = [];
+  const b = [];
+  for (const [ts, priceA] of seriesA) {
+    const priceB = seriesB.get(ts);
+    if (priceA > 0 && priceB > 0) {
+      a.push(Math.log(priceA));
+      b.push(Math.log(priceB));
+    }
+  }
+  return { a, b };
+}
+
+// ─── Test one candidate pair ──────────────────────────────────────────────────
+function testPair(coinX, coinY, series, params) {
+  const { a: x, b: y } = alignLogs(series[coinX], series[coinY]);
+  if (x.length < params.BARS * 0.9) return null;
+
+  const correlation = stats.correlation(x, y);
+  if (correlation < params.MIN_CORRELATION) return null;
+
+  const xy = stats.engleGranger(x, y, params.ADF_LAGS); // X dependent
+  const yx = stats.engleGranger(y, x, params.ADF_LAGS); // Y dependent
+  if (!xy && !yx) return null;
+
+  const useXY = xy && (!yx || xy.pValue <= yx.pValue);
+  const eg    = useXY ? xy : yx;
+
+  return {
+    coinA:        useXY ? coinX : coinY,
+    coinB:        useXY ? coinY : coinX,
+    pValue:       eg.pValue,
+    adfStat:      eg.adfStat,
+    hedgeRatio:   eg.beta,
+    intercept:    eg.alpha,
+    correlation,
+    halfLifeBars: eg.halfLife,
+    bars:         x.length,
+  };
+}
+
+// ─── Run discovery over a universe ────────────────────────────────────────────
+async function discover(universe = config.DISCOVERY.UNIVERSE, params = config.DISCOVERY) {
+  logger.info('DISCOVERY', `🔎 Testing ${universe.length} symbols (${params.BARS} × ${params.INTERVAL} bars)`);
+
+  const series = await fetchCloses(universe, params.INTERVAL, params.BARS);
+  const coins  = Object.keys(series);
+  const tested = [];
+
+  for (let i = 0; i < coins.length; i++) {
+    for (let j = i + 1; j < coins.length; j++) {
+      const result = testPair(coins[i], coins[j], series, params);
+      if (result) tested.push(result);
+    }
+  }
+
+  const ranked = tested
+    .filter(r => r.pValue <= params.MAX_PVALUE && r.hedgeRatio > 0)
+    .sort((a, b) => a.pValue - b.pValue || b.correlation - a.correlation);
+
+  const relationships = ranked.slice(0, params.MAX_RELATIONSHIPS);
+
+  logger.info('DISCOVERY', `✅ ${relationships.length} cointegrated relationships (${tested.length} passed correlation, ${coins.length * (coins.length - 1) / 2} candidates)`);
+
+  return {
+    generatedAt: Date.now(),
+    interval:    params.INTERVAL,
+    bars:        params.BARS,
+    universe:    coins,
+    relationships,
+  };
+}
+
+// ─── Persist / load ───────────────────────────────────────────────────────────
+function save(result) {
+  if (!fs.existsSync(config.STATE_DIR)) {
+    fs.mkdirSync(config.STATE_DIR, { recursive: true });
+  }
+  const tmp = RESULT_FILE + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(result, null, 2), 'utf8');
+  fs.renameSync(tmp, RESULT_FILE);
+}
+
+function load() {
+  try {
+    if (!fs.existsSync(RESULT_FILE)) return null;
+    return JSON.parse(fs.readFileSync(RESULT_FILE, 'utf8'));
+  } catch (err) {
+    logger.error('DISCOVERY', `Failed to read ${RESULT_FILE}: ${err.message}`);
+    return null;
+  }
+}
+
+// ─── Merge discovered relationships with the static config list ───────────────
+// 'augment' keeps every static pair and appends new ones; 'replace' uses only
+// the discovered list. `keep` lists relationship keys that must stay active
+// (open positions) even if they no longer pass.
+function merge(result, mode = config.DISCOVERY.MODE, keep = []) {
+  const entries = [];
+  const seen    = new Set();
+
+  const add = (entry) => {
+    const key    = `${entry.coinA}-${entry.coinB}`;
+    const mirror = `${entry.coinB}-${entry.coinA}`;
+    if (seen.has(key) || seen.has(mirror)) return;
+    seen.add(key);
+    entries.push(entry);
+  };
+
+  if (mode !== 'replace') {
+    for (const [coinA, coinB] of config.PAIRS_CONFIG.relationships) add({ coinA, coinB, source: 'static' });
+  }
+  for (const r of (result ? result.relationships : [])) add({ ...r, source: 'discovered' });
+
+  for (const key of keep) {
+    const [coinA, coinB] = key.split('-');
+    add({ coinA, coinB, source: 'open-position' });
+  }
+
+  return entries;
+}
+
+// Saved results older than this are refreshed instead of reused at boot
+function isStale(result) {
+  return !result || Date.now() - result.generatedAt > config.DISCOVERY.REFRESH_MS;
+}
+
+module.exports = { discover, save, load, merge, isStale };
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  discover().then((result) => {
+    const lines = [
+      `${'Pair'.padEnd(14)} ${'p-value'.padEnd(9)} ${'ADF'.padEnd(8)} ${'Hedge β'.padEnd(9)} ${'Corr'.padEnd(7)} Half-life`,
+      '─'.repeat(62),
+    ];
+    for (const r of result.relationships) {
+      lines.push(
+        `${(r.coinA + '/' + r.coinB).padEnd(14)} ${r.pValue.toFixed(4).padEnd(9)} ${r.adfStat.toFixed(2).padEnd(8)} ${r.hedgeRatio.toFixed(3).padEnd(9)} ${r.correlation.toFixed(3).padEnd(7)} ${r.halfLifeBars.toFixed(1)} bars`
+      );
+    }
+    console.log(lines.join('\n'));
+
+    if (!dryRun) {
+      save(result);
+      console.log(`\nSaved to ${RESULT_FILE}`);
+    }
+  }).catch((err) => {
+    console.error(`Discovery failed: ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * discovery.test.js
+ * Engle-Granger / ADF checks on synthetic series — run with `npm test`
+ *
+ * A cointegrated pair (a random walk and a hedged copy with mean-reverting
+ * noise) against independent random walks, first through stats.engleGranger(),
+ * then through discovery.discover() with sourcer's klines stubbed and the result
+ * loaded into pairs.js. Exits 1 on the first failure.
+ */
+
+const assert = require('assert');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const config    = require('./config');
+const stats     = require('./stats');
+const sourcer   = require('./sourcer');
+const discovery = require('./discovery');
+const pairs     = require('./pairs');
+
+const tests = [];
+const test  = (name, fn) => tests.push({ name, fn });
+
+const BARS = 720;
+
+// Deterministic normal draws (Box-Muller over an LCG) — the same series every run
+function gaussian(seed) {
+  let s = seed >>> 0;
+  const uniform = () => ((s = (Math.imul(s, 1664525) + 1013904223) >>> 0) + 1) / (2 ** 32 + 1);
+  return () => Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+}
+
+function randomWalk(seed, start, step) {
+  const draw = gaussian(seed);
+  const out  = [start];
+  for (let i = 1; i < BARS; i++) out.push(out[i - 1] + step * draw());
+  return out;
+}
+
+// log A = 0.3 + 1.5·log B + AR(1) noise that decays by half in about two bars
+function cointegrated(logB, seed) {
+  const draw = gaussian(seed);
+  let e = 0;
+  return logB.map(b => {
+    e = 0.7 * e + 0.01 * draw();
+    return 0.3 + 1.5 * b + e;
+  });
+}
+
+const LOG_B = randomWalk(1, Math.log(100), 0.02);
+const LOG_A = cointegrated(LOG_B, 2);
+const LOG_C = randomWalk(3, Math.log(50), 0.02);
+
+// ─── stats.engleGranger ───────────────────────────────────────────────────────
+test('a cointegrated pair rejects a unit root where independent walks do not', () => {
+  const coint = stats.engleGranger(LOG_A, LOG_B, 1);
+  const indep = stats.engleGranger(LOG_C, LOG_B, 1);
+
+  assert.ok(coint.adfStat < coint.critical['1%'], `ADF ${coint.adfStat} vs 1% ${coint.critical['1%']}`);
+  assert.ok(coint.pValue < 0.01, `cointegrated p ${coint.pValue}`);
+  assert.ok(indep.adfStat > indep.critical['10%'], `ADF ${indep.adfStat} vs 10% ${indep.critical['10%']}`);
+  assert.ok(indep.pValue > 0.1, `independent p ${indep.pValue}`);
+  assert.ok(coint.pValue < indep.pValue);
+
+  assert.ok(Math.abs(coint.beta - 1.5) < 0.05, `β ${coint.beta}`);
+  assert.ok(coint.halfLife > 1 && coint.halfLife < 4, `half-life ${coint.halfLife}`);
+});
+
+test('p-values fall as the ADF statistic gets more negative', () => {
+  const taus = [0.5, -1, -2, -3, -3.34, -4, -6];
+  const ps   = taus.map(stats.egPValue);
+  for (let i = 1; i < ps.length; i++) assert.ok(ps[i] < ps[i - 1], `p(${taus[i]}) = ${ps[i]} ≥ p(${taus[i - 1]})`);
+
+  // The 5% critical value for a long sample lands near p = 0.05
+  assert.ok(Math.abs(stats.egPValue(stats.egCriticalValues(10000)['5%']) - 0.05) < 0.005);
+  assert.strictEqual(stats.egPValue(-20), 0);
+  assert.strictEqual(stats.egPValue(1), 1);
+});
+
+test('a series too short for the regression gives no result', () => {
+  assert.strictEqual(stats.engleGranger(LOG_A.slice(0, 10), LOG_B.slice(0, 10), 1), null);
+});
+
+// ─── discovery.discover ───────────────────────────────────────────────────────
+test('discovery keeps only the cointegrated pair and pairs.js loads it', async () => {
+  const HOUR   = 3600000;
+  const start  = Date.UTC(2024, 0, 1);
+  const series = { AAA: LOG_A, BBB: LOG_B, CCC: LOG_C };
+
+  const original = sourcer.getKlineHistory;
+  sourcer.getKlineHistory = async coin => series[coin].map((log, i) => ({ openTime: start + i * HOUR, close: Math.exp(log) }));
+  let result;
+  try {
+    // No correlation screen, so the independent walks reach the Engle-Granger test too
+    result = await discovery.discover(['AAA', 'BBB', 'CCC'], { ...config.DISCOVERY, BARS, MIN_CORRELATION: -1 });
+  } finally {
+    sourcer.getKlineHistory = original;
+  }
+
+  assert.deepStrictEqual(result.universe, ['AAA', 'BBB', 'CCC']);
+  assert.strictEqual(result.relationships.length, 1, JSON.stringify(result.relationships));
+  const [found] = result.relationships;
+  assert.deepStrictEqual([found.coinA, found.coinB], ['AAA', 'BBB']);
+  assert.ok(found.pValue < 0.01 && Math.abs(found.hedgeRatio - 1.5) < 0.05, JSON.stringify(found));
+
+  pairs.setRelationships(discovery.merge(result, 'replace'));
+  assert.deepStrictEqual(pairs.getRelationships(), [['AAA', 'BBB']]);
+  assert.strictEqual(pairs.getRelationshipInfo('AAA-BBB').source, 'discovered');
+  assert.strictEqual(pairs.getRelationshipInfo('AAA-BBB').pValue, found.pValue);
+
+  // 'augment' puts the static list first and adds the discovery after it
+  const augmented = discovery.merge(result, 'augment');
+  assert.strictEqual(augmented.length, config.PAIRS_CONFIG.relationships.length + 1);
+  assert.strictEqual(augmented[augmented.length - 1].coinA, 'AAA');
+});
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+(async () => {
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (err) {
+      console.log(`  ✗ ${name}\n    ${err.message}`);
+      process.exit(1);
+    }
+  }
+  console.log(`✅ ${tests.length} passed`);
+  process.exit(0);
+})();
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * duration.js
+ * Human-readable durations for config: '30s', '5m', '1h', '7d' ↔ milliseconds
+ */
+
+const UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+// Numbers pass through as milliseconds
+function parse(value) {
+  if (typeof value === 'number' && isFinite(value)) return value;
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)\s*$/.exec(String(value));
+  if (!match) throw new Error(`Invalid duration: "${value}" (expected e.g. 30s, 5m, 1h, 7d)`);
+  return parseFloat(match[1]) * UNITS[match[2]];
+}
+
+// Largest whole unit: 300000 → '5m', 5400000 → '90m'
+function format(ms) {
+  for (const unit of ['w', 'd', 'h', 'm', 's']) {
+    if (ms >= UNITS[unit] && ms % UNITS[unit] === 0) return `${ms / UNITS[unit]}${unit}`;
+  }
+  return `${ms}ms`;
+}
+
+module.exports = { parse, format };
@@ -0,0 +1,479 @@
+'use strict';
+
+/**
+ * engine.js
+ * Trading engine — entries, exits, legged retries, carry and manual control
+ *
+ * Every change to positions, the ledger or control state runs as a command on one
+ * queue (commands.js), one at a time. A tick can't open a relationship a manual
+ * close is flattening, a reload can't land halfway through a close, and each
+ * command sees the state the previous one left.
+ *
+ *   engine.init(executor);
+ *   monitor.start(engine.onTick);
+ *   await engine.closePosition(id);              // { status, body } for api.js
+ *   await engine.submit('reload', reloadConfig); // anything else that mutates state
+ *
+ * Entries pass risk.js first: a refusal is reported, and a loss-limit halt stops
+ * entries (and with FLATTEN_ON_HALT closes what's open) until the loss recovers.
+ *
+ * Ticks are coalesced per coin: while one for a coin is waiting, more ticks for it
+ * add nothing — the waiting one reads the latest prices when it runs.
+ *
+ * A replay (monitor.js replay mode) runs on the recorded clock, as backtest.js does:
+ * each replayed tick's time becomes the engine's now(), so positions open, age past
+ * MAX_HOLD_HOURS and close at recorded times. Live, now() is the wall clock.
+ */
+
+const config      = require('./config');
+const logger      = require('./logger');
+const state       = require('./state');
+const pairs       = require('./pairs');
+const tracker     = require('./tracker');
+const coordinator = require('./coordinator');
+const carry       = require('./carry');
+const notifier    = require('./notifier');
+const metrics     = require('./metrics');
+const commands    = require('./commands');
+const risk        = require('./risk');
+const sizing      = require('./sizing');
+const ledger      = require('./ledger');
+
+const queue = commands.create('engine');
+
+// Order executor for EXECUTION.MODE — set by main.js at boot
+let executor = null;
+
+// ─── Metrics ──────────────────────────────────────────────────────────────────
+const tradesOpened = metrics.counter('pairsbot_trades_opened_total', 'Positions opened (both legs filled)');
+const tradesClosed = metrics.counter('pairsbot_trades_closed_total', 'Positions settled, by exit reason', ['reason']);
+const riskRejected = metrics.counter('pairsbot_risk_rejections_total', 'Entries refused by a risk limit', ['reason']);
+metrics.gauge('pairsbot_risk_halted', '1 while a loss limit halts new entries', () => (risk.halted() ? 1 : 0));
+
+// A repeat of the same rejection for a relationship is reported again after this long
+const REJECTION_REPORT_MS = 3600000;
+const rejections          = new Map(); // key → { reason, at } last reported
+
+// Time of the latest replayed tick — null when live
+let replayTime = null;
+
+const now       = () => (replayTime !== null ? replayTime : Date.now());
+const replaying = () => replayTime !== null;
+
+function init(exec) {
+  executor = exec;
+}
+
+// ─── Real-time tick handler ───────────────────────────────────────────────────
+// Called by monitor.js on every price update for any coin; pairs.onPrice() has
+// already run, so this only acts on signals. ts is the recorded time when replaying.
+function onTick(coin, price, ts) {
+  if (ts !== undefined) replayTime = ts;
+  return queue.submit('tick', () => evaluate(coin), { coalesce: `tick:${coin}` });
+}
+
+async function evaluate(coin) {
+  await enforceLossLimits();
+
+  // ── Check exits on the open positions with a leg in this coin ──────────────
+  for (const pos of state.get('positions')) {
+    if (pos.shortCoin !== coin && pos.longCoin !== coin) continue;
+
+    // Legged: one side is naked — keep flattening it whatever the spread does
+    if (pos.state === 'LEGGED') {
+      if (now() - pos.legged.lastAttempt >= config.EXECUTION.LEGGED_RETRY_MS) {
+        await closePair(pos, pos.legged.reason, null);
+      }
+      continue;
+    }
+
+    const exit = pairs.checkExit(pos, now());
+    if (exit) await closePair(pos, exit.reason, exit.zScore);
+  }
+
+  // ── Scan for new entries if slots are available ─────────────────────────────
+  const control = state.get('control');
+  if (control.entriesPaused || risk.halted()) return;
+  if (state.get('positions').length >= config.MAX_POSITIONS) return;
+
+  for (const opp of pairs.scanForOpportunities()) {
+    // Don't double-enter the same relationship
+    const alreadyOpen = state.get('positions').some(p => p.key === opp.key);
+    if (alreadyOpen || control.disabled.includes(opp.key)) continue;
+
+    const sized = sizing.size(opp, { equity: ledger.equity(), history: state.get('history') });
+    if (sized.amount === null) {
+      logger.debug('SIZING', `${opp.key} skipped — ${sizing.describe(sized)}`);
+      continue;
+    }
+    if (ledger.cash() < sized.amount + tracker.entryFee(sized.amount)) {
+      logger.warn('BOT', `Insufficient cash for new position — $${ledger.cash().toFixed(2)} free (${sizing.describe(sized)})`);
+      continue;
+    }
+
+    // One new position per tick — the next tick sees the new cash and slots.
+    // One a risk limit refuses leaves the turn to the next opportunity.
+    if (await openPosition(opp, sized)) break;
+  }
+}
+
+// ─── Open a pairs position ────────────────────────────────────────────────────
+// false when a risk limit refused it; true once orders were sent, whatever came of them
+async function openPosition(opp, sized) {
+  const { shortCoin, longCoin, zScore, divergence, currentSpread, mean, std } = opp;
+
+  const position  = tracker.newPosition(opp, sized.amount, now());
+  position.sizing = { policy: sized.policy, ...sized.detail };
+
+  const rejection = risk.checkEntry(position, state.get('positions'));
+  if (rejection) {
+    reportRejection(position, rejection);
+    return false;
+  }
+
+  // Both legs or neither — the coordinator retries, unwinds, or reports what's left over
+  const result = await coordinator.openPair(executor, position);
+
+  if (result.status === 'FAILED') {
+    const filledAny = result.short.executedQty > 0 || result.long.executedQty > 0;
+    logger.error('OPEN', `Open ${position.key} failed — ${filledAny ? 'filled leg unwound' : 'nothing filled'}`);
+    notifier.send('open_failed', 'warn', `\`\`\`fix\n⚠️ OPEN FAILED: ${shortCoin}↓ / ${longCoin}↑ — ${filledAny ? 'filled leg unwound' : 'no fills'}\n\`\`\``);
+
+    // The round trip on the leg that did fill still cost fees and slippage
+    if (filledAny) {
+      tracker.recordEntryFills(position, result);
+      tracker.recordExitFills(position, result.unwind);
+      ledger.openPosition(position);
+      await settlePosition(position, 'UNWOUND', null);
+    }
+    return true;
+  }
+
+  tracker.recordEntryFills(position, result);
+  position.carry = carry.newCarry();
+  const entryFee = position.entryFee;
+  ledger.openPosition(position);
+
+  const positions = state.get('positions');
+  positions.push(position);
+  state.set('positions', positions);
+
+  if (result.status === 'LEGGED') {
+    tracker.recordExitFills(position, result.unwind);
+    await markLegged(position, 'open', 'UNWOUND');
+    return true;
+  }
+  await state.save();
+  tradesOpened.inc();
+
+  logger.info('OPEN', `📐 Opened: short ${shortCoin} / long ${longCoin} | z=${zScore.toFixed(2)} | div=${(divergence * 100).toFixed(3)}%`);
+
+  notifier.send('open', 'info', [
+    '```diff',
+    `+ PAIRS OPENED: ${shortCoin}↓ / ${longCoin}↑`,
+    `  Z-Score    : ${zScore.toFixed(3)}  (threshold ±${config.PAIRS_CONFIG.ENTRY_ZSCORE})`,
+    `  Divergence : ${(divergence * 100).toFixed(3)}%`,
+    `  Spread     : ${currentSpread.toFixed(6)}  (mean: ${mean.toFixed(6)}, std: ${std.toFixed(6)})`,
+    `  Hedge β    : ${position.hedgeRatio.toFixed(4)}  (${position.model})`,
+    `  Short leg  : ${shortCoin} @ $${position.entryShortPrice.toFixed(4)}  ($${position.shortAmount.toFixed(2)})`,
+    `  Long leg   : ${longCoin} @ $${position.entryLongPrice.toFixed(4)}  ($${position.longAmount.toFixed(2)})`,
+    `  Amount     : $${position.amount.toFixed(2)}  (${sizing.describe(sized)})`,
+    `  Entry fee  : $${entryFee.toFixed(4)}`,
+    `  Slippage   : $${position.entrySlippageUsd.toFixed(4)}  (short ${bps(position.entrySlippage.short)} / long ${bps(position.entrySlippage.long)})`,
+    `  Cash       : $${ledger.cash().toFixed(2)}  (reserved $${ledger.reserved().toFixed(2)})`,
+    `  Slots      : ${state.get('positions').length}/${config.MAX_POSITIONS}`,
+    '```',
+  ].join('\n'), {
+    embed: {
+      title:  `📐 Pairs opened: ${shortCoin}↓ / ${longCoin}↑`,
+      color:  'info',
+      fields: [
+        { name: 'Z-score',    value: `${zScore.toFixed(3)} (±${config.PAIRS_CONFIG.ENTRY_ZSCORE})` },
+        { name: 'Divergence', value: `${(divergence * 100).toFixed(3)}%` },
+        { name: 'Hedge β',    value: `${position.hedgeRatio.toFixed(4)} (${position.model})` },
+        { name: 'Short leg',  value: `${shortCoin} @ $${position.entryShortPrice.toFixed(4)}\n$${position.shortAmount.toFixed(2)}` },
+        { name: 'Long leg',   value: `${longCoin} @ $${position.entryLongPrice.toFixed(4)}\n$${position.longAmount.toFixed(2)}` },
+        { name: 'Amount',     value: `$${position.amount.toFixed(2)}\n${sizing.describe(sized)}` },
+        { name: 'Entry fee',  value: `$${entryFee.toFixed(4)}` },
+        { name: 'Slippage',   value: `$${position.entrySlippageUsd.toFixed(4)}\n${bps(position.entrySlippage.short)} / ${bps(position.entrySlippage.long)}` },
+        { name: 'Spread',     value: `${currentSpread.toFixed(6)}\nμ ${mean.toFixed(6)} σ ${std.toFixed(6)}` },
+      ],
+      footer:    `Cash $${ledger.cash().toFixed(2)} · ${state.get('positions').length}/${config.MAX_POSITIONS} slots`,
+      timestamp: position.openedAt,
+    },
+  });
+  return true;
+}
+
+// ─── Close a pairs position ───────────────────────────────────────────────────
+// currentZScore is null when a legged position is being flattened
+async function closePair(position, reason, currentZScore) {
+  position.closeAttempts = (position.closeAttempts || 0) + 1;
+
+  // Bring carry up to the moment of the close, while the short is still held
+  await carry.accrue([position], now(), { live: !replaying() });
+
+  const result = await coordinator.closePair(executor, position, tracker.openQty(position));
+  tracker.recordExitFills(position, result);
+
+  if (result.status === 'LEGGED') {
+    await markLegged(position, 'close', reason);
+    return;
+  }
+  await settlePosition(position, reason, currentZScore);
+}
+
+// ─── Legged position ──────────────────────────────────────────────────────────
+// Part of one leg is still held without its hedge. The position stays in the book
+// flagged LEGGED; onTick retries flattening it every LEGGED_RETRY_MS.
+async function markLegged(position, phase, reason) {
+  const firstTime = position.state !== 'LEGGED';
+  const residual  = tracker.openQty(position);
+
+  position.state  = 'LEGGED';
+  position.legged = {
+    phase,
+    reason,
+    since:       firstTime ? now() : position.legged.since,
+    lastAttempt: now(),
+    residual,
+  };
+  await state.save();
+
+  logger.error('LEGGED', `${position.key} legged on ${phase} — residual short ${position.shortCoin} ${residual.short}, long ${position.longCoin} ${residual.long}`);
+  if (!firstTime) return;
+
+  notifier.send('legged', 'critical', [
+    '```fix',
+    `⚠️ LEGGED: ${position.shortCoin}↓/${position.longCoin}↑ — ${phase} did not complete`,
+    `  Residual short : ${residual.short} ${position.shortCoin}`,
+    `  Residual long  : ${residual.long} ${position.longCoin}`,
+    `  Retrying flatten every ${(config.EXECUTION.LEGGED_RETRY_MS / 1000).toFixed(0)}s`,
+    '```',
+  ].join('\n'), {
+    embed: {
+      title:       `⚠️ Legged: ${position.shortCoin}↓ / ${position.longCoin}↑`,
+      description: `${phase} did not complete — retrying flatten every ${(config.EXECUTION.LEGGED_RETRY_MS / 1000).toFixed(0)}s`,
+      color:       'critical',
+      fields: [
+        { name: 'Residual short', value: `${residual.short} ${position.shortCoin}` },
+        { name: 'Residual long',  value: `${residual.long} ${position.longCoin}` },
+        { name: 'Reason',         value: reason },
+      ],
+    },
+  });
+}
+
+// ─── Risk limits ──────────────────────────────────────────────────────────────
+// Every refusal is logged; the log and notifications only repeat one for the same
+// relationship and reason after REJECTION_REPORT_MS
+function reportRejection(position, { reason, detail }) {
+  riskRejected.inc({ reason });
+
+  const last = rejections.get(position.key);
+  if (last && last.reason === reason && now() - last.at < REJECTION_REPORT_MS) {
+    logger.debug('RISK', `${position.key} entry refused [${reason}] — ${detail}`);
+    return;
+  }
+  rejections.set(position.key, { reason, at: now() });
+
+  logger.warn('RISK', `${position.key} entry refused [${reason}] — ${detail}`);
+  notifier.send('risk', 'warn', `\`\`\`fix\n🛡 ENTRY REFUSED: ${position.shortCoin}↓ / ${position.longCoin}↑  [${reason}]\n  ${detail}\n\`\`\``, { reason });
+}
+
+// A loss limit starting or ending halts or resumes entries; with FLATTEN_ON_HALT the
+// start also closes everything that's open
+async function enforceLossLimits() {
+  const change = risk.updateHalt(now());
+  if (!change) return;
+
+  if (change === 'resumed') {
+    logger.info('RISK', 'Loss back within limits — new entries resumed');
+    notifier.send('risk', 'info', '```diff\n+ RISK HALT LIFTED — loss back within limits, entries resumed\n```');
+    return;
+  }
+
+  const halt    = risk.halted();
+  const flatten = config.RISK.FLATTEN_ON_HALT && state.get('positions').length > 0;
+  logger.error('RISK', `Entries halted [${halt.reason}] — ${halt.detail}${flatten ? ' — flattening' : ''}`);
+  notifier.send('risk', 'critical', [
+    '```fix',
+    `🛑 RISK HALT [${halt.reason}] — no new entries`,
+    `  ${halt.detail}`,
+    flatten ? `  Closing ${state.get('positions').length} open position(s)` : '  Open positions keep their exits',
+    '```',
+  ].join('\n'), { reason: halt.reason });
+
+  if (!flatten) return;
+  for (const position of [...state.get('positions')]) {
+    await closePair(position, 'RISK_HALT', null);
+  }
+}
+
+// ─── Short-leg carry ──────────────────────────────────────────────────────────
+function accrueCarry() {
+  return queue.submit('carry', async () => {
+    try {
+      const added = await carry.accrue(state.get('positions'), now(), { live: !replaying() });
+      if (added) logger.debug('CARRY', `Accrued $${added.toFixed(4)} across open positions`);
+    } catch (err) {
+      logger.error('CARRY', `Accrual failed: ${err.message}`);
+    }
+  }, { coalesce: 'carry' });
+}
+
+// ─── Book a fully closed position ─────────────────────────────────────────────
+async function settlePosition(position, reason, currentZScore) {
+  const { unrealized, exitFee, carry: carryCost, netPnl, exitShortPrice, exitLongPrice, exitSlippage, exitSlippageUsd } = tracker.closeOut(position);
+  const closedAt    = now();
+  const durationH   = ((closedAt - position.openedAt) / 3600000).toFixed(1);
+  const wasLegged   = position.state === 'LEGGED';
+
+  ledger.closePosition(position, { unrealized, exitFee, carry: carryCost }, closedAt);
+
+  const positions = state.get('positions').filter(p => p.id !== position.id);
+  state.set('positions', positions);
+
+  const history = state.get('history');
+  history.push({
+    ...position,
+    state:        'CLOSED',
+    closedAt,
+    exitReason:   reason,
+    exitZScore:   currentZScore,
+    exitShortPrice,
+    exitLongPrice,
+    exitFee,
+    exitSlippage,
+    exitSlippageUsd,
+    carryCost,
+    netPnl,
+  });
+  state.set('history', history);
+  await state.save();
+  tradesClosed.inc({ reason });
+
+  // The trade's result after both fees — what history, analytics and sizing count
+  const tradePnl   = tracker.tradeNet({ netPnl, entryFee: position.entryFee });
+  const allTimePnl = state.get('history').reduce((s, h) => s + tracker.tradeNet(h), 0);
+  logger.info('CLOSE', `📐 Closed ${position.key} | ${reason} | PnL: $${tradePnl.toFixed(2)}`);
+
+  const sign = tradePnl >= 0 ? '+' : '-';
+  notifier.send('close', reason === 'STOP_LOSS' ? 'warn' : 'info', [
+    `\`\`\`${tradePnl >= 0 ? 'diff' : 'fix'}`,
+    `${sign} PAIRS CLOSED: ${position.shortCoin}↓/${position.longCoin}↑  [${reason}]${wasLegged ? '  (was legged)' : ''}`,
+    `  Duration     : ${durationH}h`,
+    `  Entry z      : ${position.entryZScore.toFixed(3)}`,
+    `  Exit z       : ${currentZScore !== null ? currentZScore.toFixed(3) : 'n/a'}`,
+    `  Unrealized   : $${unrealized.toFixed(4)}`,
+    `  Entry fee    : $${position.entryFee.toFixed(4)}`,
+    `  Exit fee     : $${exitFee.toFixed(4)}`,
+    `  Slippage     : $${exitSlippageUsd.toFixed(4)}  (short ${bps(exitSlippage.short)} / long ${bps(exitSlippage.long)})`,
+    `  Carry        : $${carryCost.toFixed(4)}  (${carry.describe(position.carry)})`,
+    `  Net PnL      : $${tradePnl.toFixed(2)}`,
+    `  All-time PnL : $${allTimePnl.toFixed(2)}`,
+    `  Equity       : $${ledger.equity(positions).toFixed(2)}  (cash $${ledger.cash().toFixed(2)})`,
+    `  Slots        : ${positions.length}/${config.MAX_POSITIONS}`,
+    '```',
+  ].join('\n'), {
+    reason,
+    embed: {
+      title:       `📐 Pairs closed: ${position.shortCoin}↓ / ${position.longCoin}↑`,
+      description: `**${reason}**${wasLegged ? ' (was legged)' : ''} — net ${sign}$${Math.abs(tradePnl).toFixed(2)}`,
+      color:       tradePnl >= 0 ? 'profit' : 'loss',
+      fields: [
+        { name: 'Net PnL',    value: `$${tradePnl.toFixed(2)}` },
+        { name: 'Duration',   value: `${durationH}h` },
+        { name: 'Z-score',    value: `${position.entryZScore.toFixed(3)} → ${currentZScore !== null ? currentZScore.toFixed(3) : 'n/a'}` },
+        { name: 'Short leg',  value: `${position.shortCoin} ${fmtPrice(position.entryShortPrice)} → ${fmtPrice(exitShortPrice)}` },
+        { name: 'Long leg',   value: `${position.longCoin} ${fmtPrice(position.entryLongPrice)} → ${fmtPrice(exitLongPrice)}` },
+        { name: 'Unrealized', value: `$${unrealized.toFixed(4)}` },
+        { name: 'Fees',       value: `$${position.entryFee.toFixed(4)} in / $${exitFee.toFixed(4)} out` },
+        { name: 'Slippage',   value: `$${exitSlippageUsd.toFixed(4)}\n${bps(exitSlippage.short)} / ${bps(exitSlippage.long)}` },
+        { name: 'Carry',      value: `$${carryCost.toFixed(4)}\n${carry.describe(position.carry)}` },
+      ],
+      footer: `All-time $${allTimePnl.toFixed(2)} · equity $${ledger.equity(positions).toFixed(2)} · ${positions.length}/${config.MAX_POSITIONS} slots`,
+    },
+  });
+}
+
+// Slippage fraction as basis points, e.g. 0.00032 → '3.2bps'
+function bps(fraction) {
+  return `${(fraction * 10000).toFixed(1)}bps`;
+}
+
+function fmtPrice(value) {
+  return Number.isFinite(value) ? `$${value.toFixed(4)}` : 'n/a';
+}
+
+// ─── Manual control (api.js) ──────────────────────────────────────────────────
+// Each resolves to { status, body } for the HTTP reply
+
+// Close now through the normal path — same fills, settlement and report. Idempotent:
+// a repeat while the first is waiting shares its result, and once the position is
+// closed a repeat answers with the closed trade instead of an error.
+function closePosition(id, reason = 'MANUAL') {
+  return queue.submit('close', async () => {
+    const position = state.get('positions').find(p => p.id === id);
+    if (!position) return closedTrade(id) || { status: 404, body: { error: `No open position ${id}` } };
+
+    logger.warn('API', `Manual close of ${position.key} (${id})`);
+    await closePair(position, reason, null);
+
+    const open = state.get('positions').find(p => p.id === id);
+    if (open) return { status: 202, body: { state: open.state, position: open } };
+    return closedTrade(id);
+  }, { coalesce: `close:${id}` });
+}
+
+function closedTrade(id) {
+  const trade = state.get('history').filter(h => h.id === id).pop();
+  return trade ? { status: 200, body: { state: 'CLOSED', trade } } : null;
+}
+
+function setEntriesPaused(paused) {
+  return queue.submit('control', async () => {
+    const control = state.get('control');
+    if (control.entriesPaused !== paused) {
+      state.set('control', { ...control, entriesPaused: paused });
+      await state.save();
+      logger.warn('API', `New entries ${paused ? 'paused' : 'resumed'}`);
+      notifier.send('control', 'warn', `\`\`\`fix\n${paused ? '⏸ ENTRIES PAUSED — open positions still exit normally' : '▶️ ENTRIES RESUMED'}\n\`\`\``);
+    }
+    return { status: 200, body: { entriesPaused: paused } };
+  });
+}
+
+// Disabled relationships take no new entries; an open position on one still exits
+function setRelationshipEnabled(key, enabled) {
+  return queue.submit('control', async () => {
+    const known = pairs.getRelationships().some(([a, b]) => `${a}-${b}` === key);
+    if (!known) return { status: 404, body: { error: `No active relationship ${key}` } };
+
+    const control  = state.get('control');
+    const disabled = control.disabled.filter(k => k !== key);
+    if (!enabled) disabled.push(key);
+
+    if (disabled.length !== control.disabled.length) {
+      state.set('control', { ...control, disabled });
+      await state.save();
+      logger.warn('API', `${key} ${enabled ? 'enabled' : 'disabled'} for new entries`);
+      notifier.send('control', 'warn', `\`\`\`fix\n${enabled ? '▶️' : '⏸'} ${key} ${enabled ? 'ENABLED' : 'DISABLED'} for new entries\n\`\`\``);
+    }
+    return { status: 200, body: { key, enabled, disabled } };
+  });
+}
+
+module.exports = {
+  init,
+  onTick,
+  now,
+  replaying,
+  accrueCarry,
+  closePosition,
+  setEntriesPaused,
+  setRelationshipEnabled,
+  // Run anything else that mutates state (config reload, relationship changes) in turn
+  submit: (type, fn) => queue.submit(type, fn),
+  idle:   () => queue.idle(),
+};
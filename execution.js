@@ -0,0 +1,194 @@
+'use strict';
+
+/**
+ * execution.js
+ * Order execution behind one interface — main.js doesn't care whether fills
+ * are simulated or real
+ *
+ * An executor is a plain object (EXECUTION.MODE picks one):
+ *   placeOrder({ coin, side, quoteQty | quantity, sideEffect, clientOrderId }) → order
+ *   cancelOrder(coin, orderId)  → order
+ *   getOrder(coin, orderId)     → order
+ *   getFills(coin, orderId)     → [{ price, qty, commission, commissionAsset, time }]
+ *   getBalances()               → { USDT: { free, locked, borrowed }, ... }
+ *   tradable(coin, { quantity | quoteQty }) → bool   optional — false under the exchange minimum
+ * Every method resolves to null on failure (already logged). For placeOrder, null
+ * means the order was not placed; one that was sent but can't be confirmed either
+ * way comes back with status UNKNOWN and no orderId (binance.js).
+ *
+ * order: { orderId, clientOrderId, coin, side, status, executedQty, quoteQty,
+ *          avgPrice, fee, baseFee, fills, time, reference, slippage, slippageUsd } —
+ *          status as Binance reports it (FILLED, PARTIALLY_FILLED, NEW, CANCELED,
+ *          REJECTED, EXPIRED), fee valued in USDT, baseFee the part of it charged in
+ *          the coin bought (coin units, optional — the account holds executedQty less
+ *          it), slippage vs the reference price (see orderbook.js)
+ *
+ *   'paper'   — market orders fill instantly with the taker fee, either walking the
+ *               live spot order book (PAPER_FILLS 'book') or at the last price ('last')
+ *   'binance' — live cross-margin orders (binance.js)
+ *
+ * Paper faults exercise the leg-risk handling in coordinator.js. Each fault matches
+ * the next order(s) for a coin/side (either may be omitted) — from PAPER_FAULTS or
+ * executor.injectFault():
+ *   { coin: 'KSM', side: 'BUY', type: 'reject' }            order refused (null)
+ *   { coin: 'KSM', type: 'partial', fill: 0.4, times: 2 }   40% fills, rest EXPIRED
+ *   { type: 'timeout' }                                      order rests as NEW, never fills
+ */
+
+const config    = require('./config');
+const logger    = require('./logger');
+const pairs     = require('./pairs');
+const ledger    = require('./ledger');
+const sourcer   = require('./sourcer');
+const orderbook = require('./orderbook');
+
+const PAPER_ORDERS_KEPT = 1000; // recent paper orders queryable by id
+
+// ─── Paper executor ───────────────────────────────────────────────────────────
+function createPaperExecutor(options = {}) {
+  const feeRate   = options.feeRate !== undefined ? options.feeRate : config.TAKER_FEE;
+  const fillMode  = options.fills || config.EXECUTION.PAPER_FILLS;
+  const bookDepth = options.bookDepth || config.EXECUTION.BOOK_DEPTH;
+  const faults    = (options.faults || config.EXECUTION.PAPER_FAULTS || []).map(f => ({ ...f }));
+  const orders    = new Map();
+  let seq         = 0;
+
+  // Next fault matching this order, used up after `times` orders (default 1)
+  function takeFault(coin, side) {
+    const i = faults.findIndex(f => (!f.coin || f.coin === coin) && (!f.side || f.side === side));
+    if (i < 0) return null;
+    const fault = faults[i];
+    fault.times = (fault.times || 1) - 1;
+    if (fault.times <= 0) faults.splice(i, 1);
+    return fault;
+  }
+
+  // Fills from walking the spot book for the order's size; null → use the last price
+  async function bookFills(coin, side, size) {
+    const book = await sourcer.getOrderBook(coin, 'spot', bookDepth);
+    if (!book) {
+      logger.warn('EXEC', `No order book for ${coin} — paper fill at last price`);
+      return null;
+    }
+
+    const levels = side === 'BUY' ? book.asks : book.bids;
+    if (!levels.length) {
+      logger.warn('EXEC', `${coin} order book has no ${side === 'BUY' ? 'asks' : 'bids'} — paper fill at last price`);
+      return null;
+    }
+    const result = orderbook.walk(levels, size);
+
+    // The snapshot ran out before the order did — the rest fills at the deepest level seen
+    if (!result.complete) {
+      const worst = levels[levels.length - 1][0];
+      const rest  = size.quantity ? size.quantity - result.qty : (size.quoteQty - result.quote) / worst;
+      result.fills.push({ price: worst, qty: rest });
+      logger.warn('EXEC', `${side} ${coin} larger than ${levels.length} book levels — remainder filled at $${worst}`);
+    }
+    return { fills: result.fills, reference: orderbook.midPrice(book) };
+  }
+
+  function find(coin, orderId) {
+    const order = orders.get(orderId);
+    if (!order || order.coin !== coin) {
+      logger.error('EXEC', `Paper order ${coin} #${orderId} not found`);
+      return null;
+    }
+    return order;
+  }
+
+  return {
+    name: 'paper',
+
+    injectFault(fault) {
+      faults.push({ ...fault });
+    },
+
+    async placeOrder({ coin, side, quoteQty, quantity, clientOrderId }) {
+      const last = pairs.latestPrice[coin];
+      if (!last) {
+        logger.error('EXEC', `Paper ${side} ${coin}: no price yet`);
+        return null;
+      }
+
+      const fault = takeFault(coin, side);
+      if (fault && fault.type === 'reject') {
+        logger.warn('EXEC', `Paper fault: ${side} ${coin} rejected`);
+        return null;
+      }
+
+      const sim = fillMode === 'book' ? await bookFills(coin, side, { quoteQty, quantity }) : null;
+      const levels    = sim ? sim.fills : [{ price: last, qty: quantity || quoteQty / last }];
+      const reference = sim ? sim.reference : last;
+
+      // partial: every level shrinks to the filled fraction; timeout: nothing fills
+      const share  = !fault ? 1 : fault.type === 'partial' ? fault.fill : 0;
+      const status = !fault ? 'FILLED' : fault.type === 'partial' ? 'EXPIRED' : 'NEW';
+      if (fault) logger.warn('EXEC', `Paper fault: ${side} ${coin} ${fault.type} → ${status}`);
+
+      const time  = Date.now();
+      const fills = share === 0 ? [] : levels.map(({ price, qty }) => ({
+        price, qty: qty * share, commission: price * qty * share * feeRate, commissionAsset: 'USDT', time,
+      }));
+      const executedQty = fills.reduce((s, f) => s + f.qty, 0);
+      const quote       = fills.reduce((s, f) => s + f.price * f.qty, 0);
+
+      const order = orderbook.applySlippage({
+        orderId:       ++seq,
+        clientOrderId: clientOrderId || `paper-${seq}`,
+        coin,
+        side,
+        status,
+        executedQty,
+        quoteQty:      quote,
+        avgPrice:      executedQty > 0 ? quote / executedQty : 0,
+        fee:           fills.reduce((s, f) => s + f.commission, 0),
+        fills,
+        time,
+      }, reference);
+
+      orders.set(order.orderId, order);
+      if (orders.size > PAPER_ORDERS_KEPT) orders.delete(orders.keys().next().value);
+      return { ...order };
+    },
+
+    // Paper market orders settle on placement; only a 'timeout' fault leaves one working
+    async cancelOrder(coin, orderId) {
+      const order = find(coin, orderId);
+      if (!order) return null;
+      if (order.status === 'NEW' || order.status === 'PARTIALLY_FILLED') order.status = 'CANCELED';
+      return { ...order };
+    },
+
+    async getOrder(coin, orderId) {
+      const order = find(coin, orderId);
+      return order ? { ...order } : null;
+    },
+
+    async getFills(coin, orderId) {
+      const order = find(coin, orderId);
+      return order ? order.fills.map(f => ({ ...f })) : null;
+    },
+
+    // The paper wallet is the bot's own ledger — reserved notional counts as locked
+    async getBalances() {
+      return { USDT: { free: ledger.cash(), locked: ledger.reserved(), borrowed: 0 } };
+    },
+  };
+}
+
+// ─── Executor for the configured mode ────────────────────────────────────────
+function create(mode = config.EXECUTION.MODE) {
+  if (mode === 'paper') return createPaperExecutor();
+  if (mode === 'binance') {
+    return require('./binance').createBinanceExecutor({
+      baseUrl:    config.EXECUTION.BASE_URL,
+      apiKey:     process.env.BINANCE_API_KEY,
+      secret:     process.env.BINANCE_SECRET,
+      recvWindow: config.EXECUTION.RECV_WINDOW,
+    });
+  }
+  throw new Error(`Unknown EXECUTION.MODE "${mode}" (expected 'paper' or 'binance')`);
+}
+
+module.exports = { create, createPaperExecutor };
@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * kalman.js
+ * Two-state Kalman filter for a dynamic pairs hedge
+ *
+ *   observation : log A = α + β·log B + ε     ε ~ N(0, OBS_VAR)
+ *   state       : [α, β] random walk           w ~ N(0, δ/(1−δ)·I)
+ *
+ * Each update records the one-step innovation e (how far log A landed from
+ * the filter's prediction) and its variance Q. The trading signal is the
+ * spread against θ = [α, β] — see pairs.js getKalmanScore().
+ * Filter state is a plain object so it can be persisted as JSON.
+ */
+
+// ─── Fresh filter ─────────────────────────────────────────────────────────────
+// Starts uncertain (P = I) so the first few bars pull α and β in quickly
+function create(beta = 1) {
+  return {
+    theta: [0, beta],
+    P:     [[1, 0], [0, 1]],
+    e:     0,
+    Q:     0,
+    n:     0,
+    ts:    null,
+  };
+}
+
+// ─── One predict + update step ────────────────────────────────────────────────
+// a = log A (observation), b = log B (regressor). Mutates and returns `kf`.
+function update(kf, a, b, params, ts = Date.now()) {
+  const vw = params.DELTA / (1 - params.DELTA);
+  const ve = params.OBS_VAR;
+  const x  = [1, b];
+
+  // Predict: state carries over, covariance grows by process noise
+  const R = [
+    [kf.P[0][0] + vw, kf.P[0][1]],
+    [kf.P[1][0],      kf.P[1][1] + vw],
+  ];
+
+  // Innovation and its variance
+  const yhat = x[0] * kf.theta[0] + x[1] * kf.theta[1];
+  const e    = a - yhat;
+  const Rx   = [R[0][0] * x[0] + R[0][1] * x[1], R[1][0] * x[0] + R[1][1] * x[1]];
+  const Q    = x[0] * Rx[0] + x[1] * Rx[1] + ve;
+
+  // Update
+  const K = [Rx[0] / Q, Rx[1] / Q];
+  kf.theta = [kf.theta[0] + K[0] * e, kf.theta[1] + K[1] * e];
+  kf.P = [
+    [R[0][0] - K[0] * Rx[0], R[0][1] - K[0] * Rx[1]],
+    [R[1][0] - K[1] * Rx[0], R[1][1] - K[1] * Rx[1]],
+  ];
+
+  kf.e  = e;
+  kf.Q  = Q;
+  kf.n += 1;
+  kf.ts = ts;
+  return kf;
+}
+
+module.exports = { create, update };
@@ -0,0 +1,245 @@
+'use strict';
+
+/**
+ * ledger.js
+ * Double-entry ledger — every movement of money is an entry whose postings sum to zero
+ *
+ *   ledger.openPosition(position);            // reserve its notional, pay the entry fee
+ *   ledger.closePosition(position, closeOut); // release it, book PnL, exit fee and carry
+ *   ledger.cash(); ledger.reserved(); ledger.equity();
+ *
+ * Accounts (a positive posting is a debit):
+ *   cash             free to trade with
+ *   margin           reserved by open positions — each one's notional, from open to close
+ *   equity:capital   deposits (credit)
+ *   income:pnl       realized price moves of the legs (credit is a gain)
+ *   expense:fees     entry and exit fees
+ *   expense:carry    borrow interest / funding, booked when the position closes
+ *
+ * Cash, reserved capital and equity (cash + reserved + unrealized PnL of what's open)
+ * are all derived from the entries in state.get('ledger'); nothing else holds a balance.
+ * createBook() gives the same accounts over an in-memory list — backtest.js books
+ * its simulated trades through one, so replay and live money follow the same rules.
+ *
+ * init() runs at boot: a new state gets its INITIAL_BALANCE deposit, a bot_state.json
+ * from before the ledger (a single `balance` number) is rebuilt from its trades, and
+ * check() confirms every entry balances and reserved margin matches the open positions.
+ */
+
+const fs      = require('fs');
+const path    = require('path');
+const config  = require('./config');
+const logger  = require('./logger');
+const tracker = require('./tracker');
+
+// Loaded on first use: state.js starts its save timer when required, and an
+// in-memory book (backtest.js) must never write bot_state.json
+const state = () => require('./state');
+
+const CASH    = 'cash';
+const MARGIN  = 'margin';
+const CAPITAL = 'equity:capital';
+const PNL     = 'income:pnl';
+const FEES    = 'expense:fees';
+const CARRY   = 'expense:carry';
+
+const EPSILON = 1e-6; // float dust a balanced entry may carry
+
+// ─── Book ─────────────────────────────────────────────────────────────────────
+// Accounts over one list of entries. store() returns the list to read and append to —
+// the bot's book is state.get('ledger'); without a store the book keeps its own.
+function createBook(store) {
+  const own     = [];
+  const entries = store || (() => own);
+
+  // Account totals, rebuilt when the list was replaced or entries were added since
+  let cache = { list: null, count: -1, totals: {}, byRef: {} };
+
+  // postings: { account: amount } summing to zero; zero amounts are left out
+  function post(type, postings, { ref = null, memo = null, ts = Date.now() } = {}) {
+    const lines = {};
+    for (const [account, amount] of Object.entries(postings)) {
+      if (!Number.isFinite(amount)) throw new Error(`Ledger ${type}: ${account} amount ${amount} is not a number`);
+      if (amount !== 0) lines[account] = (lines[account] || 0) + amount;
+    }
+    const sum = Object.values(lines).reduce((s, v) => s + v, 0);
+    if (Math.abs(sum) > EPSILON) throw new Error(`Ledger ${type} doesn't balance: ${JSON.stringify(lines)}`);
+    if (!Object.keys(lines).length) return null;
+
+    const list  = entries();
+    const entry = { seq: list.length + 1, ts, type, ref, memo, postings: lines };
+    list.push(entry);
+    return entry;
+  }
+
+  function totals() {
+    const list = entries();
+    if (cache.list === list && cache.count === list.length) return cache;
+
+    const sums  = {};
+    const byRef = {}; // position id → margin still reserved
+    for (const { ref, postings } of list) {
+      for (const [account, amount] of Object.entries(postings)) {
+        sums[account] = (sums[account] || 0) + amount;
+        if (account === MARGIN && ref) byRef[ref] = (byRef[ref] || 0) + amount;
+      }
+    }
+    cache = { list, count: list.length, totals: sums, byRef };
+    return cache;
+  }
+
+  const balance  = account => totals().totals[account] || 0;
+  const cash     = () => balance(CASH);
+  const reserved = () => balance(MARGIN);
+
+  // Margin a position still holds
+  const reservedFor = id => totals().byRef[id] || 0;
+
+  const equity = positions => cash() + reserved() + positions.reduce((s, p) => s + tracker.unrealizedPnl(p), 0);
+
+  function deposit(amount, memo = 'deposit', ts) {
+    return post('deposit', { [CASH]: amount, [CAPITAL]: -amount }, { memo, ts });
+  }
+
+  // Notional moves from cash to margin; the entry fee is paid from cash
+  function openPosition(position, ts = position.openedAt) {
+    post('reserve', { [MARGIN]: position.amount, [CASH]: -position.amount }, { ref: position.id, memo: position.key, ts });
+    post('fee',     { [FEES]: position.entryFee, [CASH]: -position.entryFee }, { ref: position.id, memo: 'entry', ts });
+  }
+
+  // closeOut: tracker.closeOut() — unrealized is the legs' price move before fees and carry
+  function closePosition(position, { unrealized, exitFee, carry }, ts = Date.now()) {
+    const held = reservedFor(position.id);
+    const opts = { ref: position.id, memo: position.key, ts };
+    post('release', { [CASH]: held, [MARGIN]: -held }, opts);
+    post('pnl',     { [CASH]: unrealized, [PNL]: -unrealized }, opts);
+    post('fee',     { [FEES]: exitFee, [CASH]: -exitFee }, { ...opts, memo: 'exit' });
+    post('carry',   { [CARRY]: carry, [CASH]: -carry }, opts);
+  }
+
+  // Problems found, empty when the book agrees with itself and with the trade records
+  function check(positions, history) {
+    const errors = [];
+    const money  = v => `$${v.toFixed(4)}`;
+
+    for (const entry of entries()) {
+      const sum = Object.values(entry.postings).reduce((s, v) => s + v, 0);
+      if (Math.abs(sum) > EPSILON) errors.push(`entry #${entry.seq} (${entry.type}) is off by ${money(sum)}`);
+    }
+
+    for (const p of positions) {
+      const held = reservedFor(p.id);
+      if (Math.abs(held - p.amount) > EPSILON) errors.push(`open ${p.id} holds ${money(held)} margin, expected ${money(p.amount)}`);
+    }
+    for (const h of history) {
+      const held = reservedFor(h.id);
+      if (Math.abs(held) > EPSILON) errors.push(`closed ${h.id} still holds ${money(held)} margin`);
+    }
+
+    const openMargin = positions.reduce((s, p) => s + p.amount, 0);
+    if (Math.abs(reserved() - openMargin) > EPSILON) {
+      errors.push(`margin account ${money(reserved())} ≠ open positions ${money(openMargin)}`);
+    }
+
+    // What trading made per the book vs per the trade records
+    const booked  = -balance(PNL) - balance(FEES) - balance(CARRY);
+    const records = history.reduce((s, h) => s + h.netPnl, 0) - [...positions, ...history].reduce((s, p) => s + p.entryFee, 0);
+    if (Math.abs(booked - records) > 1e-4) errors.push(`ledger result ${money(booked)} ≠ trade records ${money(records)}`);
+    return errors;
+  }
+
+  return { entries, post, balance, cash, reserved, reservedFor, equity, deposit, openPosition, closePosition, check };
+}
+
+// ─── The bot's ledger ─────────────────────────────────────────────────────────
+const book = createBook(() => state().get('ledger'));
+
+const { post, deposit, openPosition, closePosition, cash, reserved, reservedFor } = book;
+
+const equity = (positions = state().get('positions')) => book.equity(positions);
+
+const check = (positions = state().get('positions'), history = state().get('history')) => book.check(positions, history);
+
+// Deposits, and what trading has made of them since
+function summary() {
+  return {
+    cash:     cash(),
+    reserved: reserved(),
+    equity:   equity(),
+    deposits: -book.balance(CAPITAL),
+    realized: -book.balance(PNL),
+    fees:     book.balance(FEES),
+    carry:    book.balance(CARRY),
+    entries:  book.entries().length,
+  };
+}
+
+// ─── Boot ─────────────────────────────────────────────────────────────────────
+// Seeds or migrates the ledger, then checks it — returns { migrated, errors }
+function init() {
+  let migrated = null;
+  if (!Array.isArray(state().get('ledger'))) {
+    state().set('ledger', []);
+    if (typeof state().get('balance') === 'number') {
+      migrated = migrate();
+    } else {
+      deposit(config.INITIAL_BALANCE, 'initial balance', state().get('startedAt'));
+    }
+  }
+
+  const errors = check();
+  for (const err of errors) logger.error('LEDGER', err);
+  return { migrated, errors };
+}
+
+// Rebuilds entries for a state saved before the ledger, from its trades. The old close
+// credited the position amount back without ever taking it, so the saved balance ran
+// ahead by every closed trade's amount — that much is dropped. The deposit is rebuilt
+// from today's INITIAL_BALANCE, though, which may not be what the old state started
+// from (or its balance was edited by hand); whatever the trades don't account for is
+// posted as an adjustment against capital, so equity carries on from the old balance.
+function migrate() {
+  const legacy    = state().get('balance');
+  const positions = state().get('positions');
+  const history   = state().get('history');
+
+  // A copy of the file as it was, before the next save rewrites it
+  const file = path.join(config.STATE_DIR, 'bot_state.json');
+  if (fs.existsSync(file)) fs.copyFileSync(file, path.join(config.STATE_DIR, 'bot_state.pre-ledger.json'));
+
+  // Trades closed before exitFee was recorded paid the old flat fee on both legs
+  const exitFee = h => h.exitFee !== undefined ? h.exitFee : h.amount * 2 * config.TAKER_FEE;
+
+  const start  = Math.min(state().get('startedAt') || Date.now(), ...[...positions, ...history].map(p => p.openedAt));
+  const events = [
+    ...[...history, ...positions].map(p => ({ ts: p.openedAt, book: () => openPosition(p) })),
+    ...history.map(h => ({
+      ts:   h.closedAt,
+      book: () => closePosition(h, { unrealized: h.netPnl + exitFee(h) + (h.carryCost || 0), exitFee: exitFee(h), carry: h.carryCost || 0 }, h.closedAt),
+    })),
+  ].sort((a, b) => a.ts - b.ts);
+
+  deposit(config.INITIAL_BALANCE, 'initial balance (migrated)', start);
+  events.forEach(e => e.book());
+
+  // The balance the old accounting would show for these trades from this deposit
+  const oldRules = cash() + reserved() + history.reduce((s, h) => s + h.amount, 0);
+  const unexplained = legacy - oldRules;
+  if (Math.abs(unexplained) > 0.01) {
+    post('adjustment', { [CASH]: unexplained, [CAPITAL]: -unexplained }, { memo: 'migration: saved balance not explained by INITIAL_BALANCE and trades' });
+  }
+
+  state().set('balance', undefined);
+  state().set('migratedFrom', { balance: legacy, at: Date.now(), unexplained });
+
+  logger.warn('LEDGER', `Migrated bot_state.json to the ledger — saved balance $${legacy.toFixed(2)} → cash $${cash().toFixed(2)} + reserved $${reserved().toFixed(2)}` +
+    ` (${history.length} trades, ${positions.length} open)${Math.abs(unexplained) > 0.01 ? `; $${unexplained.toFixed(2)} kept as an adjustment` : ''}`);
+  return { balance: legacy, cash: cash(), reserved: reserved(), unexplained };
+}
+
+module.exports = {
+  createBook,
+  init, check, post, deposit, openPosition, closePosition,
+  cash, reserved, reservedFor, equity, summary,
+  ACCOUNTS: { CASH, MARGIN, CAPITAL, PNL, FEES, CARRY },
+};
@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * ledger.test.js
+ * Migration of a pre-ledger bot_state.json — run with `npm test`
+ *
+ * A state with only the old `balance` number is rebuilt into ledger entries by
+ * init(), from a saved file in a temporary STATE_DIR. The balances are checked
+ * against what the old accounting did to `balance`: entry fees out at the open,
+ * amount + netPnl in at the close, the open notional never taken. Exits 1 on
+ * the first failure.
+ */
+
+const assert = require('assert');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+process.env.LOG_LEVEL     = process.env.LOG_LEVEL || 'ERROR';
+process.env.BOT_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+
+const config = require('./config');
+const state  = require('./state');
+const ledger = require('./ledger');
+
+const tests = [];
+const test  = (name, fn) => tests.push({ name, fn });
+
+const close = (a, b) => Math.abs(a - b) < 1e-6;
+const T0    = Date.UTC(2024, 0, 1);
+const HOUR  = 3600000;
+
+// Two closed trades — one from before exitFee was recorded — and one still open
+const HISTORY = [
+  { id: 'h1', key: 'AAA-BBB', amount: 2000, entryFee: 0.8, exitFee: 0.8, carryCost: 1, netPnl: 50, openedAt: T0, closedAt: T0 + 5 * HOUR },
+  { id: 'h2', key: 'CCC-DDD', amount: 1000, entryFee: 0.4, netPnl: -20, openedAt: T0 + HOUR, closedAt: T0 + 3 * HOUR },
+];
+const POSITIONS = [
+  { id: 'p1', key: 'EEE-FFF', amount: 1500, entryFee: 0.6, openedAt: T0 + 4 * HOUR, shortCoin: 'EEE', longCoin: 'FFF' },
+];
+
+// What the old code left in `balance` after these trades, starting from `initial`
+const legacyBalance = initial => initial
+  - [...HISTORY, ...POSITIONS].reduce((s, p) => s + p.entryFee, 0)
+  + HISTORY.reduce((s, h) => s + h.amount + h.netPnl, 0);
+
+// Saves a legacy state to STATE_DIR and loads it the way the bot boots
+async function bootLegacy(balance) {
+  const file = path.join(config.STATE_DIR, 'bot_state.json');
+  fs.writeFileSync(file, JSON.stringify({ balance, positions: POSITIONS, history: HISTORY, startedAt: T0 }));
+  state.set('ledger', undefined);
+  await state.load();
+  return ledger.init();
+}
+
+// ─── Migration ────────────────────────────────────────────────────────────────
+test('a legacy balance becomes a ledger that checks clean, less the closed amounts the old close made up', async () => {
+  config.INITIAL_BALANCE = 10000;
+  const legacy = legacyBalance(10000);
+  assert.ok(close(legacy, 13028.2)); // 10000 − 1.80 fees + 2050 + 980
+
+  const { migrated, errors } = await bootLegacy(legacy);
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(ledger.check(), []);
+  assert.strictEqual(migrated.unexplained, 0);
+
+  // Nothing is marked (no prices), so equity is cash + reserved: what the trades really
+  // made, 10000 − 1.80 + 50 − 20, which is the old balance without the 3000 credited twice
+  assert.ok(close(ledger.reserved(), 1500));
+  assert.ok(close(ledger.cash(), 10028.2 - 1500), `cash ${ledger.cash()}`);
+  assert.ok(close(ledger.equity(), legacy - 3000), `equity ${ledger.equity()}`);
+
+  const s = ledger.summary();
+  assert.ok(close(s.deposits, 10000));
+  assert.ok(close(s.fees, 1.8 + 0.8 + 1000 * 2 * config.TAKER_FEE), `fees ${s.fees}`); // h2 paid the old flat exit fee
+  assert.ok(close(s.carry, 1));
+  assert.ok(!state.get('ledger').some(e => e.type === 'adjustment'));
+
+  // The old balance is gone from state, kept in migratedFrom and in a copy of the file
+  assert.strictEqual(state.get('balance'), undefined);
+  assert.ok(close(state.get('migratedFrom').balance, legacy));
+  assert.ok(fs.existsSync(path.join(config.STATE_DIR, 'bot_state.pre-ledger.json')));
+});
+
+test('a balance the trades do not explain is kept as an adjustment to capital', async () => {
+  // The state was started when INITIAL_BALANCE was 12000; the config now says 10000
+  config.INITIAL_BALANCE = 10000;
+  const legacy = legacyBalance(12000);
+
+  const { migrated, errors } = await bootLegacy(legacy);
+  assert.deepStrictEqual(errors, []);
+  assert.ok(close(migrated.unexplained, 2000));
+
+  const [adjustment] = state.get('ledger').filter(e => e.type === 'adjustment');
+  assert.deepStrictEqual(adjustment.postings, { cash: 2000, 'equity:capital': -2000 });
+  assert.ok(close(ledger.summary().deposits, 12000));
+  assert.ok(close(ledger.equity(), legacy - 3000));
+});
+
+test('a state that already has a ledger is not migrated again', async () => {
+  const entries = state.get('ledger').length;
+  const { migrated, errors } = ledger.init();
+  assert.strictEqual(migrated, null);
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(state.get('ledger').length, entries);
+});
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+(async () => {
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (err) {
+      console.log(`  ✗ ${name}\n    ${err.message}`);
+      fs.rmSync(process.env.BOT_STATE_DIR, { recursive: true, force: true });
+      process.exit(1);
+    }
+  }
+  fs.rmSync(process.env.BOT_STATE_DIR, { recursive: true, force: true });
+  console.log(`✅ ${tests.length} passed`);
+  process.exit(0);
+})();
@@ -11,204 +11,230 @@
  *   Exit when the ratio converges back toward the mean (EXIT_ZSCORE),
  *   or stop-loss / time-limit / overshoot triggers.
  *
- * Exchange : Binance (paper trading — no real orders)
+ * Exchange : Binance — paper fills or live cross-margin orders (EXECUTION.MODE)
  * Data     : Binance spot WebSocket + REST fallback
  */
 
-const monitor  = require('./monitor');
-const discord  = require('./discord');
-const logger   = require('./logger');
-const state    = require('./state');
-const config   = require('./config');
-const pairs    = require('./pairs');
-const tracker  = require('./tracker');
-const sourcer  = require('./sourcer');
+const monitor     = require('./monitor');
+const notifier    = require('./notifier');
+const logger      = require('./logger');
+const state       = require('./state');
+const config      = require('./config');
+const settings    = require('./settings');
+const pairs       = require('./pairs');
+const tracker     = require('./tracker');
+const sourcer     = require('./sourcer');
+const discovery   = require('./discovery');
+const duration    = require('./duration');
+const execution   = require('./execution');
+const engine      = require('./engine');
+const ledger      = require('./ledger');
+const analytics   = require('./analytics');
+const risk        = require('./risk');
+const api         = require('./api');
+const metrics     = require('./metrics');
+
+// Order executor for EXECUTION.MODE — created at boot so a bad config fails loudly
+let executor = null;
+
+// ─── Metrics ──────────────────────────────────────────────────────────────────
+metrics.gauge('pairsbot_balance_usd', 'Cash free to trade with (ledger)', () => ledger.cash());
+metrics.gauge('pairsbot_reserved_usd', 'Notional reserved by open positions (ledger)', () => ledger.reserved());
+metrics.gauge('pairsbot_equity_usd', 'Cash plus reserved plus unrealized PnL of open positions', () => ledger.equity());
+metrics.gauge('pairsbot_open_positions', 'Open positions, by state',
+  () => ['OPEN', 'LEGGED'].map(st => ({ labels: { state: st }, value: state.get('positions').filter(p => (p.state || 'OPEN') === st).length })));
+metrics.gauge('pairsbot_max_positions', 'Position slots (MAX_POSITIONS)', () => config.MAX_POSITIONS);
+metrics.gauge('pairsbot_entries_paused', '1 while new entries are paused', () => (state.get('control').entriesPaused ? 1 : 0));
+metrics.gauge('pairsbot_zscore', 'Spread z-score of the last closed bar, per relationship', () => spreadSeries(z => z.zScore));
+metrics.gauge('pairsbot_divergence', 'Log-spread distance from its mean, per relationship', () => spreadSeries(z => Math.abs(z.current - z.mean)));
+
+// One series per relationship with a score (warming-up ones are left out)
+function spreadSeries(pick) {
+  return pairs.getRelationships().flatMap(([coinA, coinB]) => {
+    const z = pairs.getZScore(coinA, coinB);
+    return z ? [{ labels: { relationship: `${coinA}-${coinB}` }, value: pick(z) }] : [];
+  });
+}
 
 // ─── Boot ─────────────────────────────────────────────────────────────────────
 async function boot() {
   logger.info('BOT', '🚀 Pairs Trading Bot starting...');
 
-  await state.load();
-  logger.info('BOT', `💾 State restored — balance: $${state.get('balance').toFixed(2)}`);
+  // A replay starts from an empty book in its own REPLAY_STATE_DIR (settings.js)
+  const replay = process.env.REPLAY_FILE;
+  if (replay) logger.warn('BOT', `Replay mode — state kept in ${config.STATE_DIR}, starting empty; notifications off`);
+  else await state.load();
+
+  // Seeds a new ledger or rebuilds one from a pre-ledger state file, then checks it.
+  // A ledger that disagrees with the trades is reported, not fatal — the trades stand.
+  const books = ledger.init();
+  if (books.migrated) await state.save();
+  if (books.errors.length) {
+    notifier.send('error', 'error', `\`\`\`fix\n⚠️ LEDGER CHECK FAILED (${books.errors.length})\n${books.errors.slice(0, 10).join('\n')}\n\`\`\``);
+  }
+  logger.info('BOT', `💾 ${replay ? 'Empty book' : 'State restored'} — equity: $${ledger.equity().toFixed(2)} (cash $${ledger.cash().toFixed(2)}, reserved $${ledger.reserved().toFixed(2)})`);
+
+  // A replay never sends real orders, and today's order book says nothing about replayed prices
+  executor = replay ? execution.createPaperExecutor({ fills: 'last' }) : execution.create();
+  logger.info('BOT', `Execution: ${executor.name}`);
+  engine.init(executor);
+
+  // Load (or refresh) cointegrated relationships before anything subscribes
+  await refreshRelationships(true);
+
+  // A replay builds its models, bars and curve from the recording alone — restoring the
+  // live ones would put its bar clock ahead of every replayed tick
+  let restored = null;
+  if (!replay) {
+    // Resume Kalman filters where they left off; saved alongside bot_state.json
+    pairs.importModels(state.loadSidecar('pairs_models'));
+    state.registerSidecar('pairs_models', pairs.exportModels);
+
+    // Rebuild the rolling windows from the last snapshot; klines only fill the gap since
+    restored = pairs.importHistory(state.loadSidecar('pairs_history', { gzip: true }));
+    state.registerSidecar('pairs_history', pairs.exportHistory, { gzip: true });
+
+    // Equity curve for analytics.js — sampled below, saved alongside bot_state.json
+    analytics.importCurve(state.loadSidecar('equity_curve', { gzip: true }));
+    state.registerSidecar('equity_curve', analytics.exportCurve, { gzip: true });
+  }
 
-  // Startup Discord ping
+  // Startup notification
   const positions  = state.get('positions');
   const history    = state.get('history');
-  const allTimePnl = history.reduce((s, h) => s + h.netPnl, 0);
+  const allTimePnl = history.reduce((s, h) => s + tracker.tradeNet(h), 0);
 
-  await discord.send([
+  notifier.send('startup', 'info', [
     '```',
     '🟢 PAIRS TRADING BOT ONLINE',
-    `Balance     : $${state.get('balance').toFixed(2)}`,
+    `Equity      : $${ledger.equity().toFixed(2)}  (cash $${ledger.cash().toFixed(2)}, reserved $${ledger.reserved().toFixed(2)})`,
     `All-time PnL: $${allTimePnl.toFixed(2)} (${history.length} trades)`,
     `Open slots  : ${positions.length}/${config.MAX_POSITIONS}`,
-    `Pairs       : ${config.PAIRS_CONFIG.relationships.length} relationships monitored`,
+    `Pairs       : ${pairs.getRelationships().length} relationships monitored${config.DISCOVERY.ENABLED ? ` (discovery: ${config.DISCOVERY.MODE})` : ''}`,
     `Entry z     : ±${config.PAIRS_CONFIG.ENTRY_ZSCORE}  |  Exit z: ±${config.PAIRS_CONFIG.EXIT_ZSCORE}`,
     `Min diverg  : ${(config.PAIRS_CONFIG.MIN_DIVERGENCE * 100).toFixed(1)}%`,
-    `Mode        : Paper Trading`,
+    `History     : ${restored ? `${restored.bars} bars restored (${((restored.to - restored.from + pairs.BAR_MS) / 3600000).toFixed(1)}h), ${restored.ready} pairs ready` : 'none restored'}`,
+    `Mode        : ${executor.name === 'paper' ? 'Paper Trading' : `LIVE (${executor.name})`}`,
     `Time        : ${new Date().toISOString()}`,
     '```',
   ].join('\n'));
 
   if (positions.length > 0) {
-    await discord.send(buildPositionsBlock(positions));
+    notifier.send('startup', 'info', buildPositionsBlock(positions));
   }
 
-  // Seed pairs engine with current prices so warmup starts immediately
-  logger.info('BOT', `Seeding prices for ${config.PAIRS.length} coins...`);
-  await Promise.all(config.PAIRS.map(async (coin) => {
-    try {
-      const spot = await sourcer.getSpotPrice(coin);
-      if (spot) pairs.onPrice(coin, spot.price);
-    } catch (_) {}
-  }));
-  logger.info('BOT', 'Price seed complete — starting WebSocket monitor');
-
-  // Start real-time monitor — feeds pairs engine and calls onTick
-  monitor.start(onTick);
+  // Replay a tick recording instead of streaming live (REPLAY_FILE=path, REPLAY_SPEED=10)
+  if (replay) {
+    const speed = process.env.REPLAY_SPEED !== undefined ? parseFloat(process.env.REPLAY_SPEED) : 1;
+    logger.warn('BOT', `Replay mode — ticks come from ${replay}, not Binance`);
+    monitor.start(engine.onTick, { replay, speed });
+  } else {
+    // Backfill the full lookback from klines so signals are live within seconds
+    if (config.PAIRS_CONFIG.WARMUP_FROM_KLINES) await warmupFromKlines();
+
+    // Seed pairs engine with current prices so warmup starts immediately
+    logger.info('BOT', `Seeding prices for ${pairs.monitoredCoins.size} coins...`);
+    await Promise.all([...pairs.monitoredCoins].map(async (coin) => {
+      try {
+        const spot = await sourcer.getSpotPrice(coin);
+        if (spot) pairs.onPrice(coin, spot.price);
+      } catch (_) {}
+    }));
+    logger.info('BOT', 'Price seed complete — starting WebSocket monitor');
+
+    // Start real-time monitor — feeds pairs engine and queues a tick for engine.js
+    monitor.start(engine.onTick);
+  }
 
-  // Periodic pairs status to Discord every 30 minutes
+  // Periodic pairs status every 30 minutes
   setInterval(sendPairsStatus, config.PAIRS_CONFIG.STATUS_INTERVAL_MS);
 
-  // Send initial status immediately (shows warmup progress)
-  await sendPairsStatus();
-}
+  // Borrow interest / funding on the short legs
+  setInterval(engine.accrueCarry, config.CARRY.ACCRUE_INTERVAL_MS);
 
-// ─── Real-time tick handler ───────────────────────────────────────────────────
-// Called by monitor.js on every price update for any coin
-async function onTick(coin, price) {
-  // pairs.onPrice() is already called by monitor.js before this fires —
-  // we only need to act on signals here
-
-  // ── Check exits on all open positions ──────────────────────────────────────
-  const openPositions = state.get('positions');
-  for (const pos of openPositions) {
-    // Only check the position if the updated coin is one of its two legs
-    if (pos.shortCoin !== coin && pos.longCoin !== coin) continue;
-
-    const exit = pairs.checkExit(pos);
-    if (exit) {
-      await closePosition(pos, exit.reason, exit.zScore);
-    }
+  // Equity curve samples, and the daily summary once it's due
+  setInterval(sampleEquity, config.ANALYTICS.SAMPLE_INTERVAL_MS);
+  sampleEquity();
+
+  // Periodic re-discovery of cointegrated relationships
+  if (config.DISCOVERY.ENABLED) {
+    setInterval(() => refreshRelationships(false), config.DISCOVERY.REFRESH_MS);
   }
 
-  // ── Scan for new entries if slots are available ─────────────────────────────
-  const slotsOpen = config.MAX_POSITIONS - state.get('positions').length;
-  if (slotsOpen <= 0) return;
+  // Local control API — status and manual intervention over http://127.0.0.1
+  if (config.API.ENABLED) {
+    api.start({
+      closePosition:          id => engine.closePosition(id),
+      setEntriesPaused:       engine.setEntriesPaused,
+      setRelationshipEnabled: engine.setRelationshipEnabled,
+    });
+  }
 
-  const opportunities = pairs.scanForOpportunities();
-  for (const opp of opportunities) {
-    if (state.get('positions').length >= config.MAX_POSITIONS) break;
+  if (config.METRICS.ENABLED) metrics.start();
 
-    // Don't double-enter the same relationship
-    const alreadyOpen = state.get('positions').some(p => p.key === opp.key);
-    if (alreadyOpen) continue;
+  // Send initial status immediately (shows warmup progress)
+  await sendPairsStatus();
+}
 
-    if (state.get('balance') < config.TRADE_AMOUNT) {
-      logger.warn('BOT', 'Insufficient balance for new position');
-      break;
+// ─── Relationship discovery ───────────────────────────────────────────────────
+// At boot a saved result is reused while fresh; on the schedule it is re-run.
+// Relationships with open positions always stay active so their exits still fire.
+async function refreshRelationships(atBoot) {
+  if (!config.DISCOVERY.ENABLED) return;
+
+  try {
+    let result = discovery.load();
+
+    if (!atBoot || discovery.isStale(result)) {
+      const fresh = await discovery.discover();
+      if (fresh.relationships.length > 0) {
+        discovery.save(fresh);
+        result = fresh;
+      } else {
+        logger.warn('BOT', 'Discovery found no cointegrated pairs — keeping previous list');
+      }
     }
 
-    await openPosition(opp);
-    break; // one new position per tick max to avoid race conditions
+    // Applied in turn with trades, so a relationship can't lose a position opening on it
+    await engine.submit('relationships', () => {
+      const keep = state.get('positions').map(p => p.key);
+      pairs.setRelationships(discovery.merge(result, config.DISCOVERY.MODE, keep));
+      if (!atBoot) monitor.resubscribe();
+    });
+  } catch (err) {
+    logger.error('BOT', `Relationship discovery failed: ${err.message}`);
   }
 }
 
-// ─── Open a pairs position ────────────────────────────────────────────────────
-async function openPosition(opp) {
-  const {
-    key, coinA, coinB, shortCoin, longCoin,
-    zScore, divergence, currentRatio, mean, std,
-  } = opp;
-
-  const entryFee = config.TRADE_AMOUNT * 2 * config.TAKER_FEE; // open both legs
-
-  const position = {
-    id:              `pairs-${key}-${Date.now()}`,
-    key,
-    coinA,
-    coinB,
-    shortCoin,
-    longCoin,
-    entryZScore:     zScore,
-    entryRatio:      currentRatio,
-    entryMean:       mean,
-    entryStd:        std,
-    entryShortPrice: pairs.latestPrice[shortCoin],
-    entryLongPrice:  pairs.latestPrice[longCoin],
-    amount:          config.TRADE_AMOUNT,
-    entryFee,
-    openedAt:        Date.now(),
-  };
-
-  const newBalance = state.get('balance') - entryFee;
-  state.set('balance', newBalance);
-
-  const positions = state.get('positions');
-  positions.push(position);
-  state.set('positions', positions);
-  await state.save();
-
-  logger.info('OPEN', `📐 Opened: short ${shortCoin} / long ${longCoin} | z=${zScore.toFixed(2)} | div=${(divergence * 100).toFixed(3)}%`);
-
-  await discord.send([
-    '```diff',
-    `+ PAIRS OPENED: ${shortCoin}↓ / ${longCoin}↑`,
-    `  Z-Score    : ${zScore.toFixed(3)}  (threshold ±${config.PAIRS_CONFIG.ENTRY_ZSCORE})`,
-    `  Divergence : ${(divergence * 100).toFixed(3)}%`,
-    `  Ratio      : ${currentRatio.toFixed(6)}  (mean: ${mean.toFixed(6)}, std: ${std.toFixed(6)})`,
-    `  Short leg  : ${shortCoin} @ $${pairs.latestPrice[shortCoin].toFixed(4)}`,
-    `  Long leg   : ${longCoin} @ $${pairs.latestPrice[longCoin].toFixed(4)}`,
-    `  Amount     : $${config.TRADE_AMOUNT} ($${config.TRADE_AMOUNT / 2} each leg)`,
-    `  Entry fee  : $${entryFee.toFixed(4)}`,
-    `  Balance    : $${newBalance.toFixed(2)}`,
-    `  Slots      : ${state.get('positions').length}/${config.MAX_POSITIONS}`,
-    '```',
-  ].join('\n'));
-}
+// ─── Kline warmup ─────────────────────────────────────────────────────────────
+// Binance kline intervals the bar interval can map onto; others fall back to 1m
+const KLINE_INTERVALS = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d'];
+
+async function warmupFromKlines() {
+  const started  = Date.now();
+  const barLabel = duration.format(pairs.BAR_MS);
+  const interval = KLINE_INTERVALS.includes(barLabel) ? barLabel : '1m';
+  const coins    = [...pairs.monitoredCoins];
+
+  // After a history restore only the bars since the snapshot are missing
+  const from = Math.max(started - duration.parse(config.PAIRS_CONFIG.LOOKBACK) - pairs.BAR_MS, pairs.openBarTime() || 0);
+
+  logger.info('BOT', `📥 Backfilling ${((started - from) / 3600000).toFixed(1)}h of ${interval} klines for ${coins.length} coins...`);
+
+  // Kline open time is the bar it belongs to; its close is that bar's last price
+  const series = {};
+  await Promise.all(coins.map(async (coin) => {
+    const klines = await sourcer.getKlineHistory(coin, interval, from, started);
+    if (klines && klines.length) {
+      series[coin] = klines.map(k => ({ ts: k.openTime, price: k.close }));
+    } else {
+      logger.warn('BOT', `No klines for ${coin} — it warms up from live ticks`);
+    }
+  }));
 
-// ─── Close a pairs position ───────────────────────────────────────────────────
-async function closePosition(position, reason, currentZScore) {
-  const unrealized  = tracker.unrealizedPnl(position);
-  const exitFee     = position.amount * 2 * config.TAKER_FEE; // close both legs
-  const netPnl      = unrealized - exitFee;
-  const newBalance  = state.get('balance') + position.amount + netPnl;
-  const durationH   = ((Date.now() - position.openedAt) / 3600000).toFixed(1);
-
-  state.set('balance', newBalance);
-
-  const positions = state.get('positions').filter(p => p.id !== position.id);
-  state.set('positions', positions);
-
-  const history = state.get('history');
-  history.push({
-    ...position,
-    closedAt:     Date.now(),
-    exitReason:   reason,
-    exitZScore:   currentZScore,
-    netPnl,
-  });
-  state.set('history', history);
-  await state.save();
-
-  const allTimePnl = state.get('history').reduce((s, h) => s + h.netPnl, 0);
-  logger.info('CLOSE', `📐 Closed ${position.key} | ${reason} | PnL: $${netPnl.toFixed(2)}`);
-
-  const sign = netPnl >= 0 ? '+' : '-';
-  await discord.send([
-    `\`\`\`${netPnl >= 0 ? 'diff' : 'fix'}`,
-    `${sign} PAIRS CLOSED: ${position.shortCoin}↓/${position.longCoin}↑  [${reason}]`,
-    `  Duration     : ${durationH}h`,
-    `  Entry z      : ${position.entryZScore.toFixed(3)}`,
-    `  Exit z       : ${currentZScore.toFixed(3)}`,
-    `  Unrealized   : $${unrealized.toFixed(4)}`,
-    `  Exit fee     : $${exitFee.toFixed(4)}`,
-    `  Net PnL      : $${netPnl.toFixed(2)}`,
-    `  All-time PnL : $${allTimePnl.toFixed(2)}`,
-    `  Balance      : $${newBalance.toFixed(2)}`,
-    `  Slots        : ${positions.length}/${config.MAX_POSITIONS}`,
-    '```',
-  ].join('\n'));
+  const fed   = pairs.backfill(series);
+  const ready = pairs.getStatusSnapshot().filter(r => r.ready).length;
+  logger.info('BOT', `📥 Backfill done — ${fed} klines in ${((Date.now() - started) / 1000).toFixed(1)}s, ${ready}/${pairs.getRelationships().length} pairs ready`);
 }
 
 // ─── 30-minute pairs status update ───────────────────────────────────────────
@@ -218,32 +244,32 @@ async function sendPairsStatus() {
   const snapshot   = pairs.getStatusSnapshot();
   const positions  = state.get('positions');
   const history    = state.get('history');
-  const balance    = state.get('balance');
-  const allTimePnl = history.reduce((s, h) => s + h.netPnl, 0);
-  const minTicks   = config.PAIRS_CONFIG.MIN_HISTORY_TICKS;
+  const allTimePnl = history.reduce((s, h) => s + tracker.tradeNet(h), 0);
 
-  const warmingUp = snapshot.filter(r => r.ticks < minTicks);
-  const ready     = snapshot.filter(r => r.ticks >= minTicks);
+  const warmingUp = snapshot.filter(r => !r.ready);
+  const ready     = snapshot.filter(r => r.ready);
   const allReady  = warmingUp.length === 0;
 
   const lines = [
     '```',
     `📐 PAIRS STATUS  |  ${new Date().toUTCString()}`,
-    `Balance: $${balance.toFixed(2)}  |  PnL: $${allTimePnl.toFixed(2)}  |  Open: ${positions.length}/${config.MAX_POSITIONS}`,
+    `Equity : $${ledger.equity().toFixed(2)}  |  Cash: $${ledger.cash().toFixed(2)}  |  PnL: $${allTimePnl.toFixed(2)}  |  Open: ${positions.length}/${config.MAX_POSITIONS}`,
     allReady
       ? `Warmup : ✅ all ${snapshot.length} pairs ready`
       : `Warmup : ${ready.length}/${snapshot.length} ready — ${warmingUp.length} still collecting history`,
+    `Bars   : ${config.PAIRS_CONFIG.BAR_INTERVAL}  |  lookback ${config.PAIRS_CONFIG.LOOKBACK}  |  min history ${config.PAIRS_CONFIG.MIN_HISTORY}`,
+    ...controlLines(),
     '',
-    `${'Pair'.padEnd(12)} ${'Ticks'.padEnd(10)} ${'Z-Score'.padEnd(10)} ${'Diverge'.padEnd(10)} Signal`,
-    '─'.repeat(62),
+    `${'Pair'.padEnd(12)} ${'Bars'.padEnd(10)} ${'Z-Score'.padEnd(10)} ${'Diverge'.padEnd(10)} ${'β'.padEnd(7)} Signal`,
+    '─'.repeat(70),
   ];
 
   for (const row of snapshot) {
-    const progress = row.ticks < minTicks
-      ? `${row.ticks}/${minTicks}`
+    const progress = !row.ready
+      ? `${row.bars}/${row.minBars}`
       : '✅';
     lines.push(
-      `${row.pair.padEnd(12)} ${progress.toString().padEnd(10)} ${row.zScore.toString().padEnd(10)} ${row.diverge.padEnd(10)} ${row.signal}`
+      `${row.pair.padEnd(12)} ${progress.toString().padEnd(10)} ${row.zScore.toString().padEnd(10)} ${row.diverge.padEnd(10)} ${row.hedge.padEnd(7)} ${row.signal}`
     );
   }
 
@@ -252,19 +278,19 @@ async function sendPairsStatus() {
     lines.push('OPEN POSITIONS:');
     for (const pos of positions) {
       const pnl    = tracker.unrealizedPnl(pos);
-      const ageH   = ((Date.now() - pos.openedAt) / 3600000).toFixed(1);
+      const ageH   = ((engine.now() - pos.openedAt) / 3600000).toFixed(1);
       const pnlStr = (pnl >= 0 ? '+' : '') + '$' + pnl.toFixed(2);
-      lines.push(`  ${pos.shortCoin}↓/${pos.longCoin}↑  entry-z: ${pos.entryZScore.toFixed(2)}  PnL: ${pnlStr}  age: ${ageH}h`);
+      lines.push(`  ${pos.shortCoin}↓/${pos.longCoin}↑  entry-z: ${pos.entryZScore.toFixed(2)}  PnL: ${pnlStr}  age: ${ageH}h${pos.state === 'LEGGED' ? '  ⚠️ LEGGED' : ''}`);
     }
   }
 
   lines.push('```');
-  await discord.send(lines.join('\n'));
+  notifier.send('status', 'info', lines.join('\n'));
 
   // One-time "all pairs ready" alert
   if (allReady && !pairsReadyAlertSent) {
     pairsReadyAlertSent = true;
-    await discord.send([
+    notifier.send('ready', 'info', [
       '```diff',
       '+ PAIRS ENGINE READY — all relationships have sufficient history',
       `  ${snapshot.length} pairs active  |  scanning on every price tick`,
@@ -275,6 +301,34 @@ async function sendPairsStatus() {
   }
 }
 
+// ─── Equity samples and daily summary ─────────────────────────────────────────
+// The summary goes out with the first sample after DAILY_SUMMARY_HOUR (UTC) — one
+// missed while the bot was down is sent on the next start, once
+function sampleEquity() {
+  if (process.env.REPLAY_FILE && !engine.replaying()) return; // no recorded time yet
+  const now = engine.now();
+  analytics.sample(now);
+  if (!config.ANALYTICS.DAILY_SUMMARY) return;
+
+  const last = state.get('lastSummaryAt');
+  if (last !== null && last >= analytics.lastSummaryTime(now)) return;
+  state.set('lastSummaryAt', now);
+  if (last === null) return; // first run — the first summary is the next one due
+
+  notifier.send('summary', 'info', analytics.dailySummary(state.get('history'), now));
+}
+
+// Manual overrides worth a line in status messages
+function controlLines() {
+  const control = state.get('control');
+  const lines   = [];
+  if (control.entriesPaused)   lines.push('Entries: ⏸ PAUSED — exits still running');
+  if (control.disabled.length) lines.push(`Disabled: ${control.disabled.join(', ')}`);
+  const halt = risk.halted();
+  if (halt) lines.push(`Risk   : 🛑 HALTED [${halt.reason}] — ${halt.detail}`);
+  return lines;
+}
+
 // ─── Build open positions block ───────────────────────────────────────────────
 function buildPositionsBlock(positions) {
   if (!positions.length) return '```\n📂 No open positions\n```';
@@ -289,9 +343,9 @@ function buildPositionsBlock(positions) {
 
   for (const pos of positions) {
     const pnl  = tracker.unrealizedPnl(pos);
-    const ageH = ((Date.now() - pos.openedAt) / 3600000).toFixed(1);
+    const ageH = ((engine.now() - pos.openedAt) / 3600000).toFixed(1);
     lines.push(
-      `${(pos.shortCoin + '↓/' + pos.longCoin + '↑').padEnd(16)} ${pos.entryZScore.toFixed(3).padEnd(10)} ${'$' + pnl.toFixed(2).padEnd(9)} ${ageH}h`
+      `${(pos.shortCoin + '↓/' + pos.longCoin + '↑').padEnd(16)} ${pos.entryZScore.toFixed(3).padEnd(10)} ${'$' + pnl.toFixed(2).padEnd(9)} ${ageH}h${pos.state === 'LEGGED' ? '  ⚠️ LEGGED' : ''}`
     );
   }
 
@@ -299,38 +353,78 @@ function buildPositionsBlock(positions) {
   return lines.join('\n');
 }
 
+// ─── Config reload (kill -HUP <pid>) ─────────────────────────────────────────
+// Re-reads the config file; thresholds and sizing change in place. Open positions
+// and state are untouched — they just meet the new values at their next check.
+// Runs on the engine queue, so new values never land halfway through a trade.
+async function reloadConfig() {
+  const result = settings.reload();
+  const source = result.file || 'defaults + env';
+
+  if (result.errors.length) {
+    logger.error('CONFIG', `Reload of ${source} rejected — running config unchanged:\n  - ${result.errors.join('\n  - ')}`);
+    notifier.send('config', 'error', `\`\`\`fix\n⚠️ CONFIG RELOAD REJECTED — running config unchanged\n${result.errors.join('\n')}\n\`\`\``);
+    return;
+  }
+
+  const fmt = v => JSON.stringify(v);
+  for (const c of result.applied) logger.info('CONFIG', `${c.key}: ${fmt(c.from)} → ${fmt(c.to)}`);
+  if (result.restart.length) {
+    logger.warn('CONFIG', `Changed but only applied on restart: ${result.restart.join(', ')}`);
+  }
+  if (!result.applied.length && !result.restart.length) {
+    logger.info('CONFIG', `Reloaded ${source} — no changes`);
+    return;
+  }
+
+  notifier.send('config', 'info', [
+    '```',
+    `🔧 CONFIG RELOADED (${result.applied.length} applied)`,
+    ...result.applied.map(c => `${c.key}: ${fmt(c.from)} → ${fmt(c.to)}`),
+    ...(result.restart.length ? [`Needs restart: ${result.restart.join(', ')}`] : []),
+    '```',
+  ].join('\n'));
+}
+
 // ─── Graceful shutdown ────────────────────────────────────────────────────────
+const SHUTDOWN_FLUSH_MS = 5000;
+
 async function shutdown(signal) {
   logger.info('BOT', `${signal} — saving state and shutting down`);
   monitor.stop();
-  await state.save();
+  await engine.submit('shutdown', () => state.save()); // after any close or open still running
 
   const positions  = state.get('positions');
-  const allTimePnl = state.get('history').reduce((s, h) => s + h.netPnl, 0);
+  const allTimePnl = state.get('history').reduce((s, h) => s + tracker.tradeNet(h), 0);
 
-  await discord.send([
+  notifier.send('shutdown', 'warn', [
     '```fix',
     '🔴 BOT OFFLINE',
-    `Balance     : $${state.get('balance').toFixed(2)}`,
+    `Equity      : $${ledger.equity().toFixed(2)}  (cash $${ledger.cash().toFixed(2)}, reserved $${ledger.reserved().toFixed(2)})`,
     `All-time PnL: $${allTimePnl.toFixed(2)}`,
     `Open slots  : ${positions.length}/${config.MAX_POSITIONS}`,
     `Signal      : ${signal}`,
     '```',
   ].join('\n'));
 
-  if (positions.length > 0) await discord.send(buildPositionsBlock(positions));
+  if (positions.length > 0) notifier.send('shutdown', 'warn', buildPositionsBlock(positions));
+
+  // Give the queues a moment; anything left is on disk and goes out on the next start
+  if (!await notifier.flush(SHUTDOWN_FLUSH_MS)) logger.warn('BOT', 'Notifications still queued — they will be sent on restart');
   process.exit(0);
 }
 
 process.on('SIGINT',  () => shutdown('SIGINT'));
 process.on('SIGTERM', () => shutdown('SIGTERM'));
-process.on('uncaughtException', async (err) => {
+process.on('SIGHUP',  () => engine.submit('reload', reloadConfig));
+process.on('uncaughtException', (err) => {
   logger.error('BOT', `Uncaught exception: ${err.message}\n${err.stack}`);
-  await discord.send(`\`\`\`fix\n⚠️ UNCAUGHT ERROR: ${err.message}\n\`\`\``);
+  notifier.send('error', 'error', `\`\`\`fix\n⚠️ UNCAUGHT ERROR: ${err.message}\n\`\`\``);
 });
 
 boot().catch(async (err) => {
   logger.error('BOT', `Boot failed: ${err.message}`);
-  await discord.send(`\`\`\`fix\n💥 BOOT FAILED: ${err.message}\n\`\`\``);
+  notifier.send('error', 'critical', `\`\`\`fix\n💥 BOOT FAILED: ${err.message}\n\`\`\``);
+  await notifier.flush(SHUTDOWN_FLUSH_MS);
   process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * metrics.js
+ * Prometheus metrics in the text exposition format, served over native http
+ *
+ * Modules create their instruments at load and record as things happen:
+ *   const sends = metrics.counter('pairsbot_x_total', 'What it counts', ['label']);
+ *   sends.inc({ label: 'a' });
+ * Point-in-time values (balance, z-scores) are gauges with a collect callback,
+ * evaluated on every scrape: gauge(name, help, () => value | [{ labels, value }]).
+ *
+ * start() serves GET /metrics on METRICS.HOST:METRICS.PORT when METRICS.ENABLED.
+ */
+
+const http   = require('http');
+const config = require('./config');
+const logger = require('./logger');
+
+const registry = new Map(); // name → instrument, in registration order
+
+// Seconds — state saves and other local I/O
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+function register(instrument) {
+  if (registry.has(instrument.name)) throw new Error(`Metric ${instrument.name} registered twice`);
+  registry.set(instrument.name, instrument);
+  return instrument;
+}
+
+// Series key for a label set — label order fixed by the instrument's labelNames
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(n => String(labels[n] === undefined ? '' : labels[n])));
+}
+
+// ─── Instruments ──────────────────────────────────────────────────────────────
+function counter(name, help, labelNames = []) {
+  const series = new Map(); // key → { labels, value }
+  if (!labelNames.length) series.set(seriesKey([], {}), { labels: {}, value: 0 }); // report 0 before the first event
+  return register({
+    name, help, type: 'counter',
+    inc(labels = {}, by = 1) {
+      const key = seriesKey(labelNames, labels);
+      const s   = series.get(key) || series.set(key, { labels, value: 0 }).get(key);
+      s.value  += by;
+    },
+    samples: () => [...series.values()].map(s => ({ labels: s.labels, value: s.value })),
+  });
+}
+
+// collect() → a value, or [{ labels, value }] for one series per label set
+function gauge(name, help, collect) {
+  return register({
+    name, help, type: 'gauge',
+    samples() {
+      const out = collect();
+      return Array.isArray(out) ? out : [{ labels: {}, value: out }];
+    },
+  });
+}
+
+function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const counts = buckets.map(() => 0);
+  let sum      = 0;
+  let count    = 0;
+  return register({
+    name, help, type: 'histogram',
+    observe(value) {
+      buckets.forEach((le, i) => { if (value <= le) counts[i]++; });
+      sum   += value;
+      count += 1;
+    },
+    samples: () => [
+      ...buckets.map((le, i) => ({ suffix: '_bucket', labels: { le: String(le) }, value: counts[i] })),
+      { suffix: '_bucket', labels: { le: '+Inf' }, value: count },
+      { suffix: '_sum',    labels: {}, value: sum },
+      { suffix: '_count',  labels: {}, value: count },
+    ],
+  });
+}
+
+// ─── Exposition ───────────────────────────────────────────────────────────────
+const escapeLabel = v => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const escapeHelp  = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+function formatValue(v) {
+  if (Number.isNaN(v)) return 'NaN';
+  if (v === Infinity)  return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return String(v);
+}
+
+function render() {
+  const lines = [];
+  for (const m of registry.values()) {
+    let samples;
+    try {
+      samples = m.samples();
+    } catch (err) {
+      logger.error('METRICS', `Collecting ${m.name}: ${err.message}`);
+      continue;
+    }
+
+    lines.push(`# HELP ${m.name} ${escapeHelp(m.help)}`);
+    lines.push(`# TYPE ${m.name} ${m.type}`);
+    for (const s of samples) {
+      if (typeof s.value !== 'number') continue;
+      const labels = Object.entries(s.labels || {}).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+      lines.push(`${m.name}${s.suffix || ''}${labels.length ? `{${labels.join(',')}}` : ''} ${formatValue(s.value)}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ─── Scrape endpoint ──────────────────────────────────────────────────────────
+function start(options = config.METRICS) {
+  const server = http.createServer((req, res) => {
+    req.resume();
+    if (req.method !== 'GET' || new URL(req.url, 'http://localhost').pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found — metrics are at /metrics\n');
+    }
+    const body = render();
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+    res.end(body);
+  });
+
+  server.on('error', err => logger.error('METRICS', `Metrics endpoint: ${err.message}`));
+  server.listen(options.PORT, options.HOST, () => {
+    logger.info('METRICS', `Prometheus metrics on http://${options.HOST}:${options.PORT}/metrics`);
+  });
+  return server;
+}
+
+module.exports = { counter, gauge, histogram, render, start };
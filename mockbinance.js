@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * mockbinance.js
+ * Local stand-in for the Binance cross-margin order endpoints binance.js uses
+ *
+ * Usage: node mockbinance.js [--port 9090] [--price BTC=65000 --price ETH=3200 ...]
+ *
+ * Then run the bot against it:
+ *   BINANCE_API_KEY=mock-key BINANCE_SECRET=mock-secret \
+ *     BOT_EXECUTION__MODE=binance BOT_EXECUTION__BASE_URL=http://127.0.0.1:9090 node main.js
+ *
+ * Checks the API key header and HMAC-SHA256 signature the same way Binance does,
+ * fills MARKET orders in one fill at the coin's mock price (default 100) with a
+ * 0.1% commission in the asset received (the coin on a BUY, USDT on a SELL, as
+ * Binance charges when fees aren't paid in BNB), and tracks balances and borrows
+ * in memory. Borrow rates (crossMarginData) are a flat 0.02% a day for every
+ * coin given a --price.
+ *
+ * exchangeInfo (public, unsigned) gives every symbol a LOT_SIZE step of 0.00001,
+ * minQty 0.00001 and a $5 minimum notional, and orders breaking them are refused
+ * like Binance does (-1013 / -1111). fillRatios: [0.37, …] fills the next orders
+ * only that far (status EXPIRED), one ratio per order, to exercise retries.
+ * dropResponses: n fills the next n orders and then drops the connection without
+ * answering, like a timeout after Binance has accepted the order. Orders can be
+ * looked up by orderId or origClientOrderId.
+ */
+
+const http   = require('http');
+const crypto = require('crypto');
+
+const FEE_RATE     = 0.001;
+const STEP_SIZE    = '0.00001000';
+const MIN_NOTIONAL = 5;
+
+// Decimal places a quantity string may carry at STEP_SIZE
+const STEP_DECIMALS = 5;
+
+function symbolInfo(symbol) {
+  return {
+    symbol, status: 'TRADING', baseAsset: symbol.replace(/USDT$/, ''), quoteAsset: 'USDT',
+    quotePrecision: 8, quoteAssetPrecision: 8,
+    filters: [
+      { filterType: 'LOT_SIZE', minQty: STEP_SIZE, maxQty: '9000000.00000000', stepSize: STEP_SIZE },
+      { filterType: 'MARKET_LOT_SIZE', minQty: '0.00000000', maxQty: '100.00000000', stepSize: '0.00000000' },
+      { filterType: 'NOTIONAL', minNotional: MIN_NOTIONAL.toFixed(8), applyMinToMarket: true, maxNotional: '9000000.00000000', applyMaxToMarket: false },
+    ],
+  };
+}
+
+// Binance's own checks on a MARKET order's size — an error message, or null
+function filterFailure(p, price) {
+  const size = p.quantity || p.quoteOrderQty;
+  if (!/^\d+(\.\d+)?$/.test(size || '')) return 'Illegal characters found in parameter.';
+  if (p.quantity) {
+    const [, fraction = ''] = p.quantity.split('.');
+    if (fraction.replace(/0+$/, '').length > STEP_DECIMALS) return 'Filter failure: LOT_SIZE';
+    if (parseFloat(p.quantity) < parseFloat(STEP_SIZE)) return 'Filter failure: LOT_SIZE';
+  }
+  const notional = p.quantity ? parseFloat(p.quantity) * price : parseFloat(p.quoteOrderQty);
+  return notional < MIN_NOTIONAL ? 'Filter failure: NOTIONAL' : null;
+}
+
+function createServer({ apiKey = 'mock-key', secret = 'mock-secret', prices = {}, usdt = 100000, fillRatios = [], dropResponses = 0 } = {}) {
+  const orders   = new Map();
+  const trades   = [];
+  const balances = { USDT: { free: usdt, borrowed: 0 } };
+  const ratios   = [...fillRatios];
+  let drops      = dropResponses;
+  let seq        = 0;
+
+  function asset(name) {
+    if (!balances[name]) balances[name] = { free: 0, borrowed: 0 };
+    return balances[name];
+  }
+
+  function fail(res, status, code, msg) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ code, msg }));
+  }
+
+  function reply(res, body) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  function placeOrder(p) {
+    const coin  = p.symbol.replace(/USDT$/, '');
+    const price = prices[coin] || 100;
+    const ratio = ratios.length ? ratios.shift() : 1;
+    const asked = p.quantity ? parseFloat(p.quantity) : parseFloat(p.quoteOrderQty) / price;
+    const qty   = Math.floor(asked * ratio / parseFloat(STEP_SIZE) + 1e-9) * parseFloat(STEP_SIZE);
+    const quote = qty * price;
+    const fee   = p.side === 'BUY' ? qty * FEE_RATE : quote * FEE_RATE;
+    const feeIn = p.side === 'BUY' ? coin : 'USDT';
+    const base  = asset(coin);
+    const cash  = asset('USDT');
+
+    if (p.side === 'BUY') {
+      if (cash.free < quote) return null;
+      cash.free -= quote;
+      base.free += qty - fee;
+      if (p.sideEffectType === 'AUTO_REPAY') {
+        const repay = Math.min(base.borrowed, base.free);
+        base.borrowed -= repay;
+        base.free     -= repay;
+      }
+    } else {
+      if (p.sideEffectType === 'MARGIN_BUY' && base.free < qty) {
+        base.borrowed += qty - base.free;
+        base.free      = qty;
+      }
+      if (base.free < qty - 1e-12) return null;
+      base.free -= qty;
+      cash.free += quote - fee;
+    }
+
+    const order = {
+      symbol:              p.symbol,
+      orderId:             ++seq,
+      clientOrderId:       p.newClientOrderId || `mock-${seq}`,
+      transactTime:        Date.now(),
+      price:               '0',
+      origQty:             String(asked),
+      executedQty:         String(qty),
+      cummulativeQuoteQty: String(quote),
+      status:              ratio < 1 ? 'EXPIRED' : 'FILLED',
+      type:                'MARKET',
+      side:                p.side,
+      fills: [{ price: String(price), qty: String(qty), commission: String(fee), commissionAsset: feeIn, tradeId: seq }],
+    };
+    orders.set(order.orderId, order);
+    trades.push({ symbol: p.symbol, orderId: order.orderId, price: String(price), qty: String(qty), commission: String(fee), commissionAsset: feeIn, time: order.transactTime });
+    return order;
+  }
+
+  return http.createServer((req, res) => {
+    const url    = new URL(req.url, 'http://localhost');
+    const query  = url.search.slice(1);
+    const params = Object.fromEntries(url.searchParams);
+
+    // Market data needs no key or signature
+    if (`${req.method} ${url.pathname}` === 'GET /api/v3/exchangeInfo') {
+      const symbols = params.symbol ? [params.symbol] : Object.keys(prices).map(coin => `${coin}USDT`);
+      return reply(res, { timezone: 'UTC', serverTime: Date.now(), symbols: symbols.map(symbolInfo) });
+    }
+
+    // Signature covers everything before &signature=
+    if (req.headers['x-mbx-apikey'] !== apiKey) return fail(res, 401, -2015, 'Invalid API-key, IP, or permissions for action.');
+    const signed   = query.replace(/&signature=[0-9a-f]+$/, '');
+    const expected = crypto.createHmac('sha256', secret).update(signed).digest('hex');
+    if (params.signature !== expected) return fail(res, 400, -1022, 'Signature for this request is not valid.');
+    if (!params.timestamp) return fail(res, 400, -1102, "Mandatory parameter 'timestamp' was not sent.");
+
+    const route = `${req.method} ${url.pathname}`;
+    const order = params.orderId ? orders.get(Number(params.orderId))
+      : params.origClientOrderId ? [...orders.values()].find(o => o.clientOrderId === params.origClientOrderId)
+        : null;
+
+    switch (route) {
+      case 'POST /sapi/v1/margin/order': {
+        if (params.type !== 'MARKET') return fail(res, 400, -1116, 'Invalid orderType.');
+        const failure = filterFailure(params, prices[params.symbol.replace(/USDT$/, '')] || 100);
+        if (failure) return fail(res, 400, failure.startsWith('Filter') ? -1013 : -1100, failure);
+        const placed = placeOrder(params);
+        if (placed && drops > 0) {
+          drops--;
+          return req.socket.destroy();
+        }
+        return placed ? reply(res, placed) : fail(res, 400, -2010, 'Account has insufficient balance for requested action.');
+      }
+      case 'DELETE /sapi/v1/margin/order':
+        // Market orders are filled on arrival, so there's never anything to cancel
+        return fail(res, 400, -2011, 'Unknown order sent.');
+      case 'GET /sapi/v1/margin/order': {
+        if (!order) return fail(res, 400, -2013, 'Order does not exist.');
+        const { fills, transactTime, ...rest } = order;
+        return reply(res, { ...rest, time: transactTime, updateTime: transactTime });
+      }
+      case 'GET /sapi/v1/margin/myTrades':
+        return reply(res, trades.filter(t => t.symbol === params.symbol && (!params.orderId || t.orderId === Number(params.orderId))));
+      case 'GET /sapi/v1/margin/crossMarginData':
+        return reply(res, Object.keys(prices).map(coin => ({
+          vipLevel: 0, coin, transferIn: true, borrowable: true, dailyInterest: '0.00020000',
+          yearlyInterest: '0.07300000', borrowLimit: '1000000', marginablePairs: [`${coin}USDT`],
+        })));
+      case 'GET /sapi/v1/margin/account':
+        return reply(res, {
+          userAssets: Object.entries(balances).map(([name, b]) => ({
+            asset: name, free: String(b.free), locked: '0', borrowed: String(b.borrowed), interest: '0',
+            netAsset: String(b.free - b.borrowed),
+          })),
+        });
+      default:
+        return fail(res, 404, -1000, `Unknown route ${route}`);
+    }
+  });
+}
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+if (require.main === module) {
+  const args   = process.argv.slice(2);
+  const prices = {};
+  let port     = 9090;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port')  port = parseInt(args[++i], 10);
+    if (args[i] === '--price') {
+      const [coin, price] = args[++i].split('=');
+      prices[coin] = parseFloat(price);
+    }
+  }
+
+  createServer({
+    apiKey: process.env.BINANCE_API_KEY || 'mock-key',
+    secret: process.env.BINANCE_SECRET  || 'mock-secret',
+    prices,
+  }).listen(port, '127.0.0.1', () => {
+    console.log(`Mock Binance margin API on http://127.0.0.1:${port}`);
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,166 @@
+'use strict';
+
+/**
+ * mocknotify.js
+ * Local stand-ins for every notification sink — prints what the bot would have sent
+ *
+ * Usage: node mocknotify.js [--http 9191] [--smtp 2525] [--fail 500]
+ *
+ * One HTTP server answers like each webhook service: Discord (/api/webhooks/… → 204),
+ * Telegram (/bot<token>/sendMessage → { ok: true }), and 200 for Slack and generic
+ * webhooks on any other path. --fail <status> makes every HTTP request fail with it.
+ * The SMTP server takes EHLO, AUTH PLAIN, MAIL/RCPT/DATA and prints each message.
+ *
+ * Then point the sinks at it:
+ *   DISCORD_WEBHOOK_URL=http://127.0.0.1:9191/api/webhooks/1/mock \
+ *   BOT_NOTIFY__SINKS='{"mail":{"type":"email","host":"127.0.0.1","port":2525,"from":"bot@localhost","to":"me@localhost"}}' \
+ *   BOT_NOTIFY__ROUTES='[{"sinks":["discord","mail"]}]' \
+ *     node notifier.js --test
+ */
+
+const http = require('http');
+const net  = require('net');
+
+// ─── HTTP webhooks ────────────────────────────────────────────────────────────
+// onRequest({ path, headers, body }) sees every request, body JSON-parsed when it is JSON
+function createHttpServer({ onRequest = () => {}, failWith = null } = {}) {
+  return http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', c => { raw += c; });
+    req.on('end', () => {
+      let body = raw;
+      try { body = JSON.parse(raw); } catch (_) { /* not JSON — keep the text */ }
+      onRequest({ method: req.method, path: req.url, headers: req.headers, body });
+
+      if (failWith) {
+        res.writeHead(failWith, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: `mock failure ${failWith}` }));
+      }
+      if (/^\/api\/webhooks\//.test(req.url)) {
+        res.writeHead(204);
+        return res.end();
+      }
+      if (/^\/bot[^/]+\/sendMessage$/.test(req.url)) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ ok: true, result: { message_id: Date.now() } }));
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('ok');
+    });
+  });
+}
+
+// ─── SMTP ─────────────────────────────────────────────────────────────────────
+// onMessage({ from, to, auth, data }) for each accepted message
+function createSmtpServer({ onMessage = () => {} } = {}) {
+  return net.createServer((socket) => {
+    const reply = line => socket.write(`${line}\r\n`);
+    let buffer  = '';
+    let mail    = { from: null, to: [], auth: null };
+    let data    = null; // lines while inside DATA
+
+    reply('220 mocknotify ESMTP ready');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let i;
+      while ((i = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, i);
+        buffer     = buffer.slice(i + 2);
+
+        if (data) {
+          if (line !== '.') {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+            continue;
+          }
+          onMessage({ ...mail, data: data.join('\n') });
+          data = null;
+          mail = { from: null, to: [], auth: mail.auth };
+          reply('250 2.0.0 queued');
+          continue;
+        }
+
+        const [verb, ...rest] = line.split(' ');
+        const arg = rest.join(' ');
+        switch (verb.toUpperCase()) {
+          case 'EHLO':
+          case 'HELO':
+            reply('250-mocknotify');
+            reply('250-AUTH PLAIN');
+            reply('250 8BITMIME');
+            break;
+          case 'AUTH': {
+            const [, user] = Buffer.from(arg.split(' ')[1] || '', 'base64').toString('utf8').split('\0');
+            mail.auth = user || null;
+            reply('235 2.7.0 authenticated');
+            break;
+          }
+          case 'MAIL':
+            mail.from = (/<([^>]*)>/.exec(arg) || [])[1] || null;
+            reply('250 2.1.0 ok');
+            break;
+          case 'RCPT':
+            mail.to.push((/<([^>]*)>/.exec(arg) || [])[1]);
+            reply('250 2.1.5 ok');
+            break;
+          case 'DATA':
+            data = [];
+            reply('354 end with <CRLF>.<CRLF>');
+            break;
+          case 'RSET':
+            mail = { from: null, to: [], auth: mail.auth };
+            reply('250 ok');
+            break;
+          case 'NOOP':
+            reply('250 ok');
+            break;
+          case 'QUIT':
+            reply('221 bye');
+            socket.end();
+            break;
+          default:
+            reply('502 5.5.2 command not implemented');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+}
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+if (require.main === module) {
+  const args   = process.argv.slice(2);
+  let httpPort = 9191;
+  let smtpPort = 2525;
+  let failWith = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--http') httpPort = parseInt(args[++i], 10);
+    if (args[i] === '--smtp') smtpPort = parseInt(args[++i], 10);
+    if (args[i] === '--fail') failWith = parseInt(args[++i], 10);
+  }
+
+  const stamp = () => new Date().toISOString().slice(11, 19);
+
+  createHttpServer({
+    failWith,
+    onRequest: ({ method, path, headers, body }) => {
+      const auth = headers.authorization ? `  (${headers.authorization.split(' ')[0]} auth)` : '';
+      console.log(`\n[${stamp()}] HTTP ${method} ${path}${auth}`);
+      console.log(typeof body === 'string' ? body : JSON.stringify(body, null, 2));
+    },
+  }).listen(httpPort, '127.0.0.1', () => {
+    console.log(`Mock webhooks on http://127.0.0.1:${httpPort}`);
+  });
+
+  createSmtpServer({
+    onMessage: ({ from, to, auth, data }) => {
+      console.log(`\n[${stamp()}] SMTP ${from} → ${to.join(', ')}${auth ? `  (auth ${auth})` : ''}`);
+      console.log(data);
+    },
+  }).listen(smtpPort, '127.0.0.1', () => {
+    console.log(`Mock SMTP on 127.0.0.1:${smtpPort}`);
+  });
+}
+
+module.exports = { createHttpServer, createSmtpServer };
@@ -3,18 +3,29 @@
 /**
  * monitor.js
  * Streams real-time spot prices for every coin in the pairs engine.
- * Uses Binance spot combined stream (miniTicker) — one connection, all coins.
+ * Uses Binance spot combined stream (miniTicker) — one connection, all coins
+ * in pairs.monitoredCoins (resubscribe() after the relationship list changes).
  * Falls back to REST polling every 30s if the WS drops.
  *
  * On every price tick:
- *   1. Updates pairs engine via pairs.onPrice()
- *   2. Calls onTickCallback(coin, price) so main.js can scan for signals
+ *   1. Hands the raw tick to recorder.js (when recording is enabled)
+ *   2. Updates pairs engine via pairs.onPrice()
+ *   3. Calls onTickCallback(coin, price, ts) so main.js can scan for signals
+ *
+ * Replay mode (start(cb, { replay })) feeds a recorder.js file through the
+ * same path instead of connecting to Binance. Replayed ticks pass their recorded
+ * time as ts, the clock the bot trades on; live ticks pass none.
  */
 
-const tls    = require('tls');
-const config = require('./config');
-const logger = require('./logger');
-const pairs  = require('./pairs');
+const tls      = require('tls');
+const config   = require('./config');
+const logger   = require('./logger');
+const pairs    = require('./pairs');
+const recorder = require('./recorder');
+const metrics  = require('./metrics');
+
+const ticksTotal   = metrics.counter('pairsbot_ticks_total', 'Price ticks received', ['coin', 'source']);
+const wsReconnects = metrics.counter('pairsbot_ws_reconnects_total', 'Spot WebSocket reconnects scheduled');
 
 let wsSocket       = null;
 let tickHandler    = null;
@@ -23,9 +34,18 @@ let pollTimer      = null;
 let stopped        = false;
 
 // ─── Start ────────────────────────────────────────────────────────────────────
-function start(onTickCallback) {
+// options.replay — recorder file or directory to replay instead of going live
+// options.speed  — replay speed multiplier (1 = real time, 0 = as fast as possible)
+function start(onTickCallback, options = {}) {
   tickHandler = onTickCallback;
   stopped     = false;
+
+  if (options.replay) {
+    replay(options.replay, options.speed === undefined ? 1 : options.speed)
+      .catch(err => logger.error('MONITOR', `Replay failed: ${err.message}`));
+    return;
+  }
+
   connectWS();
   pollTimer = setInterval(restPoll, config.REST_POLL_INTERVAL_MS);
 }
@@ -35,22 +55,35 @@ function stop() {
   if (reconnectTimer) clearTimeout(reconnectTimer);
   if (pollTimer)      clearInterval(pollTimer);
   if (wsSocket)       { try { wsSocket.destroy(); } catch (_) {} }
+  recorder.close();
   logger.info('MONITOR', 'Stopped');
 }
 
+// ─── Common tick path for WS, REST and replay ─────────────────────────────────
+function dispatch(coin, price, ts, source) {
+  ticksTotal.inc({ coin, source });
+
+  // Feed into pairs engine
+  pairs.onPrice(coin, price, ts);
+
+  // Notify main — a replay runs on the recording's clock
+  if (tickHandler) tickHandler(coin, price, source === 'REPLAY' ? ts : undefined);
+}
+
 // ─── WebSocket — Binance spot combined miniTicker stream ──────────────────────
 // miniTicker gives: symbol, close price (c), 24h volume, etc. at ~1s intervals
 function connectWS() {
   if (stopped) return;
 
-  const streams = config.PAIRS
+  const coins   = [...pairs.monitoredCoins];
+  const streams = coins
     .map(p => `${p.toLowerCase()}usdt@miniTicker`)
     .join('/');
 
   const host = config.BINANCE_WS_SPOT;
   const path = `/stream?streams=${streams}`;
 
-  logger.info('MONITOR', `Connecting to Binance spot WS (${config.PAIRS.length} coins)`);
+  logger.info('MONITOR', `Connecting to Binance spot WS (${coins.length} coins)`);
 
   wsSocket = tls.connect(443, host, { servername: host }, () => {
     const key = Buffer.from(Math.random().toString()).toString('base64');
@@ -112,8 +145,17 @@ function connectWS() {
   });
 }
 
+// Reconnect so the stream list picks up a changed pairs.monitoredCoins set
+function resubscribe() {
+  if (stopped || !pollTimer) return; // not streaming live (stopped or replaying)
+  logger.info('MONITOR', `Resubscribing — ${pairs.monitoredCoins.size} coins`);
+  if (wsSocket) { try { wsSocket.destroy(); } catch (_) {} }
+  scheduleReconnect();
+}
+
 function scheduleReconnect() {
   if (stopped || reconnectTimer) return;
+  wsReconnects.inc();
   reconnectTimer = setTimeout(() => {
     reconnectTimer = null;
     if (wsSocket) { try { wsSocket.destroy(); } catch (_) {} }
@@ -137,11 +179,8 @@ function handleMessage(raw) {
     const price = parseFloat(data.c);
     if (!coin || isNaN(price) || price <= 0) return;
 
-    // Feed into pairs engine
-    pairs.onPrice(coin, price);
-
-    // Notify main
-    if (tickHandler) tickHandler(coin, price);
+    recorder.record({ coin, price, eventTime: data.E || null, recvTime: Date.now(), source: 'WS' });
+    dispatch(coin, price, undefined, 'WS');
 
   } catch (_) {
     // silently drop malformed frames
@@ -151,16 +190,50 @@ function handleMessage(raw) {
 // ─── REST fallback — ensures prices stay fresh if WS lags ────────────────────
 async function restPoll() {
   const sourcer = require('./sourcer');
-  for (const coin of config.PAIRS) {
+  for (const coin of [...pairs.monitoredCoins]) {
     try {
       const spot = await sourcer.getSpotPrice(coin);
       if (!spot) continue;
-      pairs.onPrice(coin, spot.price);
-      if (tickHandler) tickHandler(coin, spot.price);
+      recorder.record({ coin, price: spot.price, recvTime: Date.now(), source: 'REST' });
+      dispatch(coin, spot.price, undefined, 'REST');
     } catch (_) {}
   }
 }
 
+// ─── Replay a recording through the normal tick path ─────────────────────────
+// Gaps between ticks are reproduced (divided by speed), and pairs history is
+// stamped with the recorded time so it matches what the bot originally saw.
+async function replay(target, speed) {
+  logger.info('MONITOR', `▶️  Replaying ${target} at ${speed > 0 ? speed + 'x' : 'max'} speed`);
+
+  let prevTs = null;
+  let count  = 0;
+
+  for await (const tick of recorder.readTicks(target)) {
+    if (stopped) return;
+
+    const ts = recorder.tickTime(tick);
+    if (speed > 0 && prevTs !== null && ts > prevTs) {
+      await sleep((ts - prevTs) / speed);
+      if (stopped) return;
+    }
+    prevTs = ts;
+
+    if (!tick.coin || !(tick.price > 0)) continue;
+    dispatch(tick.coin, tick.price, ts, 'REPLAY');
+    count++;
+
+    // Yield to the event loop so max-speed replays don't starve timers
+    if (speed <= 0 && count % 1000 === 0) await sleep(0);
+  }
+
+  logger.info('MONITOR', `⏹️  Replay finished — ${count} ticks`);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 // ─── WebSocket frame parser ───────────────────────────────────────────────────
 function parseWSFrame(buf) {
   if (buf.length < 2) return null;
@@ -196,4 +269,4 @@ function buildWSFrame(opcode, payload = Buffer.alloc(0)) {
   return Buffer.concat([header, payload]);
 }
 
-module.exports = { start, stop };
+module.exports = { start, stop, resubscribe };
@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+ * notifier.js
+ * Routes bot events to notification sinks (sinks.js) by event type and severity
+ *
+ *   notifier.send('close', 'warn', message, { reason: 'STOP_LOSS', embed });
+ *
+ * `message` is the text every sink can show; `embed` (discord.embed() fields) is an
+ * optional richer card for the same event, used by Discord sinks.
+ *
+ * Sinks come from NOTIFY.SINKS, built on first use; one whose secret isn't in the
+ * environment is skipped with a single warning. Each of NOTIFY.ROUTES whose filters
+ * all match adds its sinks, and the event goes once to each sink in the union:
+ *
+ *   events       '*' (default) or a list of event types
+ *   except       event types to leave out
+ *   minSeverity  info < warn < error < critical
+ *   reasons      exit reasons / risk limits — only close and risk events carrying one match
+ *
+ * Routes are re-read on every event, so a SIGHUP reload changes them in place.
+ *
+ * send() returns at once and never throws — trading never waits on a notification.
+ * Discord sinks queue to disk; the others deliver in the background, and a sink that
+ * fails is counted in pairsbot_notify_failures_total. flush() waits for all of it,
+ * for use before the process exits.
+ *
+ *   node notifier.js --test [sink …]   send a test message to each (or every) sink
+ */
+
+const config   = require('./config');
+const settings = require('./settings');
+const logger   = require('./logger');
+const metrics  = require('./metrics');
+const sinks    = require('./sinks');
+
+// Where each sink type reads its secrets: sink config key → secrets key
+const SECRET_KEYS = { urlEnv: 'url', tokenEnv: 'token', userEnv: 'user', passEnv: 'pass' };
+const REQUIRED    = { discord: ['urlEnv'], slack: ['urlEnv'], webhook: ['urlEnv'], telegram: ['tokenEnv'], email: [] };
+
+const delivered = metrics.counter('pairsbot_notify_sent_total', 'Notifications delivered (queued, for Discord), per sink', ['sink']);
+const failures  = metrics.counter('pairsbot_notify_failures_total', 'Notifications a sink failed to deliver', ['sink']);
+
+let built     = null;      // name → sink
+const pending = new Set(); // deliveries still in flight
+
+// ─── Sinks ────────────────────────────────────────────────────────────────────
+function buildSinks(defs = config.NOTIFY.SINKS, env = process.env) {
+  const out = new Map();
+  for (const [name, def] of Object.entries(defs)) {
+    if (def.enabled === false) continue;
+
+    const missing = REQUIRED[def.type].map(k => def[k]).filter(v => !env[v]);
+    if (missing.length) {
+      logger.warn('NOTIFY', `Sink ${name} (${def.type}) disabled — ${missing.join(', ')} not set`);
+      continue;
+    }
+
+    const secrets = {};
+    for (const [key, secret] of Object.entries(SECRET_KEYS)) {
+      if (def[key]) secrets[secret] = env[def[key]] || null;
+    }
+
+    try {
+      out.set(name, sinks.create(name, def, secrets));
+    } catch (err) {
+      logger.error('NOTIFY', `Sink ${name} (${def.type}) disabled — ${err.message}`);
+    }
+  }
+
+  if (!out.size) logger.warn('NOTIFY', 'No notification sinks configured — events go to the log only');
+  return out;
+}
+
+function getSinks() {
+  if (!built) built = buildSinks();
+  return built;
+}
+
+// ─── Routing ──────────────────────────────────────────────────────────────────
+const rank = severity => settings.SEVERITIES.indexOf(severity);
+
+function matches(route, type, severity, reason) {
+  if (route.events && route.events !== '*' && !route.events.includes(type)) return false;
+  if (route.except && route.except.includes(type)) return false;
+  if (route.minSeverity && rank(severity) < rank(route.minSeverity)) return false;
+  if (route.reasons && !route.reasons.includes(reason)) return false;
+  return true;
+}
+
+// Sink names for one event — the union over matching routes, in route order
+function route(type, severity, reason, routes = config.NOTIFY.ROUTES) {
+  const names = new Set();
+  for (const r of routes) {
+    if (matches(r, type, severity, reason)) r.sinks.forEach(name => names.add(name));
+  }
+  return [...names];
+}
+
+// ─── Send ─────────────────────────────────────────────────────────────────────
+async function deliver(name, sink, event) {
+  let ok = false;
+  try {
+    ok = await sink.send(event);
+  } catch (err) {
+    logger.error('NOTIFY', `Sink ${name}: ${err.message}`);
+  }
+  (ok ? delivered : failures).inc({ sink: name });
+  return ok;
+}
+
+// Hands the event to its sinks and returns — true if any route took it
+function send(type, severity, message, { reason, embed } = {}) {
+  const available = getSinks();
+  const targets   = route(type, severity, reason).filter(name => available.has(name));
+  if (!targets.length) return false;
+
+  const event = { type, severity, reason: reason || null, message, embed: embed || null, ts: Date.now() };
+  for (const name of targets) {
+    const delivery = deliver(name, available.get(name), event);
+    pending.add(delivery);
+    delivery.finally(() => pending.delete(delivery));
+  }
+  return true;
+}
+
+// Resolves true once every in-flight delivery and Discord queue is done, false on timeout
+async function flush(timeoutMs = 5000) {
+  if (!built) return true;
+  const deadline = Date.now() + timeoutMs;
+  let timer;
+  const timeout  = new Promise((resolve) => { timer = setTimeout(resolve, timeoutMs, false); });
+  const drained  = (async () => {
+    await Promise.all([...pending]);
+    const queues = [...built.values()].filter(s => s.flush).map(s => s.flush(Math.max(deadline - Date.now(), 0)));
+    return (await Promise.all(queues)).every(Boolean);
+  })();
+  const ok = await Promise.race([drained, timeout]);
+  clearTimeout(timer);
+  return ok;
+}
+
+module.exports = { send, flush, route };
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if (args[0] !== '--test') {
+    console.log('Usage: node notifier.js --test [sink …]');
+    process.exit(1);
+  }
+
+  (async () => {
+    const available = getSinks();
+    const names     = args.length > 1 ? args.slice(1) : [...available.keys()];
+    const message   = ['```', '🧪 NOTIFIER TEST', `Time: ${new Date().toISOString()}`, '```'].join('\n');
+    let failed      = 0;
+
+    for (const name of names) {
+      const sink = available.get(name);
+      let ok     = sink ? await sink.send({ type: 'test', severity: 'info', reason: null, message, ts: Date.now() }) : false;
+      let note   = sink ? '' : ' — not configured or disabled';
+      if (ok && sink.flush) {
+        ok   = await sink.flush(30000); // queued — wait for Discord to take it
+        note = ok ? '' : ' — still queued, retried on the next start';
+      }
+      console.log(`${ok ? '✅' : '❌'} ${name}${sink ? ` (${sink.type})` : ''}${note}`);
+      if (!ok) failed++;
+    }
+    process.exit(failed ? 1 : 0);
+  })();
+}
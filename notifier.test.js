@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * notifier.test.js
+ * Event routing to notification sinks — run with `npm test`
+ *
+ * sinks.create() is replaced by stubs that record what they're sent, so routing
+ * (events / except / minSeverity / reasons), sink setup and delivery failures are
+ * checked without any network. Exits 1 on the first failure.
+ */
+
+const assert = require('assert');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const config   = require('./config');
+const sinks    = require('./sinks');
+const metrics  = require('./metrics');
+const notifier = require('./notifier');
+
+const tests = [];
+const test  = (name, fn) => tests.push({ name, fn });
+
+// ─── Stub sinks ───────────────────────────────────────────────────────────────
+const received = {}; // sink name → [event]
+const created  = {}; // sink name → secrets it was built with
+
+sinks.create = (name, def, secrets) => {
+  created[name]  = secrets;
+  received[name] = [];
+  return {
+    name, type: def.type,
+    async send(event) {
+      if (name === 'broken') throw new Error('down');
+      received[name].push(event);
+      return true;
+    },
+  };
+};
+
+process.env.TEST_ALL_URL    = 'http://127.0.0.1:1/all';
+process.env.TEST_OPS_URL    = 'http://127.0.0.1:1/ops';
+process.env.TEST_STOPS_URL  = 'http://127.0.0.1:1/stops';
+process.env.TEST_BROKEN_URL = 'http://127.0.0.1:1/broken';
+
+config.NOTIFY.SINKS = {
+  all:    { type: 'slack', urlEnv: 'TEST_ALL_URL' },
+  ops:    { type: 'webhook', urlEnv: 'TEST_OPS_URL' },
+  stops:  { type: 'slack', urlEnv: 'TEST_STOPS_URL' },
+  broken: { type: 'slack', urlEnv: 'TEST_BROKEN_URL' },
+  nokey:  { type: 'slack', urlEnv: 'TEST_NOT_SET_URL' },
+  off:    { type: 'slack', urlEnv: 'TEST_ALL_URL', enabled: false },
+};
+
+const ROUTES = [
+  { sinks: ['all', 'nokey'], except: ['status'] },
+  { sinks: ['ops', 'all'], events: ['error', 'risk', 'legged'], minSeverity: 'warn' },
+  { sinks: ['stops'], events: ['close', 'risk'], reasons: ['STOP_LOSS', 'DAILY_LOSS'] },
+  { sinks: ['broken', 'off'], events: ['startup'] },
+];
+config.NOTIFY.ROUTES = ROUTES;
+
+const names = sink => (received[sink] || []).map(e => e.message);
+
+// ─── route() ──────────────────────────────────────────────────────────────────
+test('routes match on event type, exceptions, severity and reason, in route order', () => {
+  assert.deepStrictEqual(notifier.route('open', 'info', null), ['all', 'nokey']);
+  assert.deepStrictEqual(notifier.route('status', 'info', null), []);
+  assert.deepStrictEqual(notifier.route('error', 'info', null), ['all', 'nokey']);
+  assert.deepStrictEqual(notifier.route('error', 'critical', null), ['all', 'nokey', 'ops']);
+  assert.deepStrictEqual(notifier.route('close', 'info', 'CONVERGED'), ['all', 'nokey']);
+  assert.deepStrictEqual(notifier.route('close', 'warn', 'STOP_LOSS'), ['all', 'nokey', 'stops']);
+  assert.deepStrictEqual(notifier.route('risk', 'warn', 'DAILY_LOSS'), ['all', 'nokey', 'ops', 'stops']);
+
+  // events: '*' is every event; an empty route list sends nothing
+  assert.deepStrictEqual(notifier.route('status', 'info', null, [{ sinks: ['x'], events: '*' }]), ['x']);
+  assert.deepStrictEqual(notifier.route('open', 'critical', null, []), []);
+});
+
+// ─── send() ───────────────────────────────────────────────────────────────────
+test('each sink gets an event once, whatever number of routes pick it', async () => {
+  assert.strictEqual(notifier.send('risk', 'error', 'halted', { reason: 'DAILY_LOSS' }), true);
+  assert.ok(await notifier.flush(1000));
+
+  assert.deepStrictEqual(names('all'), ['halted']);
+  assert.deepStrictEqual(names('ops'), ['halted']);
+  assert.deepStrictEqual(names('stops'), ['halted']);
+  const [event] = received.all;
+  assert.strictEqual(event.type, 'risk');
+  assert.strictEqual(event.severity, 'error');
+  assert.strictEqual(event.reason, 'DAILY_LOSS');
+  assert.strictEqual(event.embed, null);
+});
+
+test('sinks without their secret or switched off are never built', () => {
+  assert.deepStrictEqual(Object.keys(created).sort(), ['all', 'broken', 'ops', 'stops']);
+  assert.deepStrictEqual(created.ops, { url: 'http://127.0.0.1:1/ops' });
+});
+
+test('an event no route wants, or only unbuilt sinks want, is not sent', async () => {
+  assert.strictEqual(notifier.send('status', 'info', 'quiet'), false);
+  config.NOTIFY.ROUTES = [{ sinks: ['nokey', 'off'] }];
+  assert.strictEqual(notifier.send('open', 'info', 'nobody'), false);
+  config.NOTIFY.ROUTES = ROUTES;
+  await notifier.flush(1000);
+  assert.ok(!names('all').includes('quiet') && !names('all').includes('nobody'));
+});
+
+test('a sink that throws is counted as a failure and the others still deliver', async () => {
+  config.NOTIFY.ROUTES = [{ sinks: ['broken', 'all'], events: ['startup'] }];
+  assert.strictEqual(notifier.send('startup', 'info', 'booted'), true);
+  assert.ok(await notifier.flush(1000));
+  config.NOTIFY.ROUTES = ROUTES;
+
+  assert.ok(names('all').includes('booted'));
+  assert.match(metrics.render(), /pairsbot_notify_failures_total\{sink="broken"\} 1/);
+});
+
+test('routes are read per event, so a reload changes them without a restart', async () => {
+  config.NOTIFY.ROUTES = [{ sinks: ['ops'], events: ['open'] }];
+  notifier.send('open', 'info', 'rerouted');
+  await notifier.flush(1000);
+  config.NOTIFY.ROUTES = ROUTES;
+
+  assert.strictEqual(names('ops').slice(-1)[0], 'rerouted');
+  assert.ok(!names('all').includes('rerouted'));
+});
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+(async () => {
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (err) {
+      console.log(`  ✗ ${name}\n    ${err.message}`);
+      process.exit(1);
+    }
+  }
+  console.log(`✅ ${tests.length} passed`);
+  process.exit(0);
+})();
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * orderbook.js
+ * Market-order fill simulation against an order book snapshot
+ *
+ * walk(levels, size) consumes price levels best first — bids for a sell, asks
+ * for a buy — until the order's quote notional (or base quantity) is covered,
+ * and returns the per-level fills and their VWAP.
+ *
+ * Slippage is measured against a reference price (book mid for simulated fills,
+ * the last traded price for live ones) and signed so a cost is positive.
+ */
+
+// ─── Walk the book ────────────────────────────────────────────────────────────
+// levels: [[price, qty], ...] best first; size: { quoteQty } or { quantity }
+function walk(levels, { quoteQty, quantity }) {
+  const fills = [];
+  let qty     = 0;
+  let quote   = 0;
+
+  for (const [price, available] of levels) {
+    const wanted = quantity ? quantity - qty : (quoteQty - quote) / price;
+    if (!(wanted > 0)) break;
+
+    const take = Math.min(available, wanted);
+    fills.push({ price, qty: take });
+    qty   += take;
+    quote += take * price;
+  }
+
+  const target   = quantity || quoteQty;
+  const complete = (quantity ? qty : quote) >= target * (1 - 1e-9);
+  return { fills, qty, quote, avgPrice: qty > 0 ? quote / qty : 0, complete };
+}
+
+function midPrice(book) {
+  return (book.bestBid + book.bestAsk) / 2;
+}
+
+// ─── Slippage ─────────────────────────────────────────────────────────────────
+// Fraction of the reference paid away: buying above it or selling below it
+function slippage(side, avgPrice, reference) {
+  if (!reference || !avgPrice) return 0;
+  return side === 'BUY' ? (avgPrice - reference) / reference : (reference - avgPrice) / reference;
+}
+
+// Stamp an executor order with its reference price and slippage (fraction and USD)
+function applySlippage(order, reference) {
+  order.reference   = reference || null;
+  order.slippage    = slippage(order.side, order.avgPrice, reference);
+  order.slippageUsd = order.slippage * (reference || 0) * order.executedQty;
+  return order;
+}
+
+module.exports = { walk, midPrice, slippage, applySlippage };
@@ -4,84 +4,292 @@
  * pairs.js
  * Statistical pairs trading engine
  * Monitors correlated coin relationships
- * Enters when ratio deviates > entry z-score, exits on convergence
+ * Enters when the hedged log-price spread (log A − β·log B) deviates
+ * > entry z-score, exits on convergence.
+ *
+ * Signal model per relationship (PAIRS_CONFIG.MODEL / MODELS):
+ *   'zscore' — rolling OLS β, z-score of the spread over the lookback window
+ *   'kalman' — Kalman-filtered α/β, z = (log A − α − β·log B) / rolling std,
+ *              with an open position held to the α/β it entered on
+ *
+ * Ticks are bucketed into fixed time bars (BAR_INTERVAL). Statistics only move
+ * on bar closes, each bar using the last price seen for every coin, so the
+ * window means the same span of time whatever the tick rate or source.
  */
 
-const config = require('./config');
-const logger = require('./logger');
+const config   = require('./config');
+const logger   = require('./logger');
+const kalman   = require('./kalman');
+const duration = require('./duration');
+const rolling  = require('./rolling');
 
-// ── Price history per coin (rolling 24h of ticks) ────────────────────────────
-const priceHistory = {}; // { 'BTC': [{price, ts}, ...], 'ETH': [...] }
-const MAX_TICKS    = config.PAIRS_CONFIG.LOOKBACK_TICKS; // ~2880 = 24h at 30s intervals
+// ── Bar geometry — LOOKBACK / MIN_HISTORY are durations, converted to bars ───
+const BAR_MS   = duration.parse(config.PAIRS_CONFIG.BAR_INTERVAL);
+const MAX_BARS = Math.ceil(duration.parse(config.PAIRS_CONFIG.LOOKBACK) / BAR_MS);
+const MIN_BARS = Math.ceil(duration.parse(config.PAIRS_CONFIG.MIN_HISTORY) / BAR_MS);
 
-// ── Ratio history per relationship ───────────────────────────────────────────
-const ratioHistory = {}; // { 'BTC-ETH': [{ratio, ts}, ...] }
+// ── Bar-close history per coin (rolling LOOKBACK, ring buffers) ──────────────
+const priceHistory = {}; // { 'BTC': ring of {price, ts}, 'ETH': ... }
+
+// ── Log-price bar history per relationship (a = log A, b = log B) ───────────
+// Pair windows keep running means/variances/covariance, so β and the spread
+// z-score are O(1) per call no matter how long the lookback is
+const ratioHistory = {}; // { 'BTC-ETH': pair window of {a, b, ts} }
+
+// ── Open bar — index of the bar currently collecting ticks ────────────────────
+let currentBar = null;
+
+// ── Kalman filter state per relationship (kalman model only) ────────────────
+const kalmanState = {}; // { 'DOGE-SHIB': { theta, P, e, Q, n, ts } }
 
 // ── Latest prices ─────────────────────────────────────────────────────────────
 const latestPrice = {};
 
+// ── Active relationships — static config list until discovery replaces it ───
+let relationships = config.PAIRS_CONFIG.relationships.map(r => [...r]);
+const relationshipInfo = {}; // { 'BTC-ETH': { source, pValue, hedgeRatio, ... } }
+
 // ── All monitored coins (flat list) ──────────────────────────────────────────
-const monitoredCoins = new Set(
-  config.PAIRS_CONFIG.relationships.flatMap(r => r)
-);
+const monitoredCoins = new Set(relationships.flatMap(r => r));
+
+// ─── Swap the active relationship list ────────────────────────────────────────
+// entries: [[coinA, coinB], ...] or [{ coinA, coinB, ...info }, ...]
+// History for relationships that stay active is kept; dropped ones are cleared.
+function setRelationships(entries) {
+  const next = entries.map(e => Array.isArray(e) ? [e[0], e[1]] : [e.coinA, e.coinB]);
+  const keys = new Set(next.map(([a, b]) => `${a}-${b}`));
+
+  for (const key of Object.keys(ratioHistory)) {
+    if (!keys.has(key)) delete ratioHistory[key];
+  }
+  for (const key of Object.keys(relationshipInfo)) {
+    if (!keys.has(key)) delete relationshipInfo[key];
+  }
+  for (const key of Object.keys(kalmanState)) {
+    if (!keys.has(key)) delete kalmanState[key];
+  }
+  for (const e of entries) {
+    if (!Array.isArray(e)) relationshipInfo[`${e.coinA}-${e.coinB}`] = { ...e };
+  }
+
+  relationships = next;
+
+  // Mutate in place — other modules hold a reference to this Set
+  monitoredCoins.clear();
+  for (const coin of relationships.flatMap(r => r)) monitoredCoins.add(coin);
+
+  logger.info('PAIRS', `Active relationships: ${relationships.length} (${monitoredCoins.size} coins)`);
+}
+
+function getRelationships() {
+  return relationships.map(r => [...r]);
+}
+
+function getRelationshipInfo(key) {
+  return relationshipInfo[key] || null;
+}
+
+// ─── Signal model for a relationship ──────────────────────────────────────────
+function modelFor(key) {
+  const models = config.PAIRS_CONFIG.MODELS || {};
+  return models[key] || config.PAIRS_CONFIG.MODEL || 'zscore';
+}
+
+// Copy of a relationship's bar history, oldest first: [{a, b, ts}, ...]
+function getHistory(key) {
+  return ratioHistory[key] ? ratioHistory[key].toArray() : [];
+}
+
+// Samples a relationship's statistics are built on (window length or filter updates)
+function historyLength(key) {
+  if (modelFor(key) === 'kalman') return kalmanState[key] ? kalmanState[key].n : 0;
+  return (ratioHistory[key] || []).length;
+}
 
 // ─── Ingest a price tick ──────────────────────────────────────────────────────
-function onPrice(pair, price) {
+// ts defaults to wall-clock time; the backtester passes the candle time instead.
+// A tick in a later bar first closes the open bar, then becomes the new latest price.
+function onPrice(pair, price, ts = Date.now()) {
   if (!monitoredCoins.has(pair)) return;
 
-  latestPrice[pair] = price;
+  const bar = Math.floor(ts / BAR_MS);
+  if (currentBar === null) currentBar = bar;
+  if (bar > currentBar) {
+    closeBar(currentBar);
+    currentBar = bar;
+  }
 
-  // Store in history
-  if (!priceHistory[pair]) priceHistory[pair] = [];
-  priceHistory[pair].push({ price, ts: Date.now() });
+  latestPrice[pair] = price;
+}
 
-  // Keep only recent ticks
-  if (priceHistory[pair].length > MAX_TICKS) {
-    priceHistory[pair].shift();
+// ─── Close a bar — one sample per coin and relationship ──────────────────────
+// Bars without any tick for a coin carry its last known price forward.
+// Several empty bars in a row (feed outage) produce a single sample, not a flat run.
+// `prices` defaults to the live latest prices; a history restore passes saved closes.
+function closeBar(bar, prices = latestPrice) {
+  const ts     = bar * BAR_MS;
+  const cutoff = ts - MAX_BARS * BAR_MS;
+
+  for (const coin of monitoredCoins) {
+    if (!prices[coin]) continue;
+    if (!priceHistory[coin]) priceHistory[coin] = rolling.createRingBuffer(MAX_BARS);
+    const history = priceHistory[coin];
+    history.push({ price: prices[coin], ts });
+    while (history.length && history.first().ts < cutoff) history.shift();
   }
 
-  // Update ratio history for all relationships involving this pair
-  for (const [coinA, coinB] of config.PAIRS_CONFIG.relationships) {
-    if (pair !== coinA && pair !== coinB) continue;
-    if (!latestPrice[coinA] || !latestPrice[coinB]) continue;
+  for (const [coinA, coinB] of relationships) {
+    if (!prices[coinA] || !prices[coinB]) continue;
+
+    const key = `${coinA}-${coinB}`;
+    const a   = Math.log(prices[coinA]);
+    const b   = Math.log(prices[coinB]);
+
+    if (!ratioHistory[key]) ratioHistory[key] = rolling.createPairWindow(MAX_BARS);
+    ratioHistory[key].push({ a, b, ts });
+    ratioHistory[key].trimBefore(cutoff);
+
+    if (modelFor(key) === 'kalman') {
+      if (!kalmanState[key]) {
+        const info = relationshipInfo[key];
+        kalmanState[key] = kalman.create(info && info.hedgeRatio > 0 ? info.hedgeRatio : 1);
+      }
+      // A restored filter has already seen bars up to kf.ts — don't feed them twice
+      if (!(kalmanState[key].ts >= ts)) {
+        kalman.update(kalmanState[key], a, b, config.PAIRS_CONFIG.KALMAN, ts);
+      }
+    }
+  }
+}
 
-    const key   = `${coinA}-${coinB}`;
-    const ratio = latestPrice[coinA] / latestPrice[coinB];
+// ─── Backfill from historical closes ──────────────────────────────────────────
+// series: { BTC: [{ ts, price }, ...], ETH: [...] } — merged into one time-ordered
+// stream and fed through onPrice() so bars close exactly as they would live.
+// Samples older than the open bar are skipped (history never rewinds).
+function backfill(series) {
+  const events = [];
+  for (const [coin, rows] of Object.entries(series)) {
+    for (const row of rows) events.push({ coin, price: row.price, ts: row.ts });
+  }
+  events.sort((x, y) => x.ts - y.ts);
 
-    if (!ratioHistory[key]) ratioHistory[key] = [];
-    ratioHistory[key].push({ ratio, ts: Date.now() });
-    if (ratioHistory[key].length > MAX_TICKS) ratioHistory[key].shift();
+  let fed = 0;
+  for (const { coin, price, ts } of events) {
+    if (currentBar !== null && Math.floor(ts / BAR_MS) < currentBar) continue;
+    onPrice(coin, price, ts);
+    fed++;
   }
+  return fed;
 }
 
-// ─── Get z-score for a relationship ──────────────────────────────────────────
-function getZScore(coinA, coinB) {
+// Start of the open bar (ms), or null before the first price — backfill
+// only needs data from here on
+function openBarTime() {
+  return currentBar === null ? null : currentBar * BAR_MS;
+}
+
+// ─── Rolling OLS hedge ratio ──────────────────────────────────────────────────
+// β from regressing log A on log B over the lookback window, clamped so a
+// noisy fit can't put almost all capital on one leg. HEDGE_MODE 'fixed' = 1:1.
+function getHedgeRatio(coinA, coinB) {
+  if (config.PAIRS_CONFIG.HEDGE_MODE !== 'ols') return 1;
+
+  const history = ratioHistory[`${coinA}-${coinB}`];
+  if (!history || history.length < 2) return 1;
+
+  const { cov, varB } = history.stats();
+  if (!(varB > 0)) return 1;
+
+  const { MIN_HEDGE_RATIO, MAX_HEDGE_RATIO } = config.PAIRS_CONFIG;
+  return Math.min(MAX_HEDGE_RATIO, Math.max(MIN_HEDGE_RATIO, cov / varB));
+}
+
+// ─── Kalman signal ────────────────────────────────────────────────────────────
+// Same shape as the rolling z-score: the spread is log A − β·log B with the
+// filter's β, its mean the filter's α and its std taken over the lookback window.
+// An open position passes the α/β it entered on, so the filter adapting to a move
+// can't make a spread that never came back look converged.
+function getKalmanScore(coinA, coinB, beta = null, alpha = null) {
   const key     = `${coinA}-${coinB}`;
+  const kf      = kalmanState[key];
   const history = ratioHistory[key];
 
-  if (!history || history.length < config.PAIRS_CONFIG.MIN_HISTORY_TICKS) return null;
+  if (!kf || kf.n < MIN_BARS || !history || history.length < 2) return null;
+
+  const { MIN_HEDGE_RATIO, MAX_HEDGE_RATIO } = config.PAIRS_CONFIG;
+  const frozen   = beta !== null && alpha !== null;
+  const hedge    = frozen ? beta : Math.min(MAX_HEDGE_RATIO, Math.max(MIN_HEDGE_RATIO, kf.theta[1]));
+  const mean     = frozen ? alpha : kf.theta[0];
+  const m        = history.stats();
+  const variance = m.varA + hedge * hedge * m.varB - 2 * hedge * m.cov;
+
+  if (!(variance > 1e-14)) return null;
+  const std     = Math.sqrt(variance);
+
+  const last    = history.last();
+  const current = last.a - hedge * last.b;
+  return {
+    zScore:  (current - mean) / std,
+    mean, std, current,
+    beta:    hedge,
+    ratio:   Math.exp(last.a - last.b),
+    model:   'kalman',
+    coinA, coinB, key,
+  };
+}
+
+// ─── Get z-score for a relationship ──────────────────────────────────────────
+// Pass `beta` / `model` to score the spread an open position actually holds, and
+// `alpha` for a Kalman one — the mean it entered on (the rolling mean always moves)
+function getZScore(coinA, coinB, beta = null, model = null, alpha = null) {
+  const key     = `${coinA}-${coinB}`;
+  if ((model || modelFor(key)) === 'kalman') return getKalmanScore(coinA, coinB, beta, alpha);
 
-  const ratios = history.map(h => h.ratio);
-  const mean   = ratios.reduce((s, r) => s + r, 0) / ratios.length;
-  const variance = ratios.reduce((s, r) => s + Math.pow(r - mean, 2), 0) / ratios.length;
-  const std    = Math.sqrt(variance);
+  const history = ratioHistory[key];
 
-  if (std === 0) return null;
+  if (!history || history.length < MIN_BARS) return null;
+
+  // Spread s = a − β·b: mean and variance follow from the window's moments
+  const hedge    = beta || getHedgeRatio(coinA, coinB);
+  const m        = history.stats();
+  const mean     = m.meanA - hedge * m.meanB;
+  const variance = m.varA + hedge * hedge * m.varB - 2 * hedge * m.cov;
+
+  // Flat spread (or float noise around zero) — nothing to score
+  if (!(variance > 1e-14)) return null;
+  const std      = Math.sqrt(variance);
+
+  // Score the last closed bar — intra-bar ticks don't move the signal
+  const last    = history.last();
+  const current = last.a - hedge * last.b;
+  return {
+    zScore: (current - mean) / std,
+    mean, std, current,
+    beta:   hedge,
+    ratio:  Math.exp(last.a - last.b),
+    model:  'zscore',
+    coinA, coinB, key,
+  };
+}
 
-  const current = latestPrice[coinA] / latestPrice[coinB];
-  return { zScore: (current - mean) / std, mean, std, current, coinA, coinB, key };
+// Split a notional across both legs so leg B is β times leg A —
+// then PnL tracks the spread (log A − β·log B) rather than the raw ratio
+function legAmounts(amount, beta) {
+  const amountA = amount / (1 + beta);
+  return { amountA, amountB: amount - amountA };
 }
 
 // ─── Scan all relationships for entry signals ─────────────────────────────────
 function scanForOpportunities() {
   const opportunities = [];
 
-  for (const [coinA, coinB] of config.PAIRS_CONFIG.relationships) {
+  for (const [coinA, coinB] of relationships) {
     const z = getZScore(coinA, coinB);
     if (!z) continue;
 
+    // Spread is in log units, so its distance from the mean is already a fraction
     const absZ       = Math.abs(z.zScore);
-    const divergence = Math.abs(z.current - z.mean) / z.mean;
+    const divergence = Math.abs(z.current - z.mean);
 
     // Entry: z-score above threshold AND divergence covers fees
     if (absZ >= config.PAIRS_CONFIG.ENTRY_ZSCORE &&
@@ -103,12 +311,15 @@ function scanForOpportunities() {
         divergence,
         mean:       z.mean,
         std:        z.std,
-        currentRatio: z.current,
+        hedgeRatio: z.beta,
+        model:      z.model,
+        currentSpread: z.current,
+        currentRatio: z.ratio,
         priceA:     latestPrice[coinA],
         priceB:     latestPrice[coinB],
       });
 
-      logger.info('PAIRS', `📐 Opportunity: ${shortCoin}↓ / ${longCoin}↑ | z=${z.zScore.toFixed(2)} | div=${(divergence*100).toFixed(3)}%`);
+      logger.info('PAIRS', `📐 Opportunity: ${shortCoin}↓ / ${longCoin}↑ | z=${z.zScore.toFixed(2)} | div=${(divergence*100).toFixed(3)}% | β=${z.beta.toFixed(3)}`);
     }
   }
 
@@ -117,12 +328,16 @@ function scanForOpportunities() {
 }
 
 // ─── Check exit condition for an open pairs position ─────────────────────────
-function checkExit(position) {
-  const { coinA, coinB, entryZScore, entryRatio, openedAt } = position;
-  const z = getZScore(coinA, coinB);
+function checkExit(position, now = Date.now()) {
+  const { coinA, coinB, entryZScore, openedAt } = position;
+
+  // Score the hedge and model that were put on, not today's (pre-β positions held 1:1).
+  // A Kalman position keeps its entry α/β, so only the spread coming back closes it.
+  const model = position.model || 'zscore';
+  const z     = getZScore(coinA, coinB, position.hedgeRatio || 1, model, model === 'kalman' ? position.entryMean : null);
   if (!z) return null;
 
-  const ageHours   = (Date.now() - openedAt) / 3600000;
+  const ageHours   = (now - openedAt) / 3600000;
   const absZ       = Math.abs(z.zScore);
 
   // Exit: z-score converged back toward mean
@@ -152,38 +367,116 @@ function checkExit(position) {
 function getStatusSnapshot() {
   const rows = [];
 
-  for (const [coinA, coinB] of config.PAIRS_CONFIG.relationships) {
+  for (const [coinA, coinB] of relationships) {
     const z = getZScore(coinA, coinB);
-    const histLen = (ratioHistory[`${coinA}-${coinB}`] || []).length;
-    const ready   = histLen >= config.PAIRS_CONFIG.MIN_HISTORY_TICKS;
+    const histLen = historyLength(`${coinA}-${coinB}`);
+    const ready   = histLen >= MIN_BARS;
 
     rows.push({
       pair:      `${coinA}/${coinB}`,
       zScore:    z ? z.zScore.toFixed(2)          : 'warming',
-      diverge:   z ? ((Math.abs(z.current - z.mean)/z.mean)*100).toFixed(3)+'%' : '-',
+      diverge:   z ? (Math.abs(z.current - z.mean)*100).toFixed(3)+'%' : '-',
+      hedge:     z ? z.beta.toFixed(3) : '-',
+      model:     modelFor(`${coinA}-${coinB}`),
       signal:    !ready         ? '⏳ warming up'
                : !z             ? '⏳ no data'
                : Math.abs(z.zScore) >= config.PAIRS_CONFIG.ENTRY_ZSCORE ? '🔥 ENTRY SIGNAL'
                : Math.abs(z.zScore) >= 1.0 ? '👀 watch'
                : '😴 quiet',
-      ticks:     histLen,
+      bars:      histLen,
+      minBars:   MIN_BARS,
+      ready,
     });
   }
 
   return rows;
 }
 
-// ─── Unrealized PnL for a pairs position ─────────────────────────────────────
-function unrealizedPnl(position) {
-  const { shortCoin, longCoin, entryShortPrice, entryLongPrice, amount } = position;
-  const currentShort = latestPrice[shortCoin];
-  const currentLong  = latestPrice[longCoin];
-  if (!currentShort || !currentLong) return 0;
+// ─── Kalman state persistence ─────────────────────────────────────────────────
+function exportModels() {
+  return { savedAt: Date.now(), kalman: kalmanState };
+}
+
+// Restores filters for relationships still configured for the kalman model
+function importModels(saved) {
+  if (!saved || !saved.kalman) return 0;
+
+  let restored = 0;
+  for (const [key, kf] of Object.entries(saved.kalman)) {
+    if (modelFor(key) !== 'kalman' || !kf || !Array.isArray(kf.theta)) continue;
+    kalmanState[key] = kf;
+    restored++;
+  }
+  if (restored) logger.info('PAIRS', `Restored ${restored} Kalman filter(s)`);
+  return restored;
+}
+
+// ─── Bar history persistence ──────────────────────────────────────────────────
+// Compact snapshot: per coin, the index of its first bar and one close per bar
+// after it (null where the coin had no price yet). Relationship windows are pure
+// functions of the coin closes, so they are rebuilt on restore rather than stored.
+function exportHistory() {
+  const coins = {};
+  for (const [coin, history] of Object.entries(priceHistory)) {
+    if (!history.length) continue;
+    const start  = history.first().ts / BAR_MS;
+    const closes = [];
+    for (const { price, ts } of history.toArray()) closes[ts / BAR_MS - start] = price;
+    coins[coin] = { start, closes: Array.from(closes, p => p === undefined ? null : p) };
+  }
+  return { savedAt: Date.now(), barMs: BAR_MS, currentBar, latestPrice: { ...latestPrice }, coins };
+}
+
+// Replays saved closes through closeBar() in bar order, dropping bars that fall
+// outside the lookback window as of `now`. Only valid before any live price arrives.
+// Returns { bars, relationships, ready, from, to } or null when nothing was usable.
+function importHistory(saved, now = Date.now()) {
+  if (!saved || !saved.coins) return null;
+  if (currentBar !== null) {
+    logger.warn('PAIRS', 'History restore skipped — engine already has live bars');
+    return null;
+  }
+  if (saved.barMs !== BAR_MS) {
+    logger.warn('PAIRS', `Saved history uses ${duration.format(saved.barMs)} bars, not ${config.PAIRS_CONFIG.BAR_INTERVAL} — discarded`);
+    return null;
+  }
+
+  const firstBar = Math.floor(now / BAR_MS) - MAX_BARS;
+  const bars     = new Map(); // bar index → { coin: close }
+  for (const [coin, { start, closes }] of Object.entries(saved.coins)) {
+    if (!monitoredCoins.has(coin)) continue;
+    closes.forEach((price, i) => {
+      if (price === null || start + i < firstBar) return;
+      if (!bars.has(start + i)) bars.set(start + i, {});
+      bars.get(start + i)[coin] = price;
+    });
+  }
+  if (!bars.size) return null;
+
+  const order = [...bars.keys()].sort((x, y) => x - y);
+  for (const bar of order) closeBar(bar, bars.get(bar));
+
+  // Resume the bar that was open at save time, with the prices seen in it
+  const lastBar = order[order.length - 1];
+  currentBar = saved.currentBar > lastBar ? saved.currentBar : lastBar + 1;
+  for (const [coin, price] of Object.entries(saved.latestPrice || {})) {
+    if (monitoredCoins.has(coin)) latestPrice[coin] = price;
+  }
 
-  const halfAmount   = amount / 2;
-  const shortPnl     = (entryShortPrice - currentShort) / entryShortPrice * halfAmount;
-  const longPnl      = (currentLong - entryLongPrice)   / entryLongPrice  * halfAmount;
-  return shortPnl + longPnl;
+  const result = {
+    bars:          order.length,
+    relationships: relationships.filter(([a, b]) => ratioHistory[`${a}-${b}`]).length,
+    ready:         relationships.filter(([a, b]) => historyLength(`${a}-${b}`) >= MIN_BARS).length,
+    from:          order[0] * BAR_MS,
+    to:            lastBar * BAR_MS,
+  };
+  logger.info('PAIRS', `Restored ${result.bars} bars (${new Date(result.from).toISOString()} → ${new Date(result.to).toISOString()}) for ${result.relationships} relationships, ${result.ready} ready`);
+  return result;
 }
 
-module.exports = { onPrice, scanForOpportunities, checkExit, getStatusSnapshot, unrealizedPnl, latestPrice, monitoredCoins };
\ No newline at end of file
+module.exports = {
+  onPrice, backfill, scanForOpportunities, checkExit, getStatusSnapshot, getZScore,
+  getHedgeRatio, legAmounts, modelFor, exportModels, importModels, exportHistory, importHistory, openBarTime,
+  setRelationships, getRelationships, getRelationshipInfo, getHistory,
+  latestPrice, monitoredCoins, BAR_MS, MAX_BARS, MIN_BARS,
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * pairs.test.js
+ * Signal model checks on synthetic bars — run with `npm test`
+ *
+ * Prices are fed through pairs.onPrice() on a simulated one-minute clock, so
+ * bars close and the Kalman filter updates exactly as they do live. Exits 1 on
+ * the first failure.
+ */
+
+const assert = require('assert');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const config  = require('./config');
+const pairs   = require('./pairs');
+const tracker = require('./tracker');
+
+const tests = [];
+const test  = (name, fn) => tests.push({ name, fn });
+
+// Deterministic noise — the same bars on every run
+function lcg(seed) {
+  let s = seed >>> 0;
+  return () => (s = (Math.imul(s, 1664525) + 1013904223) >>> 0) / 2 ** 32 - 0.5;
+}
+
+let clock = Date.UTC(2024, 0, 1);
+
+// One bar at these log prices, closed by a tick in the next one
+function bar(coinA, coinB, logA, logB) {
+  pairs.onPrice(coinA, Math.exp(logA), clock);
+  pairs.onPrice(coinB, Math.exp(logB), clock);
+  clock += pairs.BAR_MS;
+  pairs.onPrice(coinA, Math.exp(logA), clock);
+}
+
+// ─── Kalman model ─────────────────────────────────────────────────────────────
+test('a Kalman position is held until the spread reverts, not until the filter catches up', () => {
+  config.PAIRS_CONFIG.MODELS         = { 'AAA-BBB': 'kalman' };
+  config.PAIRS_CONFIG.STOP_ZSCORE    = Infinity;
+  config.PAIRS_CONFIG.MAX_HOLD_HOURS = Infinity;
+  pairs.setRelationships([['AAA', 'BBB']]);
+
+  const noise = lcg(7);
+  const logB  = i => 0.2 * Math.sin(i / 25);
+  let i = 0;
+  for (; i < 300; i++) bar('AAA', 'BBB', 0.5 + logB(i) + 0.002 * noise(), logB(i));
+
+  // A jumps 5% and stays there
+  bar('AAA', 'BBB', 0.55 + logB(i), logB(i));
+  i++;
+  const [opp] = pairs.scanForOpportunities();
+  assert.ok(opp && opp.model === 'kalman' && opp.shortCoin === 'AAA', 'no entry on the jump');
+  const position = tracker.newPosition(opp, 1000, clock);
+
+  for (let held = 0; held < 200; held++, i++) {
+    bar('AAA', 'BBB', 0.55 + logB(i) + 0.002 * noise(), logB(i));
+    assert.strictEqual(pairs.checkExit(position, clock), null, `closed after ${held + 1} bars with the spread still out`);
+  }
+
+  // The filter has moved α onto the new level — scored live, the move looks converged
+  const live = pairs.getZScore('AAA', 'BBB');
+  assert.ok(Math.abs(live.zScore) < config.PAIRS_CONFIG.EXIT_ZSCORE, `live z ${live.zScore}`);
+
+  // Back on the spread the position entered against
+  bar('AAA', 'BBB', position.entryMean + position.hedgeRatio * logB(i), logB(i));
+  const exit = pairs.checkExit(position, clock);
+  assert.ok(exit && exit.reason === 'CONVERGED', `exit ${exit && exit.reason}`);
+});
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+(async () => {
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (err) {
+      console.log(`  ✗ ${name}\n    ${err.message}`);
+      process.exit(1);
+    }
+  }
+  console.log(`✅ ${tests.length} passed`);
+  process.exit(0);
+})();
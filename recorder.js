@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * recorder.js
+ * Appends every received price tick to gzip-compressed NDJSON files
+ * rotated daily (UTC): <RECORDER.DIR>/ticks_YYYY-MM-DD.ndjson.gz
+ *
+ * Line shape: {"coin":"BTC","price":67000.1,"eventTime":1717000000000,"recvTime":1717000000042,"source":"WS"}
+ *   eventTime — exchange event time (null for REST polls, which carry none)
+ *   recvTime  — local receive time
+ *   source    — 'WS' or 'REST'
+ *
+ * Restarting appends a new gzip member to the day's file; gunzip reads
+ * concatenated members transparently.
+ */
+
+const fs       = require('fs');
+const path     = require('path');
+const zlib     = require('zlib');
+const readline = require('readline');
+const config   = require('./config');
+const logger   = require('./logger');
+
+const FLUSH_INTERVAL_MS = 10000; // bound what a crash can lose from the gzip buffer
+
+const enabled   = config.RECORDER.ENABLED || process.env.RECORD_TICKS === '1';
+let currentDate = '';
+let gzip        = null;
+let flushTimer  = null;
+let recorded    = 0;
+
+// ─── Stream per UTC day ───────────────────────────────────────────────────────
+function fileFor(date) {
+  return path.join(config.RECORDER.DIR, `ticks_${date}.ndjson.gz`);
+}
+
+function getStream(ts) {
+  const date = new Date(ts).toISOString().slice(0, 10);
+  if (date !== currentDate || !gzip) {
+    close();
+    if (!fs.existsSync(config.RECORDER.DIR)) {
+      fs.mkdirSync(config.RECORDER.DIR, { recursive: true });
+    }
+
+    currentDate = date;
+    gzip = zlib.createGzip();
+    gzip.pipe(fs.createWriteStream(fileFor(date), { flags: 'a' }));
+    gzip.on('error', (err) => logger.error('RECORDER', `Write error: ${err.message}`));
+
+    flushTimer = setInterval(() => { if (gzip) gzip.flush(); }, FLUSH_INTERVAL_MS);
+    flushTimer.unref();
+    logger.info('RECORDER', `Recording ticks to ${fileFor(date)}`);
+  }
+  return gzip;
+}
+
+// ─── Record a tick ────────────────────────────────────────────────────────────
+function record({ coin, price, eventTime = null, recvTime = Date.now(), source }) {
+  if (!enabled) return;
+  try {
+    getStream(recvTime).write(JSON.stringify({ coin, price, eventTime, recvTime, source }) + '\n');
+    recorded++;
+  } catch (err) {
+    logger.error('RECORDER', `Failed to record tick: ${err.message}`);
+  }
+}
+
+function close() {
+  if (flushTimer) { clearInterval(flushTimer); flushTimer = null; }
+  if (gzip) {
+    gzip.end();
+    gzip = null;
+    logger.debug('RECORDER', `Closed ${fileFor(currentDate)} (${recorded} ticks this session)`);
+  }
+  currentDate = '';
+}
+
+// ─── Reading recordings back ──────────────────────────────────────────────────
+// Accepts a single file (.ndjson or .ndjson.gz) or a directory of daily files
+function listFiles(target) {
+  if (!fs.statSync(target).isDirectory()) return [target];
+  return fs.readdirSync(target)
+    .filter(f => /^ticks_\d{4}-\d{2}-\d{2}\.ndjson(\.gz)?$/.test(f))
+    .sort()
+    .map(f => path.join(target, f));
+}
+
+// Async iterator over recorded ticks, oldest file first
+async function* readTicks(target) {
+  for (const file of listFiles(target)) {
+    let input = fs.createReadStream(file);
+    if (file.endsWith('.gz')) input = input.pipe(zlib.createGunzip());
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          yield JSON.parse(line);
+        } catch (_) {
+          // a crash can leave a truncated last line — skip it
+        }
+      }
+    } catch (err) {
+      // ...or a gzip member that was never finished
+      logger.warn('RECORDER', `${file}: stopped reading early (${err.message})`);
+    }
+  }
+}
+
+// Time a tick happened at: exchange time when known, otherwise receive time
+function tickTime(tick) {
+  return tick.eventTime || tick.recvTime;
+}
+
+module.exports = { record, close, readTicks, tickTime };
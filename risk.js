@@ -0,0 +1,192 @@
+'use strict';
+
+/**
+ * risk.js
+ * Portfolio limits across all open positions — consulted before every entry
+ *
+ *   const rejection = risk.checkEntry(position);   // null, or { reason, detail }
+ *   const change    = risk.updateHalt();           // 'halted' | 'resumed' | null
+ *
+ * Each relationship signals on its own, so the book can end up short BTC in one pair
+ * and long it in another, or three positions deep in meme coins. Before an entry:
+ *
+ *   COIN_NET     |long − short| notional in one coin, this entry included, ≤ MAX_COIN_NET_USD
+ *   COIN_GROSS   long + short notional in one coin ≤ MAX_COIN_GROSS_USD
+ *   GROUP        open positions with a leg in one of GROUPS ≤ MAX_PER_GROUP
+ *
+ * Open positions count at their mark (open quantity × last price), the entry at its
+ * leg sizes. A limit of 0 is off.
+ *
+ * Loss limits halt new entries while the loss — realized PnL of trades closed in the
+ * window plus unrealized PnL of what's open — is past them:
+ *
+ *   DAILY_LOSS     since 00:00 UTC, past DAILY_LOSS_LIMIT
+ *   ROLLING_LOSS   over the last ROLLING_WINDOW, past ROLLING_LOSS_LIMIT
+ *
+ * The daily loss only counts what a position carried over from yesterday has moved
+ * today: its unrealized PnL is marked on the first check after 00:00 UTC (kept in
+ * state.dayMarks, so a restart keeps the marks) and taken off both its unrealized
+ * PnL and, once it closes, its realized PnL.
+ *
+ * engine.js checks on every tick, reports the change, and with FLATTEN_ON_HALT closes
+ * every open position when a halt starts. Entries resume once the loss is back within
+ * the limit — for the daily one, at the latest when the UTC day rolls over.
+ */
+
+const config   = require('./config');
+const state    = require('./state');
+const pairs    = require('./pairs');
+const tracker  = require('./tracker');
+const duration = require('./duration');
+
+const DAY_MS = 86400000;
+
+let halt = null; // { reason, detail, loss, limit, since } while a loss limit is breached
+
+// ─── Exposure ─────────────────────────────────────────────────────────────────
+// coin → { long, short } USD notional across positions
+function exposures(positions) {
+  const out = new Map();
+  const add = (coin, side, usd) => {
+    const e = out.get(coin) || { long: 0, short: 0 };
+    e[side] += usd;
+    out.set(coin, e);
+  };
+
+  for (const p of positions) {
+    const qty = tracker.openQty(p);
+    add(p.shortCoin, 'short', markValue(qty.short, p.shortCoin, p.shortAmount));
+    add(p.longCoin,  'long',  markValue(qty.long,  p.longCoin,  p.longAmount));
+  }
+  return out;
+}
+
+function markValue(qty, coin, fallback) {
+  const price = pairs.latestPrice[coin];
+  return price && Number.isFinite(qty) ? qty * price : fallback;
+}
+
+// Names of the GROUPS a position has a leg in
+function groupsOf(position, groups = config.RISK.GROUPS) {
+  return Object.keys(groups).filter(g => groups[g].includes(position.shortCoin) || groups[g].includes(position.longCoin));
+}
+
+const usd = v => `$${Math.round(v).toLocaleString('en-US')}`;
+
+// ─── Entry check ──────────────────────────────────────────────────────────────
+// position: a tracker.newPosition() not yet filled — null when it fits every limit
+function checkEntry(position, positions = state.get('positions'), limits = config.RISK) {
+  if (!limits.ENABLED) return null;
+  if (halt) return { reason: halt.reason, detail: `entries halted — ${halt.detail}` };
+
+  const book = exposures(positions);
+  const legs = [[position.shortCoin, 'short', position.shortAmount], [position.longCoin, 'long', position.longAmount]];
+
+  for (const [coin, side, amount] of legs) {
+    const e     = { long: 0, short: 0, ...book.get(coin) };
+    e[side]    += amount;
+    const net   = Math.abs(e.long - e.short);
+    const gross = e.long + e.short;
+
+    if (limits.MAX_COIN_NET_USD && net > limits.MAX_COIN_NET_USD) {
+      return { reason: 'COIN_NET', detail: `${coin} net exposure would be ${usd(net)}, limit ${usd(limits.MAX_COIN_NET_USD)}` };
+    }
+    if (limits.MAX_COIN_GROSS_USD && gross > limits.MAX_COIN_GROSS_USD) {
+      return { reason: 'COIN_GROSS', detail: `${coin} gross exposure would be ${usd(gross)}, limit ${usd(limits.MAX_COIN_GROSS_USD)}` };
+    }
+  }
+
+  if (limits.MAX_PER_GROUP) {
+    for (const group of groupsOf(position, limits.GROUPS)) {
+      const held = positions.filter(p => groupsOf(p, limits.GROUPS).includes(group)).length;
+      if (held >= limits.MAX_PER_GROUP) {
+        return { reason: 'GROUP', detail: `${held} positions already in ${group}, limit ${limits.MAX_PER_GROUP}` };
+      }
+    }
+  }
+  return null;
+}
+
+// ─── Loss limits ──────────────────────────────────────────────────────────────
+// Realized since `from` plus unrealized now, less the PnL positions already had at
+// `from` (marks: position id → unrealized PnL then) — positive is a loss. Entry fees
+// count like the rest of a trade's PnL: always without marks, where every trade counts
+// whole, and with them only for positions opened since `from`.
+function lossSince(from, positions, history, marks = null) {
+  const before     = p => marks ? marks[p.id] || 0 : 0;
+  const feeCounts  = p => !marks || p.openedAt >= from;
+  const realized   = history.filter(h => h.closedAt >= from)
+    .reduce((s, h) => s + (feeCounts(h) ? tracker.tradeNet(h) : h.netPnl) - before(h), 0);
+  const unrealized = positions.reduce((s, p) => s + tracker.unrealizedPnl(p) - (feeCounts(p) ? p.entryFee || 0 : 0) - before(p), 0);
+  return -(realized + unrealized);
+}
+
+// Unrealized PnL at the start of the UTC day of every position opened before it.
+// A position is marked the first time it's seen that day with prices for both legs,
+// within a tick of 00:00 while the bot runs through midnight.
+function dayMarks(dayStart, positions) {
+  let marks = state.get('dayMarks');
+  if (!marks || marks.day !== dayStart) {
+    marks = { day: dayStart, unrealized: {} };
+    state.set('dayMarks', marks);
+  }
+  for (const p of positions) {
+    if (p.openedAt >= dayStart || p.id in marks.unrealized) continue;
+    if (!pairs.latestPrice[p.shortCoin] || !pairs.latestPrice[p.longCoin]) continue;
+    marks.unrealized[p.id] = tracker.unrealizedPnl(p);
+  }
+  return marks.unrealized;
+}
+
+function losses(now = Date.now()) {
+  const positions = state.get('positions');
+  const history   = state.get('history');
+  const dayStart  = now - (now % DAY_MS);
+  return {
+    daily:   lossSince(dayStart, positions, history, dayMarks(dayStart, positions)),
+    rolling: lossSince(now - duration.parse(config.RISK.ROLLING_WINDOW), positions, history),
+  };
+}
+
+// The first loss limit breached, or null
+function checkLosses(now = Date.now(), limits = config.RISK) {
+  if (!limits.ENABLED) return null;
+  const { daily, rolling } = losses(now);
+
+  if (limits.DAILY_LOSS_LIMIT && daily > limits.DAILY_LOSS_LIMIT) {
+    return { reason: 'DAILY_LOSS', loss: daily, limit: limits.DAILY_LOSS_LIMIT, detail: `loss today ${usd(daily)}, limit ${usd(limits.DAILY_LOSS_LIMIT)}` };
+  }
+  if (limits.ROLLING_LOSS_LIMIT && rolling > limits.ROLLING_LOSS_LIMIT) {
+    return {
+      reason: 'ROLLING_LOSS', loss: rolling, limit: limits.ROLLING_LOSS_LIMIT,
+      detail: `loss over ${limits.ROLLING_WINDOW} ${usd(rolling)}, limit ${usd(limits.ROLLING_LOSS_LIMIT)}`,
+    };
+  }
+  return null;
+}
+
+// Re-checks the loss limits — 'halted' when a halt starts, 'resumed' when it ends
+function updateHalt(now = Date.now()) {
+  const breach = checkLosses(now);
+  if (breach && !halt) {
+    halt = { ...breach, since: now };
+    return 'halted';
+  }
+  if (!breach && halt) {
+    halt = null;
+    return 'resumed';
+  }
+  if (breach) halt = { ...breach, since: halt.since }; // keep the detail current
+  return null;
+}
+
+// ─── Snapshot for /status ─────────────────────────────────────────────────────
+function snapshot() {
+  const exposure = {};
+  for (const [coin, e] of exposures(state.get('positions'))) {
+    exposure[coin] = { long: e.long, short: e.short, net: e.long - e.short, gross: e.long + e.short };
+  }
+  return { enabled: config.RISK.ENABLED, halt, losses: losses(), exposure };
+}
+
+module.exports = { checkEntry, checkLosses, updateHalt, snapshot, exposures, halted: () => halt };
@@ -0,0 +1,224 @@
+'use strict';
+
+/**
+ * risk.test.js
+ * Portfolio limits and loss halts — run with `npm test`
+ *
+ * Positions and closed trades are written straight into state, and prices into
+ * pairs.latestPrice, so every figure checkEntry() and updateHalt() work from is
+ * set by hand. Exits 1 on the first failure.
+ */
+
+const assert = require('assert');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+process.env.LOG_LEVEL     = process.env.LOG_LEVEL || 'ERROR';
+process.env.BOT_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-test-'));
+
+const config = require('./config');
+const state  = require('./state');
+const pairs  = require('./pairs');
+const risk   = require('./risk');
+
+const tests = [];
+const test  = (name, fn) => tests.push({ name, fn });
+
+const HOUR = 3600000;
+const DAY  = 24 * HOUR;
+const NOW  = Date.UTC(2024, 0, 10, 12); // noon UTC
+
+const LIMITS = {
+  ENABLED: true, MAX_COIN_NET_USD: 2500, MAX_COIN_GROSS_USD: 4000, MAX_PER_GROUP: 2,
+  GROUPS:  { meme: ['DOGE', 'SHIB'], l1: ['BTC', 'ETH', 'SOL'], pay: ['SOL', 'XRP'] },
+};
+
+// An open position: `shortAmount` of shortCoin sold and `longAmount` of longCoin bought at 100
+let ids = 0;
+function position(shortCoin, longCoin, shortAmount, longAmount = shortAmount, extra = {}) {
+  return {
+    id: `p${++ids}`, key: `${shortCoin}-${longCoin}`, shortCoin, longCoin, shortAmount, longAmount,
+    entryShortPrice: 100, entryLongPrice: 100, shortQty: shortAmount / 100, longQty: longAmount / 100,
+    amount: shortAmount + longAmount, entryFee: 0, openedAt: NOW - HOUR, ...extra,
+  };
+}
+
+function prices(map) {
+  for (const coin of Object.keys(pairs.latestPrice)) delete pairs.latestPrice[coin];
+  Object.assign(pairs.latestPrice, map);
+}
+
+// Fresh book and loss limits; anything a test leaves halted is resumed first
+function reset({ positions = [], history = [], ...limits } = {}) {
+  state.set('positions', positions);
+  state.set('history', history);
+  state.set('dayMarks', null);
+  Object.assign(config.RISK, { ENABLED: true, DAILY_LOSS_LIMIT: 500, ROLLING_LOSS_LIMIT: 1000, ROLLING_WINDOW: '7d' }, limits);
+  prices({});
+  if (risk.halted()) {
+    risk.updateHalt(NOW);
+    assert.strictEqual(risk.halted(), null);
+  }
+}
+
+// ─── Coin caps ────────────────────────────────────────────────────────────────
+test('an entry that fits every limit is let through; one leg past the net cap is refused', () => {
+  reset();
+  assert.strictEqual(risk.checkEntry(position('AAA', 'BBB', 1000), [], LIMITS), null);
+  assert.strictEqual(risk.checkEntry(position('AAA', 'BBB', 2500), [], LIMITS), null); // at the cap is fine
+
+  assert.deepStrictEqual(risk.checkEntry(position('AAA', 'BBB', 3000, 1000), [], LIMITS), {
+    reason: 'COIN_NET', detail: 'AAA net exposure would be $3,000, limit $2,500',
+  });
+});
+
+test('opposite legs in one coin net off but still add up to gross', () => {
+  reset();
+  const held = [position('AAA', 'BTC', 2000)];
+
+  // Short BTC against the held long: net 0, gross 4000 — at the cap
+  assert.strictEqual(risk.checkEntry(position('BTC', 'CCC', 2000), held, LIMITS), null);
+  assert.deepStrictEqual(risk.checkEntry(position('BTC', 'CCC', 2100), held, LIMITS), {
+    reason: 'COIN_GROSS', detail: 'BTC gross exposure would be $4,100, limit $4,000',
+  });
+
+  // The same side adds to the net
+  assert.strictEqual(risk.checkEntry(position('CCC', 'BTC', 1000), held, LIMITS).reason, 'COIN_NET');
+});
+
+test('open positions count at their mark, the entry at its leg sizes', () => {
+  reset();
+  const held = [position('AAA', 'BTC', 1500)];
+
+  prices({ AAA: 100, BTC: 100 });
+  assert.strictEqual(risk.checkEntry(position('CCC', 'BTC', 1000), held, LIMITS), null);
+
+  // BTC up 50%: the held long is worth 2250, and 1000 more is past 2500
+  prices({ AAA: 100, BTC: 150 });
+  assert.deepStrictEqual(risk.checkEntry(position('CCC', 'BTC', 1000), held, LIMITS), {
+    reason: 'COIN_NET', detail: 'BTC net exposure would be $3,250, limit $2,500',
+  });
+
+  // A leg partly closed only counts what's still held
+  held[0].exit = { long: { qty: 10, quote: 1500 } };
+  assert.strictEqual(risk.checkEntry(position('CCC', 'BTC', 1000), held, LIMITS), null);
+});
+
+test('a limit of 0 is off, and RISK.ENABLED false turns every check off', () => {
+  reset();
+  const big = position('AAA', 'BBB', 9000);
+  assert.strictEqual(risk.checkEntry(big, [], { ...LIMITS, MAX_COIN_NET_USD: 0, MAX_COIN_GROSS_USD: 0 }), null);
+  assert.strictEqual(risk.checkEntry(big, [], { ...LIMITS, ENABLED: false }), null);
+});
+
+// ─── Group caps ───────────────────────────────────────────────────────────────
+test('a group holding MAX_PER_GROUP positions refuses another with a leg in it', () => {
+  reset();
+  const held = [position('DOGE', 'AAA', 500), position('BBB', 'SHIB', 500)];
+
+  assert.deepStrictEqual(risk.checkEntry(position('CCC', 'DOGE', 500), held, LIMITS), {
+    reason: 'GROUP', detail: '2 positions already in meme, limit 2',
+  });
+  assert.strictEqual(risk.checkEntry(position('CCC', 'DDD', 500), held, LIMITS), null);
+  assert.strictEqual(risk.checkEntry(position('CCC', 'DOGE', 500), held, { ...LIMITS, MAX_PER_GROUP: 3 }), null);
+  assert.strictEqual(risk.checkEntry(position('CCC', 'DOGE', 500), held, { ...LIMITS, MAX_PER_GROUP: 0 }), null);
+});
+
+test('a coin in several groups counts toward each of them', () => {
+  reset();
+  // SOL is in l1 and pay; two positions hold SOL, so a new XRP entry finds pay full
+  const held = [position('SOL', 'AAA', 500), position('BBB', 'SOL', 500)];
+  assert.deepStrictEqual(risk.checkEntry(position('XRP', 'CCC', 500), held, LIMITS), {
+    reason: 'GROUP', detail: '2 positions already in pay, limit 2',
+  });
+  assert.strictEqual(risk.checkEntry(position('ETH', 'CCC', 500), held, LIMITS).detail, '2 positions already in l1, limit 2');
+
+  // One position with both legs in a group is one position
+  assert.strictEqual(risk.checkEntry(position('DOGE', 'CCC', 500), [position('DOGE', 'SHIB', 500)], LIMITS), null);
+});
+
+// ─── Halt and resume ──────────────────────────────────────────────────────────
+test('a loss past DAILY_LOSS_LIMIT halts entries, and the next UTC day resumes them', () => {
+  reset({ history: [{ id: 'h1', netPnl: -550, entryFee: 10, openedAt: NOW - 3 * HOUR, closedAt: NOW - HOUR }] });
+
+  assert.strictEqual(risk.updateHalt(NOW), 'halted');
+  const halt = risk.halted();
+  assert.strictEqual(halt.reason, 'DAILY_LOSS');
+  assert.strictEqual(halt.loss, 560); // the entry fee counts
+  assert.strictEqual(halt.since, NOW);
+  assert.deepStrictEqual(risk.checkEntry(position('AAA', 'BBB', 100), [], LIMITS), {
+    reason: 'DAILY_LOSS', detail: 'entries halted — loss today $560, limit $500',
+  });
+
+  // Still halted: no change to report, and the halt keeps its start
+  assert.strictEqual(risk.updateHalt(NOW + HOUR), null);
+  assert.strictEqual(risk.halted().since, NOW);
+
+  // Tomorrow the trade is out of the day, and 560 is within the rolling limit
+  assert.strictEqual(risk.updateHalt(NOW + DAY), 'resumed');
+  assert.strictEqual(risk.halted(), null);
+  assert.strictEqual(risk.checkEntry(position('AAA', 'BBB', 100), [], LIMITS), null);
+  assert.strictEqual(risk.updateHalt(NOW + DAY), null);
+});
+
+test('a loss carried in from yesterday only counts what it has moved since 00:00 UTC', () => {
+  const open = position('AAA', 'BBB', 1000, 1000, { openedAt: NOW - DAY, entryFee: 50 });
+  reset({ positions: [open], ROLLING_LOSS_LIMIT: 0 });
+
+  // Down 800 at the first check of the day — marked, so none of it is today's
+  prices({ AAA: 100, BBB: 20 });
+  assert.strictEqual(risk.updateHalt(NOW), null);
+  assert.strictEqual(risk.checkLosses(NOW), null);
+
+  // Another 600 today is past the limit
+  prices({ AAA: 160, BBB: 20 });
+  assert.strictEqual(risk.updateHalt(NOW + HOUR), 'halted');
+  assert.strictEqual(risk.halted().reason, 'DAILY_LOSS');
+  assert.ok(Math.abs(risk.halted().loss - 600) < 1e-9, `loss ${risk.halted().loss}`);
+
+  // Back within it without a new day
+  prices({ AAA: 120, BBB: 20 });
+  assert.strictEqual(risk.updateHalt(NOW + 2 * HOUR), 'resumed');
+});
+
+test('ROLLING_LOSS_LIMIT counts trades over the window and all that is open, entry fees included', () => {
+  const closed = { id: 'h2', netPnl: -700, entryFee: 20, openedAt: NOW - 4 * DAY, closedAt: NOW - 3 * DAY };
+  const open   = position('AAA', 'BBB', 1000, 1000, { openedAt: NOW - 2 * DAY, entryFee: 30 });
+  reset({ positions: [open], history: [closed], DAILY_LOSS_LIMIT: 0 });
+
+  prices({ AAA: 100, BBB: 75 }); // open down 250: 720 + 250 + 30 = 1000, at the limit
+  assert.strictEqual(risk.updateHalt(NOW), null);
+
+  prices({ AAA: 100, BBB: 74 });
+  assert.strictEqual(risk.updateHalt(NOW), 'halted');
+  assert.strictEqual(risk.halted().reason, 'ROLLING_LOSS');
+  assert.match(risk.halted().detail, /^loss over 7d \$1,010, limit \$1,000$/);
+
+  // The closed trade leaves the window after 7 days
+  assert.strictEqual(risk.updateHalt(NOW + 5 * DAY), 'resumed');
+});
+
+test('with RISK.ENABLED false no loss halts entries', () => {
+  reset({ history: [{ id: 'h3', netPnl: -5000, openedAt: NOW - 2 * HOUR, closedAt: NOW - HOUR }], ENABLED: false });
+  assert.strictEqual(risk.updateHalt(NOW), null);
+  assert.strictEqual(risk.halted(), null);
+  reset();
+});
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+(async () => {
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (err) {
+      console.log(`  ✗ ${name}\n    ${err.message}`);
+      fs.rmSync(process.env.BOT_STATE_DIR, { recursive: true, force: true });
+      process.exit(1);
+    }
+  }
+  fs.rmSync(process.env.BOT_STATE_DIR, { recursive: true, force: true });
+  console.log(`✅ ${tests.length} passed`);
+  process.exit(0);
+})();
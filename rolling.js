@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * rolling.js
+ * Fixed-capacity ring buffers and sliding-window statistics in O(1)
+ *
+ * createRingBuffer(capacity)  — array-backed FIFO, no shift() copying
+ * createPairWindow(capacity)  — ring buffer of {a, b, ts} samples that keeps
+ *                               running means, variances and covariance of a/b
+ *                               (Welford, with removal) as samples enter and leave
+ */
+
+// ─── Ring buffer ──────────────────────────────────────────────────────────────
+function createRingBuffer(capacity) {
+  const items = new Array(capacity);
+  let head    = 0; // index of the oldest item
+  let length  = 0;
+
+  return {
+    get length() { return length; },
+    capacity,
+
+    // Append; returns the evicted oldest item when full, else undefined
+    push(item) {
+      let evicted;
+      if (length === capacity) {
+        evicted = items[head];
+        items[head] = item;
+        head = (head + 1) % capacity;
+      } else {
+        items[(head + length) % capacity] = item;
+        length++;
+      }
+      return evicted;
+    },
+
+    // Remove and return the oldest item
+    shift() {
+      if (!length) return undefined;
+      const item = items[head];
+      items[head] = undefined;
+      head = (head + 1) % capacity;
+      length--;
+      return item;
+    },
+
+    // i = 0 is the oldest item
+    get(i) {
+      return i >= 0 && i < length ? items[(head + i) % capacity] : undefined;
+    },
+    first() { return this.get(0); },
+    last()  { return this.get(length - 1); },
+
+    toArray() {
+      const out = new Array(length);
+      for (let i = 0; i < length; i++) out[i] = items[(head + i) % capacity];
+      return out;
+    },
+
+    clear() {
+      items.fill(undefined);
+      head   = 0;
+      length = 0;
+    },
+  };
+}
+
+// ─── Sliding bivariate moments ────────────────────────────────────────────────
+// n, means, sums of squared deviations (m2a, m2b) and co-moment (cab) of the
+// samples currently in the window. Removal runs Welford's update in reverse.
+function createMoments() {
+  return { n: 0, meanA: 0, meanB: 0, m2a: 0, m2b: 0, cab: 0 };
+}
+
+function addSample(m, a, b) {
+  m.n++;
+  const da = a - m.meanA;
+  const db = b - m.meanB;
+  m.meanA += da / m.n;
+  m.meanB += db / m.n;
+  m.m2a   += da * (a - m.meanA);
+  m.m2b   += db * (b - m.meanB);
+  m.cab   += da * (b - m.meanB);
+}
+
+function removeSample(m, a, b) {
+  if (m.n <= 1) {
+    Object.assign(m, createMoments());
+    return;
+  }
+  const prevMeanA = m.meanA;
+  const prevMeanB = m.meanB;
+  m.n--;
+  m.meanA = (prevMeanA * (m.n + 1) - a) / m.n;
+  m.meanB = (prevMeanB * (m.n + 1) - b) / m.n;
+  m.m2a  -= (a - m.meanA) * (a - prevMeanA);
+  m.m2b  -= (b - m.meanB) * (b - prevMeanB);
+  m.cab  -= (a - m.meanA) * (b - prevMeanB);
+}
+
+// ─── Window of {a, b, ts} samples with running moments ───────────────────────
+function createPairWindow(capacity) {
+  const buffer  = createRingBuffer(capacity);
+  let moments   = createMoments();
+  let removals  = 0;
+
+  // Removal accumulates floating-point error; recompute from scratch once per
+  // full turn of the buffer so it never drifts (amortised O(1))
+  function afterRemoval() {
+    if (++removals < capacity) return;
+    removals = 0;
+    moments  = createMoments();
+    for (let i = 0; i < buffer.length; i++) {
+      const s = buffer.get(i);
+      addSample(moments, s.a, s.b);
+    }
+  }
+
+  return {
+    get length() { return buffer.length; },
+
+    push(sample) {
+      const evicted = buffer.push(sample);
+      if (evicted) {
+        removeSample(moments, evicted.a, evicted.b);
+        addSample(moments, sample.a, sample.b);
+        afterRemoval();
+      } else {
+        addSample(moments, sample.a, sample.b);
+      }
+    },
+
+    // Drop samples older than `cutoff` (ms timestamp)
+    trimBefore(cutoff) {
+      while (buffer.length && buffer.first().ts < cutoff) {
+        const old = buffer.shift();
+        removeSample(moments, old.a, old.b);
+        afterRemoval();
+      }
+    },
+
+    first()   { return buffer.first(); },
+    last()    { return buffer.last(); },
+    get(i)    { return buffer.get(i); },
+    toArray() { return buffer.toArray(); },
+
+    // Population statistics of the current window
+    stats() {
+      const n = moments.n;
+      return {
+        n,
+        meanA: moments.meanA,
+        meanB: moments.meanB,
+        varA:  n ? Math.max(moments.m2a / n, 0) : 0,
+        varB:  n ? Math.max(moments.m2b / n, 0) : 0,
+        cov:   n ? moments.cab / n : 0,
+      };
+    },
+  };
+}
+
+module.exports = { createRingBuffer, createPairWindow };
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * rolling.test.js
+ * Ring buffer and sliding-window moments against a naive recompute — run with `npm test`
+ *
+ * Every window the running Welford moments produce is checked against means,
+ * variances and covariance summed from scratch over the same samples, through
+ * evictions, trims and the once-per-turn recompute. Exits 1 on the first failure.
+ */
+
+const assert = require('assert');
+
+const rolling = require('./rolling');
+
+const tests = [];
+const test  = (name, fn) => tests.push({ name, fn });
+
+// Deterministic noise — the same samples on every run
+function lcg(seed) {
+  let s = seed >>> 0;
+  return () => (s = (Math.imul(s, 1664525) + 1013904223) >>> 0) / 2 ** 32 - 0.5;
+}
+
+// Population statistics of plain {a, b} samples
+function naive(samples) {
+  const n     = samples.length;
+  const meanA = samples.reduce((s, x) => s + x.a, 0) / n;
+  const meanB = samples.reduce((s, x) => s + x.b, 0) / n;
+  let varA = 0, varB = 0, cov = 0;
+  for (const { a, b } of samples) {
+    varA += (a - meanA) * (a - meanA);
+    varB += (b - meanB) * (b - meanB);
+    cov  += (a - meanA) * (b - meanB);
+  }
+  return { n, meanA, meanB, varA: varA / n, varB: varB / n, cov: cov / n };
+}
+
+function assertClose(actual, expected, label) {
+  assert.strictEqual(actual.n, expected.n, `${label}: n ${actual.n} vs ${expected.n}`);
+  for (const key of ['meanA', 'meanB', 'varA', 'varB', 'cov']) {
+    const scale = key === 'cov' ? Math.sqrt(expected.varA * expected.varB) : Math.abs(expected[key]);
+    const err   = Math.abs(actual[key] - expected[key]);
+    assert.ok(err <= 1e-9 * Math.max(scale, 1e-12), `${label}: ${key} ${actual[key]} vs ${expected[key]}`);
+  }
+}
+
+// ─── Ring buffer ──────────────────────────────────────────────────────────────
+test('the ring buffer evicts the oldest item once full and keeps order across the wrap', () => {
+  const ring = rolling.createRingBuffer(3);
+  assert.strictEqual(ring.push(1), undefined);
+  ring.push(2);
+  ring.push(3);
+  assert.strictEqual(ring.push(4), 1);
+  assert.strictEqual(ring.push(5), 2);
+  assert.deepStrictEqual(ring.toArray(), [3, 4, 5]);
+  assert.strictEqual(ring.first(), 3);
+  assert.strictEqual(ring.last(), 5);
+  assert.strictEqual(ring.get(3), undefined);
+
+  assert.strictEqual(ring.shift(), 3);
+  ring.push(6);
+  assert.deepStrictEqual(ring.toArray(), [4, 5, 6]);
+  assert.strictEqual(ring.length, 3);
+
+  ring.clear();
+  assert.strictEqual(ring.length, 0);
+  assert.strictEqual(ring.shift(), undefined);
+});
+
+// ─── Pair window ──────────────────────────────────────────────────────────────
+test('running moments match a naive recompute over thousands of sliding windows', () => {
+  const capacity = 50;
+  const window   = rolling.createPairWindow(capacity);
+  const noise    = lcg(11);
+  const kept     = [];
+
+  // Correlated log prices around 4 and 10 — large levels and small moves are
+  // where running sums lose precision first
+  let a = 4;
+  for (let i = 0; i < 5000; i++) {
+    a += 0.01 * noise();
+    const b = 10 + 0.8 * (a - 4) + 0.002 * noise();
+    const sample = { a, b, ts: i };
+    window.push(sample);
+    kept.push(sample);
+    if (kept.length > capacity) kept.shift();
+
+    // Every so often a time cutoff trims a few of the oldest samples as well
+    if (i % 97 === 0) {
+      const cutoff = i - capacity + 1 + Math.floor((noise() + 0.5) * 10);
+      window.trimBefore(cutoff);
+      while (kept.length && kept[0].ts < cutoff) kept.shift();
+    }
+
+    if (kept.length >= 2) assertClose(window.stats(), naive(kept), `step ${i}`);
+  }
+  assert.deepStrictEqual(window.toArray(), kept);
+});
+
+test('a window that goes flat reports zero variance, not float residue', () => {
+  const capacity = 40;
+  const window   = rolling.createPairWindow(capacity);
+  const noise    = lcg(5);
+
+  for (let i = 0; i < 100; i++) window.push({ a: 4 + 0.05 * noise(), b: 9 + 0.05 * noise(), ts: i });
+  for (let i = 100; i < 100 + 3 * capacity; i++) {
+    window.push({ a: 4.2, b: 9.1, ts: i });
+    if (i < 100 + capacity) continue;
+
+    // Only flat samples left — pairs.js treats variance under 1e-14 as no spread
+    const { varA, varB, cov, meanA, meanB } = window.stats();
+    assert.ok(varA < 1e-14 && varB < 1e-14 && Math.abs(cov) < 1e-14, `step ${i}: var ${varA} / ${varB}, cov ${cov}`);
+    assert.ok(Math.abs(meanA - 4.2) < 1e-12 && Math.abs(meanB - 9.1) < 1e-12, `step ${i}: means ${meanA} / ${meanB}`);
+  }
+});
+
+test('trimming every sample empties the moments', () => {
+  const window = rolling.createPairWindow(10);
+  for (let i = 0; i < 15; i++) window.push({ a: i, b: 2 * i, ts: i });
+  window.trimBefore(Infinity);
+  assert.strictEqual(window.length, 0);
+  assert.deepStrictEqual(window.stats(), { n: 0, meanA: 0, meanB: 0, varA: 0, varB: 0, cov: 0 });
+
+  window.push({ a: 1, b: 3, ts: 20 });
+  window.push({ a: 3, b: 7, ts: 21 });
+  assertClose(window.stats(), naive(window.toArray()), 'refilled');
+});
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+(async () => {
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (err) {
+      console.log(`  ✗ ${name}\n    ${err.message}`);
+      process.exit(1);
+    }
+  }
+  console.log(`✅ ${tests.length} passed`);
+  process.exit(0);
+})();
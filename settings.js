@@ -0,0 +1,734 @@
+'use strict';
+
+/**
+ * settings.js
+ * Layered configuration: config.js defaults ← config file ← environment
+ *
+ *   1. config.js              committed defaults
+ *   2. config file            CONFIG_FILE, else the first of ./config.json, ./config.yaml,
+ *                             ./config.yml that exists. JSON, or the YAML subset parseYaml()
+ *                             reads: nested mappings, `- item` lists, [flow, lists], {a: 1}
+ *   3. BOT_<KEY>[__<KEY>]     one key per variable, `__` between levels:
+ *                               BOT_MAX_POSITIONS=3
+ *                               BOT_PAIRS_CONFIG__ENTRY_ZSCORE=2
+ *                               BOT_DISCOVERY__UNIVERSE='["BTC","ETH"]'   (lists / tables as JSON)
+ *
+ * Secrets are read from their own environment variables only (API_TOKEN; BINANCE_API_KEY /
+ * BINANCE_SECRET where they're used) — a file that sets one is rejected. Notification sinks
+ * name their variables instead (urlEnv: 'DISCORD_WEBHOOK_URL') and may not hold the secret.
+ * Tables (BORROW_DAILY_RATES, MODELS) merge key by key; every other value is replaced.
+ *
+ * The merged result is checked against SCHEMA. Every problem is reported at once — key,
+ * what was expected, the value and where it came from — and the process exits.
+ *
+ * reload() re-reads the layers (main.js calls it on SIGHUP) and, if the result is valid,
+ * applies the changed `hot` keys to the live config object in place. Other changes are
+ * reported as needing a restart; an invalid file changes nothing.
+ */
+
+const fs       = require('fs');
+const path     = require('path');
+const duration = require('./duration');
+
+const ENV_PREFIX    = 'BOT_';
+const DEFAULT_FILES = ['config.json', 'config.yaml', 'config.yml'];
+
+// ─── Rule builders ────────────────────────────────────────────────────────────
+// hot: true — safe to change on a running bot (read at the point of use, not cached)
+const num   = (opts = {}) => ({ type: 'number', ...opts });
+const int   = (opts = {}) => ({ type: 'number', integer: true, ...opts });
+const bool  = (opts = {}) => ({ type: 'boolean', ...opts });
+const str   = (opts = {}) => ({ type: 'string', ...opts });
+const oneOf = (values, opts = {}) => ({ type: values.every(v => typeof v === 'number') ? 'number' : 'string', values, ...opts });
+const dur   = (opts = {}) => ({ type: 'duration', ...opts });
+const url   = (opts = {}) => ({ type: 'url', ...opts });
+const list  = (of, opts = {}) => ({ type: 'array', of, ...opts });
+const table = (of, opts = {}) => ({ type: 'table', of, ...opts });
+
+const COIN = str({ pattern: /^[A-Z0-9]+$/, hint: 'an upper-case coin symbol' });
+
+function checkFault(f) {
+  if (!['reject', 'partial', 'timeout'].includes(f.type)) return `type must be 'reject', 'partial' or 'timeout'`;
+  if (f.type === 'partial' && !(f.fill > 0 && f.fill < 1)) return 'a partial fault needs fill between 0 and 1';
+  return null;
+}
+
+// ─── Notification sinks and routes ────────────────────────────────────────────
+// Event types main.js sends, and severities lowest first — notifier.js routes on both
+const EVENTS     = ['startup', 'shutdown', 'open', 'open_failed', 'close', 'legged', 'status', 'ready', 'control', 'risk', 'summary', 'config', 'error'];
+const SEVERITIES = ['info', 'warn', 'error', 'critical'];
+
+// Keys each sink type takes; *Env keys name an environment variable, never hold the secret
+const SINK_KEYS = {
+  discord:  ['urlEnv', 'embeds'],
+  slack:    ['urlEnv'],
+  webhook:  ['urlEnv', 'tokenEnv'],
+  telegram: ['tokenEnv', 'chatId', 'apiUrl'],
+  email:    ['host', 'port', 'secure', 'from', 'to', 'userEnv', 'passEnv'],
+};
+const ENV_NAME = /^[A-Z_][A-Z0-9_]*$/;
+
+function checkSink(s) {
+  if (!SINK_KEYS[s.type]) return `type must be one of ${Object.keys(SINK_KEYS).map(t => `'${t}'`).join(', ')}`;
+  const allowed = ['type', 'enabled', ...SINK_KEYS[s.type]];
+  const extra   = Object.keys(s).find(k => !allowed.includes(k));
+  if (extra) {
+    return /^(url|token|pass|password|user)$/i.test(extra)
+      ? `mustn't hold ${extra} — name its environment variable with ${extra.toLowerCase().replace('word', '')}Env`
+      : `a ${s.type} sink takes ${allowed.join(', ')} — not ${extra}`;
+  }
+  const flag = ['enabled', 'embeds'].find(k => s[k] !== undefined && typeof s[k] !== 'boolean');
+  if (flag) return `${flag} must be true or false`;
+
+  const envKeys = Object.keys(s).filter(k => k.endsWith('Env'));
+  const badEnv  = envKeys.find(k => typeof s[k] !== 'string' || !ENV_NAME.test(s[k]));
+  if (badEnv) return `${badEnv} must name an environment variable, e.g. SLACK_WEBHOOK_URL`;
+
+  switch (s.type) {
+    case 'discord':
+    case 'slack':
+    case 'webhook':
+      if (!s.urlEnv) return 'needs urlEnv';
+      break;
+    case 'telegram':
+      if (!s.tokenEnv) return 'needs tokenEnv';
+      if (!['string', 'number'].includes(typeof s.chatId) || String(s.chatId).trim() === '') return 'needs a chatId';
+      if (s.apiUrl !== undefined && check(url(), s.apiUrl)) return 'apiUrl must be an http(s) URL';
+      break;
+    case 'email': {
+      const to = [].concat(s.to);
+      if (typeof s.host !== 'string' || !s.host) return 'needs an SMTP host';
+      if (s.port !== undefined && check(int({ min: 1, max: 65535 }), s.port)) return 'port must be an integer 1–65535';
+      if (s.secure !== undefined && typeof s.secure !== 'boolean') return 'secure must be true or false';
+      if (typeof s.from !== 'string' || !s.from.includes('@')) return 'needs a from address';
+      if (!to.length || to.some(a => typeof a !== 'string' || !a.includes('@'))) return 'to must be an address or a list of them';
+      if (!s.userEnv !== !s.passEnv) return 'userEnv and passEnv go together';
+      break;
+    }
+  }
+  return null;
+}
+
+function checkRoute(r) {
+  const allowed = ['sinks', 'events', 'except', 'minSeverity', 'reasons'];
+  const extra   = Object.keys(r).find(k => !allowed.includes(k));
+  if (extra) return `a route takes ${allowed.join(', ')} — not ${extra}`;
+
+  const names = list => Array.isArray(list) && list.every(v => typeof v === 'string' && v);
+  if (!names(r.sinks) || !r.sinks.length) return 'needs sinks: a list of sink names';
+
+  const events = r.events === undefined || r.events === '*' ? [] : r.events;
+  const except = r.except === undefined ? [] : r.except;
+  if (!names(events) || !names(except)) return `events / except must be '*' or a list of event types`;
+  const unknown = [...events, ...except].find(e => !EVENTS.includes(e));
+  if (unknown) return `has unknown event '${unknown}' — events are ${EVENTS.join(', ')}`;
+
+  if (r.minSeverity !== undefined && !SEVERITIES.includes(r.minSeverity)) {
+    return `minSeverity must be one of ${SEVERITIES.map(v => `'${v}'`).join(', ')}`;
+  }
+  if (r.reasons !== undefined && !names(r.reasons)) return 'reasons must be a list of exit reasons, e.g. STOP_LOSS';
+  return null;
+}
+
+// ─── Schema — one rule per config.js key ──────────────────────────────────────
+const SCHEMA = {
+  PAIRS:                 { type: 'array', derived: 'PAIRS_CONFIG.relationships' },
+
+  TRADE_AMOUNT:          num({ gt: 0, hot: true }),
+  INITIAL_BALANCE:       num({ gt: 0 }),
+  MAX_POSITIONS:         int({ min: 1, hot: true }),
+
+  MAKER_FEE:             num({ min: 0, max: 0.01 }),
+  TAKER_FEE:             num({ min: 0, max: 0.01 }),
+  MIN_FUNDING_RATE_PCT:  num({ hot: true }),
+
+  PAIRS_CONFIG: {
+    relationships:       list(list(COIN, { length: 2 }), { minLength: 1 }),
+    ENTRY_ZSCORE:        num({ gt: 0, hot: true }),
+    EXIT_ZSCORE:         num({ min: 0, hot: true }),
+    STOP_ZSCORE:         num({ gt: 0, hot: true }),
+    MAX_HOLD_HOURS:      num({ gt: 0, hot: true }),
+    MIN_DIVERGENCE:      num({ min: 0, hot: true }),
+    MODEL:               oneOf(['zscore', 'kalman']),
+    MODELS:              table(oneOf(['zscore', 'kalman'])),
+    KALMAN: {
+      DELTA:             num({ gt: 0 }),
+      OBS_VAR:           num({ gt: 0 }),
+    },
+    HEDGE_MODE:          oneOf(['ols', 'fixed']),
+    MIN_HEDGE_RATIO:     num({ gt: 0, hot: true }),
+    MAX_HEDGE_RATIO:     num({ gt: 0, hot: true }),
+    BAR_INTERVAL:        dur(),
+    LOOKBACK:            dur(),
+    MIN_HISTORY:         dur(),
+    WARMUP_FROM_KLINES:  bool(),
+    STATUS_INTERVAL_MS:  int({ min: 60000 }),
+  },
+
+  WS_RECONNECT_MS:       int({ min: 100 }),
+  REST_POLL_INTERVAL_MS: int({ min: 1000 }),
+
+  DISCOVERY: {
+    ENABLED:             bool(),
+    MODE:                oneOf(['augment', 'replace']),
+    UNIVERSE:            list(COIN, { minLength: 2 }),
+    INTERVAL:            oneOf(['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d']),
+    BARS:                int({ min: 50, max: 1000 }),
+    MIN_CORRELATION:     num({ min: 0, max: 1, hot: true }),
+    MAX_PVALUE:          num({ gt: 0, max: 1, hot: true }),
+    MAX_RELATIONSHIPS:   int({ min: 1, hot: true }),
+    ADF_LAGS:            int({ min: 0 }),
+    REFRESH_MS:          int({ min: 60000 }),
+  },
+
+  RECORDER: {
+    ENABLED:             bool(),
+    DIR:                 str(),
+  },
+
+  EXECUTION: {
+    MODE:                oneOf(['paper', 'binance']),
+    BASE_URL:            url(),
+    RECV_WINDOW:         int({ min: 1, max: 60000 }),
+    PAPER_FILLS:         oneOf(['book', 'last']),
+    BOOK_DEPTH:          oneOf([5, 10, 20, 50, 100, 500, 1000, 5000]),
+    LEG_TIMEOUT_MS:      int({ min: 1000, hot: true }),
+    LEG_RETRIES:         int({ min: 0, hot: true }),
+    POLL_MS:             int({ min: 50, hot: true }),
+    LEGGED_RETRY_MS:     int({ min: 1000, hot: true }),
+    PAPER_FAULTS:        list({ type: 'object', check: checkFault }),
+  },
+
+  SIZING: {
+    POLICY:              oneOf(['fixed', 'equity', 'volatility', 'kelly'], { hot: true }),
+    EQUITY_FRACTION:     num({ gt: 0, max: 1, hot: true }),
+    RISK_PER_SIGMA_USD:  num({ gt: 0, hot: true }),
+    KELLY_FRACTION:      num({ gt: 0, max: 1, hot: true }),
+    KELLY_MIN_TRADES:    int({ min: 1, hot: true }),
+    MIN_AMOUNT:          num({ gt: 0, hot: true }),
+    MAX_AMOUNT:          num({ gt: 0, hot: true }),
+  },
+
+  RISK: {
+    ENABLED:             bool({ hot: true }),
+    MAX_COIN_NET_USD:    num({ min: 0, hot: true }),
+    MAX_COIN_GROSS_USD:  num({ min: 0, hot: true }),
+    MAX_PER_GROUP:       int({ min: 0, hot: true }),
+    GROUPS:              table(list(COIN), { hot: true }),
+    DAILY_LOSS_LIMIT:    num({ min: 0, hot: true }),
+    ROLLING_LOSS_LIMIT:  num({ min: 0, hot: true }),
+    ROLLING_WINDOW:      dur({ hot: true }),
+    FLATTEN_ON_HALT:     bool({ hot: true }),
+  },
+
+  ANALYTICS: {
+    SAMPLE_INTERVAL_MS:  int({ min: 10000 }),
+    CURVE_RETENTION:     dur({ hot: true }),
+    RETURN_PERIOD:       dur({ hot: true }),
+    Z_BUCKETS:           list(num({ gt: 0 }), { minLength: 1, hot: true }),
+    DAILY_SUMMARY:       bool({ hot: true }),
+    DAILY_SUMMARY_HOUR:  int({ min: 0, max: 23, hot: true }),
+  },
+
+  CARRY: {
+    VENUE:               oneOf(['margin', 'perp']),
+    BORROW_DAILY_RATES:  table(num({ min: 0, max: 0.1 }), { required: ['default'] }),
+    FETCH_BORROW_RATES:  bool({ hot: true }),
+    ACCRUE_INTERVAL_MS:  int({ min: 1000 }),
+  },
+
+  API: {
+    ENABLED:             bool(),
+    HOST:                oneOf(['127.0.0.1', '::1', 'localhost']),
+    PORT:                int({ min: 1, max: 65535 }),
+    TOKEN:               str({ secret: 'API_TOKEN', optional: true, pattern: /^\S{16,}$/, hint: 'at least 16 characters, no spaces' }),
+    STREAM_INTERVAL_MS:  int({ min: 250 }),
+  },
+
+  METRICS: {
+    ENABLED:             bool(),
+    HOST:                str(),
+    PORT:                int({ min: 1, max: 65535 }),
+  },
+
+  BINANCE_REST_SPOT:     str(),
+  BINANCE_REST_FUTURES:  str(),
+  BINANCE_WS_SPOT:       str(),
+
+  NOTIFY: {
+    SINKS:               table({ type: 'object', check: checkSink }),
+    ROUTES:              list({ type: 'object', check: checkRoute }, { hot: true }),
+  },
+
+  LOG_DIR:               str(),
+  STATE_DIR:             str(),
+  REPLAY_STATE_DIR:      str(),
+};
+
+// Rules across keys — checked once every key is individually valid
+function crossChecks(cfg) {
+  const errors = [];
+  const p      = cfg.PAIRS_CONFIG;
+
+  if (!(p.EXIT_ZSCORE < p.ENTRY_ZSCORE && p.ENTRY_ZSCORE < p.STOP_ZSCORE)) {
+    errors.push(`PAIRS_CONFIG needs EXIT_ZSCORE < ENTRY_ZSCORE < STOP_ZSCORE (got ${p.EXIT_ZSCORE} / ${p.ENTRY_ZSCORE} / ${p.STOP_ZSCORE})`);
+  }
+  if (p.MIN_HEDGE_RATIO > p.MAX_HEDGE_RATIO) {
+    errors.push(`PAIRS_CONFIG.MIN_HEDGE_RATIO (${p.MIN_HEDGE_RATIO}) is above MAX_HEDGE_RATIO (${p.MAX_HEDGE_RATIO})`);
+  }
+
+  const bar = duration.parse(p.BAR_INTERVAL);
+  if (duration.parse(p.LOOKBACK) < bar) errors.push(`PAIRS_CONFIG.LOOKBACK (${p.LOOKBACK}) is shorter than one BAR_INTERVAL (${p.BAR_INTERVAL})`);
+  if (duration.parse(p.MIN_HISTORY) > duration.parse(p.LOOKBACK)) {
+    errors.push(`PAIRS_CONFIG.MIN_HISTORY (${p.MIN_HISTORY}) is longer than LOOKBACK (${p.LOOKBACK}) — the bot would never trade`);
+  }
+
+  if (cfg.SIZING.MIN_AMOUNT > cfg.SIZING.MAX_AMOUNT) {
+    errors.push(`SIZING.MIN_AMOUNT (${cfg.SIZING.MIN_AMOUNT}) is above MAX_AMOUNT (${cfg.SIZING.MAX_AMOUNT})`);
+  }
+
+  // The bigger leg of a MAX_AMOUNT entry at the most lopsided hedge ratio is also its
+  // net and gross in that coin — past either cap, an entry that size can never open
+  if (cfg.RISK.ENABLED) {
+    const beta = Math.max(p.MAX_HEDGE_RATIO, 1 / p.MIN_HEDGE_RATIO);
+    const leg  = cfg.SIZING.MAX_AMOUNT * beta / (1 + beta);
+    for (const cap of ['MAX_COIN_NET_USD', 'MAX_COIN_GROSS_USD']) {
+      if (cfg.RISK[cap] && leg > cfg.RISK[cap]) {
+        errors.push(`SIZING.MAX_AMOUNT (${cfg.SIZING.MAX_AMOUNT}) puts up to ${Math.round(leg)} in one leg at a hedge ratio of ${beta}, ` +
+          `past RISK.${cap} (${cfg.RISK[cap]}) — lower MAX_AMOUNT or the hedge ratio bounds, or raise the cap`);
+      }
+    }
+  }
+
+  if (cfg.API.ENABLED && !cfg.API.TOKEN) errors.push('API.ENABLED needs a token — set the API_TOKEN environment variable');
+
+  for (const [i, [a, b]] of p.relationships.entries()) {
+    if (a === b) errors.push(`PAIRS_CONFIG.relationships[${i}] pairs ${a} with itself`);
+  }
+
+  for (const [i, route] of cfg.NOTIFY.ROUTES.entries()) {
+    const missing = route.sinks.filter(name => !cfg.NOTIFY.SINKS[name]);
+    if (missing.length) errors.push(`NOTIFY.ROUTES[${i}] names sinks not in NOTIFY.SINKS: ${missing.join(', ')}`);
+  }
+
+  if (path.resolve(cfg.REPLAY_STATE_DIR) === path.resolve(cfg.STATE_DIR)) {
+    errors.push(`REPLAY_STATE_DIR (${cfg.REPLAY_STATE_DIR}) is STATE_DIR — a replay would overwrite the live state`);
+  }
+  return errors;
+}
+
+// ─── Rule checks ──────────────────────────────────────────────────────────────
+const isRule  = r => typeof r.type === 'string';
+const isPlain = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const show    = v => JSON.stringify(v) === undefined ? String(v) : JSON.stringify(v);
+
+// "a number > 0", "one of 'ols', 'fixed'"
+function expected(rule) {
+  if (rule.values) return `one of ${rule.values.map(v => typeof v === 'string' ? `'${v}'` : v).join(', ')}`;
+  if (rule.hint)   return rule.hint;
+
+  const bounds = [];
+  if (rule.gt  !== undefined) bounds.push(`> ${rule.gt}`);
+  if (rule.min !== undefined) bounds.push(`≥ ${rule.min}`);
+  if (rule.max !== undefined) bounds.push(`≤ ${rule.max}`);
+
+  switch (rule.type) {
+    case 'number':   return `${rule.integer ? 'an integer' : 'a number'}${bounds.length ? ' ' + bounds.join(' and ') : ''}`;
+    case 'boolean':  return 'true or false';
+    case 'string':   return 'a non-empty string';
+    case 'duration': return 'a duration such as 30s, 5m, 1h, 7d';
+    case 'url':      return 'an http(s) URL';
+    case 'array':    return rule.length ? `a list of ${rule.length}` : 'a list';
+    case 'table':    return 'a table of key: value';
+    default:         return `an ${rule.type}`;
+  }
+}
+
+// null when valid, else what's wrong (nested problems carry their [index] / .key)
+function check(rule, value) {
+  if (value === undefined || value === null) return rule.optional ? null : 'is required';
+
+  switch (rule.type) {
+    case 'number':
+      if (typeof value !== 'number' || !isFinite(value)) return `must be ${expected(rule)}`;
+      if (rule.integer && !Number.isInteger(value))      return `must be ${expected(rule)}`;
+      if (rule.gt  !== undefined && !(value >  rule.gt)) return `must be ${expected(rule)}`;
+      if (rule.min !== undefined && !(value >= rule.min)) return `must be ${expected(rule)}`;
+      if (rule.max !== undefined && !(value <= rule.max)) return `must be ${expected(rule)}`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `must be ${expected(rule)}`;
+      break;
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) return `must be ${expected(rule)}`;
+      if (rule.pattern && !rule.pattern.test(value))  return `must be ${expected(rule)}`;
+      break;
+    case 'duration':
+      try { duration.parse(value); } catch (_) { return `must be ${expected(rule)}`; }
+      break;
+    case 'url':
+      try {
+        if (!/^https?:$/.test(new URL(value).protocol)) return `must be ${expected(rule)}`;
+      } catch (_) { return `must be ${expected(rule)}`; }
+      break;
+    case 'array': {
+      if (!Array.isArray(value)) return `must be ${expected(rule)}`;
+      if (rule.length    !== undefined && value.length !== rule.length) return `must be ${expected(rule)}`;
+      if (rule.minLength !== undefined && value.length < rule.minLength) return `needs at least ${rule.minLength} entries`;
+      for (const [i, item] of value.entries()) {
+        const err = rule.of && check(rule.of, item);
+        if (err) return `[${i}] ${err}`;
+      }
+      break;
+    }
+    case 'table': {
+      if (!isPlain(value)) return `must be ${expected(rule)}`;
+      const missing = (rule.required || []).find(k => value[k] === undefined);
+      if (missing) return `needs a '${missing}' entry`;
+      for (const [k, item] of Object.entries(value)) {
+        const err = check(rule.of, item);
+        if (err) return `.${k} ${err}`;
+      }
+      break;
+    }
+    case 'object':
+      if (!isPlain(value)) return 'must be an object';
+      break;
+  }
+
+  if (rule.values && !rule.values.includes(value)) return `must be ${expected(rule)}`;
+  if (rule.check) return rule.check(value);
+  return null;
+}
+
+// ─── Schema walking ───────────────────────────────────────────────────────────
+function ruleAt(keys) {
+  let node = SCHEMA;
+  for (const key of keys) {
+    if (!node || isRule(node) || !Object.prototype.hasOwnProperty.call(node, key)) return null;
+    node = node[key];
+  }
+  return node;
+}
+
+// Every [keys, rule] leaf, in schema order
+function leaves(node = SCHEMA, prefix = []) {
+  return Object.entries(node).flatMap(([key, child]) =>
+    isRule(child) ? [[[...prefix, key], child]] : leaves(child, [...prefix, key]));
+}
+
+function getAt(obj, keys) {
+  return keys.reduce((o, k) => (o === undefined || o === null ? undefined : o[k]), obj);
+}
+
+function setAt(obj, keys, value) {
+  const parent = keys.slice(0, -1).reduce((o, k) => (isPlain(o[k]) ? o[k] : (o[k] = {})), obj);
+  parent[keys[keys.length - 1]] = value;
+}
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlain(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  return value;
+}
+
+// ─── Layers ───────────────────────────────────────────────────────────────────
+// Lays `overlay` over cfg key by key; unknown keys and secrets outside the env are errors
+function overlay(cfg, values, source, sources, errors, prefix = []) {
+  for (const [key, value] of Object.entries(values)) {
+    const keys = [...prefix, key];
+    const name = keys.join('.');
+    const rule = ruleAt(keys);
+
+    if (!rule) {
+      errors.push(`${name} is not a config key (${source})`);
+    } else if (!isRule(rule)) {
+      if (isPlain(value)) overlay(cfg, value, source, sources, errors, keys);
+      else errors.push(`${name} must be a section of keys, got ${show(value)} (${source})`);
+    } else if (rule.derived) {
+      errors.push(`${name} is derived from ${rule.derived} — set that instead (${source})`);
+    } else if (rule.secret) {
+      errors.push(`${name} is a secret — set the ${rule.secret} environment variable instead (${source})`);
+    } else {
+      const merged = rule.type === 'table' && isPlain(value) && isPlain(getAt(cfg, keys))
+        ? { ...getAt(cfg, keys), ...value }
+        : value;
+      setAt(cfg, keys, merged);
+      sources[name] = source;
+    }
+  }
+}
+
+function findFile() {
+  if (process.env.CONFIG_FILE) return path.resolve(process.env.CONFIG_FILE);
+  return DEFAULT_FILES.map(f => path.resolve(f)).find(f => fs.existsSync(f)) || null;
+}
+
+function readFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  return /\.ya?ml$/i.test(file) ? parseYaml(text) : JSON.parse(text);
+}
+
+// Env strings → the rule's type; anything that doesn't convert is left for check() to report
+function fromEnv(rule, raw) {
+  switch (rule.type) {
+    case 'number':
+      return raw.trim() !== '' && isFinite(Number(raw)) ? Number(raw) : raw;
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(raw))  return true;
+      if (/^(false|0|no|off)$/i.test(raw)) return false;
+      return raw;
+    case 'duration':
+      return /^\d+$/.test(raw) ? Number(raw) : raw;
+    case 'array':
+    case 'table':
+    case 'object':
+      try { return JSON.parse(raw); } catch (_) { return raw; }
+    default:
+      return raw;
+  }
+}
+
+// BOT_PAIRS_CONFIG__ENTRY_ZSCORE=2 → { source, values: { PAIRS_CONFIG: { ENTRY_ZSCORE: 2 } } }
+function envLayers(env, errors) {
+  const layers = [];
+  for (const [name, raw] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX)) continue;
+    const keys = name.slice(ENV_PREFIX.length).split('__');
+    const rule = ruleAt(keys);
+
+    if (!rule || !isRule(rule)) {
+      errors.push(`${name} doesn't name a config key (${keys.join('.')})`);
+      continue;
+    }
+    const values = {};
+    setAt(values, keys, fromEnv(rule, raw));
+    layers.push({ source: `env ${name}`, values });
+  }
+  return layers;
+}
+
+// config.js keys the schema doesn't know — a default added without a rule
+function unruled(values, prefix = []) {
+  return Object.entries(values).flatMap(([key, value]) => {
+    const keys = [...prefix, key];
+    const rule = ruleAt(keys);
+    if (!rule) return [keys.join('.')];
+    return !isRule(rule) && isPlain(value) ? unruled(value, keys) : [];
+  });
+}
+
+// ─── Build ────────────────────────────────────────────────────────────────────
+// defaults ← file ← env, validated: { config, errors, file }
+function build(defaults, env = process.env) {
+  const cfg     = clone(defaults);
+  const sources = {};
+  const errors  = [];
+  const file    = findFile();
+
+  for (const name of unruled(defaults)) errors.push(`${name} (config.js) has no rule in settings.js SCHEMA`);
+
+  if (file) {
+    try {
+      const values = readFile(file);
+      if (!isPlain(values)) throw new Error('top level must be a mapping of keys');
+      overlay(cfg, values, path.basename(file), sources, errors);
+    } catch (err) {
+      errors.push(`${path.basename(file)}: ${err.code === 'ENOENT' ? 'not found' : err.message}`);
+    }
+  }
+
+  for (const { source, values } of envLayers(env, errors)) overlay(cfg, values, source, sources, errors);
+
+  // Secrets
+  for (const [keys, rule] of leaves()) {
+    if (!rule.secret) continue;
+    setAt(cfg, keys, env[rule.secret] || null);
+    sources[keys.join('.')] = `env ${rule.secret}`;
+  }
+
+  for (const [keys, rule] of leaves()) {
+    if (rule.derived) continue;
+    const name  = keys.join('.');
+    const value = getAt(cfg, keys);
+    const err   = check(rule, value);
+    if (err) {
+      const nested = /^[[.]/.test(err);
+      const shown  = rule.secret || value === undefined || value === null ? ''
+        : nested && rule.of.type === 'object' ? '' // the entry is named; a whole sink table isn't worth repeating
+        : `, got ${show(value)}`;
+      errors.push(`${name}${nested ? '' : ' '}${err}${shown} (${sources[name] || 'config.js defaults'})`);
+    }
+  }
+
+  if (!errors.length) errors.push(...crossChecks(cfg));
+
+  // Coins to stream — always the relationships' coins
+  cfg.PAIRS = [...new Set(cfg.PAIRS_CONFIG.relationships.flatMap(r => r))];
+
+  // A replay (REPLAY_FILE) starts from its own state dir and notifies nobody
+  if (env.REPLAY_FILE) {
+    cfg.STATE_DIR     = cfg.REPLAY_STATE_DIR;
+    cfg.NOTIFY.ROUTES = [];
+  }
+
+  return { config: cfg, errors, file };
+}
+
+// ─── Load / reload ────────────────────────────────────────────────────────────
+let live     = null; // the object config.js exports — mutated in place on reload
+let defaults = null;
+
+// At boot: a config that fails validation stops the process before anything runs
+function load(defaultValues) {
+  defaults = defaultValues;
+  const { config: cfg, errors, file } = build(defaults);
+
+  if (errors.length) {
+    console.error(`Invalid configuration${file ? ` (file: ${file})` : ''}:\n  - ${errors.join('\n  - ')}`);
+    process.exit(1);
+  }
+  live = cfg;
+  return live;
+}
+
+// { applied: [{ key, from, to }], restart: [key], errors: [msg], file }
+function reload() {
+  const { config: next, errors, file } = build(defaults);
+  if (errors.length) return { applied: [], restart: [], errors, file };
+
+  const applied = [];
+  const restart = [];
+  for (const [keys, rule] of leaves()) {
+    const from = getAt(live, keys);
+    const to   = getAt(next, keys);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    const key = keys.join('.');
+    if (rule.hot) {
+      setAt(live, keys, to);
+      applied.push({ key, from, to });
+    } else {
+      restart.push(key);
+    }
+  }
+  return { applied, restart, errors: [], file };
+}
+
+// ─── YAML subset ──────────────────────────────────────────────────────────────
+// Enough YAML for a config file: `key: value` mappings nested by indentation,
+// `- item` lists, flow collections ([BTC, ETH], {coin: KSM, type: reject}),
+// quoted or bare scalars, true/false/null, numbers and # comments.
+// No anchors, multi-line strings or multiple documents.
+function parseYaml(text) {
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const content = stripComment(raw).trimEnd();
+    if (content.trim()) lines.push({ n: i + 1, indent: content.length - content.trimStart().length, text: content.trim() });
+  });
+  if (!lines.length) return {};
+
+  const [value, next] = yamlBlock(lines, 0, lines[0].indent);
+  if (next < lines.length) throw new Error(`line ${lines[next].n}: unexpected indentation`);
+  return value;
+}
+
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quote) { if (c === quote) quote = null; continue; }
+    if (c === '"' || c === "'") quote = c;
+    else if (c === '#' && (i === 0 || /\s/.test(line[i - 1]))) return line.slice(0, i);
+  }
+  return line;
+}
+
+function yamlBlock(lines, i, indent) {
+  const isList = lines[i].text === '-' || lines[i].text.startsWith('- ');
+  const out    = isList ? [] : {};
+
+  while (i < lines.length && lines[i].indent === indent) {
+    const line = lines[i];
+    let rest, key;
+
+    if (isList) {
+      if (!(line.text === '-' || line.text.startsWith('- '))) throw new Error(`line ${line.n}: expected a "- " list item`);
+      rest = line.text.slice(1).trim();
+    } else {
+      const m = /^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/.exec(line.text);
+      if (!m) throw new Error(`line ${line.n}: expected "key: value"`);
+      rest = m[2] === undefined ? '' : m[2];
+      key  = yamlScalar(m[1], line.n);
+    }
+
+    let value;
+    i++;
+    if (rest) {
+      value = yamlScalar(rest, line.n);
+    } else if (i < lines.length && lines[i].indent > indent) {
+      [value, i] = yamlBlock(lines, i, lines[i].indent);
+    } else {
+      value = null;
+    }
+
+    if (isList) out.push(value);
+    else out[key] = value;
+  }
+  return [out, i];
+}
+
+function yamlScalar(text, n) {
+  if (text[0] === '[' || text[0] === '{') {
+    const [value, end] = yamlFlow(text, 0, n);
+    if (text.slice(end).trim()) throw new Error(`line ${n}: unexpected "${text.slice(end).trim()}"`);
+    return value;
+  }
+  if (text[0] === '"') return JSON.parse(text);
+  if (text[0] === "'") return text.slice(1, -1).replace(/''/g, "'");
+  if (/^(true|false)$/.test(text)) return text === 'true';
+  if (/^(null|~)$/.test(text))     return null;
+  if (/^[-+]?(\d[\d_]*)?\.?\d+(e[-+]?\d+)?$/i.test(text)) return Number(text.replace(/_/g, ''));
+  return text;
+}
+
+// [a, b] / {k: v} starting at text[i] → [value, index after it]
+function yamlFlow(text, i, n) {
+  const close = text[i] === '[' ? ']' : '}';
+  const out   = close === ']' ? [] : {};
+  i++;
+
+  for (;;) {
+    while (/\s/.test(text[i] || '')) i++;
+    if (text[i] === close) return [out, i + 1];
+    if (i >= text.length) throw new Error(`line ${n}: missing "${close}"`);
+
+    let key;
+    if (close === '}') {
+      const colon = text.indexOf(':', i);
+      if (colon < 0) throw new Error(`line ${n}: expected "key: value" in {…}`);
+      key = yamlScalar(text.slice(i, colon).trim(), n);
+      i   = colon + 1;
+      while (/\s/.test(text[i] || '')) i++;
+    }
+
+    let value;
+    if (text[i] === '[' || text[i] === '{') {
+      [value, i] = yamlFlow(text, i, n);
+    } else {
+      const start = i;
+      if (text[i] === '"' || text[i] === "'") i = text.indexOf(text[i], i + 1) + 1;
+      while (i < text.length && text[i] !== ',' && text[i] !== close) i++;
+      value = yamlScalar(text.slice(start, i).trim(), n);
+    }
+
+    if (close === ']') out.push(value);
+    else out[key] = value;
+
+    while (/\s/.test(text[i] || '')) i++;
+    if (text[i] === ',') i++;
+    else if (text[i] !== close) throw new Error(`line ${n}: expected "," or "${close}"`);
+  }
+}
+
+module.exports = { load, reload, parseYaml, EVENTS, SEVERITIES };
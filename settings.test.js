@@ -0,0 +1,198 @@
+'use strict';
+
+/**
+ * settings.test.js
+ * Config layering, the YAML subset and reload rules — run with `npm test`
+ *
+ * parseYaml() is checked on its own; the layers are checked through reload(),
+ * with CONFIG_FILE pointing at a temporary file and BOT_* variables set on
+ * process.env, against the live object config.js exports. Exits 1 on the first failure.
+ */
+
+const assert = require('assert');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const config   = require('./config');
+const settings = require('./settings');
+
+const tests = [];
+const test  = (name, fn) => tests.push({ name, fn });
+
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-test-'));
+
+// reload() with `file` as the config file's YAML and `env` as the only BOT_* variables
+function reloadWith(file, env = {}) {
+  const saved = { ...process.env };
+  for (const name of Object.keys(process.env)) if (name.startsWith('BOT_')) delete process.env[name];
+  process.env.CONFIG_FILE = path.join(DIR, 'config.yaml');
+  fs.writeFileSync(process.env.CONFIG_FILE, file, 'utf8');
+  Object.assign(process.env, env);
+  try {
+    return settings.reload();
+  } finally {
+    for (const name of Object.keys(process.env)) if (!(name in saved)) delete process.env[name];
+    Object.assign(process.env, saved);
+  }
+}
+
+// ─── parseYaml ────────────────────────────────────────────────────────────────
+test('nested mappings, block lists and scalars parse to their types', () => {
+  const yaml = [
+    'PAIRS_CONFIG:',
+    '  ENTRY_ZSCORE: 2',
+    '  WARMUP_FROM_KLINES: false',
+    '  LOOKBACK: 12h',
+    '  KALMAN:',
+    '    DELTA: 1e-4',
+    '  relationships:',
+    '    - [BTC, ETH]',
+    '    -',
+    '      - SOL',
+    '      - AVAX',
+    'TRADE_AMOUNT: 1_500',
+    'LOG_DIR: ~',
+    'STATE_DIR:',
+  ].join('\n');
+
+  assert.deepStrictEqual(settings.parseYaml(yaml), {
+    PAIRS_CONFIG: {
+      ENTRY_ZSCORE: 2, WARMUP_FROM_KLINES: false, LOOKBACK: '12h', KALMAN: { DELTA: 1e-4 },
+      relationships: [['BTC', 'ETH'], ['SOL', 'AVAX']],
+    },
+    TRADE_AMOUNT: 1500,
+    LOG_DIR:      null,
+    STATE_DIR:    null,
+  });
+});
+
+test('quoted values keep their text and # only starts a comment outside quotes', () => {
+  const yaml = [
+    '# whole-line comment',
+    'a: "x # not a comment"   # trailing comment',
+    "b: 'it''s'",
+    'c: "2"',
+    'd: "line\\nbreak"',
+    '"e f": url#fragment',
+    'g: -0.5',
+  ].join('\n');
+
+  assert.deepStrictEqual(settings.parseYaml(yaml), {
+    a: 'x # not a comment', b: "it's", c: '2', d: 'line\nbreak', 'e f': 'url#fragment', g: -0.5,
+  });
+});
+
+test('flow collections nest and keep quoted commas', () => {
+  assert.deepStrictEqual(
+    settings.parseYaml('x: {coin: KSM, types: [reject, "a, b"], inner: {n: 1, ok: true}}\ny: []\nz: {}'),
+    { x: { coin: 'KSM', types: ['reject', 'a, b'], inner: { n: 1, ok: true } }, y: [], z: {} },
+  );
+  assert.deepStrictEqual(settings.parseYaml(''), {});
+  assert.deepStrictEqual(settings.parseYaml('# only a comment\n'), {});
+});
+
+test('malformed YAML names the line', () => {
+  assert.throws(() => settings.parseYaml('a: 1\n  b: 2'), /line 2: unexpected indentation/);
+  assert.throws(() => settings.parseYaml('a: 1\njust text'), /line 2: expected "key: value"/);
+  assert.throws(() => settings.parseYaml('list:\n  - 1\n  b: 2'), /line 3: expected a "- " list item/);
+  assert.throws(() => settings.parseYaml('a: [1,'), /line 1: missing "\]"/);
+  assert.throws(() => settings.parseYaml('a: [1 2'), /line 1: expected "," or "\]"/);
+  assert.throws(() => settings.parseYaml('a: [1] 2'), /line 1: unexpected "2"/);
+});
+
+// ─── Layers through reload() ──────────────────────────────────────────────────
+test('BOT_X__Y variables are coerced to the rule type and override the file', () => {
+  const before = { ...config.PAIRS_CONFIG };
+  const result = reloadWith('PAIRS_CONFIG:\n  ENTRY_ZSCORE: 1.8\n  EXIT_ZSCORE: 0.4\n', {
+    BOT_PAIRS_CONFIG__ENTRY_ZSCORE: '2',
+    BOT_RISK__FLATTEN_ON_HALT:      'yes',
+    BOT_RISK__GROUPS:               '{"meme":["DOGE","SHIB"]}',
+  });
+
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.restart, []);
+  assert.strictEqual(config.PAIRS_CONFIG.ENTRY_ZSCORE, 2);
+  assert.strictEqual(config.PAIRS_CONFIG.EXIT_ZSCORE, 0.4);
+  assert.strictEqual(config.RISK.FLATTEN_ON_HALT, true);
+  assert.deepStrictEqual(config.RISK.GROUPS.meme, ['DOGE', 'SHIB']);
+  assert.ok(result.applied.some(a => a.key === 'PAIRS_CONFIG.ENTRY_ZSCORE' && a.from === before.ENTRY_ZSCORE && a.to === 2));
+
+  // Back to the defaults once the layers are gone
+  const reset = reloadWith('');
+  assert.deepStrictEqual(reset.errors, []);
+  assert.strictEqual(config.PAIRS_CONFIG.ENTRY_ZSCORE, before.ENTRY_ZSCORE);
+});
+
+test('values the schema rejects are all reported with their source and nothing is applied', () => {
+  const before = config.MAX_POSITIONS;
+  const result = reloadWith('MAX_POSITIONS: 2\nNOT_A_KEY: 1\nAPI:\n  TOKEN: abcdefghijklmnopqrstuvwxyz\n', {
+    BOT_PAIRS_CONFIG__ENTRY_ZSCORE: 'high',
+    BOT_NOPE:                       '1',
+  });
+
+  assert.strictEqual(config.MAX_POSITIONS, before);
+  assert.deepStrictEqual(result.applied, []);
+  const all = result.errors.join('\n');
+  assert.match(all, /NOT_A_KEY is not a config key \(config\.yaml\)/);
+  assert.match(all, /API\.TOKEN is a secret — set the API_TOKEN environment variable instead/);
+  assert.match(all, /BOT_NOPE doesn't name a config key/);
+  assert.match(all, /PAIRS_CONFIG\.ENTRY_ZSCORE must be a number > 0, got "high" \(env BOT_PAIRS_CONFIG__ENTRY_ZSCORE\)/);
+});
+
+test('cross-key rules reject values that pass one by one', () => {
+  const result = reloadWith('PAIRS_CONFIG:\n  EXIT_ZSCORE: 2\n');
+  assert.match(result.errors.join('\n'), /EXIT_ZSCORE < ENTRY_ZSCORE < STOP_ZSCORE/);
+});
+
+test('sizing bounds the coin caps could never hold are refused', () => {
+  const result = reloadWith('SIZING:\n  MAX_AMOUNT: 5000\n');
+  const all    = result.errors.join('\n');
+  assert.match(all, /SIZING\.MAX_AMOUNT \(5000\) puts up to 4167 in one leg at a hedge ratio of 5, past RISK\.MAX_COIN_NET_USD \(2500\)/);
+  assert.match(all, /past RISK\.MAX_COIN_GROSS_USD \(4000\)/);
+
+  // Fine once the caps are raised, the hedge ratio kept tighter or the limits turned off
+  assert.deepStrictEqual(reloadWith('SIZING:\n  MAX_AMOUNT: 5000\nRISK:\n  MAX_COIN_NET_USD: 0\n  MAX_COIN_GROSS_USD: 5000\n').errors, []);
+  assert.deepStrictEqual(reloadWith('SIZING:\n  MAX_AMOUNT: 5000\nPAIRS_CONFIG:\n  MIN_HEDGE_RATIO: 1\n  MAX_HEDGE_RATIO: 1\n').errors, []);
+  assert.deepStrictEqual(reloadWith('SIZING:\n  MAX_AMOUNT: 5000\nRISK:\n  ENABLED: false\n').errors, []);
+  reloadWith('');
+});
+
+test('tables merge key by key instead of replacing the default', () => {
+  // Replacing the table would lose its required 'default' entry and fail validation
+  const result = reloadWith('CARRY:\n  BORROW_DAILY_RATES: {DOGE: 0.001}\n');
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.applied.length, 0); // BORROW_DAILY_RATES isn't hot
+  assert.deepStrictEqual(result.restart, ['CARRY.BORROW_DAILY_RATES']);
+});
+
+test('a changed key that is not hot is left alone and reported as needing a restart', () => {
+  const balance = config.INITIAL_BALANCE;
+  const result  = reloadWith('INITIAL_BALANCE: 5000\nMAX_POSITIONS: 7\n');
+
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.restart, ['INITIAL_BALANCE']);
+  assert.strictEqual(config.INITIAL_BALANCE, balance);
+  assert.deepStrictEqual(result.applied.map(a => a.key), ['MAX_POSITIONS']);
+  assert.strictEqual(config.MAX_POSITIONS, 7);
+  reloadWith('');
+});
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+(async () => {
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (err) {
+      console.log(`  ✗ ${name}\n    ${err.message}`);
+      fs.rmSync(DIR, { recursive: true, force: true });
+      process.exit(1);
+    }
+  }
+  fs.rmSync(DIR, { recursive: true, force: true });
+  console.log(`✅ ${tests.length} passed`);
+  process.exit(0);
+})();
@@ -0,0 +1,222 @@
+'use strict';
+
+/**
+ * sinks.js
+ * Notification sinks — one per NOTIFY.SINKS entry, built by notifier.js
+ *
+ *   discord    Discord webhook (discord.js), messages as written — or the event's embed,
+ *              when it has one and the sink doesn't set embeds: false
+ *   slack      Slack incoming webhook, { text } in mrkdwn
+ *   telegram   Bot API sendMessage to one chat, monospaced HTML
+ *   webhook    POST { event, severity, reason, title, text, ts } as JSON, optional bearer token
+ *   email      plain-text mail over SMTP (smtp.js)
+ *
+ * Every sink is { name, type, send(event) → Promise<boolean> } and never throws.
+ * A Discord sink queues instead of waiting (discord.js) and adds flush(timeoutMs).
+ * Events are { type, severity, reason, message, embed, ts }; messages are written for
+ * Discord (a ```lang fenced block, **bold**), so each sink reshapes them. `embed` is an
+ * optional discord.embed() card for the same event; other sinks keep to the text.
+ *
+ * Secrets come from the environment, passed in as `secrets` — { url, token, user, pass }.
+ * Any URL may be http:// so a sink can be pointed at a local stand-in (mocknotify.js).
+ */
+
+const https   = require('https');
+const http    = require('http');
+const logger  = require('./logger');
+const discord = require('./discord');
+const smtp    = require('./smtp');
+
+const TELEGRAM_API   = 'https://api.telegram.org';
+const TELEGRAM_LIMIT = 4096;
+const SLACK_LIMIT    = 3900;
+
+// ─── Message shaping ──────────────────────────────────────────────────────────
+// "```diff\n+ OPENED …\n```" → { style: 'diff', text: '+ OPENED …' }
+function unfence(message) {
+  const m = /^```(\w*)\n([\s\S]*?)\n?```\s*$/.exec(String(message).trim());
+  return m ? { style: m[1], text: m[2] } : { style: '', text: String(message).replace(/\*\*(.+?)\*\*/g, '$1') };
+}
+
+// First line, without diff markers — a subject / heading
+function titleOf(text) {
+  return text.split('\n')[0].replace(/^[+-]\s*/, '').trim().slice(0, 150);
+}
+
+const escapeHtml = s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// ─── JSON POST ────────────────────────────────────────────────────────────────
+function post(url, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const transport = url.protocol === 'http:' ? http : https;
+    const req = transport.request({
+      hostname: url.hostname,
+      port:     url.port || undefined,
+      path:     url.pathname + url.search,
+      method:   'POST',
+      headers: {
+        'Content-Type':   'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent':     'ArbitrageBot/1.0',
+        ...headers,
+      },
+      timeout: 10000,
+    }, (res) => {
+      let data = '';
+      res.on('data', c => { data += c; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+    });
+
+    req.on('error',   reject);
+    req.on('timeout', () => { req.destroy(); reject(new Error('request timeout')); });
+    req.write(body);
+    req.end();
+  });
+}
+
+// POST with retries — 2xx is delivered; 429 waits for Retry-After; other 4xx won't get better
+async function postJson(tag, url, payload, headers, retries = 3) {
+  const body = JSON.stringify(payload);
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      const res = await post(url, body, headers);
+      if (res.status >= 200 && res.status < 300) return true;
+
+      if (res.status === 429) {
+        const wait = Math.min((parseFloat(res.headers['retry-after']) || 2 * attempt) * 1000, 30000);
+        logger.warn(tag, `Rate limited (attempt ${attempt}/${retries}) — waiting ${(wait / 1000).toFixed(0)}s`);
+        await sleep(wait);
+        continue;
+      }
+
+      logger.warn(tag, `Unexpected status ${res.status} (attempt ${attempt}/${retries}): ${res.body.slice(0, 200)}`);
+      if (res.status < 500) return false;
+      if (attempt < retries) await sleep(1000 * attempt);
+    } catch (err) {
+      logger.error(tag, `Send error (attempt ${attempt}/${retries}): ${err.message}`);
+      if (attempt < retries) await sleep(1500);
+    }
+  }
+
+  logger.error(tag, 'Failed to send after all retries');
+  return false;
+}
+
+// ─── Sinks ────────────────────────────────────────────────────────────────────
+// Errors jump the queue; status reports are low priority and only the latest is kept
+function queueOptions(event) {
+  if (event.severity === 'error' || event.severity === 'critical') return { priority: 'high' };
+  if (event.type === 'status') return { priority: 'low', coalesce: 'status' };
+  return { priority: 'normal' };
+}
+
+function createDiscordSink(name, def, secrets) {
+  const hook   = discord.create(secrets.url, { name });
+  const embeds = def.embeds !== false;
+  return {
+    name, type: 'discord',
+    send: async event => (embeds && event.embed
+      ? hook.sendEmbed(event.embed, queueOptions(event))
+      : hook.send(event.message, queueOptions(event))),
+    flush: timeoutMs => hook.flush(timeoutMs),
+  };
+}
+
+function createSlackSink(name, def, secrets) {
+  const url = new URL(secrets.url);
+  const tag = `SLACK:${name}`;
+  return {
+    name, type: 'slack',
+    send(event) {
+      const { text } = unfence(event.message);
+      const body     = text.length > SLACK_LIMIT ? `${text.slice(0, SLACK_LIMIT)}\n…` : text;
+      return postJson(tag, url, { text: '```\n' + body + '\n```' });
+    },
+  };
+}
+
+function createTelegramSink(name, def, secrets) {
+  const url = new URL(`${(def.apiUrl || TELEGRAM_API).replace(/\/+$/, '')}/bot${secrets.token}/sendMessage`);
+  const tag = `TELEGRAM:${name}`;
+  return {
+    name, type: 'telegram',
+    send(event) {
+      const { text } = unfence(event.message);
+      const room     = TELEGRAM_LIMIT - '<pre></pre>\n…'.length;
+      let body       = escapeHtml(text);
+      if (body.length > room) body = `${body.slice(0, room).replace(/&[a-z]*$/, '')}\n…`;
+      return postJson(tag, url, {
+        chat_id:                  def.chatId,
+        text:                     `<pre>${body}</pre>`,
+        parse_mode:               'HTML',
+        disable_web_page_preview: true,
+        disable_notification:     event.severity === 'info',
+      });
+    },
+  };
+}
+
+function createWebhookSink(name, def, secrets) {
+  const url     = new URL(secrets.url);
+  const headers = secrets.token ? { Authorization: `Bearer ${secrets.token}` } : {};
+  return {
+    name, type: 'webhook',
+    send(event) {
+      const { text } = unfence(event.message);
+      return postJson(`WEBHOOK:${name}`, url, {
+        event:    event.type,
+        severity: event.severity,
+        reason:   event.reason || null,
+        title:    titleOf(text),
+        text,
+        ts:       event.ts,
+      }, headers);
+    },
+  };
+}
+
+function createEmailSink(name, def, secrets) {
+  const tag = `EMAIL:${name}`;
+  return {
+    name, type: 'email',
+    async send(event) {
+      const { text } = unfence(event.message);
+      try {
+        await smtp.sendMail({
+          host:    def.host,
+          port:    def.port,
+          secure:  def.secure,
+          user:    secrets.user,
+          pass:    secrets.pass,
+          from:    def.from,
+          to:      def.to,
+          subject: `[pairs-bot] ${event.severity.toUpperCase()}: ${titleOf(text)}`,
+          text,
+        });
+        return true;
+      } catch (err) {
+        logger.error(tag, `Send failed: ${err.message}`);
+        return false;
+      }
+    },
+  };
+}
+
+const FACTORIES = {
+  discord:  createDiscordSink,
+  slack:    createSlackSink,
+  telegram: createTelegramSink,
+  webhook:  createWebhookSink,
+  email:    createEmailSink,
+};
+
+function create(name, def, secrets) {
+  return FACTORIES[def.type](name, def, secrets);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { create, unfence };
@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * sizing.js
+ * Position size for an entry — SIZING.POLICY picks how much notional it gets
+ *
+ *   const { amount, policy, detail } = sizing.size(opp, { equity, history });
+ *
+ *   fixed        TRADE_AMOUNT, whatever the signal
+ *   equity       EQUITY_FRACTION of current equity (ledger.equity(): cash, reserved, unrealized PnL)
+ *   volatility   the notional a 1σ move of the spread turns into RISK_PER_SIGMA_USD:
+ *                the spread is log A − β log B, so a 1σ move is worth σ × leg A notional,
+ *                and leg A is amount / (1 + β)
+ *   kelly        KELLY_FRACTION of the Kelly fraction of equity, from this relationship's
+ *                closed trades net of both fees — f = p − (1 − p) / b, p the win rate
+ *                and b average win / average loss. Below KELLY_MIN_TRADES it falls back
+ *                to TRADE_AMOUNT; with no edge (f ≤ 0) it sizes nothing and the entry
+ *                is skipped.
+ *
+ * Every policy's result is clamped to MIN_AMOUNT … MAX_AMOUNT. amount is null when the
+ * entry shouldn't be taken at all; detail says how the number came about, and is kept
+ * on the position as position.sizing.
+ */
+
+const config  = require('./config');
+const tracker = require('./tracker');
+
+// ─── Policies ─────────────────────────────────────────────────────────────────
+// Each returns { raw, detail } — raw null to skip the entry
+const POLICIES = {
+  fixed: () => ({ raw: config.TRADE_AMOUNT, detail: { tradeAmount: config.TRADE_AMOUNT } }),
+
+  equity: (opp, { equity }) => ({
+    raw:    equity * config.SIZING.EQUITY_FRACTION,
+    detail: { equity, fraction: config.SIZING.EQUITY_FRACTION },
+  }),
+
+  volatility(opp) {
+    const beta  = opp.hedgeRatio || 1;
+    const sigma = opp.std;
+    if (!(sigma > 0)) return { raw: config.TRADE_AMOUNT, detail: { fallback: 'no spread σ' } };
+    return {
+      raw:    config.SIZING.RISK_PER_SIGMA_USD * (1 + beta) / sigma,
+      detail: { sigma, beta, riskPerSigma: config.SIZING.RISK_PER_SIGMA_USD },
+    };
+  },
+
+  kelly(opp, { equity, history }) {
+    const stats = edge(history.filter(h => h.key === opp.key));
+    if (stats.trades < config.SIZING.KELLY_MIN_TRADES) {
+      return { raw: config.TRADE_AMOUNT, detail: { ...stats, fallback: `${stats.trades}/${config.SIZING.KELLY_MIN_TRADES} trades` } };
+    }
+    const detail = { ...stats, equity, fraction: config.SIZING.KELLY_FRACTION };
+    if (!(stats.kelly > 0)) return { raw: null, detail };
+    return { raw: equity * stats.kelly * config.SIZING.KELLY_FRACTION, detail };
+  },
+};
+
+// Win rate, payoff ratio and full Kelly fraction of a set of closed trades,
+// each counted net of both fees (tracker.tradeNet())
+function edge(trades) {
+  const nets   = trades.map(tracker.tradeNet);
+  const wins   = nets.filter(v => v > 0);
+  const losses = nets.filter(v => v <= 0);
+  const avg    = list => (list.length ? list.reduce((s, v) => s + Math.abs(v), 0) / list.length : 0);
+
+  const winRate = trades.length ? wins.length / trades.length : 0;
+  const avgWin  = avg(wins);
+  const avgLoss = avg(losses);
+
+  // No losses yet is an unbounded payoff — Kelly is then just the win rate
+  const payoff = avgLoss > 0 ? avgWin / avgLoss : Infinity;
+  const kelly  = payoff === Infinity ? winRate : winRate - (1 - winRate) / payoff;
+  return { trades: trades.length, winRate, avgWin, avgLoss, payoff, kelly };
+}
+
+// ─── Size ─────────────────────────────────────────────────────────────────────
+// opp: a pairs.scanForOpportunities() entry; context: { equity, history }
+function size(opp, context, policy = config.SIZING.POLICY) {
+  const { raw, detail } = POLICIES[policy](opp, context);
+  if (raw === null || !Number.isFinite(raw)) return { amount: null, policy, detail };
+
+  const { MIN_AMOUNT, MAX_AMOUNT } = config.SIZING;
+  const amount = Math.min(Math.max(raw, MIN_AMOUNT), MAX_AMOUNT);
+  return { amount, policy, detail: { ...detail, raw, clamped: amount !== raw } };
+}
+
+// "volatility $1,840 (σ 0.0112, β 1.03)" — one line for logs and notifications
+function describe({ amount, policy, detail }) {
+  if (amount === null) return `${policy} — no edge, skipped`;
+  const parts = {
+    fixed:      () => '',
+    equity:     d => `${(d.fraction * 100).toFixed(1)}% of $${d.equity.toFixed(0)}`,
+    volatility: d => (d.fallback ? d.fallback : `σ ${d.sigma.toFixed(4)}, β ${d.beta.toFixed(2)}`),
+    kelly:      d => (d.fallback ? `${d.fallback}, fixed` : `f ${(d.kelly * 100).toFixed(1)}% × ${d.fraction}, win ${(d.winRate * 100).toFixed(0)}%`),
+  };
+  const why = parts[policy](detail);
+  return `${policy} $${amount.toFixed(0)}${why ? ` (${why}${detail.clamped ? ', capped' : ''})` : detail.clamped ? ' (capped)' : ''}`;
+}
+
+module.exports = { size, describe, edge, POLICIES: Object.keys(POLICIES) };
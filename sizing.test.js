@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * sizing.test.js
+ * Position sizing policies — run with `npm test`
+ *
+ * Each table row is an opportunity, an equity and a trade history with the amount
+ * size() must come back with, worked out by hand from the SIZING values set below.
+ * Exits 1 on the first failure.
+ */
+
+const assert = require('assert');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const config = require('./config');
+const sizing = require('./sizing');
+
+config.TRADE_AMOUNT = 2000;
+Object.assign(config.SIZING, {
+  EQUITY_FRACTION: 0.2, RISK_PER_SIGMA_USD: 25, KELLY_FRACTION: 0.25, KELLY_MIN_TRADES: 10, MIN_AMOUNT: 250, MAX_AMOUNT: 3000,
+});
+
+const tests = [];
+const test  = (name, fn) => tests.push({ name, fn });
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+// `wins` trades netting +win and `losses` netting −loss for one relationship, after fees
+function trades(key, wins, win, losses, loss) {
+  return [
+    ...Array.from({ length: wins }, () => ({ key, netPnl: win + 10, entryFee: 10 })),
+    ...Array.from({ length: losses }, () => ({ key, netPnl: -loss + 10, entryFee: 10 })),
+  ];
+}
+
+// [name, policy, opp, context, amount, raw]
+const OPP   = { key: 'AAA-BBB', hedgeRatio: 1, std: 0.02 };
+const TABLE = [
+  ['fixed is TRADE_AMOUNT',                'fixed',      OPP,                                    { equity: 1e6 },   2000, 2000],
+  ['equity is a fraction of equity',       'equity',     OPP,                                    { equity: 10000 }, 2000, 2000],
+  ['equity clamped up to MIN_AMOUNT',      'equity',     OPP,                                    { equity: 500 },   250,  100],
+  ['equity clamped down to MAX_AMOUNT',    'equity',     OPP,                                    { equity: 50000 }, 3000, 10000],
+  ['volatility at β 1',                    'volatility', OPP,                                    {},                2500, 2500],
+  ['volatility at β 1.5, capped',          'volatility', { ...OPP, hedgeRatio: 1.5, std: 0.01 }, {},                3000, 6250],
+  ['volatility on a wide spread, floored', 'volatility', { ...OPP, std: 0.5 },                   {},                250,  100],
+  ['volatility with no σ is TRADE_AMOUNT', 'volatility', { ...OPP, std: 0 },                     {},                2000, 2000],
+];
+
+// ─── Policies ─────────────────────────────────────────────────────────────────
+test('fixed, equity and volatility size to the hand-worked amounts, clamped to MIN … MAX', () => {
+  for (const [name, policy, opp, context, amount, raw] of TABLE) {
+    const sized = sizing.size(opp, { history: [], ...context }, policy);
+    assert.strictEqual(sized.policy, policy, name);
+    assert.ok(close(sized.amount, amount), `${name}: amount ${sized.amount}, expected ${amount}`);
+    assert.ok(close(sized.detail.raw, raw), `${name}: raw ${sized.detail.raw}, expected ${raw}`);
+    assert.strictEqual(sized.detail.clamped, amount !== raw, name);
+  }
+});
+
+test('the configured POLICY is used when none is named', () => {
+  config.SIZING.POLICY = 'equity';
+  assert.strictEqual(sizing.size(OPP, { equity: 7500, history: [] }).amount, 1500);
+  config.SIZING.POLICY = 'fixed';
+  assert.strictEqual(sizing.size(OPP, { equity: 7500, history: [] }).amount, 2000);
+});
+
+// ─── Kelly ────────────────────────────────────────────────────────────────────
+// [name, history, amount, kelly] — equity 10000 throughout
+const KELLY = [
+  // p 0.6, b 100/50 = 2: f = 0.6 − 0.4/2 = 0.4, a quarter of it on 10000
+  ['60% wins at 2:1',                  trades('AAA-BBB', 6, 100, 4, 50),  1000, 0.4],
+  // p 0.7, b 60/70: f = 0.7 − 0.3·70/60 = 0.35
+  ['70% wins at 6:7',                  trades('AAA-BBB', 7, 60, 3, 70),   875,  0.35],
+  // No losses: f is the win rate, 1 — 2500
+  ['no losses',                        trades('AAA-BBB', 12, 40, 0, 0),   2500, 1],
+  // p 0.9, b 1: f = 0.8 — CCC-DDD's losses don't count against AAA-BBB
+  ['other relationships are ignored',  [...trades('AAA-BBB', 9, 50, 1, 50), ...trades('CCC-DDD', 0, 0, 30, 90)], 2000, 0.8],
+];
+
+test('kelly sizes KELLY_FRACTION of the Kelly fraction of equity', () => {
+  for (const [name, history, amount, kelly] of KELLY) {
+    const sized = sizing.size(OPP, { equity: 10000, history }, 'kelly');
+    assert.ok(close(sized.detail.kelly, kelly), `${name}: f ${sized.detail.kelly}, expected ${kelly}`);
+    assert.ok(close(sized.amount, amount), `${name}: amount ${sized.amount}, expected ${amount}`);
+  }
+  const capped = sizing.size(OPP, { equity: 20000, history: KELLY[3][1] }, 'kelly');
+  assert.strictEqual(capped.amount, 3000);
+  assert.ok(capped.detail.clamped);
+});
+
+test('trades are won or lost net of both fees', () => {
+  // netPnl alone makes all ten wins; less the entry fee, half are losses of 5
+  const history = Array.from({ length: 10 }, (_, i) => ({ key: 'AAA-BBB', netPnl: i < 5 ? 15 : 5, entryFee: 10 }));
+  const stats   = sizing.edge(history);
+  assert.strictEqual(stats.winRate, 0.5);
+  assert.strictEqual(stats.avgWin, 5);
+  assert.strictEqual(stats.avgLoss, 5);
+});
+
+test('below KELLY_MIN_TRADES kelly falls back to TRADE_AMOUNT', () => {
+  const sized = sizing.size(OPP, { equity: 10000, history: trades('AAA-BBB', 9, 100, 0, 0) }, 'kelly');
+  assert.strictEqual(sized.amount, 2000);
+  assert.strictEqual(sized.detail.fallback, '9/10 trades');
+  assert.strictEqual(sizing.describe(sized), 'kelly $2000 (9/10 trades, fixed)');
+
+  // Trades of other relationships don't make up the count
+  const others = [...trades('AAA-BBB', 2, 100, 0, 0), ...trades('CCC-DDD', 20, 100, 0, 0)];
+  assert.strictEqual(sizing.size(OPP, { equity: 10000, history: others }, 'kelly').detail.fallback, '2/10 trades');
+});
+
+test('with no edge (f ≤ 0) the entry is skipped, not sized at MIN_AMOUNT', () => {
+  // p 0.4, b 0.5: f = 0.4 − 0.6/0.5 = −0.8; p 0.5, b 1: f = 0 exactly
+  for (const history of [trades('AAA-BBB', 4, 50, 6, 100), trades('AAA-BBB', 5, 80, 5, 80)]) {
+    const sized = sizing.size(OPP, { equity: 10000, history }, 'kelly');
+    assert.strictEqual(sized.amount, null);
+    assert.ok(sized.detail.kelly <= 0);
+    assert.strictEqual(sizing.describe(sized), 'kelly — no edge, skipped');
+  }
+});
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+(async () => {
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (err) {
+      console.log(`  ✗ ${name}\n    ${err.message}`);
+      process.exit(1);
+    }
+  }
+  console.log(`✅ ${tests.length} passed`);
+  process.exit(0);
+})();
@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * smtp.js
+ * Minimal SMTP client via native net/tls — just enough to send a plain-text alert
+ *
+ *   await smtp.sendMail({ host, port, secure, user, pass, from, to, subject, text })
+ *
+ * secure: true is TLS from the first byte (port 465); otherwise the connection is
+ * upgraded with STARTTLS whenever the server offers it. AUTH PLAIN when user is given.
+ * Rejects with the server's reply on any unexpected status.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os  = require('os');
+
+const DEFAULT_TIMEOUT = 15000;
+
+// ─── Reply reader ─────────────────────────────────────────────────────────────
+// Collects CRLF lines into replies ("250-a", "250-b", "250 c" is one reply)
+function session(socket, timeout) {
+  let buffer  = '';
+  let lines   = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  function settle() {
+    while (waiting.length && (replies.length || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length) resolve(replies.shift());
+      else reject(failure);
+    }
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString('utf8');
+    let i;
+    while ((i = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, i).replace(/\r$/, '');
+      buffer     = buffer.slice(i + 1);
+      lines.push(line);
+      if (!/^\d{3}-/.test(line)) {
+        replies.push({ code: parseInt(line.slice(0, 3), 10), lines: lines.map(l => l.slice(4)), text: lines.join(' | ') });
+        lines = [];
+      }
+    }
+    settle();
+  }
+
+  function onFail(err) {
+    failure = failure || err;
+    settle();
+  }
+
+  socket.on('data', onData);
+  socket.on('error', onFail);
+  socket.on('close', () => onFail(new Error('SMTP connection closed')));
+  socket.setTimeout(timeout, () => {
+    onFail(new Error(`SMTP timeout after ${timeout}ms`));
+    socket.destroy();
+  });
+
+  return {
+    read: () => new Promise((resolve, reject) => { waiting.push({ resolve, reject }); settle(); }),
+    // Stop listening before the socket is handed to tls for STARTTLS
+    detach() {
+      socket.removeListener('data', onData);
+      socket.setTimeout(0);
+    },
+  };
+}
+
+async function expect(conn, socket, command, codes) {
+  if (command !== null) socket.write(`${command}\r\n`);
+  const reply = await conn.read();
+  if (!codes.includes(reply.code)) {
+    const shown = command && command.startsWith('AUTH') ? 'AUTH' : command || 'greeting';
+    throw new Error(`SMTP ${shown} → ${reply.text}`);
+  }
+  return reply;
+}
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once('error', reject);
+  });
+}
+
+// ─── Message ──────────────────────────────────────────────────────────────────
+// RFC 2047 for a subject that isn't plain ASCII (emoji in alert titles)
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const body = String(text).replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..'); // dot-stuffing
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${from.split('@')[1]}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+// ─── Send ─────────────────────────────────────────────────────────────────────
+async function sendMail({ host, port, secure = false, user, pass, from, to, subject, text, timeout = DEFAULT_TIMEOUT }) {
+  const recipients = [].concat(to);
+  port = port || (secure ? 465 : 587);
+
+  let socket = await connect({ host, port, secure });
+  let conn   = session(socket, timeout);
+
+  try {
+    await expect(conn, socket, null, [220]);
+    let ehlo = await expect(conn, socket, `EHLO ${os.hostname()}`, [250]);
+
+    if (!secure && ehlo.lines.some(l => /^STARTTLS\b/i.test(l))) {
+      await expect(conn, socket, 'STARTTLS', [220]);
+      conn.detach();
+      socket = await upgrade(socket, host);
+      conn   = session(socket, timeout);
+      ehlo   = await expect(conn, socket, `EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (user) {
+      const token = Buffer.from(`\0${user}\0${pass || ''}`, 'utf8').toString('base64');
+      await expect(conn, socket, `AUTH PLAIN ${token}`, [235]);
+    }
+
+    const eightBit = ehlo.lines.some(l => /^8BITMIME\b/i.test(l));
+    await expect(conn, socket, `MAIL FROM:<${from}>${eightBit ? ' BODY=8BITMIME' : ''}`, [250]);
+    for (const rcpt of recipients) await expect(conn, socket, `RCPT TO:<${rcpt}>`, [250, 251]);
+    await expect(conn, socket, 'DATA', [354]);
+    await expect(conn, socket, `${buildMessage({ from, to: recipients, subject, text })}\r\n.`, [250]);
+
+    socket.write('QUIT\r\n');
+    await conn.read().catch(() => {}); // 221 — the message is already accepted
+  } finally {
+    socket.end();
+    socket.destroy();
+  }
+}
+
+module.exports = { sendMail };
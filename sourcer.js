@@ -9,6 +9,8 @@ const https  = require('https');
 const config = require('./config');
 const logger = require('./logger');
 
+const KLINE_MAX_PAGES = 50; // 50k klines — a month of 1m bars, with margin
+
 // ─── Generic HTTPS GET ────────────────────────────────────────────────────────
 function get(hostname, path) {
   return new Promise((resolve, reject) => {
@@ -64,6 +66,52 @@ async function getSpotPrice(pair) {
   }
 }
 
+// ─── Historical klines from Binance Spot ─────────────────────────────────────
+// One page (max 1000). Returns [{ openTime, closeTime, open, high, low, close, volume }], oldest first
+async function getKlines(pair, interval = '1h', limit = 500, startTime = null, endTime = null) {
+  try {
+    const symbol = `${pair}USDT`;
+    let path = `/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${Math.min(limit, 1000)}`;
+    if (startTime) path += `&startTime=${Math.floor(startTime)}`;
+    if (endTime)   path += `&endTime=${Math.floor(endTime)}`;
+
+    const data = await get(config.BINANCE_REST_SPOT, path);
+    if (!Array.isArray(data)) return null;
+
+    return data.map(k => ({
+      openTime:  k[0],
+      open:      parseFloat(k[1]),
+      high:      parseFloat(k[2]),
+      low:       parseFloat(k[3]),
+      close:     parseFloat(k[4]),
+      volume:    parseFloat(k[5]),
+      closeTime: k[6],
+    }));
+  } catch (err) {
+    logger.error('SOURCER', `getKlines ${pair}: ${err.message}`);
+    return null;
+  }
+}
+
+// ─── Kline history over a time range (paginated) ─────────────────────────────
+// Walks forward 1000 klines per request from startTime until endTime or no more data
+async function getKlineHistory(pair, interval, startTime, endTime = Date.now()) {
+  const all = [];
+  let from  = startTime;
+
+  for (let page = 0; page < KLINE_MAX_PAGES; page++) {
+    const batch = await getKlines(pair, interval, 1000, from, endTime);
+    if (!batch) return all.length ? all : null;
+    if (!batch.length) break;
+
+    all.push(...batch);
+    from = batch[batch.length - 1].openTime + 1;
+    if (batch.length < 1000 || from > endTime) break;
+  }
+
+  return all;
+}
+
 // ─── Current funding rate ────────────────────────────────────────────────────
 async function getCurrentFundingRate(pair) {
   try {
@@ -105,23 +153,30 @@ async function getRollingFundingRate(pair, days = 7) {
   }
 }
 
-// ─── Order book depth (top 5 bids/asks) ──────────────────────────────────────
-async function getOrderBook(pair, type = 'futures') {
+// ─── Order book depth ─────────────────────────────────────────────────────────
+// limit: levels per side (Binance accepts 5, 10, 20, 50, 100, 500, 1000, 5000).
+// bids/asks are [[price, qty], ...] best first; depths are USD over those levels.
+async function getOrderBook(pair, type = 'futures', limit = 5) {
   try {
     const symbol   = `${pair}USDT`;
     const hostname = type === 'futures' ? config.BINANCE_REST_FUTURES : config.BINANCE_REST_SPOT;
     const path     = type === 'futures'
-      ? `/fapi/v1/depth?symbol=${symbol}&limit=5`
-      : `/api/v3/depth?symbol=${symbol}&limit=5`;
+      ? `/fapi/v1/depth?symbol=${symbol}&limit=${limit}`
+      : `/api/v3/depth?symbol=${symbol}&limit=${limit}`;
 
     const data = await get(hostname, path);
-    if (!data || !data.bids) return null;
+    if (!data || !data.bids || !data.bids.length || !data.asks.length) return null;
+
+    const bids = data.bids.map(([price, qty]) => [parseFloat(price), parseFloat(qty)]);
+    const asks = data.asks.map(([price, qty]) => [parseFloat(price), parseFloat(qty)]);
 
     return {
-      bestBid: parseFloat(data.bids[0][0]),
-      bestAsk: parseFloat(data.asks[0][0]),
-      bidDepth: data.bids.reduce((s, b) => s + parseFloat(b[1]) * parseFloat(b[0]), 0),
-      askDepth: data.asks.reduce((s, a) => s + parseFloat(a[1]) * parseFloat(a[0]), 0),
+      bestBid:  bids[0][0],
+      bestAsk:  asks[0][0],
+      bidDepth: bids.reduce((s, [price, qty]) => s + price * qty, 0),
+      askDepth: asks.reduce((s, [price, qty]) => s + price * qty, 0),
+      bids,
+      asks,
     };
   } catch (err) {
     logger.error('SOURCER', `getOrderBook ${pair}: ${err.message}`);
@@ -150,4 +205,4 @@ async function getAllFundingRates() {
   }
 }
 
-module.exports = { getPerpPrice, getSpotPrice, getCurrentFundingRate, getRollingFundingRate, getOrderBook, getAllFundingRates };
+module.exports = { getPerpPrice, getSpotPrice, getKlines, getKlineHistory, getCurrentFundingRate, getRollingFundingRate, getOrderBook, getAllFundingRates };
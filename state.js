@@ -6,21 +6,29 @@
  * State file: ./state/bot_state.json
  */
 
-const fs     = require('fs');
-const path   = require('path');
-const config = require('./config');
-const logger = require('./logger');
+const fs      = require('fs');
+const path    = require('path');
+const zlib    = require('zlib');
+const config  = require('./config');
+const logger  = require('./logger');
+const metrics = require('./metrics');
 
 const STATE_FILE = path.join(config.STATE_DIR, 'bot_state.json');
 const BACKUP_FILE = path.join(config.STATE_DIR, 'bot_state.backup.json');
 
+const saveDuration = metrics.histogram('pairsbot_state_save_duration_seconds', 'Time to write bot_state.json and its sidecars');
+const saveFailures = metrics.counter('pairsbot_state_save_failures_total', 'State saves that failed');
+
 // In-memory state
 let _state = {
-  balance:   config.INITIAL_BALANCE,
+  ledger:    undefined,   // money movements (ledger.js) — seeded or migrated by ledger.init()
   positions: [],          // open paper positions
   history:   [],          // closed trade history
+  control:   { entriesPaused: false, disabled: [] },  // manual overrides from the control API (api.js)
   startedAt: Date.now(),
   lastSave:  null,
+  lastSummaryAt: null,    // when analytics.js last sent the daily summary
+  dayMarks:  null,        // open positions' unrealized PnL at 00:00 UTC (risk.js daily loss)
 };
 
 // ─── Load from disk ────────────────────────────────────────────────────────────
@@ -45,7 +53,7 @@ async function load() {
       ...parsed,
     };
 
-    logger.info('STATE', `Loaded state: balance=$${_state.balance.toFixed(2)}, open positions=${_state.positions.length}, trades=${_state.history.length}`);
+    logger.info('STATE', `Loaded state: ledger entries=${(_state.ledger || []).length}, open positions=${_state.positions.length}, trades=${_state.history.length}`);
   } catch (err) {
     // Try backup if main is corrupt
     if (fs.existsSync(BACKUP_FILE)) {
@@ -65,6 +73,7 @@ async function load() {
 
 // ─── Save to disk (atomic write via tmp file) ──────────────────────────────────
 async function save() {
+  const started = process.hrtime.bigint();
   try {
     if (!fs.existsSync(config.STATE_DIR)) {
       fs.mkdirSync(config.STATE_DIR, { recursive: true });
@@ -84,12 +93,55 @@ async function save() {
 
     // Promote tmp to main
     fs.renameSync(tmpFile, STATE_FILE);
+
+    saveSidecars();
+    saveDuration.observe(Number(process.hrtime.bigint() - started) / 1e9);
     logger.debug('STATE', 'State saved to disk');
   } catch (err) {
+    saveFailures.inc();
     logger.error('STATE', `Failed to save state: ${err.message}`);
   }
 }
 
+// ─── Sidecar files ─────────────────────────────────────────────────────────────
+// Other modules persist their own data next to bot_state.json on the same save
+// cycle: registerSidecar('name', () => data) writes state/name.json on every save().
+// { gzip: true } writes state/name.json.gz instead — for bulky data like bar history.
+const sidecars = {};
+
+function sidecarFile(name, options = {}) {
+  return path.join(config.STATE_DIR, `${name}.json${options.gzip ? '.gz' : ''}`);
+}
+
+function registerSidecar(name, exportFn, options = {}) {
+  sidecars[name] = { exportFn, options };
+}
+
+function saveSidecars() {
+  for (const [name, { exportFn, options }] of Object.entries(sidecars)) {
+    try {
+      const file = sidecarFile(name, options);
+      const json = JSON.stringify(exportFn());
+      fs.writeFileSync(file + '.tmp', options.gzip ? zlib.gzipSync(json) : json);
+      fs.renameSync(file + '.tmp', file);
+    } catch (err) {
+      logger.error('STATE', `Failed to save ${name}: ${err.message}`);
+    }
+  }
+}
+
+function loadSidecar(name, options = {}) {
+  try {
+    const file = sidecarFile(name, options);
+    if (!fs.existsSync(file)) return null;
+    const raw = fs.readFileSync(file);
+    return JSON.parse(options.gzip ? zlib.gunzipSync(raw).toString('utf8') : raw.toString('utf8'));
+  } catch (err) {
+    logger.error('STATE', `Failed to load ${name}: ${err.message}`);
+    return null;
+  }
+}
+
 // ─── Get/Set ───────────────────────────────────────────────────────────────────
 function get(key) {
   return _state[key];
@@ -102,4 +154,4 @@ function set(key, value) {
 // Auto-save every 5 minutes
 setInterval(save, 5 * 60 * 1000);
 
-module.exports = { load, save, get, set };
+module.exports = { load, save, get, set, registerSidecar, loadSidecar };
@@ -0,0 +1,198 @@
+'use strict';
+
+/**
+ * stats.js
+ * Small statistics toolkit — regression, correlation, unit-root tests
+ * Plain arrays in, plain numbers/objects out; no dependencies
+ */
+
+// ─── Descriptive ──────────────────────────────────────────────────────────────
+function mean(xs) {
+  return xs.reduce((s, x) => s + x, 0) / xs.length;
+}
+
+// Population variance
+function variance(xs) {
+  const m = mean(xs);
+  return xs.reduce((s, x) => s + (x - m) * (x - m), 0) / xs.length;
+}
+
+function correlation(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    const dx = xs[i] - mx;
+    const dy = ys[i] - my;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : 0;
+}
+
+// ─── Linear algebra ───────────────────────────────────────────────────────────
+// Solve A·x = b by Gaussian elimination with partial pivoting (A is n×n)
+function solve(A, b) {
+  const n = A.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-12) return null; // singular
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+
+    for (let r = col + 1; r < n; r++) {
+      const f = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let acc = M[r][n];
+    for (let c = r + 1; c < n; c++) acc -= M[r][c] * x[c];
+    x[r] = acc / M[r][r];
+  }
+  return x;
+}
+
+// ─── Regression ───────────────────────────────────────────────────────────────
+// Simple OLS y = alpha + beta·x
+function ols(ys, xs) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0, sxx = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) * (xs[i] - mx);
+  }
+  const beta  = sxx ? sxy / sxx : 0;
+  const alpha = my - beta * mx;
+  const residuals = ys.map((y, i) => y - alpha - beta * xs[i]);
+  return { alpha, beta, residuals };
+}
+
+// Multiple OLS y = X·b, X given as rows. Returns coefficients and their std errors.
+function olsMulti(ys, X) {
+  const n = X.length;
+  const k = X[0].length;
+
+  const XtX = Array.from({ length: k }, () => new Array(k).fill(0));
+  const Xty = new Array(k).fill(0);
+  for (let i = 0; i < n; i++) {
+    for (let a = 0; a < k; a++) {
+      Xty[a] += X[i][a] * ys[i];
+      for (let b = 0; b < k; b++) XtX[a][b] += X[i][a] * X[i][b];
+    }
+  }
+
+  const coef = solve(XtX, Xty);
+  if (!coef) return null;
+
+  let sse = 0;
+  for (let i = 0; i < n; i++) {
+    let fit = 0;
+    for (let a = 0; a < k; a++) fit += X[i][a] * coef[a];
+    sse += (ys[i] - fit) * (ys[i] - fit);
+  }
+  const s2 = sse / Math.max(n - k, 1);
+
+  // Standard errors from the diagonal of (X'X)^-1
+  const stdErr = coef.map((_, a) => {
+    const unit = new Array(k).fill(0);
+    unit[a] = 1;
+    const col = solve(XtX, unit);
+    return col ? Math.sqrt(s2 * col[a]) : NaN;
+  });
+
+  return { coef, stdErr, sse, n };
+}
+
+// ─── Normal distribution ──────────────────────────────────────────────────────
+// Abramowitz & Stegun 7.1.26 — accurate to ~1e-7, plenty for p-values
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t
+    * Math.exp(-z * z / 2);
+  return z >= 0 ? (1 + y) / 2 : (1 - y) / 2;
+}
+
+// ─── Augmented Dickey-Fuller ──────────────────────────────────────────────────
+// Δe_t = γ·e_{t-1} + Σ φ_i·Δe_{t-i} + ε_t   (no constant — for OLS residuals)
+// Returns the t-statistic of γ; more negative = stronger mean reversion.
+function adf(series, lags = 1) {
+  const diffs = [];
+  for (let t = 1; t < series.length; t++) diffs.push(series[t] - series[t - 1]);
+
+  const ys = [];
+  const X  = [];
+  for (let t = lags; t < diffs.length; t++) {
+    const row = [series[t]]; // diffs[t] = e_{t+1} - e_t, so this is the lagged level
+    for (let i = 1; i <= lags; i++) row.push(diffs[t - i]);
+    ys.push(diffs[t]);
+    X.push(row);
+  }
+  if (ys.length < 10 + lags) return null;
+
+  const fit = olsMulti(ys, X);
+  if (!fit || !(fit.stdErr[0] > 0)) return null;
+
+  const gamma = fit.coef[0];
+  return { stat: gamma / fit.stdErr[0], gamma, nobs: ys.length };
+}
+
+// ─── Engle-Granger cointegration ──────────────────────────────────────────────
+// MacKinnon (2010) response surface, two variables with constant:
+// critical value = b0 + b1/T + b2/T²
+const EG_CRITICAL = {
+  '1%':  [-3.89644, -10.9519, -22.527],
+  '5%':  [-3.33613, -6.1101,  -6.823],
+  '10%': [-3.04445, -4.2412,  -2.720],
+};
+
+// MacKinnon (1994) small-p approximation for the same case: p = Φ(a0 + a1·τ + a2·τ²).
+// Exact around the usual 1–10% cut-offs; only a rough guide above ~0.25. tauMin/tauMax
+// are the N = 2 bounds past which p is taken as 0 / 1.
+const EG_PVALUE = { a: [2.92, 1.5012, 0.039796], tauMin: -18.86, tauMax: 0.92 };
+
+function egPValue(tau) {
+  if (tau <= EG_PVALUE.tauMin) return 0;
+  if (tau >= EG_PVALUE.tauMax) return 1;
+  const [a0, a1, a2] = EG_PVALUE.a;
+  return Math.min(1, Math.max(0, normalCdf(a0 + a1 * tau + a2 * tau * tau)));
+}
+
+function egCriticalValues(nobs) {
+  const out = {};
+  for (const [level, [b0, b1, b2]] of Object.entries(EG_CRITICAL)) {
+    out[level] = b0 + b1 / nobs + b2 / (nobs * nobs);
+  }
+  return out;
+}
+
+// Regress ys on xs, then ADF-test the residuals.
+// halfLife is in samples: how long a deviation takes to decay by half.
+function engleGranger(ys, xs, lags = 1) {
+  const fit  = ols(ys, xs);
+  const test = adf(fit.residuals, lags);
+  if (!test) return null;
+
+  return {
+    alpha:       fit.alpha,
+    beta:        fit.beta,
+    adfStat:     test.stat,
+    pValue:      egPValue(test.stat),
+    critical:    egCriticalValues(test.nobs),
+    halfLife:    test.gamma < 0 ? -Math.LN2 / Math.log(1 + test.gamma) : Infinity,
+    residualStd: Math.sqrt(variance(fit.residuals)),
+  };
+}
+
+module.exports = {
+  mean, variance, correlation, solve, ols, olsMulti,
+  normalCdf, adf, engleGranger, egPValue, egCriticalValues,
+};
@@ -0,0 +1,242 @@
+'use strict';
+
+/**
+ * stress.js
+ * Floods the trading engine with concurrent ticks and manual actions, then checks
+ * that the book still adds up
+ *
+ * Usage: node stress.js [rounds] [seed]   (default: 2000 rounds, a random seed)
+ *
+ * `npm test` runs it with a fixed seed, so a red build fails the same way again;
+ * `npm run stress` draws a new seed each time to go looking for new floods.
+ *
+ * Signals are random — pairs.scanForOpportunities() and checkExit() are replaced —
+ * because the engine's bookkeeping is what's under test, not the strategy. Orders go
+ * to a paper executor that answers after a random delay and now and then rejects or
+ * part-fills a leg, so closes leg, opens unwind, and every await is a chance for
+ * another tick, close, pause or reload to cut in.
+ *
+ * Checks, after everything has drained:
+ *   no relationship holds two positions, and never more than MAX_POSITIONS
+ *   no position id is both open and closed, or closed twice
+ *   orders for two different positions were never in flight at the same time
+ *   a repeated manual close answers with the same trade
+ *   cash + reserved = INITIAL_BALANCE − entry fees + Σ closed net PnL
+ *   the ledger passes its own check(): every entry balances, margin matches what's open
+ *
+ * Exits 1 and lists the failures if any check fails.
+ */
+
+const os   = require('os');
+const fs   = require('fs');
+const path = require('path');
+
+if (!process.env.LOG_LEVEL) process.env.LOG_LEVEL = 'ERROR';
+process.env.BOT_STATE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pairsbot-stress-'));
+Object.assign(process.env, {
+  BOT_NOTIFY__ROUTES:             '[]', // nothing leaves the machine
+  BOT_MAX_POSITIONS:              '3',
+  BOT_EXECUTION__POLL_MS:         '50',  // the smallest values the config allows
+  BOT_EXECUTION__LEG_TIMEOUT_MS:  '1000',
+  BOT_EXECUTION__LEGGED_RETRY_MS: '1000',
+});
+
+const config    = require('./config');
+const state     = require('./state');
+const pairs     = require('./pairs');
+const execution = require('./execution');
+const engine    = require('./engine');
+const ledger    = require('./ledger');
+
+const ROUNDS  = parseInt(process.argv[2], 10) || 2000;
+const SEED    = parseInt(process.argv[3], 10) || Math.floor(Math.random() * 1e9);
+const COINS   = ['AAA', 'BBB', 'CCC', 'DDD', 'EEE', 'FFF', 'GGG', 'HHH'];
+const FAULTS  = 0.25; // chance an order is rejected or part-filled
+const EPSILON = 1e-6;
+
+// ─── Seeded randomness ────────────────────────────────────────────────────────
+// mulberry32 — a failing seed gives the same flood again (the timing of fills still varies)
+let seed = SEED;
+function random() {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t     = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+const pick  = list => list[Math.floor(random() * list.length)];
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ─── Synthetic market ─────────────────────────────────────────────────────────
+const RELATIONSHIPS = [];
+for (let i = 0; i < COINS.length; i += 2) RELATIONSHIPS.push([COINS[i], COINS[i + 1]]);
+RELATIONSHIPS.push([COINS[0], COINS[3]], [COINS[2], COINS[5]]); // coins shared across relationships
+
+function move(coin) {
+  const last = pairs.latestPrice[coin] || 10 + random() * 90;
+  pairs.onPrice(coin, last * (1 + (random() - 0.5) * 0.01));
+}
+
+pairs.scanForOpportunities = () => (random() < 0.3 ? [opportunity(pick(RELATIONSHIPS))] : []);
+pairs.checkExit = () => (random() < 0.1 ? { reason: pick(['CONVERGED', 'STOP_LOSS', 'OVERSHOT']), zScore: 0.1 } : null);
+
+function opportunity([coinA, coinB]) {
+  const zScore = random() < 0.5 ? 2.5 : -2.5;
+  return {
+    key: `${coinA}-${coinB}`, coinA, coinB,
+    shortCoin: zScore > 0 ? coinA : coinB,
+    longCoin:  zScore > 0 ? coinB : coinA,
+    zScore, absZ: 2.5, divergence: 0.02, mean: 0, std: 0.01, hedgeRatio: 1, model: 'zscore',
+    currentSpread: 0.025, currentRatio: pairs.latestPrice[coinA] / pairs.latestPrice[coinB],
+  };
+}
+
+// ─── Slow, flaky executor ─────────────────────────────────────────────────────
+// Paper fills after a random delay; records which position each order belongs to
+const failures = [];
+const inFlight = new Map(); // position prefix of the client order id → orders outstanding
+
+function createExecutor() {
+  const paper = execution.createPaperExecutor({ fills: 'last' });
+
+  const wrap = name => async (...args) => {
+    await sleep(random() * 4);
+    return paper[name](...args);
+  };
+
+  return {
+    name: 'stress',
+    cancelOrder: wrap('cancelOrder'),
+    getOrder:    wrap('getOrder'),
+    getFills:    wrap('getFills'),
+    getBalances: wrap('getBalances'),
+
+    async placeOrder(order) {
+      const owner = order.clientOrderId.split('-').slice(0, 3).join('-');
+      const other = [...inFlight.keys()].find(k => k !== owner);
+      if (other) failures.push(`orders for ${owner} and ${other} in flight together`);
+
+      inFlight.set(owner, (inFlight.get(owner) || 0) + 1);
+      try {
+        if (random() < FAULTS) paper.injectFault(random() < 0.5 ? { type: 'reject' } : { type: 'partial', fill: 0.5 });
+        await sleep(random() * 8);
+        return await paper.placeOrder(order);
+      } finally {
+        const left = inFlight.get(owner) - 1;
+        if (left) inFlight.set(owner, left); else inFlight.delete(owner);
+      }
+    },
+  };
+}
+
+// ─── Flood ────────────────────────────────────────────────────────────────────
+async function flood() {
+  const pending = [];
+  const closes  = []; // [id, [replies]] — the same position closed more than once at a time
+
+  for (let round = 0; round < ROUNDS; round++) {
+    // A burst of ticks, none awaited — as monitor.js delivers them
+    for (let i = 0; i < 5; i++) {
+      const coin = pick(COINS);
+      move(coin);
+      pending.push(engine.onTick(coin, pairs.latestPrice[coin]));
+    }
+
+    const roll = random();
+    const open = state.get('positions');
+    if (roll < 0.05 && open.length) {
+      const id      = pick(open).id;
+      const replies = [engine.closePosition(id), engine.closePosition(id)];
+      closes.push([id, replies]);
+      pending.push(...replies);
+    } else if (roll < 0.07) {
+      pending.push(engine.setEntriesPaused(random() < 0.3));
+    } else if (roll < 0.09) {
+      const [a, b] = pick(RELATIONSHIPS);
+      pending.push(engine.setRelationshipEnabled(`${a}-${b}`, random() < 0.8));
+    } else if (roll < 0.10) {
+      pending.push(engine.accrueCarry());
+    }
+
+    await sleep(random() * 4); // let the queue make some headway
+  }
+
+  await Promise.all(pending);
+  await engine.setEntriesPaused(false);
+
+  // Close whatever is left, twice each, so every position ends in history
+  for (let pass = 0; pass < 5 && state.get('positions').length; pass++) {
+    for (const { id } of state.get('positions')) {
+      const replies = [engine.closePosition(id), engine.closePosition(id)];
+      closes.push([id, replies]);
+    }
+    await engine.idle();
+  }
+  await engine.idle();
+  return closes;
+}
+
+// ─── Checks ───────────────────────────────────────────────────────────────────
+async function check(closes) {
+  const positions = state.get('positions');
+  const history   = state.get('history');
+
+  const keys = positions.map(p => p.key);
+  if (new Set(keys).size !== keys.length) failures.push(`two positions on one relationship: ${keys.join(', ')}`);
+  if (positions.length > config.MAX_POSITIONS) failures.push(`${positions.length} positions open, max ${config.MAX_POSITIONS}`);
+
+  const closedIds = history.map(h => h.id);
+  if (new Set(closedIds).size !== closedIds.length) failures.push('a position was settled twice');
+  for (const p of positions) {
+    if (closedIds.includes(p.id)) failures.push(`${p.id} is both open and closed`);
+  }
+
+  for (const [id, replies] of closes) {
+    const [first, second] = await Promise.all(replies);
+    if (first.status !== second.status) {
+      failures.push(`closing ${id} twice answered ${first.status} and ${second.status}`);
+    } else if (first.status === 200 && first.body.trade.closedAt !== second.body.trade.closedAt) {
+      failures.push(`closing ${id} twice answered with different trades`);
+    }
+  }
+  const repeat = history.length ? await engine.closePosition(history[0].id) : null;
+  if (repeat && (repeat.status !== 200 || repeat.body.trade.id !== history[0].id)) {
+    failures.push(`closing settled ${history[0].id} again answered ${repeat.status}`);
+  }
+
+  const expected = config.INITIAL_BALANCE
+    - [...positions, ...history].reduce((s, p) => s + p.entryFee, 0)
+    + history.reduce((s, h) => s + h.netPnl, 0);
+  const books = ledger.cash() + ledger.reserved();
+  if (Math.abs(books - expected) > EPSILON) {
+    failures.push(`cash + reserved $${books.toFixed(6)} ≠ expected $${expected.toFixed(6)}`);
+  }
+  failures.push(...ledger.check().map(err => `ledger: ${err}`));
+
+  return { positions: positions.length, trades: history.length, legged: history.filter(h => h.legged).length, cash: ledger.cash() };
+}
+
+// ─── Main ─────────────────────────────────────────────────────────────────────
+(async () => {
+  const started = Date.now();
+  await state.load();
+  ledger.init();
+
+  pairs.setRelationships(RELATIONSHIPS);
+  COINS.forEach(move);
+  engine.init(createExecutor());
+
+  console.log(`Stress: ${ROUNDS} rounds, ${RELATIONSHIPS.length} relationships, seed ${SEED}`);
+  const closes  = await flood();
+  const summary = await check(closes);
+
+  console.log(`  ${summary.trades} trades (${summary.legged} legged along the way), ${summary.positions} left open, ` +
+    `cash $${summary.cash.toFixed(2)}, ${((Date.now() - started) / 1000).toFixed(1)}s`);
+
+  fs.rmSync(process.env.BOT_STATE_DIR, { recursive: true, force: true });
+  if (failures.length) {
+    console.log(`❌ ${failures.length} failure(s):\n  - ${failures.slice(0, 20).join('\n  - ')}`);
+    process.exit(1);
+  }
+  console.log('✅ positions and ledger consistent');
+  process.exit(0);
+})();
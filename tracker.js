@@ -5,27 +5,171 @@
  * PnL tracking for pairs positions
  */
 
-const pairs = require('./pairs');
+const config = require('./config');
+const pairs  = require('./pairs');
 
-// Unrealized PnL for an open pairs position using latest prices
+// Quantity a leg was opened with — recorded fills, else notional / entry price
+// (positions opened before hedge ratios existed split 50/50)
+function legQty(position, leg) {
+  const qty = leg === 'short' ? position.shortQty : position.longQty;
+  if (qty !== undefined) return qty;
+
+  const amount = leg === 'short' ? position.shortAmount     : position.longAmount;
+  const price  = leg === 'short' ? position.entryShortPrice : position.entryLongPrice;
+  return (amount || position.amount / 2) / price;
+}
+
+// Quantities still held: opened minus whatever exit fills have closed so far
+function openQty(position) {
+  const exit = position.exit || {};
+  return {
+    short: Math.max(legQty(position, 'short') - (exit.short ? exit.short.qty : 0), 0),
+    long:  Math.max(legQty(position, 'long')  - (exit.long  ? exit.long.qty  : 0), 0),
+  };
+}
+
+// Exit price of a leg: the part already closed at its fill price, the rest at `latest`
+function markPrice(position, leg, latest) {
+  const qty  = legQty(position, leg);
+  const exit = position.exit && position.exit[leg];
+  if (!exit || !exit.qty || !qty) return latest;
+  return (exit.quote + Math.max(qty - exit.qty, 0) * latest) / qty;
+}
+
+// PnL of both legs marked at the given prices
+function legsPnl(position, shortPrice, longPrice) {
+  return (position.entryShortPrice - shortPrice) * legQty(position, 'short') +
+         (longPrice - position.entryLongPrice)   * legQty(position, 'long');
+}
+
+// Short-leg borrow interest / funding accrued so far (carry.js), USD cost
+function carryCost(position) {
+  return position.carry ? position.carry.accrued : 0;
+}
+
+// Unrealized PnL for an open pairs position using latest prices, net of carry
 function unrealizedPnl(position) {
-  const { shortCoin, longCoin, entryShortPrice, entryLongPrice, amount } = position;
-  const currentShort = pairs.latestPrice[shortCoin];
-  const currentLong  = pairs.latestPrice[longCoin];
+  const currentShort = pairs.latestPrice[position.shortCoin];
+  const currentLong  = pairs.latestPrice[position.longCoin];
   if (!currentShort || !currentLong) return 0;
+  return legsPnl(position, markPrice(position, 'short', currentShort), markPrice(position, 'long', currentLong)) - carryCost(position);
+}
+
+// ─── Position accounting (shared by main.js and backtest.js) ─────────────────
+
+// Taker fee for opening both legs — amount is already their combined notional
+function entryFee(amount) {
+  return amount * config.TAKER_FEE;
+}
+
+// Build a new position record from a pairs.scanForOpportunities() entry
+// Legs are sized by the opportunity's hedge ratio: leg B notional = β × leg A
+function newPosition(opp, amount, now = Date.now()) {
+  const { key, coinA, coinB, shortCoin, longCoin, zScore, currentRatio, currentSpread, mean, std } = opp;
+  const hedgeRatio = opp.hedgeRatio || 1;
+  const { amountA, amountB } = pairs.legAmounts(amount, hedgeRatio);
+
+  return {
+    id:              `pairs-${key}-${now}`,
+    key,
+    coinA,
+    coinB,
+    shortCoin,
+    longCoin,
+    entryZScore:     zScore,
+    entryRatio:      currentRatio,
+    entrySpread:     currentSpread,
+    entryMean:       mean,
+    entryStd:        std,
+    hedgeRatio,
+    model:           opp.model || 'zscore',
+    entryShortPrice: pairs.latestPrice[shortCoin],
+    entryLongPrice:  pairs.latestPrice[longCoin],
+    amount,
+    shortAmount:     shortCoin === coinA ? amountA : amountB,
+    longAmount:      longCoin  === coinA ? amountA : amountB,
+    entryFee:        entryFee(amount),
+    openedAt:        now,
+  };
+}
+
+// Actual entry fills replace the signal-time estimates:
+// legs = { short, long } leg results from coordinator.js. The quantities are what the
+// account holds — a commission taken in the coin bought is already counted in fee.
+function recordEntryFills(position, { short, long }) {
+  position.entryShortPrice  = short.avgPrice;
+  position.entryLongPrice   = long.avgPrice;
+  position.shortQty         = short.netQty;
+  position.longQty          = long.netQty;
+  position.shortAmount      = short.quoteQty;
+  position.longAmount       = long.quoteQty;
+  position.entryFee         = short.fee + long.fee;
+  position.entrySlippage    = { short: short.slippage || 0, long: long.slippage || 0 };
+  position.entrySlippageUsd = (short.slippageUsd || 0) + (long.slippageUsd || 0);
+  position.entryOrders      = { short: short.orderIds, long: long.orderIds };
+  return position;
+}
+
+// Exit fills accumulate on position.exit — a close can take several attempts. qty and
+// quote cover what left the position; coins bought only to pay commission are in fee.
+function recordExitFills(position, { short, long }) {
+  if (!position.exit) {
+    position.exit = {
+      short: { qty: 0, quote: 0, fee: 0, slippageUsd: 0, orders: [] },
+      long:  { qty: 0, quote: 0, fee: 0, slippageUsd: 0, orders: [] },
+    };
+  }
+  for (const [leg, fill] of [['short', short], ['long', long]]) {
+    const exit = position.exit[leg];
+    exit.qty         += fill.netQty;
+    exit.quote       += fill.quoteQty - fill.baseFee * fill.avgPrice;
+    exit.fee         += fill.fee;
+    exit.slippageUsd += fill.slippageUsd || 0;
+    exit.orders.push(...fill.orderIds);
+  }
+  return position;
+}
+
+// Realized result of closing a position. With exit fills recorded it uses their
+// prices and fees; without (backtests), latest prices and the taker fee.
+// `unrealized` is the price move of the legs; netPnl also takes off fees and carry.
+function closeOut(position) {
+  const latestShort = pairs.latestPrice[position.shortCoin];
+  const latestLong  = pairs.latestPrice[position.longCoin];
+  const carry       = carryCost(position);
+
+  if (position.exit) {
+    const { short, long } = position.exit;
+    const exitShortPrice  = markPrice(position, 'short', latestShort);
+    const exitLongPrice   = markPrice(position, 'long',  latestLong);
+    const unrealized      = legsPnl(position, exitShortPrice, exitLongPrice);
+    const exitFee         = short.fee + long.fee;
+    return {
+      unrealized, exitFee, carry, netPnl: unrealized - exitFee - carry,
+      exitShortPrice,
+      exitLongPrice,
+      exitSlippage:    { short: short.quote ? short.slippageUsd / short.quote : 0, long: long.quote ? long.slippageUsd / long.quote : 0 },
+      exitSlippageUsd: short.slippageUsd + long.slippageUsd,
+    };
+  }
+
+  const unrealized = unrealizedPnl(position) + carry;
+  const exitFee    = position.amount * config.TAKER_FEE;
+  return { unrealized, exitFee, carry, netPnl: unrealized - exitFee - carry, exitShortPrice: latestShort, exitLongPrice: latestLong };
+}
 
-  const half     = amount / 2;
-  const shortPnl = (entryShortPrice - currentShort) / entryShortPrice * half;
-  const longPnl  = (currentLong     - entryLongPrice)  / entryLongPrice  * half;
-  return shortPnl + longPnl;
+// What a closed trade made after every cost — netPnl is booked at the close, the
+// entry fee was paid at the open. Every per-trade figure (win rate, totals, edge) uses this.
+function tradeNet(trade) {
+  return trade.netPnl - (trade.entryFee || 0);
 }
 
 // Summary stats across all closed trades
 function historySummary(history) {
   if (!history.length) return { trades: 0, totalPnl: 0, winRate: 0, avgDurationH: 0 };
 
-  const totalPnl      = history.reduce((s, h) => s + h.netPnl, 0);
-  const wins          = history.filter(h => h.netPnl > 0).length;
+  const totalPnl      = history.reduce((s, h) => s + tradeNet(h), 0);
+  const wins          = history.filter(h => tradeNet(h) > 0).length;
   const avgDurationH  = history.reduce((s, h) => s + (h.closedAt - h.openedAt), 0) / history.length / 3600000;
 
   return {
@@ -36,4 +180,7 @@ function historySummary(history) {
   };
 }
 
-module.exports = { unrealizedPnl, historySummary };
+module.exports = {
+  legQty, openQty, legsPnl, carryCost, unrealizedPnl, entryFee, newPosition,
+  recordEntryFills, recordExitFills, closeOut, tradeNet, historySummary,
+};